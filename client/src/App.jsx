@@ -2,19 +2,28 @@ import React, { useEffect, useState } from "react";
 import { Routes, Route } from "react-router-dom";
 import Layout from "./components/Layout.jsx";
 import ProtectedRoute from "./components/ProtectedRoute.jsx";
+import { apiGet } from "./lib/api.js";
+import { setBaseCurrency } from "./lib/money.js";
 
 // Pages
 import Home from "./pages/Home.jsx";
 import Dashboard from "./pages/Dashboard.jsx";
 import Insurance from "./pages/Insurance.jsx";
 import Investments from "./pages/Investments.jsx";
+import Portfolio from "./pages/Portfolio.jsx";
 import Expenses from "./pages/Expenses.jsx";
 import BudgetPlanner from "./pages/BudgetPlanner.jsx";
 import TaxFiling from "./pages/TaxFiling.jsx";
 import CreditScore from "./pages/CreditScore.jsx";
+import Subscriptions from "./pages/Subscriptions.jsx";
+import Goals from "./pages/Goals.jsx";
+import Account from "./pages/Account.jsx";
 
 import Login from "./pages/Login.jsx";
 import Register from "./pages/Register.jsx";
+import ForgotPassword from "./pages/ForgotPassword.jsx";
+import ResetPassword from "./pages/ResetPassword.jsx";
+import VerifyEmail from "./pages/VerifyEmail.jsx";
 
 export default function App() {
   const [user, setUser] = useState(null);
@@ -33,6 +42,10 @@ export default function App() {
       } catch (e) {
         console.error("Token decode error:", e);
       }
+      // Cache the profile's base currency for money formatting
+      apiGet("/api/auth/me")
+        .then(({ user }) => setBaseCurrency(user?.baseCurrency))
+        .catch((err) => console.error("Load profile error:", err));
     }
   }, []);
 
@@ -41,6 +54,9 @@ export default function App() {
       {/* 🔓 Public Routes */}
       <Route path="/login" element={<Login setUser={setUser} />} />
       <Route path="/register" element={<Register setUser={setUser} />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
 
       {/* 🔐 Protected Layout with Sidebar */}
       <Route
@@ -56,10 +72,14 @@ export default function App() {
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="insurance" element={<Insurance />} />
         <Route path="investments" element={<Investments />} />
+        <Route path="portfolio" element={<Portfolio />} />
         <Route path="expenses" element={<Expenses />} />
+        <Route path="subscriptions" element={<Subscriptions />} />
         <Route path="budget" element={<BudgetPlanner />} />
+        <Route path="goals" element={<Goals />} />
         <Route path="tax-filing" element={<TaxFiling />} />
         <Route path="credit-score" element={<CreditScore />} />
+        <Route path="account" element={<Account />} />
         
       </Route>
 
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { Gauge } from "lucide-react";
+import { apiGet, apiPut, errorMessage } from "../lib/api.js";
+
+/**
+ * FinVerse — AI usage card (used by Account)
+ * - Assistant requests and tokens used today / this month against the plan's limits
+ * - Admins also get this month's per-user report and can change a user's tier
+ */
+
+const ACCENT = "#635BFF";
+
+const TIERS = ["free", "plus", "pro"];
+
+const num = (n) => Number(n || 0).toLocaleString();
+
+function Meter({ label, used, limit }) {
+  const pct = limit > 0 ? Math.min(100, (used / limit) * 100) : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-400">
+        <span>{label}</span>
+        <span>
+          {num(used)} / {limit > 0 ? num(limit) : "∞"}
+        </span>
+      </div>
+      <div className="mt-1 h-2 rounded-full bg-slate-800 overflow-hidden">
+        <div
+          className="h-full rounded-full"
+          style={{ width: `${pct}%`, background: pct >= 90 ? "#f43f5e" : ACCENT }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default function AiUsageCard({ isAdmin }) {
+  const [usage, setUsage] = useState(null);
+  const [report, setReport] = useState(null);
+
+  function loadReport() {
+    apiGet("/api/usage/report")
+      .then(setReport)
+      .catch((err) => console.error("Load usage report error:", err));
+  }
+
+  useEffect(() => {
+    apiGet("/api/usage/me")
+      .then(setUsage)
+      .catch((err) => console.error("Load usage error:", err));
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) loadReport();
+  }, [isAdmin]);
+
+  async function setTier(userId, tier) {
+    try {
+      await apiPut(`/api/usage/users/${userId}/tier`, { tier });
+      loadReport();
+    } catch (err) {
+      console.error("Set tier error:", err);
+      alert(errorMessage(err, "Could not change the tier."));
+    }
+  }
+
+  return (
+    <div className="xl:col-span-2 rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+      <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+        <Gauge className="text-indigo-300" size={20} />
+        <h2 className="font-semibold">AI Assistant Usage</h2>
+        {usage && (
+          <span className="ml-auto px-2 py-0.5 rounded-full text-xs capitalize bg-slate-800 text-slate-300">
+            {usage.tier} plan
+          </span>
+        )}
+      </div>
+
+      <div className="p-6 space-y-6 text-sm">
+        {!usage ? (
+          <p className="text-slate-500">Loading usage…</p>
+        ) : (
+          <>
+            {usage.exceeded && (
+              <div className="rounded-lg border border-rose-800 bg-rose-950/30 p-3 text-rose-200">
+                {usage.exceeded.message} Resets {new Date(usage.exceeded.resetsAt).toLocaleString()}.
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="space-y-3">
+                <div className="text-slate-300 font-medium">Today</div>
+                <Meter label="Requests" used={usage.today.requests} limit={usage.limits.daily.requests} />
+                <Meter label="Tokens" used={usage.today.tokens} limit={usage.limits.daily.tokens} />
+              </div>
+              <div className="space-y-3">
+                <div className="text-slate-300 font-medium">This month</div>
+                <Meter label="Requests" used={usage.month.requests} limit={usage.limits.monthly.requests} />
+                <Meter label="Tokens" used={usage.month.tokens} limit={usage.limits.monthly.tokens} />
+              </div>
+            </div>
+          </>
+        )}
+
+        {isAdmin && report && (
+          <div className="overflow-x-auto">
+            <div className="text-slate-300 font-medium mb-2">
+              Usage report {report.from} – {report.to} · {num(report.totals.tokens)} tokens · $
+              {report.totals.costUsd.toFixed(2)}
+            </div>
+            <table className="w-full">
+              <thead className="text-slate-400 text-xs">
+                <tr className="text-left">
+                  <th className="py-2 pr-4">User</th>
+                  <th className="py-2 pr-4">Tier</th>
+                  <th className="py-2 pr-4 text-right">Requests</th>
+                  <th className="py-2 pr-4 text-right">Tokens</th>
+                  <th className="py-2 text-right">Est. cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.users.map((u) => (
+                  <tr key={u.userId} className="border-t border-slate-800">
+                    <td className="py-2 pr-4">
+                      <div className="text-slate-200">{u.name}</div>
+                      <div className="text-xs text-slate-500">{u.email}</div>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <select
+                        value={u.tier}
+                        onChange={(e) => setTier(u.userId, e.target.value)}
+                        className="rounded border border-slate-700 bg-slate-900 px-2 py-1 capitalize"
+                      >
+                        {TIERS.map((t) => (
+                          <option key={t} value={t}>
+                            {t}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-4 text-right">{num(u.requests)}</td>
+                    <td className="py-2 pr-4 text-right">{num(u.tokens)}</td>
+                    <td className="py-2 text-right">${u.costUsd.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from "react";
+
+const ACCENT = "#635BFF";
+
+// Glow + glass card shared by the signed-out account screens (forgot / reset / verify)
+export default function AuthCard({ title, children }) {
+  return (
+    <div className="relative flex items-center justify-center min-h-screen overflow-hidden bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 text-white">
+      <div
+        className="absolute top-[-20%] left-1/2 -translate-x-1/2 h-[400px] w-[400px] rounded-full blur-[150px] opacity-30"
+        style={{ background: ACCENT }}
+      ></div>
+
+      <div className="relative bg-slate-900/70 backdrop-blur-xl border border-slate-700/50 rounded-2xl shadow-2xl p-8 w-[360px] text-center">
+        <h1 className="text-3xl font-semibold mb-6 bg-gradient-to-r from-indigo-300 to-cyan-300 bg-clip-text text-transparent">
+          {title}
+        </h1>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export const authInputClass =
+  "px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400";
+
+export const authButtonClass =
+  "mt-3 bg-indigo-500 hover:bg-indigo-600 transition-all duration-300 text-white font-medium py-3 rounded-lg shadow-lg disabled:opacity-50";
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from "react";
+import { Scale, Settings2 } from "lucide-react";
+import { apiGet, apiPut, errorMessage } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
+
+/**
+ * FinVerse — Budget vs Actual card (used by BudgetPlanner)
+ * - Planned vs spent per bucket for a month, from the active saved forecast and Expenses
+ * - Remaining amount and projected month-end overrun at the current spending pace
+ * - Editable expense category → bucket mapping
+ */
+
+const ACCENT = "#635BFF";
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+export default function BudgetVsActual({ activeId }) {
+  const [month, setMonth] = useState(thisMonth);
+  const [data, setData] = useState(null);
+  const [mapping, setMapping] = useState(null); // { buckets, mapping } while editing
+  const [saving, setSaving] = useState(false);
+
+  function load() {
+    apiGet(`/api/budget/actual?month=${month}`)
+      .then(setData)
+      .catch((err) => console.error("Load budget vs actual error:", err));
+  }
+
+  useEffect(load, [month, activeId]);
+
+  async function toggleMapping() {
+    if (mapping) return setMapping(null);
+    try {
+      setMapping(await apiGet("/api/budget/mapping"));
+    } catch (err) {
+      console.error("Load mapping error:", err);
+    }
+  }
+
+  async function saveMapping() {
+    setSaving(true);
+    try {
+      await apiPut("/api/budget/mapping", mapping.mapping);
+      setMapping(null);
+      load();
+    } catch (err) {
+      console.error("Save mapping error:", err);
+      alert(errorMessage(err, "Could not save the mapping."));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const cur = data?.currency;
+  const partial = data && data.daysElapsed > 0 && data.daysElapsed < data.daysInMonth;
+  const hasPlan = !!data?.budget && !data.planUnconverted;
+
+  return (
+    <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+      <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+        <Scale className="text-indigo-300" size={20} />
+        <h2 className="font-semibold">Budget vs Actual</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+          />
+          <button
+            onClick={toggleMapping}
+            title="Category mapping"
+            className={`p-2 rounded-lg hover:bg-slate-800 ${mapping ? "bg-slate-800" : ""}`}
+          >
+            <Settings2 size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-5 text-sm">
+        {mapping && (
+          <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-4 space-y-3">
+            <p className="text-slate-400">Choose which budget bucket each expense category counts towards.</p>
+            <div className="grid sm:grid-cols-3 gap-3">
+              {Object.entries(mapping.mapping).map(([cat, bucket]) => (
+                <label key={cat} className="flex items-center justify-between gap-2 text-slate-300">
+                  {cat}
+                  <select
+                    value={bucket}
+                    onChange={(e) => setMapping({ ...mapping, mapping: { ...mapping.mapping, [cat]: e.target.value } })}
+                    className="rounded border border-slate-700 bg-slate-900 px-2 py-1"
+                  >
+                    {mapping.buckets.map((b) => (
+                      <option key={b}>{b}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={saveMapping}
+                disabled={saving}
+                className="font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                style={{ background: ACCENT }}
+              >
+                Save mapping
+              </button>
+              <button onClick={() => setMapping(null)} className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!data ? (
+          <p className="text-slate-500">Loading…</p>
+        ) : (
+          <>
+            {data.budget ? (
+              <p className="text-slate-400">
+                {data.monthName} against the forecast saved {new Date(data.budget.ts).toLocaleDateString()} (
+                {data.budget.risk} risk, income {fmt(data.budget.income, data.budget.currency)})
+                {partial && ` · day ${data.daysElapsed} of ${data.daysInMonth}`}.
+              </p>
+            ) : (
+              <p className="text-slate-400">
+                No current budget yet — pick one of your saved forecasts with <b>Set as current</b> to compare it with
+                your expenses.
+              </p>
+            )}
+
+            <div className="space-y-4">
+              {data.buckets.map((b) => (
+                <BucketRow key={b.bucket} row={b} currency={cur} partial={partial} hasPlan={hasPlan} />
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <Figure label="Planned spending" value={fmt(data.totals.planned, cur)} />
+              <Figure label="Spent" value={fmt(data.totals.actual, cur)} />
+              <Figure
+                label="Remaining"
+                value={fmt(data.totals.remaining, cur)}
+                tone={hasPlan && data.totals.remaining < 0 ? "text-rose-300" : undefined}
+              />
+              <Figure
+                label="Projected month-end"
+                value={fmt(data.totals.projected, cur)}
+                tone={hasPlan && data.totals.projected > data.totals.planned ? "text-amber-300" : undefined}
+              />
+            </div>
+
+            {data.planUnconverted && (
+              <p className="text-xs text-amber-300">
+                The current budget is in {data.planUnconverted} — add an FX rate to compare it with your expenses.
+              </p>
+            )}
+            {data.unconverted.length > 0 && (
+              <p className="text-xs text-amber-300">
+                Expenses in {data.unconverted.join(", ")} are left out — add an FX rate to include them.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BucketRow({ row, currency, partial, hasPlan }) {
+  if (!row.tracked) {
+    return (
+      <div className="flex justify-between text-slate-400">
+        <span>
+          <span className="text-slate-200">{row.bucket}</span> · set aside, not tracked in Expenses
+        </span>
+        <span>{hasPlan ? fmt(row.planned, currency) : "—"}</span>
+      </div>
+    );
+  }
+
+  const pct = row.planned > 0 ? Math.min(100, (row.actual / row.planned) * 100) : row.actual > 0 ? 100 : 0;
+  const over = hasPlan && row.actual > row.planned;
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-slate-400 mb-1">
+        <span>
+          <span className="text-sm text-slate-200">{row.bucket}</span> · {row.categories.join(", ")}
+        </span>
+        <span>
+          {fmt(row.actual, currency)} {hasPlan && <>of {fmt(row.planned, currency)}</>}
+        </span>
+      </div>
+      <div className="h-2 w-full bg-slate-800 rounded-full overflow-hidden">
+        <div
+          className="h-full transition-all duration-500"
+          style={{ width: `${pct}%`, background: over ? "#f43f5e" : row.overrun > 0 && hasPlan ? "#f59e0b" : ACCENT }}
+        />
+      </div>
+      {hasPlan && (
+        <div className="mt-1 flex justify-between text-xs">
+          <span className={row.remaining < 0 ? "text-rose-300" : "text-slate-500"}>
+            {row.remaining < 0 ? `${fmt(-row.remaining, currency)} over` : `${fmt(row.remaining, currency)} left`}
+          </span>
+          {partial && row.overrun > 0 && (
+            <span className="text-amber-300">
+              On pace for {fmt(row.projected, currency)} · {fmt(row.overrun, currency)} over by month end
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Figure({ label, value, tone = "text-slate-100" }) {
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/50 p-3">
+      <p className="text-xs uppercase tracking-wide text-slate-400">{label}</p>
+      <p className={`mt-1 font-semibold ${tone}`}>{value}</p>
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from "react";
+import { ArrowUp, ArrowDown, Trash2, Plus, X } from "lucide-react";
+import { apiGet, apiPost, apiPut, apiDelete, errorMessage } from "../lib/api.js";
+
+/**
+ * FinVerse — Categorization Rules (used by Expenses)
+ * - Rules run top to bottom on manual entry and imports; first match wins
+ * - Conditions on description (contains / starts with / equals / regex) or amount (>, ≥, <, ≤, =)
+ * - Reorder, enable/disable, delete; `version` prop bump reloads after outside changes
+ */
+
+const ACCENT = "#635BFF";
+
+const OPS = {
+  description: [
+    { id: "contains", label: "contains" },
+    { id: "startsWith", label: "starts with" },
+    { id: "equals", label: "equals" },
+    { id: "regex", label: "matches regex" },
+  ],
+  amount: [
+    { id: "gt", label: ">" },
+    { id: "gte", label: "≥" },
+    { id: "lt", label: "<" },
+    { id: "lte", label: "≤" },
+    { id: "equals", label: "=" },
+  ],
+};
+
+const emptyCondition = () => ({ field: "description", op: "contains", value: "" });
+
+export default function CategoryRules({ categories, version = 0 }) {
+  const [rules, setRules] = useState([]);
+  const [category, setCategory] = useState(categories[0]);
+  const [match, setMatch] = useState("all");
+  const [conditions, setConditions] = useState([emptyCondition()]);
+
+  useEffect(() => {
+    apiGet("/api/rules")
+      .then(setRules)
+      .catch((err) => console.error("Load rules error:", err));
+  }, [version]);
+
+  function setCondition(i, patch) {
+    setConditions((list) =>
+      list.map((c, j) => {
+        if (j !== i) return c;
+        const next = { ...c, ...patch };
+        // keep the operator valid for the chosen field
+        if (patch.field && !OPS[patch.field].some((o) => o.id === next.op)) next.op = OPS[patch.field][0].id;
+        return next;
+      })
+    );
+  }
+
+  async function addRule() {
+    try {
+      const rule = await apiPost("/api/rules", { category, match, conditions });
+      setRules((r) => [...r, rule]);
+      setConditions([emptyCondition()]);
+    } catch (err) {
+      console.error("Create rule error:", err);
+      alert(errorMessage(err, "Could not save rule."));
+    }
+  }
+
+  async function move(i, dir) {
+    const j = i + dir;
+    if (j < 0 || j >= rules.length) return;
+    const next = [...rules];
+    [next[i], next[j]] = [next[j], next[i]];
+    setRules(next);
+    try {
+      setRules(await apiPut("/api/rules/order", { ids: next.map((r) => r._id) }));
+    } catch (err) {
+      console.error("Reorder rules error:", err);
+    }
+  }
+
+  async function toggle(rule) {
+    try {
+      const updated = await apiPut(`/api/rules/${rule._id}`, { enabled: !rule.enabled });
+      setRules((r) => r.map((x) => (x._id === rule._id ? updated : x)));
+    } catch (err) {
+      console.error("Toggle rule error:", err);
+    }
+  }
+
+  async function remove(id) {
+    try {
+      await apiDelete(`/api/rules/${id}`);
+      setRules((r) => r.filter((x) => x._id !== id));
+    } catch (err) {
+      console.error("Delete rule error:", err);
+    }
+  }
+
+  return (
+    <div className="p-6 space-y-4 text-sm">
+      {rules.length === 0 ? (
+        <p className="text-slate-500">No rules yet. New expenses without a category fall back to Misc.</p>
+      ) : (
+        <ol className="space-y-2">
+          {rules.map((r, i) => (
+            <li
+              key={r._id}
+              className={`rounded-lg border border-slate-800 bg-slate-950/60 p-3 flex items-center gap-3 ${
+                r.enabled ? "" : "opacity-50"
+              }`}
+            >
+              <span className="text-slate-500 w-5">{i + 1}.</span>
+              <span className="flex-1 text-slate-300">
+                {r.conditions.map((c, k) => (
+                  <span key={k}>
+                    {k > 0 && <span className="text-slate-500"> {r.match === "any" ? "or" : "and"} </span>}
+                    {c.field} {labelFor(c)} <b className="text-slate-100">“{c.value}”</b>
+                  </span>
+                ))}
+                <span className="text-slate-500"> → </span>
+                <b className="text-cyan-300">{r.category}</b>
+              </span>
+              <button onClick={() => move(i, -1)} className="p-1 rounded hover:bg-slate-800" aria-label="Move up">
+                <ArrowUp size={14} />
+              </button>
+              <button onClick={() => move(i, 1)} className="p-1 rounded hover:bg-slate-800" aria-label="Move down">
+                <ArrowDown size={14} />
+              </button>
+              <button onClick={() => toggle(r)} className="px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 text-xs">
+                {r.enabled ? "Disable" : "Enable"}
+              </button>
+              <button onClick={() => remove(r._id)} className="p-1 rounded hover:bg-slate-800" aria-label="Delete rule">
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {/* New rule */}
+      <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-4 space-y-3">
+        <div className="font-semibold text-slate-200">New rule</div>
+        {conditions.map((c, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-2">
+            <span className="text-slate-500 w-10">{i === 0 ? "If" : match === "any" ? "or" : "and"}</span>
+            <select
+              className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1.5 text-slate-100"
+              value={c.field}
+              onChange={(e) => setCondition(i, { field: e.target.value })}
+            >
+              <option value="description">description</option>
+              <option value="amount">amount</option>
+            </select>
+            <select
+              className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1.5 text-slate-100"
+              value={c.op}
+              onChange={(e) => setCondition(i, { op: e.target.value })}
+            >
+              {OPS[c.field].map((o) => (
+                <option key={o.id} value={o.id}>{o.label}</option>
+              ))}
+            </select>
+            <input
+              type={c.field === "amount" ? "number" : "text"}
+              placeholder={c.field === "amount" ? "e.g., 1000" : "e.g., costco"}
+              className="flex-1 min-w-[8rem] rounded-lg border border-slate-700 bg-slate-900 px-2 py-1.5 text-slate-100"
+              value={c.value}
+              onChange={(e) => setCondition(i, { value: e.target.value })}
+            />
+            {conditions.length > 1 && (
+              <button
+                onClick={() => setConditions((list) => list.filter((_, j) => j !== i))}
+                className="p-1 rounded hover:bg-slate-800"
+                aria-label="Remove condition"
+              >
+                <X size={14} />
+              </button>
+            )}
+          </div>
+        ))}
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => setConditions((list) => [...list, emptyCondition()])}
+            className="px-2 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700"
+          >
+            + Condition
+          </button>
+          {conditions.length > 1 && (
+            <select
+              className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1.5 text-slate-100"
+              value={match}
+              onChange={(e) => setMatch(e.target.value)}
+            >
+              <option value="all">match all</option>
+              <option value="any">match any</option>
+            </select>
+          )}
+          <span className="text-slate-500 ml-2">then category</span>
+          <select
+            className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1.5 text-slate-100"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            {categories.map((c) => (
+              <option key={c}>{c}</option>
+            ))}
+          </select>
+          <button
+            onClick={addRule}
+            disabled={conditions.some((c) => !String(c.value).trim())}
+            className="ml-auto inline-flex items-center gap-1 font-semibold text-white px-3 py-1.5 rounded-lg disabled:opacity-50"
+            style={{ background: ACCENT }}
+          >
+            <Plus size={14} /> Add Rule
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function labelFor(c) {
+  return OPS[c.field]?.find((o) => o.id === c.op)?.label || c.op;
+}
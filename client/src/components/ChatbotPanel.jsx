@@ -1,74 +1,410 @@
-import { useState } from "react";
-import axios from "axios";
+import React, { useEffect, useRef, useState } from "react";
+import { useLocation } from "react-router-dom";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import {
+  Sparkles,
+  MessageCircle,
+  X,
+  Plus,
+  PanelLeft,
+  Pencil,
+  Trash2,
+  Square,
+  Send,
+  Copy,
+  Check,
+  RotateCcw,
+} from "lucide-react";
+import { apiGet, apiPut, apiDelete, apiStream, errorMessage } from "../lib/api.js";
 
-export default function Chatbot() {
+/**
+ * FinVerse — Assistant drawer (rendered by Layout on every signed-in page)
+ * - Streams replies from /api/chat/stream; Stop aborts the model request
+ * - Markdown answers (tables, lists, code), data-source chips, copy and retry
+ * - Conversation history sidebar: open, rename, delete
+ * - Suggested prompts depend on the page you are on
+ */
+
+const ACCENT = "#635BFF";
+
+const SUGGESTIONS = {
+  dashboard: ["How am I doing this month?", "What should I focus on to save more?", "Summarize my finances"],
+  expenses: [
+    "Am I overspending on food?",
+    "Which category grew the most compared to last month?",
+    "Show my spending by category as a table",
+  ],
+  subscriptions: ["Which subscriptions could I cancel?", "How much do I spend on subscriptions per year?"],
+  budget: ["Is my budget split realistic for my income?", "How can I reach my savings goal faster?"],
+  goals: ["Which of my goals are behind?", "How much should I put towards my goals each month?"],
+  investments: ["Explain the asset mix of my last saved plan", "Is my investment plan too risky for me?"],
+  "tax-filing": ["How much tax do I owe this year?", "Which deductions should I look into?"],
+  insurance: ["Where are the gaps in my insurance coverage?", "How much life cover do I need?"],
+  "credit-score": ["How can I improve my credit score?", "What hurts a credit score the most?"],
+  account: ["How do I keep my account secure?", "What is a base currency used for?"],
+};
+
+const DEFAULT_SUGGESTIONS = ["How much did I spend this month?", "Help me build a monthly budget"];
+
+const md = {
+  table: (props) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="w-full text-xs border border-slate-700" {...props} />
+    </div>
+  ),
+  th: (props) => <th className="border border-slate-700 bg-slate-800 px-2 py-1 text-left" {...props} />,
+  td: (props) => <td className="border border-slate-700 px-2 py-1" {...props} />,
+  ul: (props) => <ul className="my-1 list-disc pl-5 space-y-0.5" {...props} />,
+  ol: (props) => <ol className="my-1 list-decimal pl-5 space-y-0.5" {...props} />,
+  p: (props) => <p className="my-1" {...props} />,
+  a: (props) => <a className="text-indigo-300 underline" target="_blank" rel="noreferrer" {...props} />,
+  code: (props) => <code className="rounded bg-slate-950 px-1 py-0.5 text-[0.85em]" {...props} />,
+  pre: (props) => <pre className="my-2 overflow-x-auto rounded-lg bg-slate-950 p-2" {...props} />,
+  h1: (props) => <h3 className="mt-2 font-semibold" {...props} />,
+  h2: (props) => <h3 className="mt-2 font-semibold" {...props} />,
+  h3: (props) => <h3 className="mt-2 font-semibold" {...props} />,
+};
+
+export default function ChatbotPanel() {
+  const { pathname } = useLocation();
+  const [open, setOpen] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [input, setInput] = useState("");
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [copied, setCopied] = useState(null);
+  const abortRef = useRef(null); // AbortController of the reply being streamed
+  const bottomRef = useRef(null);
 
-  const sendMessage = async () => {
-    if (!input.trim()) return;
-    const userMsg = { role: "user", text: input };
-    setMessages((prev) => [...prev, userMsg]);
-    setLoading(true);
+  const suggestions = SUGGESTIONS[pathname.split("/")[1]] || DEFAULT_SUGGESTIONS;
+
+  function loadConversations() {
+    apiGet("/api/chat/conversations")
+      .then(setConversations)
+      .catch((err) => console.error("Load conversations error:", err));
+  }
+
+  useEffect(() => {
+    if (open) loadConversations();
+  }, [open]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: "end" });
+  }, [messages]);
+
+  // Stop the reply mid-stream; the server aborts the model request and keeps the partial text
+  const stop = () => abortRef.current?.abort();
+
+  async function openConversation(id) {
+    stop();
+    try {
+      const data = await apiGet(`/api/chat/conversations/${id}/messages`);
+      setConversationId(id);
+      setMessages(data.messages.map((m) => ({ role: m.role, text: m.text, sources: m.sources || [] })));
+      setShowHistory(false);
+    } catch (err) {
+      console.error("Open conversation error:", err);
+    }
+  }
+
+  function newConversation() {
+    stop();
+    setConversationId(null);
+    setMessages([]);
+  }
+
+  async function renameConversation(c) {
+    const title = prompt("Rename conversation", c.title);
+    if (!title?.trim()) return;
+    try {
+      await apiPut(`/api/chat/conversations/${c._id}`, { title });
+      loadConversations();
+    } catch (err) {
+      console.error("Rename conversation error:", err);
+      alert("Could not rename conversation.");
+    }
+  }
+
+  async function deleteConversation(c) {
+    if (!confirm(`Delete "${c.title}"?`)) return;
+    try {
+      await apiDelete(`/api/chat/conversations/${c._id}`);
+      if (c._id === conversationId) newConversation();
+      loadConversations();
+    } catch (err) {
+      console.error("Delete conversation error:", err);
+      alert("Could not delete conversation.");
+    }
+  }
 
+  // Update the last (assistant) message as the stream grows: update(message) → changed fields
+  const patchReply = (update) =>
+    setMessages((prev) => {
+      const last = prev[prev.length - 1];
+      if (last?.role !== "assistant") return prev; // switched conversation mid-stream
+      return [...prev.slice(0, -1), { ...last, ...update(last) }];
+    });
+  const setReply = (update) => patchReply((m) => ({ text: update(m.text) }));
+
+  // Stream one answer. body is { message } for a new question or { retry: true } to ask the last one again
+  async function ask(body) {
+    setLoading(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
     try {
-      const res = await axios.post("/api/chat", { message: input });
-      const botMsg = { role: "bot", text: res.data.reply };
-      setMessages((prev) => [...prev, userMsg, botMsg]);
-      setInput("");
+      await apiStream(
+        "/api/chat/stream",
+        { ...body, conversationId },
+        {
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (event === "meta") setConversationId(data.conversationId);
+            else if (event === "tool") patchReply((m) => ({ sources: [...m.sources, data] }));
+            else if (event === "delta") setReply((prev) => prev + data.text);
+            else if (event === "done") setReply(() => data.reply);
+            else if (event === "error") setReply((prev) => `${prev}\n\n⚠️ ${data.message}`);
+          },
+        }
+      );
     } catch (err) {
-      setMessages((prev) => [
-        ...prev,
-        { role: "bot", text: "⚠️ Error contacting Gemini API." },
-      ]);
+      if (err.name !== "AbortError") {
+        console.error("Chat error:", err);
+        // Quota errors (429) carry a readable message
+        setReply((prev) => prev || `⚠️ ${errorMessage(err, "Error contacting the assistant.")}`);
+      }
     } finally {
+      abortRef.current = null;
       setLoading(false);
+      loadConversations();
+    }
+  }
+
+  function send(text = input) {
+    if (!text.trim() || loading) return;
+    setMessages((prev) => [...prev, { role: "user", text }, { role: "assistant", text: "", sources: [] }]);
+    setInput("");
+    ask({ message: text });
+  }
+
+  function retry() {
+    if (loading || !conversationId) return;
+    setMessages((prev) => [
+      ...(prev[prev.length - 1]?.role === "assistant" ? prev.slice(0, -1) : prev),
+      { role: "assistant", text: "", sources: [] },
+    ]);
+    ask({ retry: true });
+  }
+
+  async function copy(text, i) {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(i);
+      setTimeout(() => setCopied(null), 1500);
+    } catch (err) {
+      console.error("Copy error:", err);
     }
-  };
+  }
+
+  const last = messages[messages.length - 1];
 
   return (
-    <div className="fixed bottom-4 right-4 bg-[#f8f9fa] border rounded-xl shadow-xl w-96">
-      <div className="bg-gradient-to-r from-blue-600 to-blue-500 text-white p-3 rounded-t-xl font-semibold text-lg">
-        💬 FinServe Assistant
-      </div>
-
-      {/* Message Window */}
-      <div className="p-3 h-72 overflow-y-auto flex flex-col space-y-2 bg-white">
-        {messages.map((msg, i) => (
-          <div
-            key={i}
-            className={`p-2 my-1 rounded-xl break-words ${
-              msg.role === "user"
-                ? "self-end bg-blue-600 text-white max-w-[80%]"
-                : "self-start bg-gray-200 text-gray-900 max-w-[80%]"
-            }`}
-          >
-            {msg.text}
-          </div>
-        ))}
-
-        {loading && (
-          <div className="text-gray-500 italic self-start">Thinking...</div>
-        )}
-      </div>
-
-      {/* Input Box */}
-      <div className="flex border-t bg-white">
-        <input
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyDown={(e) => e.key === "Enter" && sendMessage()}
-          placeholder="Ask about savings or finance..."
-          className="flex-1 p-2 outline-none text-gray-900 placeholder-gray-500"
-        />
+    <>
+      {/* Floating button */}
+      {!open && (
         <button
-          onClick={sendMessage}
-          className="bg-blue-600 text-white px-4 hover:bg-blue-700 transition-all"
+          onClick={() => setOpen(true)}
+          aria-label="Open FinVerse Assistant"
+          className="fixed bottom-6 right-6 w-14 h-14 rounded-full shadow-lg flex items-center justify-center hover:scale-110 transition-transform duration-300 z-50 text-white"
+          style={{ background: ACCENT, boxShadow: `0 10px 30px -8px ${ACCENT}99` }}
         >
-          Send
+          <MessageCircle size={26} />
         </button>
-      </div>
-    </div>
+      )}
+
+      {/* Drawer */}
+      {open && (
+        <div className="fixed inset-y-0 right-0 z-50 flex w-full sm:w-[34rem] flex-col border-l border-slate-800 bg-slate-950/95 backdrop-blur text-slate-100 shadow-2xl">
+          <div className="p-4 border-b border-slate-800 flex items-center gap-2">
+            <Sparkles className="text-cyan-300" size={18} />
+            <h2 className="font-semibold">FinVerse Assistant</h2>
+            <div className="ml-auto flex gap-1">
+              <IconButton label="Conversations" onClick={() => setShowHistory((v) => !v)} active={showHistory}>
+                <PanelLeft size={16} />
+              </IconButton>
+              <IconButton label="New chat" onClick={newConversation}>
+                <Plus size={16} />
+              </IconButton>
+              <IconButton label="Close" onClick={() => setOpen(false)}>
+                <X size={16} />
+              </IconButton>
+            </div>
+          </div>
+
+          <div className="flex flex-1 min-h-0">
+            {/* Conversation history */}
+            {showHistory && (
+              <div className="w-52 shrink-0 border-r border-slate-800 overflow-y-auto py-2">
+                {conversations.length === 0 && <p className="px-3 text-xs text-slate-500">No conversations yet.</p>}
+                {conversations.map((c) => (
+                  <div
+                    key={c._id}
+                    onClick={() => openConversation(c._id)}
+                    className={`group flex items-center gap-1 px-3 py-1.5 text-sm cursor-pointer ${
+                      c._id === conversationId ? "bg-slate-800 text-white" : "text-slate-300 hover:bg-slate-900"
+                    }`}
+                  >
+                    <span className="flex-1 truncate" title={c.title}>
+                      {c.title}
+                    </span>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        renameConversation(c);
+                      }}
+                      title="Rename"
+                      className="hidden group-hover:block text-slate-500 hover:text-slate-200"
+                    >
+                      <Pencil size={12} />
+                    </button>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteConversation(c);
+                      }}
+                      title="Delete"
+                      className="hidden group-hover:block text-slate-500 hover:text-rose-400"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Messages */}
+            <div className="flex-1 min-w-0 overflow-y-auto p-4 space-y-3 text-sm">
+              {messages.length === 0 && (
+                <div className="pt-6">
+                  <p className="text-slate-400">
+                    Ask about your spending, budget, investments or taxes. Answers use your own FinVerse data.
+                  </p>
+                  <div className="mt-4 flex flex-col items-start gap-2">
+                    {suggestions.map((s) => (
+                      <button
+                        key={s}
+                        onClick={() => send(s)}
+                        className="rounded-full border border-slate-700 bg-slate-900 px-3 py-1.5 text-left text-slate-200 hover:border-indigo-400"
+                      >
+                        {s}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {messages.map((msg, i) =>
+                msg.role === "user" ? (
+                  <div
+                    key={i}
+                    className="ml-auto max-w-[85%] w-fit rounded-2xl px-3 py-2 text-white whitespace-pre-wrap break-words"
+                    style={{ background: ACCENT }}
+                  >
+                    {msg.text}
+                  </div>
+                ) : (
+                  msg.text && (
+                    <div key={i} className="max-w-[95%]">
+                      <div className="rounded-2xl bg-slate-900 border border-slate-800 px-3 py-2 break-words">
+                        <ReactMarkdown remarkPlugins={[remarkGfm]} components={md}>
+                          {msg.text}
+                        </ReactMarkdown>
+                        {msg.sources?.length > 0 && (
+                          <div className="mt-2 flex flex-wrap gap-1">
+                            {msg.sources.map((src) => (
+                              <span
+                                key={src.label}
+                                title={`Looked up with ${src.tool}`}
+                                className="rounded bg-slate-800 px-1.5 py-0.5 text-[11px] text-slate-300"
+                              >
+                                📊 {src.label}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      {!(loading && i === messages.length - 1) && (
+                        <div className="mt-1 flex gap-1 text-slate-500">
+                          <IconButton label="Copy" onClick={() => copy(msg.text, i)}>
+                            {copied === i ? <Check size={13} /> : <Copy size={13} />}
+                          </IconButton>
+                          {i === messages.length - 1 && conversationId && (
+                            <IconButton label="Retry" onClick={retry}>
+                              <RotateCcw size={13} />
+                            </IconButton>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )
+                )
+              )}
+
+              {loading && !last?.text && <div className="text-slate-500 italic">Thinking…</div>}
+              <div ref={bottomRef} />
+            </div>
+          </div>
+
+          {/* Input */}
+          <div className="p-3 border-t border-slate-800 flex items-end gap-2">
+            <textarea
+              rows={2}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  send();
+                }
+              }}
+              placeholder="Ask about savings or finance…"
+              className="flex-1 resize-none rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100 placeholder-slate-500 outline-none focus:border-indigo-400"
+            />
+            {loading ? (
+              <button
+                onClick={stop}
+                className="inline-flex items-center gap-1 rounded-lg bg-slate-800 px-3 py-2 hover:bg-slate-700"
+              >
+                <Square size={14} /> Stop
+              </button>
+            ) : (
+              <button
+                onClick={() => send()}
+                disabled={!input.trim()}
+                className="inline-flex items-center gap-1 rounded-lg px-3 py-2 font-semibold text-white disabled:opacity-50"
+                style={{ background: ACCENT }}
+              >
+                <Send size={14} /> Send
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+function IconButton({ label, onClick, active, children }) {
+  return (
+    <button
+      onClick={onClick}
+      title={label}
+      aria-label={label}
+      className={`p-1.5 rounded hover:bg-slate-800 ${active ? "bg-slate-800 text-white" : ""}`}
+    >
+      {children}
+    </button>
   );
 }
@@ -0,0 +1,424 @@
+import React, { useEffect, useState } from "react";
+import { Mail, Plus, Pencil, Trash2, ArrowRightLeft, History, Undo2 } from "lucide-react";
+import { apiGet, apiPost, apiPut, apiDelete, errorMessage } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
+
+/**
+ * FinVerse — Envelope budgeting (BudgetPlanner's "Envelopes" mode)
+ * - Named envelopes with fixed monthly funding; expenses in an envelope's categories draw it down
+ * - Leftovers / overspending roll over by rule: all, leftovers only, overspending only, none (optional cap)
+ * - Move money between envelopes; month-by-month history of balances
+ */
+
+const ACCENT = "#635BFF";
+
+// Kept in sync with EXPENSE_CATEGORIES in server/src/lib/categories.js
+const CATEGORIES = ["Housing", "Food", "Utilities", "Transport", "Health", "Insurance", "Education", "Entertainment", "Misc"];
+
+const ROLLOVER = {
+  all: "Carry leftovers and overspending",
+  leftover: "Carry leftovers only",
+  overspend: "Carry overspending only",
+  none: "Start fresh each month",
+};
+
+const HISTORY_MONTHS = 6;
+
+const input = "mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100";
+
+const emptyForm = { name: "", funding: "", categories: [], rollover: "all", rolloverCap: "" };
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+// "YYYY-MM" `n` months before `month`
+function monthsBefore(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1 - n, 1)).toISOString().slice(0, 7);
+}
+
+const monthLabel = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleString(undefined, { month: "short", year: "numeric", timeZone: "UTC" });
+
+export default function EnvelopeBudget() {
+  const [month, setMonth] = useState(thisMonth);
+  const [envelopes, setEnvelopes] = useState([]);
+  const [history, setHistory] = useState(null);
+  const [transfers, setTransfers] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null); // envelope id while editing
+  const [move, setMove] = useState({ from: "", to: "", amount: "", note: "" });
+
+  function load() {
+    Promise.all([
+      apiGet("/api/envelopes"),
+      apiGet(`/api/envelopes/history?from=${monthsBefore(month, HISTORY_MONTHS - 1)}&to=${month}`),
+      apiGet(`/api/envelopes/transfers?month=${month}`),
+    ])
+      .then(([list, hist, moves]) => {
+        setEnvelopes(list);
+        setHistory(hist);
+        setTransfers(moves);
+      })
+      .catch((err) => console.error("Load envelopes error:", err));
+  }
+
+  useEffect(load, [month]);
+
+  async function run(fn, fallback) {
+    try {
+      await fn();
+      load();
+    } catch (err) {
+      console.error("Envelope error:", err);
+      alert(errorMessage(err, fallback));
+    }
+  }
+
+  const saveEnvelope = () =>
+    run(async () => {
+      const body = { ...form, rolloverCap: form.rolloverCap === "" ? null : Number(form.rolloverCap) };
+      // An unchanged amount would add a needless funding step
+      if (editing && Number(form.funding) === byId[editing]?.monthlyFunding) delete body.funding;
+      if (editing) await apiPut(`/api/envelopes/${editing}`, body);
+      else await apiPost("/api/envelopes", { ...body, startMonth: month });
+      setForm(emptyForm);
+      setEditing(null);
+    }, "Could not save the envelope.");
+
+  function startEdit(e) {
+    setEditing(e._id);
+    setForm({
+      name: e.name,
+      funding: String(e.monthlyFunding),
+      categories: e.categories,
+      rollover: e.rollover,
+      rolloverCap: e.rolloverCap ?? "",
+    });
+  }
+
+  const removeEnvelope = (e) =>
+    confirm(`Delete the "${e.name}" envelope and its transfers?`) &&
+    run(() => apiDelete(`/api/envelopes/${e._id}`), "Could not delete the envelope.");
+
+  const moveMoney = () =>
+    run(async () => {
+      await apiPost("/api/envelopes/transfers", { ...move, month });
+      setMove({ from: "", to: "", amount: "", note: "" });
+    }, "Could not move the money.");
+
+  const undoTransfer = (t) => run(() => apiDelete(`/api/envelopes/transfers/${t._id}`), "Could not undo the transfer.");
+
+  function toggleCategory(c) {
+    setForm((f) => ({
+      ...f,
+      categories: f.categories.includes(c) ? f.categories.filter((x) => x !== c) : [...f.categories, c],
+    }));
+  }
+
+  const cur = history?.currency;
+  const current = history?.months.find((m) => m.month === month);
+  const nameOf = (id) => envelopes.find((e) => e._id === id)?.name || "Deleted envelope";
+  const byId = Object.fromEntries(envelopes.map((e) => [e._id, e]));
+  // Categories another envelope already draws from
+  const taken = new Set(envelopes.filter((e) => e._id !== editing).flatMap((e) => e.categories));
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      {/* LEFT (2/3): this month + history */}
+      <div className="xl:col-span-2 space-y-6">
+        <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <Mail className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">Envelopes</h2>
+            <input
+              type="month"
+              value={month}
+              onChange={(e) => e.target.value && setMonth(e.target.value)}
+              className="ml-auto rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+            />
+          </div>
+
+          <div className="p-6 space-y-4 text-sm">
+            {envelopes.length === 0 && (
+              <p className="text-slate-500">No envelopes yet. Create one on the right and give it a monthly amount.</p>
+            )}
+            {envelopes.length > 0 && !current?.envelopes.length && (
+              <p className="text-slate-500">None of your envelopes were funded in {monthLabel(month)}.</p>
+            )}
+
+            {current?.envelopes.map((row) => {
+              const e = byId[row.id];
+              const available = row.carryIn + row.funded + row.transferred;
+              const pct = available > 0 ? Math.min(100, (row.spent / available) * 100) : row.spent > 0 ? 100 : 0;
+              return (
+                <div key={row.id} className="rounded-xl border border-slate-800 bg-slate-950/50 p-4">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-slate-100">{row.name}</span>
+                    <span className="text-xs text-slate-500 truncate">{e?.categories.join(", ") || "no categories"}</span>
+                    <span className={`ml-auto font-semibold ${row.balance < 0 ? "text-rose-300" : "text-emerald-300"}`}>
+                      {fmt(row.balance, cur)}
+                    </span>
+                    {e && (
+                      <>
+                        <button onClick={() => startEdit(e)} title="Edit" className="text-slate-500 hover:text-slate-200">
+                          <Pencil size={14} />
+                        </button>
+                        <button onClick={() => removeEnvelope(e)} title="Delete" className="text-slate-500 hover:text-rose-400">
+                          <Trash2 size={14} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                  <div className="mt-2 h-2 w-full bg-slate-800 rounded-full overflow-hidden">
+                    <div
+                      className="h-full transition-all duration-500"
+                      style={{ width: `${pct}%`, background: row.balance < 0 ? "#f43f5e" : ACCENT }}
+                    />
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400">
+                    <span>Carried in {fmt(row.carryIn, cur)}</span>
+                    <span>Funded {fmt(row.funded, cur)}</span>
+                    {row.transferred !== 0 && (
+                      <span>
+                        Moved {row.transferred > 0 ? "in" : "out"} {fmt(Math.abs(row.transferred), cur)}
+                      </span>
+                    )}
+                    <span>Spent {fmt(row.spent, cur)}</span>
+                    <span>
+                      Rolls over {fmt(row.carryOut, cur)} · {ROLLOVER[e?.rollover] || ""}
+                    </span>
+                  </div>
+                </div>
+              );
+            })}
+
+            {current?.unassigned > 0 && (
+              <p className="text-xs text-slate-400">
+                {fmt(current.unassigned, cur)} of spending this month is in categories no envelope covers.
+              </p>
+            )}
+            {history?.unconverted.length > 0 && (
+              <p className="text-xs text-amber-300">
+                Amounts in {history.unconverted.join(", ")} are left out — add an FX rate to include them.
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* History */}
+        <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <History className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">Envelope History</h2>
+            <span className="ml-auto text-xs text-slate-500">Month-end balance after rollover rules</span>
+          </div>
+          <div className="p-6 overflow-x-auto text-sm">
+            {!history?.months.length ? (
+              <p className="text-slate-500">No history yet.</p>
+            ) : (
+              <table className="w-full">
+                <thead className="text-slate-400 text-xs">
+                  <tr className="text-left">
+                    <th className="py-2 pr-4">Envelope</th>
+                    {history.months.map((m) => (
+                      <th key={m.month} className="py-2 pr-4 text-right whitespace-nowrap">
+                        {monthLabel(m.month)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {envelopes.map((e) => (
+                    <tr key={e._id} className="border-t border-slate-800">
+                      <td className="py-2 pr-4 text-slate-200">{e.name}</td>
+                      {history.months.map((m) => {
+                        const row = m.envelopes.find((r) => r.id === e._id);
+                        return (
+                          <td
+                            key={m.month}
+                            title={row ? `Funded ${fmt(row.funded, cur)} · spent ${fmt(row.spent, cur)}` : undefined}
+                            className={`py-2 pr-4 text-right ${
+                              !row ? "text-slate-600" : row.balance < 0 ? "text-rose-300" : "text-slate-300"
+                            }`}
+                          >
+                            {row ? fmt(row.balance, cur) : "—"}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* RIGHT (1/3): create / edit, move money */}
+      <div className="space-y-6">
+        <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <Plus className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">{editing ? "Edit Envelope" : "New Envelope"}</h2>
+          </div>
+          <div className="p-6 space-y-3 text-sm">
+            <div>
+              <label className="text-slate-300">Name</label>
+              <input
+                className={input}
+                placeholder="e.g., Groceries"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="text-slate-300">Monthly funding</label>
+              <input
+                type="number"
+                className={input}
+                placeholder="e.g., 400"
+                value={form.funding}
+                onChange={(e) => setForm({ ...form, funding: e.target.value })}
+              />
+              {editing && <p className="mt-1 text-xs text-slate-500">A new amount applies from this month on.</p>}
+            </div>
+            <div>
+              <label className="text-slate-300">Expense categories</label>
+              <div className="mt-1 flex flex-wrap gap-2">
+                {CATEGORIES.map((c) => (
+                  <button
+                    key={c}
+                    onClick={() => toggleCategory(c)}
+                    disabled={taken.has(c)}
+                    title={taken.has(c) ? "Used by another envelope" : undefined}
+                    className={`px-2 py-1 rounded-full border text-xs disabled:opacity-40 ${
+                      form.categories.includes(c)
+                        ? "border-indigo-400 bg-indigo-500/20 text-indigo-200"
+                        : "border-slate-700 text-slate-300"
+                    }`}
+                  >
+                    {c}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="text-slate-300">Rollover</label>
+                <select
+                  className={input}
+                  value={form.rollover}
+                  onChange={(e) => setForm({ ...form, rollover: e.target.value })}
+                >
+                  {Object.entries(ROLLOVER).map(([id, label]) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-slate-300">Carry at most</label>
+                <input
+                  type="number"
+                  className={input}
+                  placeholder="no limit"
+                  value={form.rolloverCap}
+                  onChange={(e) => setForm({ ...form, rolloverCap: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="flex gap-2 pt-1">
+              <button
+                onClick={saveEnvelope}
+                disabled={!form.name.trim() || form.funding === ""}
+                className="flex-1 font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                style={{ background: ACCENT, boxShadow: `0 10px 30px -8px ${ACCENT}66, inset 0 0 0 1px #7F76FF` }}
+              >
+                {editing ? "Save changes" : "Create envelope"}
+              </button>
+              {editing && (
+                <button
+                  onClick={() => {
+                    setEditing(null);
+                    setForm(emptyForm);
+                  }}
+                  className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <ArrowRightLeft className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">Move Money</h2>
+            <span className="ml-auto text-xs text-slate-500">{monthLabel(month)}</span>
+          </div>
+          <div className="p-6 space-y-3 text-sm">
+            <div className="grid grid-cols-2 gap-3">
+              {["from", "to"].map((side) => (
+                <div key={side}>
+                  <label className="text-slate-300 capitalize">{side}</label>
+                  <select
+                    className={input}
+                    value={move[side]}
+                    onChange={(e) => setMove({ ...move, [side]: e.target.value })}
+                  >
+                    <option value="">Choose…</option>
+                    {envelopes.map((e) => (
+                      <option key={e._id} value={e._id}>
+                        {e.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="number"
+                className={input}
+                placeholder="Amount"
+                value={move.amount}
+                onChange={(e) => setMove({ ...move, amount: e.target.value })}
+              />
+              <input
+                className={input}
+                placeholder="Note (optional)"
+                value={move.note}
+                onChange={(e) => setMove({ ...move, note: e.target.value })}
+              />
+            </div>
+            <button
+              onClick={moveMoney}
+              disabled={!move.from || !move.to || move.from === move.to || !(Number(move.amount) > 0)}
+              className="w-full px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 font-semibold disabled:opacity-50"
+            >
+              Move
+            </button>
+
+            {transfers.length > 0 && (
+              <ul className="pt-2 space-y-2 text-xs text-slate-400">
+                {transfers.map((t) => (
+                  <li key={t._id} className="flex items-center gap-2">
+                    <span className="flex-1">
+                      {fmt(t.amount, cur)} · {nameOf(t.from)} → {nameOf(t.to)}
+                      {t.note && <span className="text-slate-500"> · {t.note}</span>}
+                    </span>
+                    <button onClick={() => undoTransfer(t)} title="Undo" className="hover:text-slate-200">
+                      <Undo2 size={13} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
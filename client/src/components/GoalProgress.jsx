@@ -0,0 +1,37 @@
+import React from "react";
+import { fmt } from "../lib/money.js";
+
+/**
+ * FinVerse — one goal's progress bar + status badge (used by Goals and the Dashboard)
+ * goal: { name, saved, targetAmount, percent, deadline, status, currency }
+ */
+
+export const GOAL_STATUS = {
+  on_track: { label: "On track", badge: "bg-emerald-900/60 text-emerald-300", bar: "#34d399" },
+  behind: { label: "Behind", badge: "bg-amber-900/60 text-amber-300", bar: "#f59e0b" },
+  overdue: { label: "Overdue", badge: "bg-rose-900/60 text-rose-300", bar: "#f43f5e" },
+  achieved: { label: "Achieved", badge: "bg-indigo-900/60 text-indigo-300", bar: "#635BFF" },
+};
+
+export default function GoalProgress({ goal, compact }) {
+  const status = GOAL_STATUS[goal.status] || GOAL_STATUS.on_track;
+  return (
+    <div>
+      <div className="flex items-center gap-2 text-xs text-slate-400 mb-1">
+        <span className={`truncate ${compact ? "text-slate-300" : "text-sm text-slate-200 font-semibold"}`}>{goal.name}</span>
+        <span className={`px-2 py-0.5 rounded-full ${status.badge}`}>{status.label}</span>
+        <span className="ml-auto whitespace-nowrap">
+          {fmt(goal.saved, goal.currency)} / {fmt(goal.targetAmount, goal.currency)}
+        </span>
+      </div>
+      <div className="h-2 w-full bg-slate-800 rounded-full overflow-hidden">
+        <div className="h-full transition-all duration-500" style={{ width: `${goal.percent}%`, background: status.bar }} />
+      </div>
+      {compact && (
+        <div className="mt-1 text-[11px] text-slate-500">
+          {goal.percent}% · by {new Date(goal.deadline).toLocaleDateString()}
+        </div>
+      )}
+    </div>
+  );
+}
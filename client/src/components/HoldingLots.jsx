@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from "react";
+import { Trash2 } from "lucide-react";
+import { apiGet, apiPost, apiDelete, errorMessage } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
+
+/**
+ * FinVerse — one holding's open tax lots, buy / sell history and realized gains (Portfolio page)
+ * - Sells close lots oldest first (FIFO) or, for specific-ID holdings (or when "Pick lots" is on),
+ *   the quantities entered per lot
+ * - onChange() runs after every recorded / deleted transaction so the page can refresh its totals
+ */
+
+const ACCENT = "#635BFF";
+
+const today = () => new Date().toISOString().slice(0, 10);
+const emptyEntry = () => ({ type: "buy", date: today(), quantity: "", price: "", fees: "", note: "" });
+const units = (n) => Number(n).toLocaleString(undefined, { maximumFractionDigits: 8 });
+const day = (d) => new Date(d).toLocaleDateString();
+
+export default function HoldingLots({ holding, currency, onChange }) {
+  const [detail, setDetail] = useState(null);
+  const [entry, setEntry] = useState(emptyEntry);
+  const [pickLots, setPickLots] = useState(false);
+  const [picks, setPicks] = useState({}); // buyId → quantity typed for a specific-ID sell
+
+  useEffect(() => {
+    apiGet(`/api/portfolio/holdings/${holding.id}/transactions`)
+      .then(setDetail)
+      .catch((err) => console.error("Load holding error:", err));
+  }, [holding.id]);
+
+  const specific = entry.type === "sell" && (holding.lotMethod === "specific" || pickLots);
+  const picked = Object.values(picks).reduce((sum, q) => sum + (Number(q) || 0), 0);
+
+  async function record() {
+    try {
+      const body = { ...entry };
+      if (specific) {
+        body.lots = Object.entries(picks)
+          .filter(([, q]) => Number(q) > 0)
+          .map(([buyId, quantity]) => ({ buyId, quantity: Number(quantity) }));
+        body.quantity = picked;
+      }
+      setDetail(await apiPost(`/api/portfolio/holdings/${holding.id}/transactions`, body));
+      setEntry(emptyEntry());
+      setPicks({});
+      onChange();
+    } catch (err) {
+      console.error("Record transaction error:", err);
+      alert(errorMessage(err, "Could not record the transaction."));
+    }
+  }
+
+  async function remove(t) {
+    if (!confirm(`Delete the ${t.type} of ${units(t.quantity)} on ${day(t.date)}?`)) return;
+    try {
+      setDetail(await apiDelete(`/api/portfolio/holdings/${holding.id}/transactions/${t._id}`));
+      onChange();
+    } catch (err) {
+      console.error("Delete transaction error:", err);
+      alert(errorMessage(err, "Could not delete the transaction."));
+    }
+  }
+
+  if (!detail) return <p className="text-sm text-slate-500">Loading…</p>;
+  const gainOf = new Map(detail.sells.map((s) => [s.id, s]));
+
+  return (
+    <div className="space-y-4 text-sm">
+      {/* Record a buy / sell */}
+      <div className="flex flex-wrap gap-2">
+        <select
+          className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+          value={entry.type}
+          onChange={(e) => setEntry({ ...entry, type: e.target.value })}
+        >
+          <option value="buy">Buy</option>
+          <option value="sell">Sell</option>
+        </select>
+        <input
+          type="date"
+          className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+          value={entry.date}
+          onChange={(e) => setEntry({ ...entry, date: e.target.value })}
+        />
+        {!specific && (
+          <input
+            type="number"
+            min="0"
+            placeholder="Quantity"
+            className="w-28 rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+            value={entry.quantity}
+            onChange={(e) => setEntry({ ...entry, quantity: e.target.value })}
+          />
+        )}
+        <input
+          type="number"
+          min="0"
+          placeholder={`Price (${currency})`}
+          className="w-32 rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+          value={entry.price}
+          onChange={(e) => setEntry({ ...entry, price: e.target.value })}
+        />
+        <input
+          type="number"
+          min="0"
+          placeholder="Fees"
+          className="w-24 rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+          value={entry.fees}
+          onChange={(e) => setEntry({ ...entry, fees: e.target.value })}
+        />
+        <button
+          onClick={record}
+          disabled={!(specific ? picked > 0 : Number(entry.quantity) > 0) || entry.price === ""}
+          className="font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+          style={{ background: ACCENT }}
+        >
+          Record
+        </button>
+        {entry.type === "sell" && holding.lotMethod === "fifo" && (
+          <label className="inline-flex items-center gap-2 text-xs text-slate-400">
+            <input type="checkbox" checked={pickLots} onChange={(e) => setPickLots(e.target.checked)} /> Pick lots
+          </label>
+        )}
+      </div>
+
+      {/* Open lots */}
+      <div>
+        <p className="text-xs uppercase tracking-wide text-slate-400 mb-1">
+          Open lots{specific ? " — enter how much to sell from each" : ""}
+        </p>
+        {detail.lots.length === 0 ? (
+          <p className="text-slate-500">No open lots.</p>
+        ) : (
+          <table className="w-full">
+            <thead className="text-xs text-slate-500">
+              <tr>
+                <th className="text-left font-normal py-1">Bought</th>
+                <th className="text-right font-normal">Left / bought</th>
+                <th className="text-right font-normal">Unit cost</th>
+                <th className="text-right font-normal">Cost basis</th>
+                {specific && <th className="text-right font-normal">Sell</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800">
+              {detail.lots.map((l) => (
+                <tr key={l.buyId}>
+                  <td className="py-1.5 text-slate-300">{day(l.date)}</td>
+                  <td className="text-right text-slate-300">
+                    {units(l.remaining)} / {units(l.quantity)}
+                  </td>
+                  <td className="text-right text-slate-300">{fmt(l.unitCost, currency, { decimals: 2 })}</td>
+                  <td className="text-right text-slate-300">{fmt(l.remaining * l.unitCost, currency, { decimals: 2 })}</td>
+                  {specific && (
+                    <td className="text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max={l.remaining}
+                        className="w-24 rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-right text-slate-100"
+                        value={picks[l.buyId] || ""}
+                        onChange={(e) => setPicks({ ...picks, [l.buyId]: e.target.value })}
+                      />
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* History */}
+      <div>
+        <p className="text-xs uppercase tracking-wide text-slate-400 mb-1">Transactions</p>
+        {detail.transactions.length === 0 ? (
+          <p className="text-slate-500">No transactions yet.</p>
+        ) : (
+          <ul className="divide-y divide-slate-800">
+            {detail.transactions.map((t) => {
+              const sell = gainOf.get(t._id);
+              return (
+                <li key={t._id} className="py-2 flex items-center gap-3">
+                  <span className="text-slate-500 w-24">{day(t.date)}</span>
+                  <span className={`w-10 uppercase text-xs ${t.type === "buy" ? "text-emerald-300" : "text-rose-300"}`}>
+                    {t.type}
+                  </span>
+                  <span className="flex-1 text-slate-300">
+                    {units(t.quantity)} @ {fmt(t.price, currency, { decimals: 2 })}
+                    {t.fees > 0 && <span className="text-slate-500"> + {fmt(t.fees, currency, { decimals: 2 })} fees</span>}
+                    {t.lots?.length > 0 && <span className="text-slate-500"> · specific lots</span>}
+                  </span>
+                  {sell && (
+                    <span className={sell.gain < 0 ? "text-rose-300" : "text-emerald-300"}>
+                      {sell.gain < 0 ? "−" : "+"}
+                      {fmt(Math.abs(sell.gain), currency, { decimals: 2 })}
+                    </span>
+                  )}
+                  <button onClick={() => remove(t)} title="Delete" className="text-slate-500 hover:text-rose-400">
+                    <Trash2 size={13} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
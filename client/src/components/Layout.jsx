@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { Outlet } from "react-router-dom";
 import Sidebar from "./Sidebar.jsx";
-import Chatbot from "./Chatbot.jsx";
+import ChatbotPanel from "./ChatbotPanel.jsx";
 
 export default function Layout() {
   const [user, setUser] = useState(null);
@@ -48,8 +48,8 @@ export default function Layout() {
           <Outlet context={{ user, setUser }} />
         </div>
 
-        {/* ✅ Only the Botpress chatbot appears now */}
-        <Chatbot />
+        {/* ✅ First-party assistant drawer */}
+        <ChatbotPanel />
       </main>
     </div>
   );
@@ -0,0 +1,250 @@
+import React, { useState } from "react";
+import { Scale } from "lucide-react";
+import { apiPost, errorMessage } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
+
+/**
+ * FinVerse — rebalancing calculator (Portfolio page)
+ * - Target: the plan compared above (planId) or a custom mix per asset class
+ * - Options: deposit / withdrawal, cash-flow-only, drift threshold, minimum trade, no short-term gains
+ * - Shows per-class drift and the proposed trades from POST /api/portfolio/rebalance; nothing is recorded
+ */
+
+const ACCENT = "#635BFF";
+
+const ASSET_CLASSES = ["Equity", "Bonds", "Gold", "Real Estate", "Crypto", "Cash"];
+
+const field = "mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100";
+
+const units = (n) => Number(n).toLocaleString(undefined, { maximumFractionDigits: 8 });
+
+export default function Rebalancer({ planId, hasPlan }) {
+  const [source, setSource] = useState(hasPlan ? "plan" : "custom");
+  const [custom, setCustom] = useState({ Equity: "60", Bonds: "30", Gold: "10" });
+  const [options, setOptions] = useState({ cashFlow: "", cashFlowOnly: false, driftThreshold: "5", minTrade: "", avoidShortTerm: true });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const customTotal = ASSET_CLASSES.reduce((sum, c) => sum + (Number(custom[c]) || 0), 0);
+  const useCustom = source === "custom" || !hasPlan;
+
+  async function calculate() {
+    setLoading(true);
+    try {
+      setResult(
+        await apiPost("/api/portfolio/rebalance", {
+          ...options,
+          ...(useCustom ? { targetMix: custom } : { planId }),
+        })
+      );
+    } catch (err) {
+      console.error("Rebalance error:", err);
+      alert(errorMessage(err, "Could not calculate the rebalance."));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const base = result?.currency;
+
+  return (
+    <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+      <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+        <Scale className="text-emerald-300" size={20} />
+        <h2 className="font-semibold">Rebalance</h2>
+        <select
+          className="ml-auto rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+          value={useCustom ? "custom" : "plan"}
+          onChange={(e) => setSource(e.target.value)}
+        >
+          {hasPlan && <option value="plan">Target: plan above</option>}
+          <option value="custom">Target: custom mix</option>
+        </select>
+      </div>
+
+      <div className="p-6 space-y-4 text-sm">
+        {useCustom && (
+          <div>
+            <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+              {ASSET_CLASSES.map((c) => (
+                <div key={c}>
+                  <label className="text-xs text-slate-400">{c} %</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    className={field}
+                    value={custom[c] || ""}
+                    onChange={(e) => setCustom({ ...custom, [c]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            <p className={`mt-1 text-xs ${Math.abs(customTotal - 100) > 0.5 ? "text-amber-300" : "text-slate-500"}`}>
+              Total {customTotal}% (must be 100%)
+            </p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          <div>
+            <label className="text-slate-300">Deposit (+) / withdrawal (−)</label>
+            <input
+              type="number"
+              className={field}
+              placeholder="0"
+              value={options.cashFlow}
+              onChange={(e) => setOptions({ ...options, cashFlow: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="text-slate-300">Drift threshold (pts)</label>
+            <input
+              type="number"
+              min="0"
+              className={field}
+              value={options.driftThreshold}
+              onChange={(e) => setOptions({ ...options, driftThreshold: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="text-slate-300">Minimum trade</label>
+            <input
+              type="number"
+              min="0"
+              className={field}
+              placeholder="0"
+              value={options.minTrade}
+              onChange={(e) => setOptions({ ...options, minTrade: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-x-6 gap-y-2 text-slate-300">
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={options.cashFlowOnly}
+              onChange={(e) => setOptions({ ...options, cashFlowOnly: e.target.checked })}
+            />
+            Cash flow only (no trades between classes)
+          </label>
+          <label className="inline-flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={options.avoidShortTerm}
+              onChange={(e) => setOptions({ ...options, avoidShortTerm: e.target.checked })}
+            />
+            Avoid short-term gains in taxable accounts
+          </label>
+        </div>
+
+        <button
+          onClick={calculate}
+          disabled={loading || (useCustom && Math.abs(customTotal - 100) > 0.5)}
+          className="w-full font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+          style={{ background: ACCENT, boxShadow: `0 10px 30px -8px ${ACCENT}66, inset 0 0 0 1px #7F76FF` }}
+        >
+          {loading ? "Calculating…" : "Propose trades"}
+        </button>
+
+        {result && (
+          <div className="space-y-4">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="text-xs text-slate-400">
+                  <tr className="text-left">
+                    <th className="py-2 pr-3 font-normal">Class</th>
+                    <th className="py-2 pr-3 font-normal text-right">Now</th>
+                    <th className="py-2 pr-3 font-normal text-right">Target</th>
+                    <th className="py-2 pr-3 font-normal text-right">Drift</th>
+                    <th className="py-2 pr-3 font-normal text-right">Trade</th>
+                    <th className="py-2 font-normal text-right">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.classes.map((c) => (
+                    <tr key={c.assetClass} className="border-t border-slate-800">
+                      <td className="py-2 pr-3 text-slate-200">{c.assetClass}</td>
+                      <td className="py-2 pr-3 text-right">{c.currentPct}%</td>
+                      <td className="py-2 pr-3 text-right">{c.targetPct}%</td>
+                      <td className={`py-2 pr-3 text-right ${c.outOfBand ? "text-amber-300" : "text-slate-500"}`}>
+                        {c.driftPct > 0 ? "+" : ""}
+                        {c.driftPct} pts
+                      </td>
+                      <td className={`py-2 pr-3 text-right ${c.trade < 0 ? "text-rose-300" : c.trade > 0 ? "text-emerald-300" : "text-slate-500"}`}>
+                        {c.trade ? `${c.trade < 0 ? "−" : "+"}${fmt(Math.abs(c.trade), base)}` : "—"}
+                      </td>
+                      <td className="py-2 text-right">{c.afterPct}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {result.trades.length > 0 && (
+              <ul className="divide-y divide-slate-800">
+                {result.trades.map((t, i) => (
+                  <li key={i} className="py-2 flex flex-wrap items-center gap-3">
+                    <span className={`w-10 uppercase text-xs ${t.action === "buy" ? "text-emerald-300" : "text-rose-300"}`}>
+                      {t.action}
+                    </span>
+                    <span className="flex-1 text-slate-300">
+                      {t.symbol ? (
+                        <>
+                          {units(t.quantity)} {t.symbol} @ {fmt(t.price, t.currency, { decimals: 2 })}
+                          <span className="text-slate-500"> · {t.accountName}</span>
+                        </>
+                      ) : (
+                        <span className="text-slate-400">New {t.assetClass} position</span>
+                      )}
+                      {t.lots?.length > 0 && (
+                        <span className="block text-xs text-slate-500">
+                          Lots: {t.lots.map((l) => units(l.quantity)).join(" + ")} (specific ID)
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-slate-200">{fmt(t.value, base)}</span>
+                    {t.action === "sell" && t.taxable && (
+                      <span className={`text-xs ${t.estGain < 0 ? "text-emerald-300" : "text-slate-400"}`}>
+                        est. gain {fmt(t.estGain, t.currency)}
+                        {t.shortTermGain > 0 && <span className="text-amber-300"> (short-term {fmt(t.shortTermGain, t.currency)})</span>}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <Figure label="Turnover" value={fmt(result.totals.turnover, base)} />
+              <Figure label="Sells / Buys" value={`${fmt(result.totals.sells, base)} / ${fmt(result.totals.buys, base)}`} />
+              <Figure label="Est. realized gain" value={fmt(result.totals.estRealizedGain, base)} />
+              <Figure label="Cash left" value={fmt(result.totals.residualCash, base)} />
+            </div>
+
+            {(result.notes.length > 0 || result.excluded.length > 0) && (
+              <ul className="text-xs text-slate-400 list-disc pl-5 space-y-1">
+                {result.notes.map((n, i) => (
+                  <li key={i}>{n}</li>
+                ))}
+                {result.excluded.length > 0 && (
+                  <li>Left out (no price, exchange rate or valid lots): {result.excluded.join(", ")}</li>
+                )}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Figure({ label, value }) {
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/50 p-3">
+      <p className="text-xs uppercase tracking-wide text-slate-400">{label}</p>
+      <p className="mt-1 font-semibold text-slate-100">{value}</p>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React from "react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
+import { logout } from "../lib/api.js";
 import {
   Home,
   LayoutDashboard,
@@ -11,14 +12,18 @@ import {
   LogOut,
   Sparkles,
   User,
+  Repeat,
+  Settings,
+  Target,
+  Briefcase,
 } from "lucide-react";
 
 export default function Sidebar({ user, setUser }) {
   const navigate = useNavigate();
   const location = useLocation();
 
-  const handleLogout = () => {
-    localStorage.removeItem("token");
+  const handleLogout = async () => {
+    await logout();
     setUser(null);
     navigate("/login");
   };
@@ -28,10 +33,14 @@ export default function Sidebar({ user, setUser }) {
     { name: "Dashboard", path: "/dashboard", icon: <LayoutDashboard size={18} /> },
     { name: "Insurance", path: "/insurance", icon: <Shield size={18} /> },
     { name: "Investments", path: "/investments", icon: <TrendingUp size={18} /> },
+    { name: "Portfolio", path: "/portfolio", icon: <Briefcase size={18} /> },
     { name: "Expenses", path: "/expenses", icon: <Wallet size={18} /> },
+    { name: "Subscriptions", path: "/subscriptions", icon: <Repeat size={18} /> },
     { name: "Budget Planner", path: "/budget", icon: <Calculator size={18} /> },
+    { name: "Goals", path: "/goals", icon: <Target size={18} /> },
     { name: "Tax Filing", path: "/tax-filing", icon: <CreditCard size={18} /> },
     { name: "Credit Score", path: "/credit-score", icon: <User size={18} /> },
+    { name: "Account", path: "/account", icon: <Settings size={18} /> },
   ];
 
   return (
@@ -0,0 +1,408 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Upload, CheckCircle2, AlertCircle, Copy, Save } from "lucide-react";
+import { apiGet, apiPost, apiPut } from "../lib/api.js";
+import { parseCsv, detectDelimiter, guessMapping, applyMapping, DATE_FORMATS } from "../lib/csv.js";
+
+/**
+ * FinVerse — Statement Import (used by Expenses)
+ * - Upload a bank CSV → map columns (date, description, amount, sign) with a live preview
+ * - Duplicate check against the ledger via /api/imports/check
+ * - Bulk insert via /api/imports; optional per-bank mapping saved for one-click repeats
+ * - OFX / QFX / QIF files are parsed server-side via /api/imports/statements (per-file results)
+ */
+
+const ACCENT = "#635BFF";
+const PREVIEW_ROWS = 25;
+
+const SIGN_MODES = [
+  { id: "negative", label: "Expenses are negative" },
+  { id: "positive", label: "Expenses are positive" },
+  { id: "split", label: "Separate debit / credit columns" },
+  { id: "type", label: "Amount + debit/credit column" },
+];
+
+// Columns a mapping reads for its sign mode (unused leftovers, e.g. a debit column in "negative" mode, don't count)
+function mappedColumns({ columns = {}, signMode }) {
+  const sign = signMode === "split" ? ["debit", "credit"] : signMode === "type" ? ["amount", "type"] : ["amount"];
+  return ["date", "description", ...sign].map((key) => columns[key]).filter(Boolean);
+}
+
+export default function StatementImport({ onImported }) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // { headers, rows, delimiter, text }
+  const [mapping, setMapping] = useState(null);
+  const [bank, setBank] = useState("");
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [savedMappings, setSavedMappings] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const [fileResults, setFileResults] = useState([]);
+
+  useEffect(() => {
+    apiGet("/api/imports/mappings")
+      .then(setSavedMappings)
+      .catch((err) => console.error("Load mappings error:", err));
+  }, []);
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result || "");
+      setFileName(file.name);
+      setResult(null);
+
+      // Reuse a saved bank mapping when the file, split with its delimiter, has every column it uses
+      for (const m of savedMappings) {
+        const delimiter = m.delimiter || detectDelimiter(text);
+        const { headers, rows } = parseCsv(text, delimiter);
+        if (mappedColumns(m).every((c) => headers.includes(c))) {
+          setParsed({ headers, rows, delimiter, text });
+          setBank(m.bank);
+          setMapping({ columns: m.columns, signMode: m.signMode, dateFormat: m.dateFormat });
+          return;
+        }
+      }
+      const delimiter = detectDelimiter(text);
+      const { headers, rows } = parseCsv(text, delimiter);
+      setParsed({ headers, rows, delimiter, text });
+      setMapping(guessMapping(headers));
+    };
+    reader.readAsText(file);
+  }
+
+  async function handleStatementFiles(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    try {
+      const payload = await Promise.all(files.map(async (f) => ({ name: f.name, content: await f.text() })));
+      const res = await apiPost("/api/imports/statements", { files: payload });
+      setFileResults(res.files);
+      onImported?.();
+    } catch (err) {
+      console.error("Statement import error:", err);
+      alert("Import failed. Please check the files and try again.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function applySaved(id) {
+    const m = savedMappings.find((x) => x._id === id);
+    if (!m) return;
+    if (parsed && m.delimiter && m.delimiter !== parsed.delimiter) {
+      const { headers, rows } = parseCsv(parsed.text, m.delimiter);
+      setParsed({ ...parsed, headers, rows, delimiter: m.delimiter });
+    }
+    setBank(m.bank);
+    setMapping({ columns: m.columns, signMode: m.signMode, dateFormat: m.dateFormat });
+  }
+
+  function setColumn(key, value) {
+    setMapping((m) => ({ ...m, columns: { ...m.columns, [key]: value } }));
+  }
+
+  const mapped = useMemo(
+    () => (parsed && mapping ? applyMapping(parsed.headers, parsed.rows, mapping) : []),
+    [parsed, mapping]
+  );
+  const importable = useMemo(() => mapped.filter((r) => r.status === "ok"), [mapped]);
+
+  // Live duplicate check (debounced) whenever the mapping changes
+  useEffect(() => {
+    if (!importable.length) {
+      setDuplicates([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      apiPost("/api/imports/check", { transactions: importable })
+        .then((res) => setDuplicates(res.duplicates))
+        .catch((err) => console.error("Duplicate check error:", err));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [importable]);
+
+  const dupCount = duplicates.filter(Boolean).length;
+  const isDup = useMemo(() => {
+    const set = new Set();
+    importable.forEach((r, i) => duplicates[i] && set.add(r));
+    return set;
+  }, [importable, duplicates]);
+
+  async function runImport() {
+    if (!importable.length) return;
+    setBusy(true);
+    try {
+      const res = await apiPost("/api/imports", { transactions: importable });
+      setResult(res);
+      if (rememberMapping && bank.trim()) {
+        const saved = await apiPut("/api/imports/mappings", {
+          bank: bank.trim(),
+          ...mapping,
+          delimiter: parsed.delimiter,
+        });
+        setSavedMappings((list) => [saved, ...list.filter((m) => m._id !== saved._id)]);
+      }
+      onImported?.();
+    } catch (err) {
+      console.error("Import error:", err);
+      alert("Import failed. Please check the file and try again.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const columnOptions = parsed ? ["", ...parsed.headers] : [""];
+  const split = mapping?.signMode === "split";
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="flex flex-col lg:flex-row items-start lg:items-center gap-4">
+        <label className="inline-flex items-center gap-2 cursor-pointer rounded-lg bg-slate-800 hover:bg-slate-700 px-4 py-2 text-sm font-semibold">
+          <Upload size={16} /> Choose CSV statement
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} />
+        </label>
+        <span className="text-sm text-slate-400">{fileName || "No file selected"}</span>
+        <label className="inline-flex items-center gap-2 cursor-pointer rounded-lg bg-slate-800 hover:bg-slate-700 px-4 py-2 text-sm font-semibold">
+          <Upload size={16} /> OFX / QFX / QIF files
+          <input
+            type="file"
+            multiple
+            accept=".ofx,.qfx,.qif"
+            className="hidden"
+            disabled={busy}
+            onChange={handleStatementFiles}
+          />
+        </label>
+        {savedMappings.length > 0 && (
+          <select
+            className="lg:ml-auto rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100"
+            value=""
+            onChange={(e) => applySaved(e.target.value)}
+          >
+            <option value="">Use saved bank mapping…</option>
+            {savedMappings.map((m) => (
+              <option key={m._id} value={m._id}>{m.bank}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {parsed && mapping && (
+        <>
+          <div className="grid md:grid-cols-3 gap-4">
+            <Field label="Date column">
+              <ColumnSelect value={mapping.columns.date} options={columnOptions} onChange={(v) => setColumn("date", v)} />
+            </Field>
+            <Field label="Description column">
+              <ColumnSelect
+                value={mapping.columns.description}
+                options={columnOptions}
+                onChange={(v) => setColumn("description", v)}
+              />
+            </Field>
+            <Field label="Date format">
+              <select
+                className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                value={mapping.dateFormat}
+                onChange={(e) => setMapping((m) => ({ ...m, dateFormat: e.target.value }))}
+              >
+                {DATE_FORMATS.map((f) => (
+                  <option key={f}>{f}</option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Debit / credit sign">
+              <select
+                className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                value={mapping.signMode}
+                onChange={(e) => setMapping((m) => ({ ...m, signMode: e.target.value }))}
+              >
+                {SIGN_MODES.map((s) => (
+                  <option key={s.id} value={s.id}>{s.label}</option>
+                ))}
+              </select>
+            </Field>
+            {split ? (
+              <>
+                <Field label="Debit column">
+                  <ColumnSelect value={mapping.columns.debit} options={columnOptions} onChange={(v) => setColumn("debit", v)} />
+                </Field>
+                <Field label="Credit column">
+                  <ColumnSelect value={mapping.columns.credit} options={columnOptions} onChange={(v) => setColumn("credit", v)} />
+                </Field>
+              </>
+            ) : (
+              <>
+                <Field label="Amount column">
+                  <ColumnSelect value={mapping.columns.amount} options={columnOptions} onChange={(v) => setColumn("amount", v)} />
+                </Field>
+                {mapping.signMode === "type" && (
+                  <Field label="Debit/credit indicator column">
+                    <ColumnSelect value={mapping.columns.type} options={columnOptions} onChange={(v) => setColumn("type", v)} />
+                  </Field>
+                )}
+              </>
+            )}
+          </div>
+
+          {/* Live preview */}
+          <div className="rounded-xl border border-slate-800 bg-slate-950/60 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-slate-300">
+                <tr className="text-left">
+                  <th className="py-2 px-3">Date</th>
+                  <th className="py-2 px-3">Description</th>
+                  <th className="py-2 px-3">Amount</th>
+                  <th className="py-2 px-3">Status</th>
+                </tr>
+              </thead>
+              <tbody className="text-slate-200">
+                {mapped.slice(0, PREVIEW_ROWS).map((r, i) => (
+                  <tr key={i} className="border-t border-slate-800">
+                    <td className="py-1.5 px-3">{r.date || "—"}</td>
+                    <td className="py-1.5 px-3">{r.description || "—"}</td>
+                    <td className="py-1.5 px-3">{r.amount ? r.amount.toFixed(2) : "—"}</td>
+                    <td className="py-1.5 px-3">
+                      <StatusBadge row={r} duplicate={isDup.has(r)} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {mapped.length > PREVIEW_ROWS && (
+              <p className="px-3 py-2 text-xs text-slate-500">
+                Showing {PREVIEW_ROWS} of {mapped.length} rows.
+              </p>
+            )}
+          </div>
+
+          <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+            <div className="text-sm text-slate-300">
+              {importable.length - dupCount} new · {dupCount} duplicate ·{" "}
+              {mapped.filter((r) => r.status === "credit").length} credit ·{" "}
+              {mapped.filter((r) => r.status === "invalid").length} invalid
+            </div>
+            <input
+              type="text"
+              placeholder="Bank name (e.g., Chase Visa)"
+              className="lg:ml-auto rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-sm text-slate-100"
+              value={bank}
+              onChange={(e) => setBank(e.target.value)}
+            />
+            <label className="inline-flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={rememberMapping}
+                onChange={(e) => setRememberMapping(e.target.checked)}
+                className="h-4 w-4 rounded border-slate-700 bg-slate-900"
+              />
+              <Save size={14} /> Remember mapping
+            </label>
+            <button
+              onClick={runImport}
+              disabled={busy || importable.length - dupCount === 0}
+              className="inline-flex items-center justify-center gap-2 font-semibold text-white px-4 py-2 rounded-lg transition shadow-lg disabled:opacity-50"
+              style={{ background: ACCENT, boxShadow: `0 10px 30px -8px ${ACCENT}66, inset 0 0 0 1px #7F76FF` }}
+            >
+              <Upload size={16} /> {busy ? "Importing…" : `Import ${importable.length - dupCount} expense(s)`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {fileResults.length > 0 && (
+        <div className="rounded-xl border border-slate-800 bg-slate-950/60 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-slate-300">
+              <tr className="text-left">
+                <th className="py-2 px-3">File</th>
+                <th className="py-2 px-3">Inserted</th>
+                <th className="py-2 px-3">Skipped</th>
+                <th className="py-2 px-3">Failed</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-200">
+              {fileResults.map((f, i) => (
+                <tr key={i} className="border-t border-slate-800 align-top">
+                  <td className="py-1.5 px-3">
+                    {f.name}
+                    {f.format && <span className="ml-2 text-xs uppercase text-slate-500">{f.format}</span>}
+                    {f.errors?.length > 0 && (
+                      <div className="text-xs text-rose-300 mt-1">{f.errors.join(" · ")}</div>
+                    )}
+                  </td>
+                  <td className="py-1.5 px-3 text-emerald-300">{f.inserted}</td>
+                  <td className="py-1.5 px-3 text-slate-300">
+                    {f.skipped}
+                    {f.skipped > 0 && f.credits !== undefined && (
+                      <span className="text-xs text-slate-500"> ({f.duplicates} dup · {f.credits} credit)</span>
+                    )}
+                  </td>
+                  <td className="py-1.5 px-3 text-rose-300">{f.failed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {result && (
+        <div className="rounded-xl border border-emerald-800 bg-emerald-900/30 p-3 text-sm text-emerald-200">
+          <CheckCircle2 size={16} className="inline mr-2" />
+          Imported {result.inserted} · skipped {result.skipped} duplicate(s) · {result.failed} failed
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------- small UI helpers ---------- */
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label className="text-sm text-slate-300">{label}</label>
+      {children}
+    </div>
+  );
+}
+
+function ColumnSelect({ value, options, onChange }) {
+  return (
+    <select
+      className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {options.map((o) => (
+        <option key={o} value={o}>{o || "— none —"}</option>
+      ))}
+    </select>
+  );
+}
+
+function StatusBadge({ row, duplicate }) {
+  if (row.status === "invalid")
+    return (
+      <span className="inline-flex items-center gap-1 text-rose-300">
+        <AlertCircle size={14} /> {row.reason}
+      </span>
+    );
+  if (row.status === "credit") return <span className="text-slate-400">Credit · skipped</span>;
+  if (duplicate)
+    return (
+      <span className="inline-flex items-center gap-1 text-amber-300">
+        <Copy size={14} /> Duplicate
+      </span>
+    );
+  return (
+    <span className="inline-flex items-center gap-1 text-emerald-300">
+      <CheckCircle2 size={14} /> New
+    </span>
+  );
+}
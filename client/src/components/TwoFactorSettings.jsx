@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from "react";
+import { KeyRound, Copy, Download } from "lucide-react";
+import { apiGet, apiPost, errorMessage } from "../lib/api.js";
+
+/**
+ * FinVerse — Two-factor authentication card (used by Account)
+ * - Setup: scan the QR code (or type the secret), confirm with a code → recovery codes shown once
+ * - Regenerate recovery codes / turn 2FA off (password + code)
+ */
+
+const ACCENT = "#635BFF";
+
+const input = "rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100";
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, qrDataUrl } while enrolling
+  const [codes, setCodes] = useState(null); // freshly issued recovery codes
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [disabling, setDisabling] = useState(false);
+
+  function load() {
+    apiGet("/api/auth/2fa")
+      .then(setStatus)
+      .catch((err) => console.error("Load 2FA status error:", err));
+  }
+
+  useEffect(load, []);
+
+  async function run(fn, fallback) {
+    try {
+      await fn();
+      setCode("");
+      setPassword("");
+    } catch (err) {
+      console.error("2FA error:", err);
+      alert(errorMessage(err, fallback));
+    }
+  }
+
+  const startSetup = () =>
+    run(async () => {
+      setCodes(null);
+      setSetup(await apiPost("/api/auth/2fa/setup"));
+    }, "Could not start setup.");
+
+  const enable = () =>
+    run(async () => {
+      const res = await apiPost("/api/auth/2fa/enable", { code });
+      setSetup(null);
+      setCodes(res.recoveryCodes);
+      load();
+    }, "Could not turn on two-factor authentication.");
+
+  const regenerate = () =>
+    run(async () => {
+      const res = await apiPost("/api/auth/2fa/recovery-codes", { code });
+      setCodes(res.recoveryCodes);
+      load();
+    }, "Could not create new recovery codes.");
+
+  const disable = () =>
+    run(async () => {
+      await apiPost("/api/auth/2fa/disable", { password, code });
+      setDisabling(false);
+      setCodes(null);
+      load();
+    }, "Could not turn off two-factor authentication.");
+
+  function downloadCodes() {
+    const blob = new Blob([`FinVerse recovery codes\n\n${codes.join("\n")}\n`], { type: "text/plain" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "finverse-recovery-codes.txt";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  const codeInput = (
+    <input
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      className={`${input} w-36 tracking-widest`}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+    />
+  );
+
+  return (
+    <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+      <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+        <KeyRound className="text-indigo-300" size={20} />
+        <h2 className="font-semibold">Two-Factor Authentication</h2>
+        {status && (
+          <span
+            className={`ml-auto px-2 py-0.5 rounded-full text-xs ${
+              status.enabled ? "bg-emerald-900/60 text-emerald-300" : "bg-slate-800 text-slate-400"
+            }`}
+          >
+            {status.enabled ? "On" : "Off"}
+          </span>
+        )}
+      </div>
+
+      <div className="p-6 space-y-4 text-sm">
+        {codes && (
+          <div className="rounded-xl border border-amber-800 bg-amber-950/30 p-4 space-y-3">
+            <div className="text-amber-200">
+              Save these recovery codes somewhere safe. Each works once if you lose your phone; they won’t be shown
+              again.
+            </div>
+            <div className="grid grid-cols-2 gap-1 font-mono text-slate-100">
+              {codes.map((c) => (
+                <span key={c}>{c}</span>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => navigator.clipboard?.writeText(codes.join("\n"))}
+                className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700"
+              >
+                <Copy size={14} /> Copy
+              </button>
+              <button
+                onClick={downloadCodes}
+                className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700"
+              >
+                <Download size={14} /> Download
+              </button>
+              <button onClick={() => setCodes(null)} className="ml-auto px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700">
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {status && !status.enabled && !setup && (
+          <>
+            <p className="text-slate-400">
+              Require a code from an authenticator app (Google Authenticator, 1Password, Authy…) when you sign in.
+            </p>
+            <button
+              onClick={startSetup}
+              className="font-semibold text-white px-4 py-2 rounded-lg"
+              style={{ background: ACCENT, boxShadow: `0 10px 30px -8px ${ACCENT}66, inset 0 0 0 1px #7F76FF` }}
+            >
+              Set up two-factor authentication
+            </button>
+          </>
+        )}
+
+        {setup && (
+          <div className="flex flex-wrap gap-6 items-start">
+            <img src={setup.qrDataUrl} alt="Authenticator QR code" className="h-40 w-40 rounded-lg bg-white p-2" />
+            <div className="space-y-3 flex-1 min-w-[14rem]">
+              <p className="text-slate-300">
+                Scan the QR code with your authenticator app, or enter this key manually:
+              </p>
+              <code className="block break-all rounded-lg bg-slate-950/60 border border-slate-800 p-2 text-slate-100">
+                {setup.secret}
+              </code>
+              <div className="flex gap-2">
+                {codeInput}
+                <button
+                  onClick={enable}
+                  disabled={!code.trim()}
+                  className="font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                  style={{ background: ACCENT }}
+                >
+                  Verify & turn on
+                </button>
+                <button onClick={() => setSetup(null)} className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {status?.enabled && (
+          <>
+            <p className="text-slate-400">
+              On since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesLeft} recovery code(s)
+              left.
+            </p>
+            {disabling && (
+              <input
+                type="password"
+                placeholder="Current password"
+                className={`${input} w-full`}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            )}
+            <div className="flex flex-wrap gap-2">
+              {codeInput}
+              {disabling ? (
+                <>
+                  <button
+                    onClick={disable}
+                    disabled={!code.trim() || !password}
+                    className="px-3 py-2 rounded-lg bg-rose-600 hover:bg-rose-500 text-white disabled:opacity-50"
+                  >
+                    Turn off
+                  </button>
+                  <button onClick={() => setDisabling(false)} className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700">
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    onClick={regenerate}
+                    disabled={!code.trim()}
+                    className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-50"
+                  >
+                    New recovery codes
+                  </button>
+                  <button onClick={() => setDisabling(true)} className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700">
+                    Turn off…
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
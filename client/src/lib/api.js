@@ -1,8 +1,12 @@
 const BASE = import.meta.env.VITE_API_URL;
 
+// Access tokens are short-lived; the refresh token gets a new pair from /api/auth/refresh
+const LS_TOKEN = "token";
+const LS_REFRESH = "refreshToken";
+
 // Add token automatically
 function authHeaders(extra = {}) {
-  const token = localStorage.getItem("token");
+  const token = localStorage.getItem(LS_TOKEN);
   return {
     "Content-Type": "application/json",
     ...(token ? { Authorization: `Bearer ${token}` } : {}),
@@ -10,44 +14,138 @@ function authHeaders(extra = {}) {
   };
 }
 
-export async function apiGet(path) {
-  const res = await fetch(`${BASE}${path}`, {
-    method: "GET",
-    headers: authHeaders(),
-    credentials: "include",
-  });
-  if (!res.ok) throw new Error(await res.text());
-  return res.json();
+// Store { token, refreshToken } from login / register / refresh (null refreshToken keeps the current one)
+export function saveSession({ token, refreshToken }) {
+  if (token) localStorage.setItem(LS_TOKEN, token);
+  if (refreshToken) localStorage.setItem(LS_REFRESH, refreshToken);
 }
 
-export async function apiPost(path, body) {
-  const res = await fetch(`${BASE}${path}`, {
-    method: "POST",
-    headers: authHeaders(),
-    credentials: "include",
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) throw new Error(await res.text());
-  return res.json();
+export function clearSession() {
+  localStorage.removeItem(LS_TOKEN);
+  localStorage.removeItem(LS_REFRESH);
 }
 
-export async function apiPut(path, body) {
-  const res = await fetch(`${BASE}${path}`, {
-    method: "PUT",
-    headers: authHeaders(),
-    credentials: "include",
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) throw new Error(await res.text());
-  return res.json();
+// One refresh at a time: parallel 401s wait for the same request
+let refreshing = null;
+
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem(LS_REFRESH);
+      if (!refreshToken) return false;
+      const res = await fetch(`${BASE}/api/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!res.ok) return false;
+      saveSession(await res.json());
+      return true;
+    })()
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
 }
 
-export async function apiDelete(path) {
-  const res = await fetch(`${BASE}${path}`, {
-    method: "DELETE",
-    headers: authHeaders(),
-    credentials: "include",
-  });
+// fetch with the access token; on 401 refresh once and retry
+async function authorizedFetch(method, path, body, signal) {
+  const send = () =>
+    fetch(`${BASE}${path}`, {
+      method,
+      headers: authHeaders(),
+      credentials: "include",
+      signal,
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+    });
+
+  let res = await send();
+  if (res.status === 401 && localStorage.getItem(LS_REFRESH)) {
+    if (await refreshSession()) {
+      res = await send();
+    } else {
+      // Session expired or revoked elsewhere — back to the login screen
+      clearSession();
+      window.location.assign("/login");
+    }
+  }
   if (!res.ok) throw new Error(await res.text());
+  return res;
+}
+
+async function request(method, path, body) {
+  const res = await authorizedFetch(method, path, body);
   return res.json();
 }
+
+export function apiGet(path) {
+  return request("GET", path);
+}
+
+export function apiPost(path, body) {
+  return request("POST", path, body);
+}
+
+export function apiPut(path, body) {
+  return request("PUT", path, body);
+}
+
+export function apiDelete(path) {
+  return request("DELETE", path);
+}
+
+// { event, data } of one Server-Sent Events message; data lines join with "\n" and lose one leading space
+function parseMessage(message) {
+  let event = "message";
+  const data = [];
+  for (const line of message.split(/\r?\n/)) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  }
+  return { event, data: data.join("\n") };
+}
+
+/**
+ * POST and read a Server-Sent Events response: onEvent(event, data) for each message
+ * (data is parsed JSON). Abort `signal` to stop; the promise then rejects with an AbortError.
+ */
+export async function apiStream(path, body, { signal, onEvent }) {
+  const res = await authorizedFetch("POST", path, body, signal);
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  const emit = (message) => {
+    const { event, data } = parseMessage(message);
+    if (data) onEvent(event, JSON.parse(data));
+  };
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const messages = buffer.split(/\r?\n\r?\n/);
+    buffer = messages.pop();
+    messages.forEach(emit);
+  }
+  // The last message may arrive without its closing blank line
+  emit(buffer);
+}
+
+// Revoke this device's session on the server, then forget the tokens locally
+export async function logout() {
+  try {
+    await apiPost("/api/auth/logout");
+  } catch (err) {
+    console.error("Logout error:", err);
+  }
+  clearSession();
+}
+
+// Requests throw Error(responseText); surface the server's { message } when present
+export function errorMessage(err, fallback) {
+  try {
+    return JSON.parse(err.message).message || fallback;
+  } catch {
+    return fallback;
+  }
+}
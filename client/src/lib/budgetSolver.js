@@ -0,0 +1,133 @@
+// Deterministic budget solver for the Budget Planner: same inputs → same split.
+// Works in permille (tenths of a percent) of income so the rounding is exact; the Savings share is
+// always rounded up, so when the goal is reachable the planned Savings amount covers it.
+
+import { fmt } from "./money.js";
+
+export const BUCKETS = ["Essentials", "Savings", "Investments", "Lifestyle"];
+
+// Starting split per risk level (percent)
+export const RISK_BASE = {
+  Low: { Essentials: 55, Savings: 25, Investments: 10, Lifestyle: 10 },
+  Moderate: { Essentials: 50, Savings: 20, Investments: 20, Lifestyle: 10 },
+  High: { Essentials: 45, Savings: 15, Investments: 30, Lifestyle: 10 },
+};
+
+const money = (n) => Math.round(n * 100) / 100;
+const cash = (n) => fmt(n, undefined, { decimals: 2 });
+
+// Monthly contributions from `today`'s month through the target month ("YYYY-MM"), inclusive
+export function monthsUntil(goalDate, today = new Date()) {
+  const m = /^(\d{4})-(\d{2})/.exec(String(goalDate || ""));
+  if (!m) return null;
+  return Number(m[1]) * 12 + Number(m[2]) - (today.getFullYear() * 12 + today.getMonth() + 1) + 1;
+}
+
+function monthName(months, today) {
+  const d = new Date(today.getFullYear(), today.getMonth() + months - 1, 1);
+  return d.toLocaleString("en-US", { month: "long", year: "numeric" });
+}
+
+/**
+ * solveBudget({ income, obligations, savingsGoal, goalDate, risk, today })
+ *   income        monthly take-home pay
+ *   obligations   fixed monthly costs that must be paid (rent, debt minimums…)
+ *   savingsGoal   amount to have saved by goalDate ("YYYY-MM"); 0 = no goal
+ * → { feasible, plan:{bucket: pct}, amounts:{bucket: money}, requiredMonthly, monthsToGoal, reasons:[…] }
+ *
+ * Essentials never drop below the obligations and Savings never below the monthly amount the goal needs
+ * (nothing without a dated goal). When the floors push the split past 100%, Investments give way first,
+ * then Lifestyle, then the part of Essentials above the obligations, then Savings above its floor. If that
+ * is still not enough the goal is out of reach: the plan then saves everything left after obligations and
+ * `reasons` says what would make the goal reachable.
+ */
+export function solveBudget({ income, obligations = 0, savingsGoal = 0, goalDate, risk = "Moderate", today = new Date() }) {
+  const base = RISK_BASE[risk] || RISK_BASE.Moderate;
+  const reasons = [];
+  // toFixed drops float noise (200.0000001) before rounding up
+  const permille = (amount) => Math.ceil(Number(((amount / income) * 1000).toFixed(6)));
+
+  let months = null;
+  let requiredMonthly = 0;
+  if (savingsGoal > 0) {
+    months = monthsUntil(goalDate, today);
+    if (months != null && months < 1) {
+      return {
+        feasible: false,
+        plan: null,
+        amounts: null,
+        requiredMonthly: null,
+        monthsToGoal: null,
+        reasons: ["The goal's target date has already passed — pick a month from this one onward."],
+      };
+    }
+    if (months != null) requiredMonthly = Math.ceil((savingsGoal / months) * 100) / 100;
+  }
+
+  const floors = { Essentials: Math.min(1000, permille(obligations)), Savings: permille(requiredMonthly) };
+  const p = Object.fromEntries(BUCKETS.map((b) => [b, base[b] * 10]));
+  if (floors.Essentials > p.Essentials) {
+    reasons.push(`Essentials raised from ${base.Essentials}% to ${floors.Essentials / 10}% to cover your fixed obligations.`);
+    p.Essentials = floors.Essentials;
+  }
+  if (floors.Savings > p.Savings) {
+    reasons.push(`Savings raised from ${base.Savings}% to ${floors.Savings / 10}% to reach the goal on time.`);
+    p.Savings = floors.Savings;
+  }
+
+  // Give back what the floors took, in order
+  let over = BUCKETS.reduce((sum, b) => sum + p[b], 0) - 1000;
+  for (const b of ["Investments", "Lifestyle", "Essentials", "Savings"]) {
+    if (over <= 0) break;
+    const cut = Math.min(over, p[b] - (floors[b] || 0));
+    if (cut > 0) {
+      p[b] -= cut;
+      over -= cut;
+      reasons.push(`${b} trimmed by ${cut / 10} points to make room.`);
+    }
+  }
+
+  const free = income - obligations; // most that could go to savings each month
+  const feasible = over <= 0 && free >= 0 && (savingsGoal <= 0 || months != null);
+  if (over > 0 || free < 0) {
+    // Out of reach: save everything left after obligations and explain the gap
+    p.Essentials = floors.Essentials;
+    p.Savings = 1000 - floors.Essentials;
+    p.Investments = 0;
+    p.Lifestyle = 0;
+    reasons.length = 0;
+    if (free <= 0) {
+      reasons.push("Your fixed obligations use up all of your income, so nothing is left to save.");
+    } else if (requiredMonthly > 0 && months != null) {
+      const earliest = Math.ceil(savingsGoal / free);
+      reasons.push(
+        `The goal needs ${cash(requiredMonthly)} a month for ${months} month(s), but only ${cash(free)} is left after obligations.`,
+        `Saving all of it, you would reach the goal in ${monthName(earliest, today)} (${earliest} months),`,
+        `or have ${cash(free * months)} by the target date. To keep the date, income must rise or obligations fall by ${cash(requiredMonthly - free)} a month.`
+      );
+    }
+  }
+
+  const plan = Object.fromEntries(BUCKETS.map((b) => [b, p[b] / 10]));
+  const amounts = Object.fromEntries(BUCKETS.map((b) => [b, money((p[b] / 1000) * income)]));
+
+  if (savingsGoal > 0 && months == null) {
+    // No target date: report when the planned savings get there
+    const monthsToGoal = amounts.Savings > 0 ? Math.ceil(savingsGoal / amounts.Savings) : null;
+    reasons.push(
+      monthsToGoal
+        ? `Without a target date, saving ${cash(amounts.Savings)} a month reaches the goal in ${monthName(monthsToGoal, today)} (${monthsToGoal} months).`
+        : "Nothing is left to save towards the goal."
+    );
+    return { feasible: monthsToGoal != null, plan, amounts, requiredMonthly: null, monthsToGoal, reasons };
+  }
+
+  if (feasible && savingsGoal > 0) {
+    reasons.unshift(
+      `Saving ${cash(amounts.Savings)} a month for ${months} month(s) reaches ${cash(amounts.Savings * months)} by ${monthName(months, today)} — the goal is ${cash(savingsGoal)}.`
+    );
+  }
+  if (!reasons.length) reasons.push(`Your obligations and goal fit the standard ${risk} split unchanged.`);
+
+  return { feasible, plan, amounts, requiredMonthly, monthsToGoal: months, reasons };
+}
@@ -0,0 +1,170 @@
+// CSV statement parsing + column mapping for the Expenses import flow
+
+// Pick the delimiter that splits the first line into the most columns
+export function detectDelimiter(text) {
+  const first = String(text).split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+  for (const d of [",", ";", "\t", "|"]) {
+    const count = first.split(d).length;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// RFC 4180-ish parser: quoted fields, escaped quotes (""), newlines inside quotes
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  const [header = [], ...body] = nonEmpty;
+  return { headers: header.map((h) => h.trim()), rows: body };
+}
+
+// "$1,234.50" · "(12.00)" · "12.00-" · "-€5,20" → number (NaN when unreadable)
+export function parseAmount(value) {
+  let s = String(value ?? "").trim();
+  if (!s) return NaN;
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1);
+  }
+  if (s.endsWith("-")) {
+    negative = true;
+    s = s.slice(0, -1);
+  }
+  s = s.replace(/[^\d.,-]/g, "");
+  if (s.startsWith("-")) {
+    negative = !negative;
+    s = s.slice(1);
+  }
+  // "1.234,56" (comma decimal) vs "1,234.56"
+  if (/,\d{1,2}$/.test(s) && !/\.\d{1,2}$/.test(s)) s = s.replace(/\./g, "").replace(",", ".");
+  else s = s.replace(/,/g, "");
+  const n = Number(s);
+  return s && isFinite(n) ? (negative ? -n : n) : NaN;
+}
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"];
+
+// Parse a statement date into "YYYY-MM-DD" (null when invalid)
+export function parseStatementDate(value, format = "YYYY-MM-DD") {
+  const parts = String(value ?? "").trim().split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+  let y, m, d;
+  if (format === "YYYY-MM-DD") [y, m, d] = parts;
+  else if (format === "MM/DD/YYYY") [m, d, y] = parts;
+  else [d, m, y] = parts;
+  if (y < 100) y += 2000;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+
+// Guess a mapping from header names — a starting point the user can adjust
+export function guessMapping(headers) {
+  const find = (re) => headers.find((h) => re.test(h)) || "";
+  const debit = find(/debit|withdrawal|money out/i);
+  const credit = find(/credit|deposit|money in/i);
+  const amount = find(/amount|value|sum/i);
+  return {
+    columns: {
+      date: find(/date|posted/i),
+      description: find(/desc|payee|merchant|memo|narrative|details|name/i),
+      amount,
+      debit,
+      credit,
+      type: find(/^type$|dr\/cr|debit\/credit|indicator/i),
+    },
+    signMode: !amount && debit ? "split" : "negative",
+    dateFormat: "YYYY-MM-DD",
+  };
+}
+
+// Values of a debit/credit column ("type" sign mode) that mark a credit
+const CREDIT_TYPES = new Set(["cr", "c", "credit", "deposit"]);
+
+/**
+ * Apply a column mapping to parsed rows.
+ * Returns [{ date, description, amount, status: "ok"|"credit"|"invalid", reason }]
+ * where amount is always the positive expense value.
+ */
+export function applyMapping(headers, rows, mapping) {
+  const idx = (name) => (name ? headers.indexOf(name) : -1);
+  const { columns = {}, signMode = "negative", dateFormat } = mapping;
+  const iDate = idx(columns.date);
+  const iDesc = idx(columns.description);
+  const iAmount = idx(columns.amount);
+  const iDebit = idx(columns.debit);
+  const iCredit = idx(columns.credit);
+  const iType = idx(columns.type);
+
+  return rows.map((r) => {
+    const date = parseStatementDate(r[iDate], dateFormat);
+    const description = String(r[iDesc] ?? "").trim();
+    let expense = NaN;
+
+    if (signMode === "split") {
+      const debit = Math.abs(parseAmount(r[iDebit]));
+      const credit = Math.abs(parseAmount(r[iCredit]));
+      if (debit > 0) expense = debit;
+      else if (credit > 0) expense = -credit;
+    } else {
+      const raw = parseAmount(r[iAmount]);
+      if (signMode === "positive") expense = raw;
+      else if (signMode === "negative") expense = -raw;
+      else {
+        // Whole values only: "card", "check" or "charge" are debits even though they start with "c"
+        const type = String(r[iType] ?? "").trim().toLowerCase().replace(/\.$/, "");
+        const isCredit = CREDIT_TYPES.has(type);
+        expense = isCredit ? -Math.abs(raw) : Math.abs(raw);
+      }
+    }
+
+    if (!date) return { date: null, description, amount: 0, status: "invalid", reason: "Unreadable date" };
+    if (!description) return { date, description, amount: 0, status: "invalid", reason: "Missing description" };
+    if (!isFinite(expense) || expense === 0)
+      return { date, description, amount: 0, status: "invalid", reason: "Unreadable amount" };
+    if (expense < 0) return { date, description, amount: -expense, status: "credit", reason: "Credit / refund" };
+    return { date, description, amount: Math.round(expense * 100) / 100, status: "ok" };
+  });
+}
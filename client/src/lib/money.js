@@ -0,0 +1,30 @@
+/**
+ * Money formatting shared by every page.
+ * The user's base currency comes from their profile (GET /api/auth/me) and is cached in
+ * localStorage so pages can format synchronously; totals from the API are already converted.
+ */
+
+const LS_BASE = "finverse_base_currency";
+
+export const CURRENCIES = ["USD", "EUR", "INR", "GBP", "CAD", "AUD", "SGD", "AED", "JPY", "CHF"];
+
+// Currencies whose usual grouping differs from the browser default (e.g. lakh / crore)
+const LOCALES = { INR: "en-IN" };
+
+export function getBaseCurrency() {
+  return localStorage.getItem(LS_BASE) || "USD";
+}
+
+export function setBaseCurrency(code) {
+  if (code) localStorage.setItem(LS_BASE, code);
+}
+
+export function fmt(n, currency = getBaseCurrency(), { decimals = 0 } = {}) {
+  const value = isFinite(n) ? Number(n) : 0;
+  return value.toLocaleString(LOCALES[currency], {
+    style: "currency",
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+}
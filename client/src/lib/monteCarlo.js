@@ -0,0 +1,132 @@
+// Monte Carlo projections for the Investment planner.
+// Every asset class in a plan's mix has an expected annual return and volatility; each simulated month
+// draws a lognormal return per class, the portfolio is rebalanced back to the mix and the monthly
+// contribution is added. Classes are drawn independently (no correlation model). A seeded RNG makes a
+// run reproducible: the same inputs and seed give the same bands.
+
+// Expected annual return and volatility (standard deviation), as fractions
+export const DEFAULT_ASSUMPTIONS = {
+  Equity: { expectedReturn: 0.08, volatility: 0.16 },
+  Bonds: { expectedReturn: 0.035, volatility: 0.06 },
+  Gold: { expectedReturn: 0.045, volatility: 0.15 },
+  "Real Estate": { expectedReturn: 0.06, volatility: 0.12 },
+  Crypto: { expectedReturn: 0.15, volatility: 0.7 },
+};
+
+export const DEFAULT_RUNS = 2000;
+
+// mulberry32: small, fast 32-bit PRNG → () => number in [0, 1)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function newSeed() {
+  return Math.floor(Math.random() * 1e9);
+}
+
+// Standard normal draws (Box–Muller), using both values of each pair
+function normalSource(rand) {
+  let spare = null;
+  return () => {
+    if (spare != null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u = 1 - rand(); // (0, 1] so log() is finite
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * rand();
+    spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  };
+}
+
+// Value at quantile q of an ascending array (linear interpolation)
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(sorted.length - 1, lo + 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Mix-weighted expected return and volatility (volatility assumes independent classes)
+export function portfolioStats(mix, assumptions = DEFAULT_ASSUMPTIONS) {
+  let expectedReturn = 0;
+  let variance = 0;
+  for (const [name, weight] of Object.entries(mix)) {
+    const a = assumptions[name] || DEFAULT_ASSUMPTIONS[name] || { expectedReturn: 0, volatility: 0 };
+    expectedReturn += weight * a.expectedReturn;
+    variance += (weight * a.volatility) ** 2;
+  }
+  return { expectedReturn, volatility: Math.sqrt(variance) };
+}
+
+/**
+ * simulate({ principal, monthly, years, mix, assumptions, target, runs, seed })
+ *   mix      { assetClass: weight } with weights summing to 1
+ *   target   amount to reach by the end of the horizon; 0 = none
+ * → { bands:[{ year, invested, p10, p50, p90 }], final:{ p10, p50, p90 }, probability, runs, seed }
+ *
+ * `bands` has one point per year (year 0 = today); `probability` is the share of runs that end at or
+ * above the target (null without a target).
+ */
+export function simulate({
+  principal = 0,
+  monthly = 0,
+  years = 0,
+  mix,
+  assumptions = DEFAULT_ASSUMPTIONS,
+  target = 0,
+  runs = DEFAULT_RUNS,
+  seed = 1,
+}) {
+  const months = Math.max(0, Math.round(years * 12));
+  const yearsCount = Math.ceil(months / 12);
+  const normal = normalSource(seededRandom(seed));
+
+  // Per-class monthly log drift and volatility, chosen so the mean annual growth is 1 + expectedReturn
+  const classes = Object.entries(mix)
+    .filter(([, w]) => w > 0)
+    .map(([name, weight]) => {
+      const a = assumptions[name] || DEFAULT_ASSUMPTIONS[name] || { expectedReturn: 0, volatility: 0 };
+      const sigma = a.volatility / Math.sqrt(12);
+      return { weight, drift: Math.log(1 + a.expectedReturn) / 12 - (sigma * sigma) / 2, sigma };
+    });
+
+  // yearly[y][run] = portfolio value at the end of year y
+  const yearly = Array.from({ length: yearsCount + 1 }, () => new Float64Array(runs));
+  for (let r = 0; r < runs; r++) {
+    let value = principal;
+    yearly[0][r] = value;
+    for (let m = 1; m <= months; m++) {
+      let growth = 0;
+      for (const c of classes) growth += c.weight * Math.exp(c.drift + c.sigma * normal());
+      value = value * growth + monthly;
+      if (m % 12 === 0 || m === months) yearly[Math.ceil(m / 12)][r] = value;
+    }
+  }
+
+  const bands = yearly.map((values, year) => {
+    const sorted = Float64Array.from(values).sort();
+    return {
+      year: Math.min(year * 12, months) / 12,
+      invested: principal + monthly * Math.min(months, year * 12),
+      p10: quantile(sorted, 0.1),
+      p50: quantile(sorted, 0.5),
+      p90: quantile(sorted, 0.9),
+    };
+  });
+
+  const last = yearly[yearsCount];
+  const probability = target > 0 ? last.reduce((n, v) => n + (v >= target ? 1 : 0), 0) / runs : null;
+  const { p10, p50, p90 } = bands[bands.length - 1];
+
+  return { bands, final: { p10, p50, p90 }, probability, runs, seed };
+}
@@ -0,0 +1,436 @@
+import React, { useEffect, useState } from "react";
+import { Sparkles, UserCog, ArrowLeftRight, Upload, Plus, Trash2, Save, MonitorSmartphone, ShieldAlert } from "lucide-react";
+import { apiGet, apiPost, apiPut, apiDelete, errorMessage } from "../lib/api.js";
+import { CURRENCIES, getBaseCurrency, setBaseCurrency } from "../lib/money.js";
+import TwoFactorSettings from "../components/TwoFactorSettings.jsx";
+import AiUsageCard from "../components/AiUsageCard.jsx";
+
+/**
+ * FinVerse — Account
+ * - Profile: display name + base currency (all totals are converted into it); email verification status
+ * - FX rate table kept locally: manual entry or CSV upload (date,base,quote,rate)
+ * - A rate applies to transactions on or after its date until a newer one exists
+ * - Two-factor authentication (TOTP) with recovery codes
+ * - Signed-in devices: revoke any other session (its refresh token stops working at once)
+ * - AI assistant usage against the plan's limits (admins: per-user report)
+ * - Security activity: sign-ins from new IPs, lockouts, password resets, 2FA changes
+ */
+
+const ACCENT = "#635BFF";
+
+const EVENT_LABELS = {
+  register: "Account created",
+  login_new_ip: "Sign-in from a new IP",
+  lockout: "Sign-in locked after failed attempts",
+  password_reset: "Password reset",
+  two_factor_enabled: "Two-factor authentication turned on",
+  two_factor_disabled: "Two-factor authentication turned off",
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export default function Account() {
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [verified, setVerified] = useState(true);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [baseCurrency, setBase] = useState(getBaseCurrency);
+  const [rates, setRates] = useState([]);
+  const [rateForm, setRateForm] = useState({ date: today(), base: "USD", quote: "INR", rate: "" });
+  const [uploadResult, setUploadResult] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [events, setEvents] = useState([]);
+
+  function loadRates() {
+    apiGet("/api/fx")
+      .then(setRates)
+      .catch((err) => console.error("Load FX rates error:", err));
+  }
+
+  function loadSessions() {
+    apiGet("/api/auth/sessions")
+      .then(setSessions)
+      .catch((err) => console.error("Load sessions error:", err));
+  }
+
+  function loadEvents() {
+    apiGet("/api/auth/security-events")
+      .then(setEvents)
+      .catch((err) => console.error("Load security events error:", err));
+  }
+
+  useEffect(() => {
+    apiGet("/api/auth/me")
+      .then(({ user }) => {
+        setName(user.name);
+        setEmail(user.email);
+        setVerified(!!user.emailVerifiedAt);
+        setIsAdmin(user.role === "admin");
+        setBase(user.baseCurrency);
+        setBaseCurrency(user.baseCurrency);
+      })
+      .catch((err) => console.error("Load profile error:", err));
+    loadRates();
+    loadSessions();
+    loadEvents();
+  }, []);
+
+  async function saveProfile() {
+    try {
+      const { user } = await apiPut("/api/auth/me", { name, baseCurrency });
+      setBaseCurrency(user.baseCurrency);
+      alert("Profile saved.");
+    } catch (err) {
+      console.error("Save profile error:", err);
+      alert(errorMessage(err, "Could not save profile."));
+    }
+  }
+
+  async function resendVerification() {
+    try {
+      await apiPost("/api/auth/verify/resend");
+      alert(`Verification link sent to ${email}.`);
+    } catch (err) {
+      console.error("Resend verification error:", err);
+      alert(errorMessage(err, "Could not send the verification email."));
+    }
+  }
+
+  async function addRate() {
+    try {
+      await apiPost("/api/fx", { ...rateForm, rate: Number(rateForm.rate) });
+      setRateForm((f) => ({ ...f, rate: "" }));
+      loadRates();
+    } catch (err) {
+      console.error("Save FX rate error:", err);
+      alert(errorMessage(err, "Could not save rate."));
+    }
+  }
+
+  async function uploadRates(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const result = await apiPost("/api/fx/upload", { content: await file.text() });
+      setUploadResult(result);
+      loadRates();
+    } catch (err) {
+      console.error("Upload FX rates error:", err);
+      alert(errorMessage(err, "Could not upload rates."));
+    }
+  }
+
+  async function removeRate(id) {
+    try {
+      await apiDelete(`/api/fx/${id}`);
+      setRates((r) => r.filter((x) => x._id !== id));
+    } catch (err) {
+      console.error("Delete FX rate error:", err);
+    }
+  }
+
+  async function revokeSession(id) {
+    try {
+      await apiDelete(id ? `/api/auth/sessions/${id}` : "/api/auth/sessions");
+      loadSessions();
+    } catch (err) {
+      console.error("Revoke session error:", err);
+      alert(errorMessage(err, "Could not sign out that device."));
+    }
+  }
+
+  const input = "mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100";
+
+  return (
+    <div className="p-6 md:p-8 bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 min-h-[calc(100vh-64px)] text-slate-100">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-800/60 px-3 py-1 ring-1 ring-slate-700">
+          <Sparkles size={16} className="text-cyan-300" />
+          <span className="text-xs tracking-wide text-slate-300">FinVerse · Account</span>
+        </div>
+        <h1 className="mt-3 text-3xl md:text-4xl font-semibold bg-gradient-to-r from-cyan-200 to-indigo-300 bg-clip-text text-transparent">
+          Profile & currencies
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Pick the currency your totals are shown in, and keep the exchange rates used to convert them.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Profile */}
+        <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <UserCog className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">Profile</h2>
+          </div>
+          <div className="p-6 space-y-4">
+            <div>
+              <label className="text-sm text-slate-300">Name</label>
+              <input className={input} value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div>
+              <label className="text-sm text-slate-300">Email</label>
+              <input className={`${input} opacity-60`} value={email} disabled />
+              {!verified && (
+                <div className="mt-1 text-xs text-amber-300">
+                  Not verified yet.{" "}
+                  <button onClick={resendVerification} className="underline hover:text-amber-200">
+                    Resend link
+                  </button>
+                </div>
+              )}
+            </div>
+            <div>
+              <label className="text-sm text-slate-300">Base currency</label>
+              <select className={input} value={baseCurrency} onChange={(e) => setBase(e.target.value)}>
+                {CURRENCIES.map((c) => (
+                  <option key={c}>{c}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={saveProfile}
+              className="w-full inline-flex items-center justify-center gap-2 font-semibold text-white px-4 py-3 rounded-lg transition shadow-lg"
+              style={{
+                background: ACCENT,
+                boxShadow: `0 10px 30px -8px ${ACCENT}66, inset 0 0 0 1px #7F76FF`,
+              }}
+            >
+              <Save size={18} /> Save Profile
+            </button>
+          </div>
+        </div>
+
+        {/* FX rates */}
+        <div className="xl:col-span-2 rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <ArrowLeftRight className="text-cyan-300" size={20} />
+            <h2 className="font-semibold">Exchange Rates</h2>
+            <label className="ml-auto inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700 cursor-pointer">
+              <Upload size={14} /> Upload CSV
+              <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={uploadRates} />
+            </label>
+          </div>
+          <div className="p-6 space-y-4 text-sm">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+              <div>
+                <label className="text-slate-300">Date</label>
+                <input
+                  type="date"
+                  className={input}
+                  value={rateForm.date}
+                  onChange={(e) => setRateForm((f) => ({ ...f, date: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="text-slate-300">1 unit of</label>
+                <select
+                  className={input}
+                  value={rateForm.base}
+                  onChange={(e) => setRateForm((f) => ({ ...f, base: e.target.value }))}
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c}>{c}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-slate-300">equals</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="e.g., 83.2"
+                  className={input}
+                  value={rateForm.rate}
+                  onChange={(e) => setRateForm((f) => ({ ...f, rate: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="text-slate-300">of</label>
+                <select
+                  className={input}
+                  value={rateForm.quote}
+                  onChange={(e) => setRateForm((f) => ({ ...f, quote: e.target.value }))}
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c}>{c}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                onClick={addRate}
+                disabled={!(Number(rateForm.rate) > 0) || rateForm.base === rateForm.quote}
+                className="inline-flex items-center justify-center gap-1 font-semibold text-white px-3 py-2 rounded-lg disabled:opacity-50"
+                style={{ background: ACCENT }}
+              >
+                <Plus size={14} /> Add Rate
+              </button>
+            </div>
+
+            <p className="text-xs text-slate-500">
+              CSV columns: <code>date,base,quote,rate</code> (e.g. <code>2024-05-01,USD,INR,83.4</code>). A header row is
+              optional; a rate for the same pair and day replaces the stored one.
+            </p>
+
+            {uploadResult && (
+              <div className="rounded-lg border border-slate-800 bg-slate-950/60 p-3">
+                Saved {uploadResult.saved} rate(s).
+                {uploadResult.errors.length > 0 && (
+                  <ul className="mt-1 text-xs text-rose-300">
+                    {uploadResult.errors.slice(0, 5).map((e) => (
+                      <li key={e.line}>Line {e.line}: {e.message}</li>
+                    ))}
+                    {uploadResult.errors.length > 5 && <li>…and {uploadResult.errors.length - 5} more</li>}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {rates.length === 0 ? (
+              <p className="text-slate-500">
+                No rates yet. Amounts in other currencies are left out of totals until a rate is stored.
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="text-slate-300">
+                    <tr className="text-left">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Pair</th>
+                      <th className="py-2 pr-4 text-right">Rate</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rates.map((r) => (
+                      <tr key={r._id} className="border-t border-slate-800">
+                        <td className="py-2 pr-4">{r.date.slice(0, 10)}</td>
+                        <td className="py-2 pr-4">
+                          1 {r.base} → {r.quote}
+                        </td>
+                        <td className="py-2 pr-4 text-right">{r.rate}</td>
+                        <td className="py-2 text-right">
+                          <button
+                            onClick={() => removeRate(r._id)}
+                            className="p-1 rounded hover:bg-slate-800"
+                            aria-label="Delete rate"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Two-factor authentication */}
+        <TwoFactorSettings />
+
+        {/* AI assistant usage */}
+        <AiUsageCard isAdmin={isAdmin} />
+
+        {/* Signed-in devices */}
+        <div className="xl:col-span-2 rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <MonitorSmartphone className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">Signed-in Devices</h2>
+            {sessions.length > 1 && (
+              <button
+                onClick={() => revokeSession()}
+                className="ml-auto text-sm px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700"
+              >
+                Sign out all other devices
+              </button>
+            )}
+          </div>
+          <ul className="p-6 space-y-2 text-sm">
+            {sessions.map((s) => (
+              <li
+                key={s.id}
+                className="rounded-lg border border-slate-800 bg-slate-950/60 p-3 flex flex-wrap items-center gap-3"
+              >
+                <div className="flex-1 min-w-[12rem]">
+                  <div className="text-slate-200">
+                    {deviceLabel(s.userAgent)}
+                    {s.current && <span className="ml-2 text-xs text-emerald-300">This device</span>}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {s.ip || "unknown IP"} · signed in {new Date(s.createdAt).toLocaleDateString()} · last active{" "}
+                    {new Date(s.lastUsedAt).toLocaleString()}
+                  </div>
+                </div>
+                {!s.current && (
+                  <button
+                    onClick={() => revokeSession(s.id)}
+                    className="px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700"
+                  >
+                    Sign out
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* Security activity */}
+        <div className="xl:col-span-2 rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+          <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+            <ShieldAlert className="text-indigo-300" size={20} />
+            <h2 className="font-semibold">Security Activity</h2>
+          </div>
+          <div className="p-6 text-sm">
+            {events.length === 0 ? (
+              <p className="text-slate-500">No security events recorded yet.</p>
+            ) : (
+              <ul className="space-y-2">
+                {events.map((e) => (
+                  <li key={e._id} className="flex flex-wrap items-baseline gap-x-3 border-b border-slate-800 pb-2">
+                    <span className={e.type === "lockout" ? "text-rose-300" : "text-slate-200"}>
+                      {EVENT_LABELS[e.type] || e.type}
+                    </span>
+                    <span className="text-xs text-slate-500">
+                      {e.ip || "unknown IP"} · {deviceLabel(e.userAgent)}
+                    </span>
+                    <span className="ml-auto text-xs text-slate-500">{new Date(e.createdAt).toLocaleString()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// "Chrome on Windows" from a user-agent string; good enough to tell devices apart
+function deviceLabel(ua = "") {
+  const browser = /Edg\//.test(ua)
+    ? "Edge"
+    : /Chrome\//.test(ua)
+    ? "Chrome"
+    : /Firefox\//.test(ua)
+    ? "Firefox"
+    : /Safari\//.test(ua)
+    ? "Safari"
+    : "Browser";
+  const os = /Windows/.test(ua)
+    ? "Windows"
+    : /iPhone|iPad/.test(ua)
+    ? "iOS"
+    : /Android/.test(ua)
+    ? "Android"
+    : /Mac OS X/.test(ua)
+    ? "macOS"
+    : /Linux/.test(ua)
+    ? "Linux"
+    : "unknown OS";
+  return `${browser} on ${os}`;
+}
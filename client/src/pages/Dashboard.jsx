@@ -8,86 +8,43 @@ import {
   PieChart,
   ChevronRight,
   Loader2,
+  Target,
 } from "lucide-react";
 import { Link } from "react-router-dom";
+import { apiGet } from "../lib/api.js";
+import { fmt, setBaseCurrency } from "../lib/money.js";
+import GoalProgress from "../components/GoalProgress.jsx";
 
 /**
  * FinVerse — Dashboard (Future-Ready)
  * - Cinematic dark glass UI + #635BFF accent
- * - Tries to fetch live data from backend APIs (MongoDB later)
- * - Graceful fallback to local mocks if API not ready
+ * - Live, per-user data from the backend APIs (MongoDB)
+ * - Explicit empty state when the user has not stored anything yet
  * - No charts; just clean, explainable KPIs + recent activity + AI summary
  *
- * Expected Backend Endpoints (you can implement these later):
+ * Backend Endpoints (sections are null when the user has no data for them;
+ * money totals are already converted to the profile's base currency):
  * GET /api/summary
- *   { tax:{status:"draft|filed", estDue: number}, insurance:{policies:number, gaps:["Health"]},
- *     investments:{savedPlans:number, lastProjected:number}, expenses:{monthTotal:number, topCat:"Food"},
- *     budget:{lastSplit:{Essentials:number,Savings:number,Investments:number,Lifestyle:number}} }
+ *   { currency:"USD",
+ *     tax:{status:"draft|filed", estDue: number|null, year:number} | null,
+ *     insurance:{policies:number, gaps:["Health"], openActions:number, lastCheck:string} | null,
+ *     investments:{savedPlans:number, lastProjected:number|null} | null,
+ *     expenses:{monthTotal:number, topCat:"Food"} | null,
+ *     budget:{lastSplit:{Essentials:number,Savings:number,Investments:number,Lifestyle:number}} | null,
+ *     goals:[{id, name, saved, targetAmount, percent, deadline, status:"on_track|behind|overdue|achieved", currency}],
+ *     unconverted:["EUR"] }   (currencies without a stored FX rate; their figures are null or left out)
  *
- * GET /api/investments/saved      -> [{id, bias, years, monthly, cagr, projected, savedAt}, ...]
- * GET /api/expenses/monthly       -> { monthTotal:number, byCat:{[cat]: number}, month:string }
- * GET /api/budget/saved           -> [{ts, income, risk, plan:{...}}, ...]
- * GET /api/tax/latest             -> { status, estDue, year }
- * GET /api/insurance/latest       -> { policies, openActions:number, lastCheck:string }
+ * GET /api/investments/saved      -> [{id, bias, years, monthly, cagr, projected, currency, savedAt}, ...]
+ * GET /api/expenses/monthly       -> { monthTotal:number, byCat:{[cat]: number}, month:string, currency, unconverted:[] }
+ * GET /api/budget/saved           -> [{id, ts, income, risk, plan:{...}, active}, ...]
+ * GET /api/tax/latest             -> { status, estDue, year } | null
+ * GET /api/insurance/latest       -> { policies, gaps, openActions, lastCheck } | null
  */
 
 const ACCENT = "#635BFF";
 
 // ---- tiny helpers
-const fmt = (n) =>
-  isFinite(n)
-    ? n.toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 })
-    : "$0";
-
-async function getJSON(url, { timeout = 4500 } = {}) {
-  const ctrl = new AbortController();
-  const timer = setTimeout(() => ctrl.abort(), timeout);
-  try {
-    const res = await fetch(url, { signal: ctrl.signal, credentials: "include" });
-    clearTimeout(timer);
-    if (!res.ok) throw new Error(`${res.status}`);
-    return await res.json();
-  } catch (e) {
-    throw e;
-  }
-}
-
-// --- local safe mocks (used when API not available)
-const mocks = {
-  summary: {
-    tax: { status: "draft", estDue: 1380, year: new Date().getFullYear() },
-    insurance: { policies: 1, gaps: ["Life"], openActions: 1, lastCheck: "This week" },
-    investments: { savedPlans: 2, lastProjected: 1531394 },
-    expenses: { monthTotal: 2480, topCat: "Housing" },
-    budget: { lastSplit: { Essentials: 50, Savings: 20, Investments: 20, Lifestyle: 10 } },
-  },
-  savedPlans: [
-    {
-      id: "demo1",
-      bias: "balanced",
-      years: 20,
-      monthly: 500,
-      cagr: 0.1,
-      projected: 1531394,
-      savedAt: new Date().toLocaleString(),
-    },
-  ],
-  expensesMonthly: {
-    month: new Date().toLocaleString("en-US", { month: "long" }),
-    monthTotal: 2480,
-    byCat: { Housing: 1500, Food: 520, Utilities: 200, Transport: 160, Misc: 100 },
-  },
-  budgetSaved: [
-    {
-      ts: new Date().toLocaleString(),
-      income: 6000,
-      risk: "Moderate",
-      plan: { Essentials: 50, Savings: 20, Investments: 20, Lifestyle: 10 },
-    },
-  ],
-  taxLatest: { status: "draft", estDue: 1380, year: new Date().getFullYear() },
-  insuranceLatest: { policies: 1, openActions: 1, lastCheck: "This week" },
-};
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString() : "—");
 
 export default function Dashboard() {
   const [loading, setLoading] = useState(true);
@@ -97,6 +54,7 @@ export default function Dashboard() {
   const [budgetSaved, setBudgetSaved] = useState([]);
   const [taxLatest, setTaxLatest] = useState(null);
   const [insLatest, setInsLatest] = useState(null);
+  const [error, setError] = useState(false);
 
   useEffect(() => {
     let mounted = true;
@@ -105,29 +63,25 @@ export default function Dashboard() {
       setLoading(true);
       try {
         const [sum, sp, exp, bud, tax, ins] = await Promise.all([
-          getJSON("/api/summary"),
-          getJSON("/api/investments/saved"),
-          getJSON("/api/expenses/monthly"),
-          getJSON("/api/budget/saved"),
-          getJSON("/api/tax/latest"),
-          getJSON("/api/insurance/latest"),
+          apiGet("/api/summary"),
+          apiGet("/api/investments/saved"),
+          apiGet("/api/expenses/monthly"),
+          apiGet("/api/budget/saved"),
+          apiGet("/api/tax/latest"),
+          apiGet("/api/insurance/latest"),
         ]);
         if (!mounted) return;
+        setBaseCurrency(sum.currency);
         setSummary(sum);
         setSavedPlans(sp || []);
-        setExpensesMonthly(exp || null);
+        setExpensesMonthly(exp?.monthTotal > 0 ? exp : null);
         setBudgetSaved(bud || []);
         setTaxLatest(tax || null);
         setInsLatest(ins || null);
-      } catch {
-        // fallback to mocks
-        if (!mounted) return;
-        setSummary(mocks.summary);
-        setSavedPlans(mocks.savedPlans);
-        setExpensesMonthly(mocks.expensesMonthly);
-        setBudgetSaved(mocks.budgetSaved);
-        setTaxLatest(mocks.taxLatest);
-        setInsLatest(mocks.insuranceLatest);
+        setError(false);
+      } catch (err) {
+        console.error("Dashboard load error:", err);
+        if (mounted) setError(true);
       } finally {
         if (mounted) setLoading(false);
       }
@@ -137,9 +91,13 @@ export default function Dashboard() {
     return () => (mounted = false);
   }, []);
 
+  const sum = summary || {};
+  const isEmpty =
+    !loading && !error && !sum.tax && !sum.insurance && !sum.investments && !sum.expenses && !sum.budget && !sum.goals?.length;
+
   // Build a small “AI” tip using current snapshot
   const aiTip = useMemo(() => {
-    const s = summary || mocks.summary;
+    const s = summary || {};
     const parts = [];
     if (s.expenses?.monthTotal > 0) {
       parts.push(`This month’s spend is ${fmt(s.expenses.monthTotal)} (top: ${s.expenses.topCat}).`);
@@ -154,14 +112,16 @@ export default function Dashboard() {
     if (s.insurance?.gaps?.length) {
       parts.push(`Insurance gap noted: ${s.insurance.gaps.join(", ")}.`);
     }
+    const behind = (s.goals || []).filter((g) => g.status === "behind" || g.status === "overdue");
+    if (behind.length) {
+      parts.push(`Goal${behind.length > 1 ? "s" : ""} needing attention: ${behind.map((g) => g.name).join(", ")}.`);
+    }
     if (s.tax?.status === "draft") {
-      parts.push(`Tax status: Draft — estimated due ${fmt(s.tax.estDue)}.`);
+      parts.push(s.tax.estDue != null ? `Tax status: Draft — estimated due ${fmt(s.tax.estDue)}.` : "Tax status: Draft.");
     }
     return parts.join(" ");
   }, [summary]);
 
-  const sum = summary || mocks.summary;
-
   return (
     <div className="p-6 md:p-8 bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 min-h-[calc(100vh-64px)] text-slate-100">
       {/* Header */}
@@ -178,44 +138,70 @@ export default function Dashboard() {
         </p>
       </div>
 
+      {error && (
+        <div className="mb-6 rounded-2xl border border-rose-900/60 bg-rose-950/40 p-4 text-sm text-rose-200">
+          Couldn’t load your data right now. Check your connection and refresh the page.
+        </div>
+      )}
+
+      {isEmpty && (
+        <div className="mb-6 rounded-2xl border border-slate-800 bg-slate-900/60 backdrop-blur shadow-xl p-6 relative overflow-hidden">
+          <Glow />
+          <h2 className="font-semibold text-slate-100">Nothing here yet</h2>
+          <p className="mt-1 text-sm text-slate-400">
+            Your cockpit fills in as you use FinVerse. Log a few expenses, save a budget or investment plan,
+            approve a tax estimate, or run an insurance check to see your numbers here.
+          </p>
+        </div>
+      )}
+
       {/* Summary tiles */}
       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-6">
         <Tile
           icon={<Landmark className="text-rose-300" size={18} />}
           title="Tax Filing"
-          subtitle={taxLatest?.status || sum.tax.status}
-          metric={fmt(taxLatest?.estDue ?? sum.tax.estDue)}
-          to="/tax"
+          subtitle={taxLatest ? `${taxLatest.status} · ${taxLatest.year}` : "No estimate saved"}
+          metric={taxLatest ? fmt(taxLatest.estDue, taxLatest.currency) : "—"}
+          to="/tax-filing"
           loading={loading}
         />
         <Tile
           icon={<ShieldCheck className="text-emerald-300" size={18} />}
           title="Insurance"
-          subtitle={`${insLatest?.policies ?? sum.insurance.policies} policy · ${
-            insLatest?.openActions ?? sum.insurance.openActions
-          } action`}
-          metric={insLatest?.lastCheck ?? sum.insurance.lastCheck}
+          subtitle={
+            insLatest
+              ? `${insLatest.policies} policy · ${insLatest.openActions} action`
+              : "No coverage checks yet"
+          }
+          metric={insLatest ? fmtDate(insLatest.lastCheck) : "—"}
           to="/insurance"
           loading={loading}
         />
         <Tile
           icon={<TrendingUp className="text-cyan-300" size={18} />}
           title="Investments"
-          subtitle={`${sum.investments.savedPlans} plan(s) saved`}
-          metric={fmt(sum.investments.lastProjected)}
+          subtitle={sum.investments ? `${sum.investments.savedPlans} plan(s) saved` : "No plans saved"}
+          metric={sum.investments?.lastProjected != null ? fmt(sum.investments.lastProjected) : "—"}
           to="/investments"
           loading={loading}
         />
         <Tile
           icon={<Wallet2 className="text-indigo-300" size={18} />}
           title="Expenses"
-          subtitle={`Top: ${sum.expenses.topCat}`}
-          metric={fmt(sum.expenses.monthTotal)}
+          subtitle={sum.expenses ? `Top: ${sum.expenses.topCat}` : "Nothing logged this month"}
+          metric={sum.expenses ? fmt(sum.expenses.monthTotal) : "—"}
           to="/expenses"
           loading={loading}
         />
       </div>
 
+      {sum.unconverted?.length > 0 && (
+        <p className="-mt-3 mb-6 text-xs text-amber-300">
+          Amounts in {sum.unconverted.join(", ")} are left out of these figures — no FX rate stored.{" "}
+          <Link to="/account" className="underline">Add rates</Link>
+        </p>
+      )}
+
       <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
         {/* Left: AI Summary + Budget Split */}
         <div className="xl:col-span-2 space-y-6">
@@ -230,10 +216,15 @@ export default function Dashboard() {
               {loading ? (
                 <Skeleton lines={3} />
               ) : (
-                <p className="text-slate-300 text-sm">{aiTip || "All good — no actions needed right now."}</p>
+                <p className="text-slate-300 text-sm">
+                  {aiTip ||
+                    (isEmpty
+                      ? "Once you add data, a short summary of your finances will appear here."
+                      : "All good — no actions needed right now.")}
+                </p>
               )}
               <div className="mt-4 flex flex-wrap gap-3">
-                <Quick to="/tax" label="File / Review Taxes" />
+                <Quick to="/tax-filing" label="File / Review Taxes" />
                 <Quick to="/insurance" label="Check Coverage" />
                 <Quick to="/investments" label="Open Investment Planner" />
                 <Quick to="/expenses" label="Log Expenses" />
@@ -263,9 +254,9 @@ export default function Dashboard() {
                           <span className="text-slate-400">{p.years}y • {(p.cagr * 100).toFixed(1)}% CAGR</span>
                         </div>
                         <div className="text-slate-300">
-                          {fmt(p.monthly)}/mo → Target {fmt(p.projected)}
+                          {fmt(p.monthly, p.currency)}/mo → Target {fmt(p.projected, p.currency)}
                         </div>
-                        {p.savedAt && <div className="text-xs text-slate-500 mt-1">{p.savedAt}</div>}
+                        {p.savedAt && <div className="text-xs text-slate-500 mt-1">{new Date(p.savedAt).toLocaleString()}</div>}
                       </li>
                     ))}
                   </ul>
@@ -289,6 +280,12 @@ export default function Dashboard() {
                         <span className="font-semibold">{fmt(expensesMonthly.monthTotal)}</span>
                       </div>
                     </div>
+                    {expensesMonthly.unconverted?.length > 0 && (
+                      <div className="text-xs text-amber-300">
+                        Excludes {expensesMonthly.unconverted.join(", ")} — no FX rate stored.{" "}
+                        <Link to="/account" className="underline">Add rates</Link>
+                      </div>
+                    )}
                     {Object.entries(expensesMonthly.byCat)
                       .slice(0, 4)
                       .map(([k, v], i) => (
@@ -373,6 +370,31 @@ export default function Dashboard() {
               </Link>
             </div>
           </div>
+
+          {/* Savings goals */}
+          <div className="rounded-2xl border border-slate-800 bg-slate-900/60 backdrop-blur shadow-xl relative overflow-hidden">
+            <Glow />
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <Target className="text-indigo-300" size={18} />
+              <h2 className="font-semibold">Savings Goals</h2>
+            </div>
+            <div className="p-6 space-y-4">
+              {loading ? (
+                <Skeleton lines={4} />
+              ) : sum.goals?.length ? (
+                sum.goals.map((g) => <GoalProgress key={g.id} goal={g} compact />)
+              ) : (
+                <div className="text-sm text-slate-500">No goals yet.</div>
+              )}
+
+              <Link
+                to="/goals"
+                className="inline-flex items-center gap-2 text-sm font-semibold text-slate-100 bg-slate-800 hover:bg-slate-700 px-3 py-2 rounded-lg"
+              >
+                Open Goals <ChevronRight size={16} />
+              </Link>
+            </div>
+          </div>
         </div>
       </div>
     </div>
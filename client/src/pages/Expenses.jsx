@@ -10,7 +10,14 @@ import {
   Info,
   Wand2,
   Save,
+  Upload,
+  ListFilter,
+  Lightbulb,
 } from "lucide-react";
+import { apiGet, apiPost, apiPut, apiDelete } from "../lib/api.js";
+import StatementImport from "../components/StatementImport.jsx";
+import CategoryRules from "../components/CategoryRules.jsx";
+import { fmt, getBaseCurrency, CURRENCIES } from "../lib/money.js";
 
 /**
  * FinVerse — Expenses (Cinematic, Interactive, Persistent)
@@ -18,11 +25,13 @@ import {
  * - Add/Delete expenses live
  * - Monthly summary note (personal context) saved in localStorage
  * - AI Feedback: natural text + mini bars per category
- * - Data persisted in localStorage (no backend required)
+ * - Expenses persisted server-side via /api/expenses (MongoDB, per user)
+ * - Bank statement import (CSV with column mapping, OFX/QFX/QIF) + duplicate detection
+ * - Rule-based auto-categorization; re-categorizing a row can suggest a new rule
+ * - Each expense keeps its own currency; totals use the server's base-currency conversion
  */
 
 const ACCENT = "#635BFF";
-const LS_KEY = "finverse_expenses";
 const LS_NOTE = "finverse_expenses_note";
 
 // Categories & guideline % (rough 50/30/20 inspired)
@@ -38,70 +47,113 @@ const CATEGORIES = [
   { id: "Misc", pct: 0.15 },
 ];
 
-function fmt(n) {
-  if (!isFinite(n)) return "$0";
-  return n.toLocaleString("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-
 export default function Expenses() {
   const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
-  const [category, setCategory] = useState("Food");
+  const [category, setCategory] = useState(""); // "" → auto-categorize by rules
   const [description, setDescription] = useState("");
   const [amount, setAmount] = useState("");
+  const [currency, setCurrency] = useState(getBaseCurrency);
   const [rows, setRows] = useState([]);
   const [note, setNote] = useState("");
   const [tips, setTips] = useState([]); // AI feedback lines
   const [showPanel, setShowPanel] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [rulesVersion, setRulesVersion] = useState(0);
+  const [learn, setLearn] = useState(true);
+  const [suggestion, setSuggestion] = useState(null);
+
+  function loadRows() {
+    apiGet("/api/expenses")
+      .then(setRows)
+      .catch((err) => console.error("Load expenses error:", err));
+  }
 
-  // Load from localStorage
+  // Load expenses from the API, note from localStorage
   useEffect(() => {
-    try {
-      const saved = JSON.parse(localStorage.getItem(LS_KEY) || "[]");
-      setRows(saved);
-    } catch {}
+    loadRows();
     const savedNote = localStorage.getItem(LS_NOTE);
     if (savedNote != null) setNote(savedNote);
   }, []);
 
-  // Persist to localStorage
-  useEffect(() => {
-    localStorage.setItem(LS_KEY, JSON.stringify(rows));
-  }, [rows]);
+  // Persist note to localStorage
   useEffect(() => {
     localStorage.setItem(LS_NOTE, note);
   }, [note]);
 
-  function addRow() {
+  async function addRow() {
     const amt = Number(amount);
-    if (!date || !category || !description || !amt || amt <= 0) return;
-    const entry = {
-      id: cryptoId(),
-      date,
-      category,
-      description,
-      amount: amt,
-    };
-    setRows((r) => [entry, ...r]);
-    setDescription("");
-    setAmount("");
+    if (!date || !description || !amt || amt <= 0) return;
+    try {
+      const entry = await apiPost("/api/expenses", {
+        date,
+        category,
+        description,
+        amount: amt,
+        currency,
+      });
+      setRows((r) => [entry, ...r]);
+      setDescription("");
+      setAmount("");
+    } catch (err) {
+      console.error("Add expense error:", err);
+      alert("Could not save expense. Please try again.");
+    }
+  }
+
+  // Re-categorize a row; optionally ask the server for a rule that would have done it
+  async function recategorize(row, nextCategory) {
+    try {
+      const updated = await apiPut(`/api/expenses/${row._id}`, { category: nextCategory });
+      setRows((r) => r.map((x) => (x._id === row._id ? updated : x)));
+      if (!learn) return;
+      const res = await apiPost("/api/rules/suggest", {
+        description: updated.description,
+        amount: updated.amount,
+        category: nextCategory,
+      });
+      setSuggestion(res.suggestion);
+    } catch (err) {
+      console.error("Recategorize error:", err);
+      alert("Could not update category. Please try again.");
+    }
   }
 
-  function delRow(id) {
-    setRows((r) => r.filter((x) => x.id !== id));
+  async function acceptSuggestion() {
+    try {
+      await apiPost("/api/rules", suggestion);
+      setSuggestion(null);
+      setRulesVersion((v) => v + 1);
+    } catch (err) {
+      console.error("Create rule error:", err);
+      alert("Could not create rule. Please try again.");
+    }
+  }
+
+  async function delRow(id) {
+    try {
+      await apiDelete(`/api/expenses/${id}`);
+      setRows((r) => r.filter((x) => x._id !== id));
+    } catch (err) {
+      console.error("Delete expense error:", err);
+      alert("Could not delete expense. Please try again.");
+    }
   }
 
+  // In base currency; rows without a stored FX rate (baseAmount null) are left out and listed
   const totals = useMemo(() => {
     const byCat = {};
+    const unconverted = new Set();
     let grand = 0;
     rows.forEach((r) => {
-      grand += r.amount;
-      byCat[r.category] = (byCat[r.category] || 0) + r.amount;
+      if (r.baseAmount == null) {
+        unconverted.add(r.currency);
+        return;
+      }
+      grand += r.baseAmount;
+      byCat[r.category] = (byCat[r.category] || 0) + r.baseAmount;
     });
-    return { byCat, grand };
+    return { byCat, grand, unconverted: [...unconverted] };
   }, [rows]);
 
   const bars = useMemo(() => {
@@ -200,7 +252,7 @@ export default function Expenses() {
               <Wallet className="text-indigo-300" size={20} />
               <h2 className="font-semibold">Add Expense</h2>
             </div>
-            <div className="p-6 grid md:grid-cols-4 gap-4">
+            <div className="p-6 grid md:grid-cols-5 gap-4">
               <div>
                 <label className="text-sm text-slate-300">Date</label>
                 <div className="relative">
@@ -221,6 +273,7 @@ export default function Expenses() {
                     value={category}
                     onChange={(e) => setCategory(e.target.value)}
                   >
+                    <option value="">Auto (rules)</option>
                     {CATEGORIES.map((c) => (
                       <option key={c.id} value={c.id}>{c.id}</option>
                     ))}
@@ -242,7 +295,7 @@ export default function Expenses() {
                 </div>
               </div>
               <div>
-                <label className="text-sm text-slate-300">Amount ($)</label>
+                <label className="text-sm text-slate-300">Amount</label>
                 <input
                   type="number"
                   min="0"
@@ -252,7 +305,19 @@ export default function Expenses() {
                   onChange={(e) => setAmount(e.target.value)}
                 />
               </div>
-              <div className="md:col-span-4 flex flex-col sm:flex-row gap-3">
+              <div>
+                <label className="text-sm text-slate-300">Currency</label>
+                <select
+                  className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                >
+                  {CURRENCIES.map((c) => (
+                    <option key={c}>{c}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="md:col-span-5 flex flex-col sm:flex-row gap-3">
                 <button
                   onClick={addRow}
                   className="flex-1 inline-flex items-center justify-center gap-2 font-semibold text-white px-4 py-3 rounded-lg transition shadow-lg"
@@ -267,6 +332,45 @@ export default function Expenses() {
             </div>
           </div>
 
+          {/* Import Card */}
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <Upload className="text-cyan-300" size={20} />
+              <h2 className="font-semibold">Import Bank Statement</h2>
+              <button
+                onClick={() => setShowImport((v) => !v)}
+                className="ml-auto text-sm px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700"
+              >
+                {showImport ? "Close" : "Import Statement"}
+              </button>
+            </div>
+            {showImport && <StatementImport onImported={loadRows} />}
+          </div>
+
+          {/* Rules Card */}
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <ListFilter className="text-indigo-300" size={20} />
+              <h2 className="font-semibold">Categorization Rules</h2>
+              <label className="ml-auto inline-flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={learn}
+                  onChange={(e) => setLearn(e.target.checked)}
+                  className="h-4 w-4 rounded border-slate-700 bg-slate-900"
+                />
+                Learn from my corrections
+              </label>
+              <button
+                onClick={() => setShowRules((v) => !v)}
+                className="text-sm px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700"
+              >
+                {showRules ? "Close" : "Manage"}
+              </button>
+            </div>
+            {showRules && <CategoryRules categories={CATEGORIES.map((c) => c.id)} version={rulesVersion} />}
+          </div>
+
           {/* Table Card */}
           <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl overflow-hidden">
             {/* glow strip */}
@@ -279,9 +383,34 @@ export default function Expenses() {
               <h2 className="font-semibold">Expenses</h2>
               <div className="ml-auto text-sm text-slate-300">
                 Total this month: <b>{totalDisplay}</b>
+                {totals.unconverted.length > 0 && (
+                  <span className="ml-2 text-xs text-amber-300">
+                    excl. {totals.unconverted.join(", ")} (no FX rate)
+                  </span>
+                )}
               </div>
             </div>
 
+            {suggestion && (
+              <div className="mx-6 mt-6 rounded-xl border border-indigo-800 bg-indigo-950/40 p-3 text-sm text-slate-200 flex flex-wrap items-center gap-3">
+                <Lightbulb size={16} className="text-amber-300" />
+                <span>
+                  Create a rule: description contains <b>“{suggestion.conditions[0].value}”</b> →{" "}
+                  <b>{suggestion.category}</b>?
+                </span>
+                <button
+                  onClick={acceptSuggestion}
+                  className="ml-auto px-3 py-1 rounded-lg font-semibold text-white"
+                  style={{ background: ACCENT }}
+                >
+                  Create rule
+                </button>
+                <button onClick={() => setSuggestion(null)} className="px-3 py-1 rounded-lg bg-slate-800 hover:bg-slate-700">
+                  Dismiss
+                </button>
+              </div>
+            )}
+
             <div className="p-6 overflow-x-auto">
               <table className="w-full text-sm">
                 <thead className="text-slate-300">
@@ -302,14 +431,31 @@ export default function Expenses() {
                     </tr>
                   ) : (
                     rows.map((r) => (
-                      <tr key={r.id} className="border-t border-slate-800">
-                        <td className="py-2 pr-4">{r.date}</td>
-                        <td className="py-2 pr-4">{r.category}</td>
+                      <tr key={r._id} className="border-t border-slate-800">
+                        <td className="py-2 pr-4">{r.date.slice(0, 10)}</td>
+                        <td className="py-2 pr-4">
+                          <select
+                            className="rounded-md border border-slate-800 bg-slate-900 px-2 py-1 text-slate-100"
+                            value={r.category}
+                            onChange={(e) => recategorize(r, e.target.value)}
+                          >
+                            {CATEGORIES.map((c) => (
+                              <option key={c.id} value={c.id}>{c.id}</option>
+                            ))}
+                          </select>
+                        </td>
                         <td className="py-2 pr-4">{r.description}</td>
-                        <td className="py-2 pr-4">{fmt(r.amount)}</td>
+                        <td className="py-2 pr-4">
+                          {fmt(r.amount, r.currency, { decimals: 2 })}
+                          {r.currency !== getBaseCurrency() && (
+                            <div className="text-xs text-slate-500">
+                              {r.baseAmount == null ? "no FX rate" : `≈ ${fmt(r.baseAmount)}`}
+                            </div>
+                          )}
+                        </td>
                         <td className="py-2 pr-2 text-right">
                           <button
-                            onClick={() => delRow(r.id)}
+                            onClick={() => delRow(r._id)}
                             className="inline-flex items-center gap-1 px-2 py-1 rounded-md bg-slate-800 hover:bg-slate-700"
                             aria-label="Delete"
                           >
@@ -460,12 +606,6 @@ export default function Expenses() {
   );
 }
 
-/* ---------- tiny helpers ---------- */
-
-function cryptoId() {
-  return Math.random().toString(36).slice(2) + "-" + Date.now().toString(36);
-}
-
 /* tiny fade-in animation */
 if (typeof document !== "undefined" && !document.getElementById("fv-anim-exp")) {
   const style = document.createElement("style");
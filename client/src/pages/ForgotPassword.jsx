@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import AuthCard, { authInputClass, authButtonClass } from "../components/AuthCard.jsx";
+import { apiPost, errorMessage } from "../lib/api.js";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await apiPost("/api/auth/forgot", { email });
+      setSent(true);
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      alert(errorMessage(err, "Server error. Please try again."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <AuthCard title="Reset Password">
+      {sent ? (
+        <p className="text-slate-300 text-sm">
+          If an account exists for <b>{email}</b>, a reset link is on its way. It expires in 30 minutes.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+          <p className="text-slate-400 text-sm">Enter your email and we’ll send you a link to choose a new password.</p>
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={authInputClass}
+            required
+          />
+          <button type="submit" disabled={busy} className={authButtonClass}>
+            Send Reset Link
+          </button>
+        </form>
+      )}
+      <p className="mt-4 text-slate-400 text-sm">
+        <Link to="/login" className="text-indigo-400 hover:text-indigo-300 font-medium">
+          Back to sign in
+        </Link>
+      </p>
+    </AuthCard>
+  );
+}
@@ -0,0 +1,339 @@
+import React, { useEffect, useState } from "react";
+import { Sparkles, Target, Plus, Pencil, Trash2, ListOrdered, Landmark } from "lucide-react";
+import { apiGet, apiPost, apiPut, apiDelete, errorMessage } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
+import GoalProgress from "../components/GoalProgress.jsx";
+
+/**
+ * FinVerse — Savings Goals
+ * - Goals with target amount, deadline, priority and the account the money sits in
+ * - Log contributions (negative = withdrawal); history per goal
+ * - Required monthly contribution and on-track / behind / overdue / achieved status from /api/goals
+ */
+
+const ACCENT = "#635BFF";
+
+const PRIORITIES = ["high", "medium", "low"];
+
+const input = "mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100";
+
+const emptyForm = { name: "", targetAmount: "", deadline: "", priority: "medium", linkedAccount: "" };
+
+export default function Goals() {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null); // goal id while editing
+  const [open, setOpen] = useState(null); // goal id whose contributions are shown
+  const [contributions, setContributions] = useState([]);
+  const [entry, setEntry] = useState({ amount: "", note: "" }); // contribution being logged for `open`
+
+  function load() {
+    apiGet("/api/goals")
+      .then(setGoals)
+      .catch((err) => console.error("Load goals error:", err))
+      .finally(() => setLoading(false));
+  }
+
+  useEffect(load, []);
+
+  // Replace one goal after the server recalculated its progress
+  const replaceGoal = (goal) => setGoals((list) => list.map((g) => (g.id === goal.id ? goal : g)));
+
+  async function saveGoal() {
+    try {
+      if (editing) await apiPut(`/api/goals/${editing}`, form);
+      else await apiPost("/api/goals", form);
+      setForm(emptyForm);
+      setEditing(null);
+      load();
+    } catch (err) {
+      console.error("Save goal error:", err);
+      alert(errorMessage(err, "Could not save the goal."));
+    }
+  }
+
+  function startEdit(g) {
+    setEditing(g.id);
+    setForm({
+      name: g.name,
+      targetAmount: String(g.targetAmount),
+      deadline: String(g.deadline).slice(0, 10),
+      priority: g.priority,
+      linkedAccount: g.linkedAccount || "",
+    });
+  }
+
+  async function removeGoal(g) {
+    if (!confirm(`Delete "${g.name}" and its contributions?`)) return;
+    try {
+      await apiDelete(`/api/goals/${g.id}`);
+      setGoals((list) => list.filter((x) => x.id !== g.id));
+    } catch (err) {
+      console.error("Delete goal error:", err);
+      alert(errorMessage(err, "Could not delete the goal."));
+    }
+  }
+
+  async function toggleContributions(g) {
+    if (open === g.id) return setOpen(null);
+    setOpen(g.id);
+    setContributions([]);
+    setEntry({ amount: "", note: "" });
+    try {
+      setContributions(await apiGet(`/api/goals/${g.id}/contributions`));
+    } catch (err) {
+      console.error("Load contributions error:", err);
+    }
+  }
+
+  async function logContribution() {
+    try {
+      const res = await apiPost(`/api/goals/${open}/contributions`, entry);
+      setContributions((list) => [res.contribution, ...list]);
+      replaceGoal(res.goal);
+      setEntry({ amount: "", note: "" });
+    } catch (err) {
+      console.error("Log contribution error:", err);
+      alert(errorMessage(err, "Could not log the contribution."));
+    }
+  }
+
+  async function removeContribution(c) {
+    try {
+      const res = await apiDelete(`/api/goals/${open}/contributions/${c._id}`);
+      setContributions((list) => list.filter((x) => x._id !== c._id));
+      replaceGoal(res.goal);
+    } catch (err) {
+      console.error("Delete contribution error:", err);
+      alert(errorMessage(err, "Could not delete the contribution."));
+    }
+  }
+
+  const behind = goals.filter((g) => g.status === "behind" || g.status === "overdue").length;
+
+  return (
+    <div className="p-6 md:p-8 bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 min-h-[calc(100vh-64px)] text-slate-100">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-800/60 px-3 py-1 ring-1 ring-slate-700">
+          <Sparkles size={16} className="text-cyan-300" />
+          <span className="text-xs tracking-wide text-slate-300">FinVerse · Savings Goals</span>
+        </div>
+        <h1 className="mt-3 text-3xl md:text-4xl font-semibold bg-gradient-to-r from-cyan-200 to-indigo-300 bg-clip-text text-transparent">
+          Turn plans into progress
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Set a target and a deadline, log what you put aside, and see what each goal needs per month to stay on track.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* LEFT (2/3): goals */}
+        <div className="xl:col-span-2 space-y-4">
+          {!loading && goals.length === 0 && (
+            <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl p-6 text-sm text-slate-400">
+              No goals yet — add one like “Vacation in June” or “House down payment”.
+            </div>
+          )}
+          {goals.length > 0 && (
+            <p className="text-sm text-slate-400">
+              {goals.length} goal(s) · {behind ? `${behind} need attention` : "all on track or done"}
+            </p>
+          )}
+
+          {goals.map((g) => (
+            <div key={g.id} className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl p-5">
+              <GoalProgress goal={g} />
+
+              <div className="mt-3 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                <Figure label="Deadline" value={new Date(g.deadline).toLocaleDateString()} />
+                <Figure
+                  label="Needed / month"
+                  value={g.status === "achieved" ? "—" : fmt(g.requiredMonthly, g.currency, { decimals: 2 })}
+                  hint={g.monthsLeft ? `${g.monthsLeft} month(s) left` : undefined}
+                />
+                <Figure label="Expected by now" value={fmt(g.expected, g.currency)} />
+                <Figure label="Priority" value={<span className="capitalize">{g.priority}</span>} />
+              </div>
+
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                {g.linkedAccount && (
+                  <span className="inline-flex items-center gap-1">
+                    <Landmark size={13} /> {g.linkedAccount}
+                  </span>
+                )}
+                <div className="ml-auto flex gap-1">
+                  <button
+                    onClick={() => toggleContributions(g)}
+                    className={`inline-flex items-center gap-1 px-2 py-1 rounded-lg hover:bg-slate-800 ${
+                      open === g.id ? "bg-slate-800 text-slate-200" : ""
+                    }`}
+                  >
+                    <ListOrdered size={14} /> Contributions
+                  </button>
+                  <button onClick={() => startEdit(g)} title="Edit" className="p-1.5 rounded-lg hover:bg-slate-800">
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={() => removeGoal(g)} title="Delete" className="p-1.5 rounded-lg hover:bg-slate-800 hover:text-rose-400">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+
+              {open === g.id && (
+                <div className="mt-4 rounded-xl border border-slate-800 bg-slate-950/60 p-4 space-y-3 text-sm">
+                  <div className="flex flex-wrap gap-2">
+                    <input
+                      type="number"
+                      placeholder="Amount (− to withdraw)"
+                      className="w-44 rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                      value={entry.amount}
+                      onChange={(e) => setEntry({ ...entry, amount: e.target.value })}
+                    />
+                    <input
+                      placeholder="Note (optional)"
+                      className="flex-1 min-w-[10rem] rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                      value={entry.note}
+                      onChange={(e) => setEntry({ ...entry, note: e.target.value })}
+                    />
+                    <button
+                      onClick={logContribution}
+                      disabled={!Number(entry.amount)}
+                      className="font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                      style={{ background: ACCENT }}
+                    >
+                      Log
+                    </button>
+                  </div>
+                  {contributions.length === 0 ? (
+                    <p className="text-slate-500">No contributions yet.</p>
+                  ) : (
+                    <ul className="divide-y divide-slate-800">
+                      {contributions.map((c) => (
+                        <li key={c._id} className="py-2 flex items-center gap-3">
+                          <span className="text-slate-500 w-24">{new Date(c.date).toLocaleDateString()}</span>
+                          <span className={c.amount < 0 ? "text-rose-300" : "text-emerald-300"}>
+                            {c.amount < 0 ? "−" : "+"}
+                            {fmt(Math.abs(c.amount), g.currency, { decimals: 2 })}
+                          </span>
+                          <span className="flex-1 truncate text-slate-400">{c.note}</span>
+                          <button
+                            onClick={() => removeContribution(c)}
+                            title="Delete"
+                            className="text-slate-500 hover:text-rose-400"
+                          >
+                            <Trash2 size={13} />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* RIGHT (1/3): create / edit */}
+        <div className="space-y-6">
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              {editing ? <Target className="text-indigo-300" size={20} /> : <Plus className="text-indigo-300" size={20} />}
+              <h2 className="font-semibold">{editing ? "Edit Goal" : "New Goal"}</h2>
+            </div>
+            <div className="p-6 space-y-3 text-sm">
+              <div>
+                <label className="text-slate-300">Name</label>
+                <input
+                  className={input}
+                  placeholder="e.g., Vacation in June"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-slate-300">Target amount</label>
+                  <input
+                    type="number"
+                    className={input}
+                    placeholder="e.g., 3000"
+                    value={form.targetAmount}
+                    onChange={(e) => setForm({ ...form, targetAmount: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="text-slate-300">Deadline</label>
+                  <input
+                    type="date"
+                    className={input}
+                    value={form.deadline}
+                    onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-slate-300">Priority</label>
+                  <select
+                    className={`${input} capitalize`}
+                    value={form.priority}
+                    onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                  >
+                    {PRIORITIES.map((p) => (
+                      <option key={p} value={p}>
+                        {p}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-slate-300">Linked account</label>
+                  <input
+                    className={input}
+                    placeholder="e.g., HYSA at Ally"
+                    value={form.linkedAccount}
+                    onChange={(e) => setForm({ ...form, linkedAccount: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="flex gap-2 pt-1">
+                <button
+                  onClick={saveGoal}
+                  disabled={!form.name.trim() || !(Number(form.targetAmount) > 0) || !form.deadline}
+                  className="flex-1 font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                  style={{ background: ACCENT, boxShadow: `0 10px 30px -8px ${ACCENT}66, inset 0 0 0 1px #7F76FF` }}
+                >
+                  {editing ? "Save changes" : "Add goal"}
+                </button>
+                {editing && (
+                  <button
+                    onClick={() => {
+                      setEditing(null);
+                      setForm(emptyForm);
+                    }}
+                    className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* --- tiny helpers --- */
+function Figure({ label, value, hint }) {
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-950/50 p-3">
+      <p className="text-xs uppercase tracking-wide text-slate-400">{label}</p>
+      <p className="mt-1 font-semibold text-slate-100">{value}</p>
+      {hint && <p className="text-[11px] text-slate-500">{hint}</p>}
+    </div>
+  );
+}
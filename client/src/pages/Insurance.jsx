@@ -21,12 +21,15 @@ import {
   Cell,
   Tooltip,
 } from "recharts";
+import { apiPost } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
 
 /**
  * FinVerse — AI Insurance Advisor (Style B)
  * - Professional, dark, glass UI (matches Tax page)
  * - AI-like recommendations (local heuristic now; ready to swap with LLM later)
  * - Governance (HEVIDS), Human Oversight, Audit Log, Explainability
+ * - Each run is recorded via /api/insurance/checks (feeds the Dashboard coverage snapshot)
  */
 
 const CATEGORIES = [
@@ -59,15 +62,6 @@ const PROVIDERS = {
   ],
 };
 
-function fmt(n) {
-  if (isNaN(n)) return "$0";
-  return n.toLocaleString("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-
 export default function Insurance() {
   // Inputs
   const [category, setCategory] = useState("health");
@@ -75,6 +69,7 @@ export default function Insurance() {
   const [dependents, setDependents] = useState("");
   const [income, setIncome] = useState("");
   const [coverageNeeded, setCoverageNeeded] = useState("");
+  const [hasCoverage, setHasCoverage] = useState(false);
 
   // Results / UI state
   const [plans, setPlans] = useState([]);
@@ -183,6 +178,20 @@ export default function Insurance() {
     setPlans(recs.slice(0, 3));
     setExplain(makeExplain(category, a, d, inc, cov));
     addAudit("generate_plans", `${category} • ${recs.length} options`);
+
+    apiPost("/api/insurance/checks", {
+      category,
+      hasCoverage,
+      age: a,
+      dependents: d,
+      income: inc,
+      coverageNeeded: cov,
+      recommendations: recs.slice(0, 3).map(({ provider, estMonthly, confidence }) => ({
+        provider,
+        estMonthly,
+        confidence,
+      })),
+    }).catch((err) => console.error("Save insurance check error:", err));
   }
 
   function makeExplain(cat, a, d, inc, cov) {
@@ -282,6 +291,18 @@ export default function Insurance() {
                   Affordability guide for premium: ~{fmt(affordabilityBand.pct)} / month
                 </p>
               </div>
+              <label className="md:col-span-2 inline-flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={hasCoverage}
+                  onChange={(e) => {
+                    setHasCoverage(e.target.checked);
+                    addAudit("set_has_coverage", e.target.checked ? "yes" : "no");
+                  }}
+                  className="h-4 w-4 rounded border-slate-700 bg-slate-900"
+                />
+                I already have a policy for this type
+              </label>
               <div className="md:col-span-2">
                 <button
                   onClick={generatePlans}
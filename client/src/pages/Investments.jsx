@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   Sparkles,
   Wand2,
@@ -11,55 +11,56 @@ import {
   Info,
   Gauge,
   Rocket,
+  SlidersHorizontal,
+  Target,
 } from "lucide-react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  CartesianGrid,
+} from "recharts";
+import { apiGet, apiPost } from "../lib/api.js";
+import { fmt } from "../lib/money.js";
+import { DEFAULT_ASSUMPTIONS, DEFAULT_RUNS, seededRandom, newSeed, portfolioStats, simulate } from "../lib/monteCarlo.js";
 
 /**
- * FinVerse — AI Investment Planner (Style B, Cinematic, NO Charts)
+ * FinVerse — AI Investment Planner (Style B, Cinematic)
  * - One AI plan at a time: Generate → (Save | Regenerate)
  * - Dark glass UI + blue-lavender glow (#635BFF)
- * - Allocation bars (no charts)
- * - SIP + optional lump sum math for projected value
+ * - Allocation bars
+ * - Monte Carlo projection (SIP + optional lump sum): 10th / 50th / 90th percentile fan chart and
+ *   the probability of reaching a target amount
+ * - Expected return + volatility per asset class are editable (kept in localStorage); the seed makes
+ *   a run reproducible, Regenerate draws a new one
+ * - Saved plans persisted via /api/investments/saved
  */
 
 const ACCENT = "#635BFF"; // blue-lavender glow
+const LS_ASSUMPTIONS = "finverse_mc_assumptions";
 
-function fmt(n) {
-  if (!isFinite(n)) return "$0";
-  return n.toLocaleString("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-
-// Basic CAGR anchors by bias
 const BIAS = {
-  cautious: { range: [0.045, 0.065], label: "Cautious" },
-  balanced: { range: [0.07, 0.095], label: "Balanced" },
-  growth: { range: [0.10, 0.125], label: "Growth" },
+  cautious: { label: "Cautious" },
+  balanced: { label: "Balanced" },
+  growth: { label: "Growth" },
 };
 
-// future value with simple monthly compounding (SIP + lump sum)
-function projectFV({ principal = 0, monthly = 0, years = 0, annualRate = 0.08 }) {
-  const n = Math.max(0, Math.round(years * 12));
-  const i = annualRate / 12;
-
-  const fvPrincipal = principal * Math.pow(1 + annualRate, years);
-  const fvSip = i > 0 ? monthly * ((Math.pow(1 + i, n) - 1) / i) : monthly * n;
-
-  const totalInvested = principal + monthly * n;
-  const projected = fvPrincipal + fvSip;
-  const returns = Math.max(0, projected - totalInvested);
-
-  return { totalInvested, projected, returns };
+function loadAssumptions() {
+  try {
+    return { ...DEFAULT_ASSUMPTIONS, ...JSON.parse(localStorage.getItem(LS_ASSUMPTIONS) || "{}") };
+  } catch {
+    return DEFAULT_ASSUMPTIONS;
+  }
 }
 
-// create a single "AI" plan with gentle randomness
-function generatePlan({ bias, years, monthly, principal }) {
-  const [min, max] = BIAS[bias].range;
-  // Slightly reward longer horizon with higher end of CAGR
-  const horizonBump = Math.min(0.02, Math.max(0, (years - 5) * 0.0015));
-  const cagr = clamp(randRange(min, max) + horizonBump, min, max + 0.01);
+// create a single "AI" plan; the seed drives both the mix jitter and the simulation
+function generatePlan({ bias, years, monthly, principal, target, assumptions, seed }) {
+  const rand = seededRandom(seed);
 
   // Allocation templates influenced by bias; add tiny randomness
   let base = {
@@ -72,7 +73,7 @@ function generatePlan({ bias, years, monthly, principal }) {
 
   // jitter & re-normalize to 100%
   const jittered = Object.fromEntries(
-    Object.entries(base).map(([k, v]) => [k, clamp(v + randRange(-0.02, 0.02), 0, 0.9)])
+    Object.entries(base).map(([k, v]) => [k, clamp(v + (rand() * 0.04 - 0.02), 0, 0.9)])
   );
   const sum = Object.values(jittered).reduce((a, b) => a + b, 0);
   const mix = Object.fromEntries(
@@ -80,33 +81,45 @@ function generatePlan({ bias, years, monthly, principal }) {
   );
 
   // Projection
-  const fv = projectFV({ principal, monthly, years, annualRate: cagr });
+  const { expectedReturn, volatility } = portfolioStats(mix, assumptions);
+  const sim = simulate({ principal, monthly, years, mix, assumptions, target, seed, runs: DEFAULT_RUNS });
+  const totalInvested = principal + monthly * Math.max(0, Math.round(years * 12));
+  const projected = sim.final.p50;
 
   // Rationale
-  const rationale = makeRationale({ bias, years, monthly, cagr, mix });
+  const rationale = makeRationale({ bias, years, monthly, expectedReturn, volatility, mix, sim, target });
 
   return {
     bias,
     years,
     monthly,
     principal,
-    cagr,
+    cagr: expectedReturn,
     mix,
-    ...fv,
+    totalInvested,
+    projected,
+    returns: Math.max(0, projected - totalInvested),
     rationale,
+    bands: sim.bands,
+    assumptions: Object.fromEntries(Object.keys(mix).map((k) => [k, assumptions[k]])),
+    simulation: {
+      seed,
+      runs: sim.runs,
+      target,
+      volatility,
+      ...sim.final,
+      probability: sim.probability,
+    },
   };
 }
 
 function clamp(x, a, b) {
   return Math.min(b, Math.max(a, x));
 }
-function randRange(a, b) {
-  return a + Math.random() * (b - a);
-}
 function pct(n) {
   return `${Math.round(n * 100)}%`;
 }
-function makeRationale({ bias, years, monthly, cagr, mix }) {
+function makeRationale({ bias, years, monthly, expectedReturn, volatility, mix, sim, target }) {
   const biasText =
     bias === "cautious"
       ? "capital preservation with steady income"
@@ -119,10 +132,18 @@ function makeRationale({ bias, years, monthly, cagr, mix }) {
     .map(([k, v]) => `${k} ${pct(v)}`)
     .join(" · ");
 
+  const targetText =
+    sim.probability != null
+      ? ` ${pct(sim.probability)} of the ${sim.runs} simulated paths reach your target of ${fmt(target)}.`
+      : "";
+
   return `This plan targets ${biasText}. Allocation emphasizes ${mixString}.
-Given a ${years}-year horizon and a monthly contribution of ${fmt(monthly)}, the expected CAGR is about ${(cagr * 100).toFixed(
+With an expected return of about ${(expectedReturn * 100).toFixed(1)}% a year and ${(volatility * 100).toFixed(
     1
-  )}% (not guaranteed). Consider annual rebalancing and increasing SIP with income growth.`;
+  )}% volatility, ${years} years of ${fmt(monthly)} a month end between ${fmt(sim.final.p10)} and ${fmt(
+    sim.final.p90
+  )} in 8 of 10 simulated paths (median ${fmt(sim.final.p50)}).${targetText}
+Not guaranteed. Consider increasing SIP with income growth; once you hold the plan, the Portfolio page proposes the trades to rebalance back to this mix.`;
 }
 
 export default function Investments() {
@@ -131,32 +152,66 @@ export default function Investments() {
   const [monthly, setMonthly] = useState("500");
   const [principal, setPrincipal] = useState("0");
   const [bias, setBias] = useState("balanced");
+  const [target, setTarget] = useState("");
+  const [seed, setSeed] = useState(() => String(newSeed()));
+  const [assumptions, setAssumptions] = useState(loadAssumptions);
+  const [showAssumptions, setShowAssumptions] = useState(false);
   // Plan state
   const [plan, setPlan] = useState(null);
   const [loading, setLoading] = useState(false);
   const [saved, setSaved] = useState([]);
 
-  function goGenerate() {
+  useEffect(() => {
+    apiGet("/api/investments/saved")
+      .then(setSaved)
+      .catch((err) => console.error("Load plans error:", err));
+  }, []);
+
+  function goGenerate(runSeed = seed) {
     setLoading(true);
-    // subtle "AI thinking" delay
+    // let the "AI thinking" state paint before the simulation runs
     setTimeout(() => {
       const p = generatePlan({
         bias,
         years: Number(years) || 0,
         monthly: Number(monthly) || 0,
         principal: Number(principal) || 0,
+        target: Number(target) || 0,
+        assumptions,
+        seed: Number(runSeed) || 0,
       });
       setPlan(p);
       setLoading(false);
-    }, 650);
+    }, 50);
   }
 
-  function saveCurrent() {
+  async function saveCurrent() {
     if (!plan) return;
-    setSaved((s) => [{ ...plan, id: cryptoRandom() }, ...s].slice(0, 10));
+    try {
+      const { bands, ...body } = plan;
+      const entry = await apiPost("/api/investments/saved", body);
+      setSaved((s) => [entry, ...s].slice(0, 10));
+    } catch (err) {
+      console.error("Save plan error:", err);
+      alert("Could not save plan. Please try again.");
+    }
   }
   function regenerate() {
-    goGenerate();
+    const next = String(newSeed());
+    setSeed(next);
+    goGenerate(next);
+  }
+
+  function setAssumption(name, field, value) {
+    setAssumptions((a) => {
+      const next = { ...a, [name]: { ...a[name], [field]: Number(value) / 100 || 0 } };
+      localStorage.setItem(LS_ASSUMPTIONS, JSON.stringify(next));
+      return next;
+    });
+  }
+  function resetAssumptions() {
+    localStorage.removeItem(LS_ASSUMPTIONS);
+    setAssumptions(DEFAULT_ASSUMPTIONS);
   }
 
   return (
@@ -240,9 +295,78 @@ export default function Investments() {
                 </select>
               </div>
 
+              <div>
+                <label className="text-sm text-slate-300">Target Amount ($, optional)</label>
+                <div className="relative">
+                  <input
+                    type="number"
+                    min="0"
+                    className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                    placeholder="e.g., 250000"
+                    value={target}
+                    onChange={(e) => setTarget(e.target.value)}
+                  />
+                  <Target size={16} className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500" />
+                </div>
+              </div>
+
+              <div>
+                <label className="text-sm text-slate-300">Simulation Seed</label>
+                <input
+                  type="number"
+                  min="0"
+                  className="mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                />
+              </div>
+
+              <div className="md:col-span-2">
+                <button
+                  onClick={() => setShowAssumptions((v) => !v)}
+                  className="inline-flex items-center gap-2 text-sm text-slate-300 hover:text-slate-100"
+                >
+                  <SlidersHorizontal size={16} /> {showAssumptions ? "Hide" : "Edit"} return &amp; volatility assumptions
+                </button>
+                {showAssumptions && (
+                  <div className="mt-3 rounded-xl border border-slate-800 bg-slate-950/60 p-4">
+                    <div className="grid grid-cols-3 gap-3 text-xs uppercase tracking-wide text-slate-400 mb-2">
+                      <span>Asset class</span>
+                      <span>Expected return (%/yr)</span>
+                      <span>Volatility (%/yr)</span>
+                    </div>
+                    <div className="space-y-2">
+                      {Object.keys(DEFAULT_ASSUMPTIONS).map((name) => (
+                        <div key={name} className="grid grid-cols-3 gap-3 items-center text-sm">
+                          <span className="text-slate-300">{name}</span>
+                          <input
+                            type="number"
+                            step="0.1"
+                            className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-slate-100"
+                            value={Math.round(assumptions[name].expectedReturn * 1000) / 10}
+                            onChange={(e) => setAssumption(name, "expectedReturn", e.target.value)}
+                          />
+                          <input
+                            type="number"
+                            step="0.1"
+                            min="0"
+                            className="rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-slate-100"
+                            value={Math.round(assumptions[name].volatility * 1000) / 10}
+                            onChange={(e) => setAssumption(name, "volatility", e.target.value)}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <button onClick={resetAssumptions} className="mt-3 text-xs text-indigo-300 hover:text-indigo-200">
+                      Reset to defaults
+                    </button>
+                  </div>
+                )}
+              </div>
+
               <div className="md:col-span-2 mt-2 flex flex-col sm:flex-row gap-3">
                 <button
-                  onClick={goGenerate}
+                  onClick={() => goGenerate()}
                   className="flex-1 inline-flex items-center justify-center gap-2 font-semibold text-white px-4 py-3 rounded-lg transition shadow-lg"
                   style={{
                     background: ACCENT,
@@ -302,11 +426,16 @@ export default function Investments() {
               {/* Left: numbers */}
               <div className="grid grid-cols-2 gap-4">
                 <Metric label="Total Invested" value={fmt(plan?.totalInvested || 0)} />
-                <Metric label="Projected Value" value={fmt(plan?.projected || 0)} />
-                <Metric label="Expected Returns" value={fmt(plan?.returns || 0)} />
+                <Metric label="Median Outcome (P50)" value={fmt(plan?.simulation.p50 || 0)} />
+                <Metric label="Pessimistic (P10)" value={fmt(plan?.simulation.p10 || 0)} />
+                <Metric label="Optimistic (P90)" value={fmt(plan?.simulation.p90 || 0)} />
                 <Metric
-                  label="CAGR (est.)"
-                  value={plan ? `${(plan.cagr * 100).toFixed(1)}%` : "—"}
+                  label="Return / Volatility"
+                  value={plan ? `${(plan.cagr * 100).toFixed(1)}% / ${(plan.simulation.volatility * 100).toFixed(1)}%` : "—"}
+                />
+                <Metric
+                  label="Chance of Target"
+                  value={plan?.simulation.probability != null ? pct(plan.simulation.probability) : "—"}
                 />
               </div>
 
@@ -357,6 +486,21 @@ export default function Investments() {
                 />
               </div>
             </div>
+
+            {plan && (
+              <div className="px-6 pb-6">
+                <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-4">
+                  <div className="flex items-center gap-2 text-slate-300">
+                    <TrendingUp size={18} className="text-indigo-300" />
+                    <span className="font-semibold">Projection Range</span>
+                    <span className="ml-auto text-xs text-slate-500">
+                      {plan.simulation.runs} paths · seed {plan.simulation.seed}
+                    </span>
+                  </div>
+                  <FanChart bands={plan.bands} target={plan.simulation.target} />
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -379,12 +523,21 @@ export default function Investments() {
                           {BIAS[s.bias].label} · {s.years}y
                         </span>
                         <span className="text-slate-400">
-                          {fmt(s.monthly)}/mo • CAGR {(s.cagr * 100).toFixed(1)}%
+                          {fmt(s.monthly, s.currency)}/mo • {s.simulation ? "Exp. return" : "CAGR"} {(s.cagr * 100).toFixed(1)}%
                         </span>
                       </div>
                       <div className="text-slate-300">
-                        Invested {fmt(s.totalInvested)} → Target {fmt(s.projected)}
+                        Invested {fmt(s.totalInvested, s.currency)} → {s.simulation ? "Median" : "Target"}{" "}
+                        {fmt(s.projected, s.currency)}
                       </div>
+                      {s.simulation && (
+                        <div className="text-xs text-slate-500">
+                          P10 {fmt(s.simulation.p10, s.currency)} · P90 {fmt(s.simulation.p90, s.currency)}
+                          {s.simulation.probability != null &&
+                            ` · ${pct(s.simulation.probability)} reach ${fmt(s.simulation.target, s.currency)}`}
+                          {` · seed ${s.simulation.seed}`}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -401,6 +554,10 @@ export default function Investments() {
               <p>
                 These are estimates for planning only. Market returns vary; fees and taxes can change outcomes.
               </p>
+              <p>
+                Projections simulate {DEFAULT_RUNS} market paths from the return and volatility assumptions. The shaded band holds
+                8 of every 10 outcomes; asset classes are treated as independent, so real downturns can be deeper.
+              </p>
               <p>
                 For a deeper experience later, we can connect this to a backend + OpenAI for real conversational advice and persistence in MongoDB.
               </p>
@@ -423,6 +580,33 @@ function Metric({ label, value }) {
   );
 }
 
+// 10th–90th percentile band around the median, with the amount invested and the target for reference
+function FanChart({ bands, target }) {
+  const data = bands.map((b) => ({ ...b, range: [b.p10, b.p90] }));
+  return (
+    <div className="mt-3 h-72">
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={data} margin={{ top: 8, right: 8, left: 8, bottom: 0 }}>
+          <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+          <XAxis dataKey="year" stroke="#64748b" tickFormatter={(y) => `${Math.round(y)}y`} />
+          <YAxis stroke="#64748b" tickFormatter={(n) => fmt(n)} width={84} />
+          <Tooltip
+            contentStyle={{ background: "#0f172a", border: "1px solid #1e293b", borderRadius: 8 }}
+            labelFormatter={(y) => `Year ${Math.round(y * 10) / 10}`}
+            formatter={(v, name) => [Array.isArray(v) ? `${fmt(v[0])} – ${fmt(v[1])}` : fmt(v), name]}
+          />
+          <Area dataKey="range" name="P10 – P90" stroke="none" fill={ACCENT} fillOpacity={0.25} />
+          <Line dataKey="p50" name="Median" stroke="#22d3ee" strokeWidth={2} dot={false} />
+          <Line dataKey="invested" name="Invested" stroke="#94a3b8" strokeDasharray="4 4" dot={false} />
+          {target > 0 && (
+            <ReferenceLine y={target} stroke="#34d399" strokeDasharray="6 3" label={{ value: "Target", fill: "#34d399", fontSize: 12 }} />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
 function Explain({ text }) {
   return (
     <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-4">
@@ -435,11 +619,6 @@ function Explain({ text }) {
   );
 }
 
-function cryptoRandom() {
-  // simple unique id for saved plans
-  return Math.random().toString(36).slice(2) + Date.now().toString(36);
-}
-
 /* tiny fade-in animation */
 const style = document.createElement("style");
 style.innerHTML = `
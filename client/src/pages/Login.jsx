@@ -1,13 +1,26 @@
 import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import { saveSession } from "../lib/api.js";
 
 const ACCENT = "#635BFF";
 
 export default function Login() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [challengeToken, setChallengeToken] = useState(null); // set when the account has 2FA on
+  const [code, setCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
   const navigate = useNavigate();
 
+  const finish = (data) => {
+    // ✅ Store tokens & force redirect to home
+    saveSession(data);
+    if (data.recoveryCodesLeft !== undefined && data.recoveryCodesLeft < 3) {
+      alert(`Only ${data.recoveryCodesLeft} recovery code(s) left. Generate new ones from your Account page.`);
+    }
+    navigate("/", { replace: true }); // 🔥 Always go to home
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -20,10 +33,10 @@ export default function Login() {
 
       const data = await res.json();
 
-      if (res.ok) {
-        // ✅ Store token & force redirect to home
-        localStorage.setItem("token", data.token);
-        navigate("/", { replace: true }); // 🔥 Always go to home
+      if (res.ok && data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+      } else if (res.ok) {
+        finish(data);
       } else {
         alert(data.message || "Invalid credentials");
       }
@@ -33,6 +46,32 @@ export default function Login() {
     }
   };
 
+  const handleCode = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await fetch(`${import.meta.env.VITE_API_URL}/api/auth/login/2fa`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(useRecovery ? { challengeToken, recoveryCode: code } : { challengeToken, code }),
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        finish(data);
+      } else if (res.status === 401) {
+        // challenge expired — start over from the password step
+        alert(data.message);
+        setChallengeToken(null);
+        setCode("");
+      } else {
+        alert(data.message || "Invalid authentication code");
+      }
+    } catch (err) {
+      console.error("Login 2FA error:", err);
+      alert("Server error. Please try again.");
+    }
+  };
+
   return (
     <div className="relative flex items-center justify-center min-h-screen overflow-hidden bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 text-white">
       <div
@@ -44,30 +83,72 @@ export default function Login() {
         <h1 className="text-3xl font-semibold mb-6 bg-gradient-to-r from-indigo-300 to-cyan-300 bg-clip-text text-transparent">
           Welcome Back
         </h1>
-        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
-          <input
-            type="email"
-            placeholder="Email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            className="px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400"
-            required
-          />
-          <input
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            className="px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400"
-            required
-          />
-          <button
-            type="submit"
-            className="mt-3 bg-indigo-500 hover:bg-indigo-600 transition-all duration-300 text-white font-medium py-3 rounded-lg shadow-lg"
-          >
-            Sign In
-          </button>
-        </form>
+        {challengeToken ? (
+          <form onSubmit={handleCode} className="flex flex-col gap-4">
+            <p className="text-slate-400 text-sm">
+              {useRecovery
+                ? "Enter one of your recovery codes."
+                : "Enter the 6-digit code from your authenticator app."}
+            </p>
+            <input
+              type="text"
+              inputMode={useRecovery ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              placeholder={useRecovery ? "xxxx-xxxx" : "123456"}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 text-center tracking-widest placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              autoFocus
+              required
+            />
+            <button
+              type="submit"
+              className="mt-3 bg-indigo-500 hover:bg-indigo-600 transition-all duration-300 text-white font-medium py-3 rounded-lg shadow-lg"
+            >
+              Verify
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecovery((v) => !v);
+                setCode("");
+              }}
+              className="text-sm text-indigo-400 hover:text-indigo-300"
+            >
+              {useRecovery ? "Use authenticator code" : "Use a recovery code"}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+            <input
+              type="email"
+              placeholder="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              required
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              required
+            />
+            <button
+              type="submit"
+              className="mt-3 bg-indigo-500 hover:bg-indigo-600 transition-all duration-300 text-white font-medium py-3 rounded-lg shadow-lg"
+            >
+              Sign In
+            </button>
+          </form>
+        )}
+        <p className="mt-4 text-sm">
+          <Link to="/forgot-password" className="text-indigo-400 hover:text-indigo-300">
+            Forgot password?
+          </Link>
+        </p>
         <p className="mt-4 text-slate-400 text-sm">
           No account?{" "}
           <Link to="/register" className="text-indigo-400 hover:text-indigo-300 font-medium">
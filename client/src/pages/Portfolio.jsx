@@ -0,0 +1,624 @@
+import React, { useEffect, useState } from "react";
+import { Sparkles, Briefcase, Plus, Trash2, Upload, Tag, PieChart, ChevronDown, ChevronRight, AlertTriangle } from "lucide-react";
+import { apiGet, apiPost, apiPut, apiDelete, errorMessage } from "../lib/api.js";
+import { fmt, CURRENCIES, getBaseCurrency } from "../lib/money.js";
+import HoldingLots from "../components/HoldingLots.jsx";
+import Rebalancer from "../components/Rebalancer.jsx";
+
+/**
+ * FinVerse — Portfolio
+ * - What the user actually owns: accounts → holdings → buy / sell transactions (/api/portfolio)
+ * - Tax lots per holding (FIFO or specific ID), average cost, realized and unrealized gains
+ * - Prices entered by hand or uploaded as CSV (symbol,date,price[,currency]), so it works offline; without a
+ *   stored price a holding is valued at its last trade
+ * - Actual allocation by asset class vs the `mix` of a saved investment plan
+ * - Rebalancing calculator: proposed trades back to that mix (or a custom one)
+ */
+
+const ACCENT = "#635BFF";
+
+const ASSET_CLASSES = ["Equity", "Bonds", "Gold", "Real Estate", "Crypto", "Cash"];
+const ACCOUNT_KINDS = ["brokerage", "retirement", "crypto", "other"];
+
+const input = "mt-1 w-full rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100";
+
+const emptyHolding = { accountId: "", symbol: "", name: "", assetClass: "Equity", lotMethod: "fifo" };
+
+const signed = (n, currency) => `${n < 0 ? "−" : "+"}${fmt(Math.abs(n), currency)}`;
+const tone = (n) => (n < 0 ? "text-rose-300" : "text-emerald-300");
+
+export default function Portfolio() {
+  const [summary, setSummary] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [planId, setPlanId] = useState("");
+  const [open, setOpen] = useState(null); // holding id whose lots are shown
+  const [accountForm, setAccountForm] = useState({ name: "", kind: "brokerage", currency: getBaseCurrency() });
+  const [holdingForm, setHoldingForm] = useState(emptyHolding);
+  const [prices, setPrices] = useState([]);
+  const [priceForm, setPriceForm] = useState({
+    symbol: "",
+    date: new Date().toISOString().slice(0, 10),
+    price: "",
+    currency: "",
+  });
+  const [uploadResult, setUploadResult] = useState(null);
+
+  function load() {
+    apiGet(`/api/portfolio${planId ? `?planId=${planId}` : ""}`)
+      .then(setSummary)
+      .catch((err) => console.error("Load portfolio error:", err));
+  }
+
+  function loadPrices() {
+    apiGet("/api/portfolio/prices")
+      .then(setPrices)
+      .catch((err) => console.error("Load prices error:", err));
+  }
+
+  useEffect(load, [planId]);
+
+  useEffect(() => {
+    loadPrices();
+    apiGet("/api/investments/saved")
+      .then(setPlans)
+      .catch((err) => console.error("Load plans error:", err));
+  }, []);
+
+  async function addAccount() {
+    try {
+      const account = await apiPost("/api/portfolio/accounts", accountForm);
+      setAccountForm((f) => ({ ...f, name: "" }));
+      setHoldingForm((f) => ({ ...f, accountId: account._id }));
+      load();
+    } catch (err) {
+      console.error("Save account error:", err);
+      alert(errorMessage(err, "Could not add the account."));
+    }
+  }
+
+  async function removeAccount(a) {
+    if (!confirm(`Delete "${a.name}" with its holdings and transactions?`)) return;
+    try {
+      await apiDelete(`/api/portfolio/accounts/${a.id}`);
+      load();
+    } catch (err) {
+      console.error("Delete account error:", err);
+      alert(errorMessage(err, "Could not delete the account."));
+    }
+  }
+
+  async function addHolding() {
+    try {
+      await apiPost("/api/portfolio/holdings", holdingForm);
+      setHoldingForm((f) => ({ ...emptyHolding, accountId: f.accountId }));
+      load();
+    } catch (err) {
+      console.error("Save holding error:", err);
+      alert(errorMessage(err, "Could not add the holding."));
+    }
+  }
+
+  async function updateHolding(h, changes) {
+    try {
+      await apiPut(`/api/portfolio/holdings/${h.id}`, changes);
+      load();
+    } catch (err) {
+      console.error("Update holding error:", err);
+      alert(errorMessage(err, "Could not update the holding."));
+    }
+  }
+
+  async function removeHolding(h) {
+    if (!confirm(`Delete ${h.symbol} and its transactions?`)) return;
+    try {
+      await apiDelete(`/api/portfolio/holdings/${h.id}`);
+      if (open === h.id) setOpen(null);
+      load();
+    } catch (err) {
+      console.error("Delete holding error:", err);
+      alert(errorMessage(err, "Could not delete the holding."));
+    }
+  }
+
+  async function addPrice() {
+    try {
+      await apiPost("/api/portfolio/prices", { ...priceForm, price: Number(priceForm.price) });
+      setPriceForm((f) => ({ ...f, price: "" }));
+      loadPrices();
+      load();
+    } catch (err) {
+      console.error("Save price error:", err);
+      alert(errorMessage(err, "Could not save the price."));
+    }
+  }
+
+  async function uploadPrices(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setUploadResult(await apiPost("/api/portfolio/prices/upload", { content: await file.text() }));
+      loadPrices();
+      load();
+    } catch (err) {
+      console.error("Upload prices error:", err);
+      alert(errorMessage(err, "Could not upload prices."));
+    }
+  }
+
+  async function removePrice(id) {
+    try {
+      await apiDelete(`/api/portfolio/prices/${id}`);
+      setPrices((list) => list.filter((p) => p._id !== id));
+      load();
+    } catch (err) {
+      console.error("Delete price error:", err);
+    }
+  }
+
+  const base = summary?.currency;
+  const accounts = summary?.accounts || [];
+  const allocation = summary?.allocation;
+  const broken = accounts.flatMap((a) => a.holdings).filter((h) => h.error);
+
+  return (
+    <div className="p-6 md:p-8 bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 min-h-[calc(100vh-64px)] text-slate-100">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-800/60 px-3 py-1 ring-1 ring-slate-700">
+          <Sparkles size={16} className="text-cyan-300" />
+          <span className="text-xs tracking-wide text-slate-300">FinVerse · Portfolio</span>
+        </div>
+        <h1 className="mt-3 text-3xl md:text-4xl font-semibold bg-gradient-to-r from-cyan-200 to-indigo-300 bg-clip-text text-transparent">
+          What you actually own
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Record buys and sells per account, track cost basis lot by lot, and see how far your real allocation has drifted from your plan.
+        </p>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <Metric label="Market Value" value={fmt(summary?.totals.marketValue || 0, base)} />
+        <Metric label="Cost Basis" value={fmt(summary?.totals.costBasis || 0, base)} />
+        <Metric
+          label="Unrealized Gain"
+          value={<span className={tone(summary?.totals.unrealized || 0)}>{signed(summary?.totals.unrealized || 0, base)}</span>}
+        />
+        <Metric
+          label="Realized Gain"
+          value={<span className={tone(summary?.totals.realized || 0)}>{signed(summary?.totals.realized || 0, base)}</span>}
+        />
+      </div>
+
+      {(summary?.unpriced.length > 0 || summary?.unconverted.length > 0 || broken.length > 0) && (
+        <div className="mb-6 rounded-xl border border-amber-800/60 bg-amber-950/30 p-4 text-sm text-amber-200 space-y-1">
+          {summary.unpriced.length > 0 && (
+            <p className="flex items-center gap-2">
+              <AlertTriangle size={14} /> No price or trade to value {summary.unpriced.join(", ")}.
+            </p>
+          )}
+          {summary.unconverted.length > 0 && (
+            <p className="flex items-center gap-2">
+              <AlertTriangle size={14} /> No exchange rate for {summary.unconverted.join(", ")} → {base} or the holding account's
+              currency; those values are left out (add one under Account).
+            </p>
+          )}
+          {broken.map((h) => (
+            <p key={h.id} className="flex items-center gap-2">
+              <AlertTriangle size={14} /> {h.symbol}: {h.error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* LEFT (2/3): allocation + accounts */}
+        <div className="xl:col-span-2 space-y-6">
+          {/* Allocation vs plan */}
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <PieChart className="text-indigo-300" size={20} />
+              <h2 className="font-semibold">Allocation vs Plan</h2>
+              <select
+                className="ml-auto rounded-lg border border-slate-700 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+                value={planId || allocation?.plan?.id || ""}
+                onChange={(e) => setPlanId(e.target.value)}
+              >
+                {plans.length === 0 && <option value="">No saved plan</option>}
+                {plans.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.bias} · {p.years}y · saved {new Date(p.savedAt).toLocaleDateString()}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="p-6 space-y-3 text-sm">
+              {!allocation?.rows.length ? (
+                <p className="text-slate-500">Add holdings with transactions to see your allocation.</p>
+              ) : (
+                allocation.rows.map((r) => (
+                  <div key={r.assetClass}>
+                    <div className="flex justify-between text-slate-300">
+                      <span>{r.assetClass}</span>
+                      <span>
+                        {r.actualPct}%{r.targetPct != null && <span className="text-slate-500"> / plan {r.targetPct}%</span>}
+                        {r.driftPct != null && r.driftPct !== 0 && (
+                          <span className={`ml-2 ${Math.abs(r.driftPct) >= 5 ? "text-amber-300" : "text-slate-500"}`}>
+                            {r.driftPct > 0 ? "+" : ""}
+                            {r.driftPct} pts
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                    <div className="relative h-2 w-full bg-slate-800 rounded-full overflow-hidden">
+                      <div className="h-full" style={{ width: `${r.actualPct}%`, background: ACCENT }} />
+                    </div>
+                    {r.targetPct != null && (
+                      <div className="mt-0.5 h-1 w-full bg-slate-800/60 rounded-full overflow-hidden">
+                        <div className="h-full bg-slate-500" style={{ width: `${r.targetPct}%` }} />
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+              {allocation?.rows.length > 0 && !allocation.plan && (
+                <p className="text-xs text-slate-500">Save a plan on the Investments page to compare against its mix.</p>
+              )}
+            </div>
+          </div>
+
+          {summary && accounts.some((a) => a.holdings.length) && (
+            <Rebalancer planId={planId || allocation?.plan?.id} hasPlan={Boolean(allocation?.plan)} />
+          )}
+
+          {/* Accounts */}
+          {summary && accounts.length === 0 && (
+            <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl p-6 text-sm text-slate-400">
+              No accounts yet — add your brokerage or retirement account on the right, then its holdings.
+            </div>
+          )}
+          {accounts.map((a) => (
+            <div key={a.id} className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+              <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+                <Briefcase className="text-cyan-300" size={20} />
+                <h2 className="font-semibold">{a.name}</h2>
+                <span className="text-xs rounded-full px-2 py-0.5 bg-slate-800 text-slate-400 capitalize">{a.kind}</span>
+                <span className="ml-auto text-sm text-slate-300">{fmt(a.marketValue, a.currency)}</span>
+                <button onClick={() => removeAccount(a)} title="Delete" className="p-1.5 rounded-lg hover:bg-slate-800 hover:text-rose-400">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              <div className="p-6 text-sm overflow-x-auto">
+                {a.holdings.length === 0 ? (
+                  <p className="text-slate-500">No holdings in this account yet.</p>
+                ) : (
+                  <table className="w-full">
+                    <thead className="text-xs text-slate-400">
+                      <tr className="text-left">
+                        <th className="py-2 pr-3 font-normal">Holding</th>
+                        <th className="py-2 pr-3 font-normal text-right">Quantity</th>
+                        <th className="py-2 pr-3 font-normal text-right">Avg cost</th>
+                        <th className="py-2 pr-3 font-normal text-right">Price</th>
+                        <th className="py-2 pr-3 font-normal text-right">Value</th>
+                        <th className="py-2 pr-3 font-normal text-right">Unrealized</th>
+                        <th className="py-2 pr-3 font-normal text-right">Realized</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {a.holdings.map((h) => (
+                        <React.Fragment key={h.id}>
+                          <tr className="border-t border-slate-800">
+                            <td className="py-2 pr-3">
+                              <button
+                                onClick={() => setOpen(open === h.id ? null : h.id)}
+                                className="inline-flex items-center gap-1 font-medium text-slate-200 hover:text-white"
+                              >
+                                {open === h.id ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                                {h.symbol}
+                              </button>
+                              <div className="text-xs text-slate-500">
+                                {h.name && `${h.name} · `}
+                                <select
+                                  className="bg-transparent text-slate-500"
+                                  value={h.assetClass}
+                                  onChange={(e) => updateHolding(h, { assetClass: e.target.value })}
+                                >
+                                  {ASSET_CLASSES.map((c) => (
+                                    <option key={c}>{c}</option>
+                                  ))}
+                                </select>
+                                <select
+                                  className="bg-transparent text-slate-500"
+                                  value={h.lotMethod}
+                                  onChange={(e) => updateHolding(h, { lotMethod: e.target.value })}
+                                >
+                                  <option value="fifo">FIFO</option>
+                                  <option value="specific">Specific ID</option>
+                                </select>
+                              </div>
+                            </td>
+                            <td className="py-2 pr-3 text-right">{h.quantity.toLocaleString(undefined, { maximumFractionDigits: 8 })}</td>
+                            <td className="py-2 pr-3 text-right">{fmt(h.avgCost, a.currency, { decimals: 2 })}</td>
+                            <td className="py-2 pr-3 text-right">
+                              {h.price == null ? "—" : fmt(h.price, a.currency, { decimals: 2 })}
+                              {h.priceDate && (
+                                <div className="text-[11px] text-slate-500">
+                                  {h.priceSource === "trade" ? "last trade " : ""}
+                                  {new Date(h.priceDate).toLocaleDateString()}
+                                </div>
+                              )}
+                            </td>
+                            <td className="py-2 pr-3 text-right">{h.marketValue == null ? "—" : fmt(h.marketValue, a.currency)}</td>
+                            <td className={`py-2 pr-3 text-right ${tone(h.unrealized || 0)}`}>
+                              {h.unrealized == null ? "—" : signed(h.unrealized, a.currency)}
+                              {h.unrealizedPct != null && <div className="text-[11px]">{h.unrealizedPct}%</div>}
+                            </td>
+                            <td className={`py-2 pr-3 text-right ${tone(h.realized)}`}>{h.realized ? signed(h.realized, a.currency) : "—"}</td>
+                            <td className="py-2 text-right">
+                              <button onClick={() => removeHolding(h)} title="Delete" className="p-1 rounded hover:bg-slate-800 hover:text-rose-400">
+                                <Trash2 size={14} />
+                              </button>
+                            </td>
+                          </tr>
+                          {open === h.id && (
+                            <tr>
+                              <td colSpan={8} className="pb-4">
+                                <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-4">
+                                  <HoldingLots holding={h} currency={a.currency} onChange={load} />
+                                </div>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* RIGHT (1/3): forms + prices */}
+        <div className="space-y-6">
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <Plus className="text-indigo-300" size={20} />
+              <h2 className="font-semibold">Add Account</h2>
+            </div>
+            <div className="p-6 space-y-3 text-sm">
+              <div>
+                <label className="text-slate-300">Name</label>
+                <input
+                  className={input}
+                  placeholder="e.g., Vanguard Brokerage"
+                  value={accountForm.name}
+                  onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-slate-300">Type</label>
+                  <select
+                    className={`${input} capitalize`}
+                    value={accountForm.kind}
+                    onChange={(e) => setAccountForm({ ...accountForm, kind: e.target.value })}
+                  >
+                    {ACCOUNT_KINDS.map((k) => (
+                      <option key={k} value={k}>
+                        {k}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-slate-300">Currency</label>
+                  <select
+                    className={input}
+                    value={accountForm.currency}
+                    onChange={(e) => setAccountForm({ ...accountForm, currency: e.target.value })}
+                  >
+                    {CURRENCIES.map((c) => (
+                      <option key={c}>{c}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <button
+                onClick={addAccount}
+                disabled={!accountForm.name.trim()}
+                className="w-full font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                style={{ background: ACCENT }}
+              >
+                Add account
+              </button>
+            </div>
+          </div>
+
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <Plus className="text-indigo-300" size={20} />
+              <h2 className="font-semibold">Add Holding</h2>
+            </div>
+            <div className="p-6 space-y-3 text-sm">
+              <div>
+                <label className="text-slate-300">Account</label>
+                <select
+                  className={input}
+                  value={holdingForm.accountId}
+                  onChange={(e) => setHoldingForm({ ...holdingForm, accountId: e.target.value })}
+                >
+                  <option value="">Choose…</option>
+                  {accounts.map((a) => (
+                    <option key={a.id} value={a.id}>
+                      {a.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-slate-300">Symbol</label>
+                  <input
+                    className={`${input} uppercase`}
+                    placeholder="e.g., VTI"
+                    value={holdingForm.symbol}
+                    onChange={(e) => setHoldingForm({ ...holdingForm, symbol: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="text-slate-300">Name</label>
+                  <input
+                    className={input}
+                    placeholder="optional"
+                    value={holdingForm.name}
+                    onChange={(e) => setHoldingForm({ ...holdingForm, name: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-slate-300">Asset class</label>
+                  <select
+                    className={input}
+                    value={holdingForm.assetClass}
+                    onChange={(e) => setHoldingForm({ ...holdingForm, assetClass: e.target.value })}
+                  >
+                    {ASSET_CLASSES.map((c) => (
+                      <option key={c}>{c}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-slate-300">Lot method</label>
+                  <select
+                    className={input}
+                    value={holdingForm.lotMethod}
+                    onChange={(e) => setHoldingForm({ ...holdingForm, lotMethod: e.target.value })}
+                  >
+                    <option value="fifo">FIFO</option>
+                    <option value="specific">Specific ID</option>
+                  </select>
+                </div>
+              </div>
+              <button
+                onClick={addHolding}
+                disabled={!holdingForm.accountId || !holdingForm.symbol.trim()}
+                className="w-full font-semibold text-white px-4 py-2 rounded-lg disabled:opacity-50"
+                style={{ background: ACCENT }}
+              >
+                Add holding
+              </button>
+            </div>
+          </div>
+
+          {/* Prices */}
+          <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+            <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+              <Tag className="text-cyan-300" size={20} />
+              <h2 className="font-semibold">Prices</h2>
+              <label className="ml-auto inline-flex items-center gap-2 text-sm px-3 py-1.5 rounded-lg bg-slate-800 hover:bg-slate-700 cursor-pointer">
+                <Upload size={14} /> Upload CSV
+                <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={uploadPrices} />
+              </label>
+            </div>
+            <div className="p-6 space-y-4 text-sm">
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100 uppercase"
+                  placeholder="Symbol"
+                  value={priceForm.symbol}
+                  onChange={(e) => setPriceForm({ ...priceForm, symbol: e.target.value })}
+                />
+                <input
+                  type="date"
+                  className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                  value={priceForm.date}
+                  onChange={(e) => setPriceForm({ ...priceForm, date: e.target.value })}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="Price"
+                  className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                  value={priceForm.price}
+                  onChange={(e) => setPriceForm({ ...priceForm, price: e.target.value })}
+                />
+                <select
+                  className="rounded-lg border border-slate-700 bg-slate-900 px-3 py-2 text-slate-100"
+                  value={priceForm.currency}
+                  onChange={(e) => setPriceForm({ ...priceForm, currency: e.target.value })}
+                >
+                  <option value="">Account currency</option>
+                  {CURRENCIES.map((c) => (
+                    <option key={c}>{c}</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                onClick={addPrice}
+                disabled={!priceForm.symbol.trim() || priceForm.price === ""}
+                className="w-full inline-flex items-center justify-center gap-1 font-semibold text-white px-3 py-2 rounded-lg disabled:opacity-50"
+                style={{ background: ACCENT }}
+              >
+                <Plus size={14} /> Add Price
+              </button>
+
+              <p className="text-xs text-slate-500">
+                CSV columns: <code>symbol,date,price[,currency]</code> (e.g. <code>VTI,2024-05-01,251.30,USD</code>). A header row is
+                optional; a price for the same symbol and day replaces the stored one. Without a currency a price is read in the
+                currency of the accounts holding the symbol, and rejected when those accounts use different currencies.
+              </p>
+
+              {uploadResult && (
+                <div className="rounded-lg border border-slate-800 bg-slate-950/60 p-3">
+                  Saved {uploadResult.saved} price(s).
+                  {uploadResult.errors.length > 0 && (
+                    <ul className="mt-1 text-xs text-rose-300">
+                      {uploadResult.errors.slice(0, 5).map((e) => (
+                        <li key={e.line}>Line {e.line}: {e.message}</li>
+                      ))}
+                      {uploadResult.errors.length > 5 && <li>…and {uploadResult.errors.length - 5} more</li>}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {prices.length === 0 ? (
+                <p className="text-slate-500">No prices yet. Holdings are valued at their last trade until you add one.</p>
+              ) : (
+                <ul className="divide-y divide-slate-800 max-h-72 overflow-y-auto">
+                  {prices.map((p) => (
+                    <li key={p._id} className="py-1.5 flex items-center gap-3">
+                      <span className="w-16 font-medium text-slate-200">{p.symbol}</span>
+                      <span className="text-slate-500">{p.date.slice(0, 10)}</span>
+                      <span className="ml-auto text-slate-300">
+                        {p.price} {p.currency && <span className="text-xs text-slate-500">{p.currency}</span>}
+                      </span>
+                      <button onClick={() => removePrice(p._id)} className="p-1 rounded hover:bg-slate-800" aria-label="Delete price">
+                        <Trash2 size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* --- tiny helpers --- */
+function Metric({ label, value }) {
+  return (
+    <div className="rounded-xl border border-slate-800 bg-slate-900/60 p-4">
+      <p className="text-xs uppercase tracking-wide text-slate-400">{label}</p>
+      <p className="mt-1 text-lg font-semibold text-slate-100">{value}</p>
+    </div>
+  );
+}
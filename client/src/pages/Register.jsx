@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
+import { saveSession } from "../lib/api.js";
 
 const ACCENT = "#635BFF";
 
@@ -20,7 +21,7 @@ export default function Register({ setUser }) {
       });
       const data = await res.json();
       if (res.ok) {
-        localStorage.setItem("token", data.token);
+        saveSession(data);
         setUser(data.user);
         navigate("/dashboard"); // ✅ redirect to dashboard
       } else {
@@ -61,10 +62,11 @@ export default function Register({ setUser }) {
           />
           <input
             type="password"
-            placeholder="Password"
+            placeholder="Password (8+ characters)"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             className="px-4 py-3 rounded-lg bg-slate-800/80 text-slate-200 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            minLength={8}
             required
           />
           <button
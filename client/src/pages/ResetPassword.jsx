@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import AuthCard, { authInputClass, authButtonClass } from "../components/AuthCard.jsx";
+import { apiPost, errorMessage } from "../lib/api.js";
+
+export default function ResetPassword() {
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [busy, setBusy] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) return alert("Passwords do not match.");
+    setBusy(true);
+    try {
+      await apiPost("/api/auth/reset", { token, password });
+      alert("Password updated. Please sign in with your new password.");
+      navigate("/login", { replace: true });
+    } catch (err) {
+      console.error("Reset password error:", err);
+      alert(errorMessage(err, "Server error. Please try again."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <AuthCard title="Choose a Password">
+      {token ? (
+        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+          <input
+            type="password"
+            placeholder="New password (8+ characters)"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={authInputClass}
+            minLength={8}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            className={authInputClass}
+            required
+          />
+          <button type="submit" disabled={busy} className={authButtonClass}>
+            Update Password
+          </button>
+          <p className="text-slate-500 text-xs">You’ll be signed out on every device.</p>
+        </form>
+      ) : (
+        <p className="text-slate-300 text-sm">This link is missing its token. Request a new one below.</p>
+      )}
+      <p className="mt-4 text-slate-400 text-sm">
+        <Link to="/forgot-password" className="text-indigo-400 hover:text-indigo-300 font-medium">
+          Request a new link
+        </Link>
+      </p>
+    </AuthCard>
+  );
+}
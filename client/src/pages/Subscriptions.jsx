@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { Sparkles, Repeat, TrendingUp, AlertTriangle, Check, X, Ban, RotateCcw } from "lucide-react";
+import { apiGet, apiPut } from "../lib/api.js";
+import { fmt, getBaseCurrency } from "../lib/money.js";
+
+/**
+ * FinVerse — Subscriptions
+ * - Recurring charges detected from the expense ledger (weekly / monthly / annual)
+ * - Next expected charge, annualized cost, price-increase flags
+ * - Charges stay in their own currency; totals are converted to the base currency
+ * - Confirm, dismiss or mark cancelled; cancelled items that keep billing are flagged
+ */
+
+const ACCENT = "#635BFF";
+
+const STATUS_STYLES = {
+  suggested: "bg-slate-800 text-slate-300",
+  confirmed: "bg-emerald-900/60 text-emerald-300",
+  cancelled: "bg-slate-800 text-slate-500",
+  dismissed: "bg-slate-800 text-slate-500",
+};
+
+function day(d) {
+  return new Date(d).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+export default function Subscriptions() {
+  const [data, setData] = useState({
+    currency: getBaseCurrency(),
+    patterns: [],
+    annualTotal: 0,
+    monthlyTotal: 0,
+    unconverted: [],
+  });
+  const [showDismissed, setShowDismissed] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  function load() {
+    setLoading(true);
+    apiGet(`/api/subscriptions${showDismissed ? "?all=1" : ""}`)
+      .then(setData)
+      .catch((err) => console.error("Load subscriptions error:", err))
+      .finally(() => setLoading(false));
+  }
+
+  useEffect(load, [showDismissed]);
+
+  async function setStatus(p, status) {
+    try {
+      await apiPut(`/api/subscriptions/${encodeURIComponent(p.key)}`, { status });
+      load();
+    } catch (err) {
+      console.error("Update subscription error:", err);
+      alert("Could not update subscription. Please try again.");
+    }
+  }
+
+  const increases = data.patterns.filter((p) => p.priceIncrease && p.status !== "cancelled");
+
+  return (
+    <div className="p-6 md:p-8 bg-gradient-to-b from-slate-950 via-slate-900 to-slate-900 min-h-[calc(100vh-64px)] text-slate-100">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="inline-flex items-center gap-2 rounded-full bg-slate-800/60 px-3 py-1 ring-1 ring-slate-700">
+          <Sparkles size={16} className="text-cyan-300" />
+          <span className="text-xs tracking-wide text-slate-300">FinVerse · Subscriptions</span>
+        </div>
+        <h1 className="mt-3 text-3xl md:text-4xl font-semibold bg-gradient-to-r from-cyan-200 to-indigo-300 bg-clip-text text-transparent">
+          Know what repeats, and what it really costs
+        </h1>
+        <p className="mt-2 text-slate-400">
+          Recurring charges are detected from your expenses. Confirm the ones you keep, dismiss false matches.
+        </p>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <Tile
+          label="Monthly recurring"
+          value={fmt(data.monthlyTotal, data.currency, { decimals: 2 })}
+          hint={data.unconverted.length > 0 ? `excl. ${data.unconverted.join(", ")} (no FX rate)` : undefined}
+        />
+        <Tile label="Annualized" value={fmt(data.annualTotal, data.currency, { decimals: 2 })} />
+        <Tile
+          label="Price increases"
+          value={increases.length}
+          hint={increases.length ? increases.map((p) => p.merchant).join(", ") : "None detected"}
+        />
+      </div>
+
+      <div className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl">
+        <div className="p-6 border-b border-slate-800 flex items-center gap-2">
+          <Repeat className="text-indigo-300" size={20} />
+          <h2 className="font-semibold">Recurring Charges</h2>
+          <label className="ml-auto inline-flex items-center gap-2 text-sm text-slate-300">
+            <input
+              type="checkbox"
+              checked={showDismissed}
+              onChange={(e) => setShowDismissed(e.target.checked)}
+              className="h-4 w-4 rounded border-slate-700 bg-slate-900"
+            />
+            Show dismissed
+          </label>
+        </div>
+
+        <div className="p-6 overflow-x-auto">
+          {loading ? (
+            <p className="text-slate-500 text-sm">Scanning your expenses…</p>
+          ) : data.patterns.length === 0 ? (
+            <p className="text-slate-500 text-sm">
+              No recurring charges found yet. Patterns appear after a few charges from the same merchant.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="text-slate-300">
+                <tr className="text-left">
+                  <th className="py-2 pr-4">Merchant</th>
+                  <th className="py-2 pr-4">Cadence</th>
+                  <th className="py-2 pr-4 text-right">Amount</th>
+                  <th className="py-2 pr-4">Next charge</th>
+                  <th className="py-2 pr-4 text-right">Per year</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {data.patterns.map((p) => (
+                  <tr key={p.key} className="border-t border-slate-800">
+                    <td className="py-3 pr-4">
+                      <div className="font-medium text-slate-100">{p.merchant}</div>
+                      <div className="text-xs text-slate-500">
+                        {p.category} · {p.occurrences} charges · last {day(p.lastDate)}
+                      </div>
+                    </td>
+                    <td className="py-3 pr-4 capitalize">{p.cadence}</td>
+                    <td className="py-3 pr-4 text-right">
+                      {fmt(p.amount, p.currency, { decimals: 2 })}
+                      {p.priceIncrease && (
+                        <div
+                          className="inline-flex items-center gap-1 ml-2 text-xs text-amber-300"
+                          title={`Was ${fmt(p.typicalAmount, p.currency, { decimals: 2 })}`}
+                        >
+                          <TrendingUp size={12} /> from {fmt(p.typicalAmount, p.currency, { decimals: 2 })}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4">{p.status === "cancelled" ? "—" : day(p.nextDate)}</td>
+                    <td className="py-3 pr-4 text-right">
+                      {fmt(p.annualCost, p.currency, { decimals: 2 })}
+                      {p.currency !== data.currency && (
+                        <div className="text-xs text-slate-500">
+                          {p.baseAnnualCost == null ? "no FX rate" : `≈ ${fmt(p.baseAnnualCost, data.currency, { decimals: 2 })}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${STATUS_STYLES[p.status]}`}>
+                        {p.status}
+                      </span>
+                      {p.chargedAfterCancel && (
+                        <div className="mt-1 inline-flex items-center gap-1 text-xs text-rose-300">
+                          <AlertTriangle size={12} /> Charged after cancelling
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3">
+                      <div className="flex justify-end gap-1">
+                        {p.status !== "confirmed" && (
+                          <IconButton label="Confirm" onClick={() => setStatus(p, "confirmed")}>
+                            <Check size={14} />
+                          </IconButton>
+                        )}
+                        {p.status !== "cancelled" && (
+                          <IconButton label="Mark cancelled" onClick={() => setStatus(p, "cancelled")}>
+                            <Ban size={14} />
+                          </IconButton>
+                        )}
+                        {p.status !== "dismissed" && (
+                          <IconButton label="Dismiss" onClick={() => setStatus(p, "dismissed")}>
+                            <X size={14} />
+                          </IconButton>
+                        )}
+                        {p.status !== "suggested" && (
+                          <IconButton label="Reset" onClick={() => setStatus(p, "suggested")}>
+                            <RotateCcw size={14} />
+                          </IconButton>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Tile({ label, value, hint }) {
+  return (
+    <div
+      className="rounded-2xl bg-slate-900/60 backdrop-blur border border-slate-800 shadow-xl p-5"
+      style={{ boxShadow: `inset 0 1px 0 ${ACCENT}55` }}
+    >
+      <div className="text-sm text-slate-400">{label}</div>
+      <div className="mt-1 text-2xl font-semibold text-indigo-200">{value}</div>
+      {hint && <div className="mt-1 text-xs text-slate-500 truncate">{hint}</div>}
+    </div>
+  );
+}
+
+function IconButton({ label, onClick, children }) {
+  return (
+    <button onClick={onClick} title={label} aria-label={label} className="p-1.5 rounded hover:bg-slate-800">
+      {children}
+    </button>
+  );
+}
@@ -17,15 +17,20 @@ import {
   Cell,
   Tooltip,
 } from "recharts";
+import { apiPost } from "../lib/api.js";
+import { fmt as formatMoney } from "../lib/money.js";
 
 /**
  * FinVerse — AI Tax Copilot (US Edition, Style B)
- * - USD throughout
+ * - USD throughout (US federal figures, regardless of the profile's base currency)
  * - 2024 US Federal brackets (Single / MFJ / HOH)
  * - Standard vs Itemized deductions
  * - EISM/HEVIDS UI: Transparency, Governance badges, Human Oversight, Audit log
+ * - Approved estimates saved as drafts via /api/tax
  */
 
+const fmt = (n) => formatMoney(n, "USD");
+
 const STD_DEDUCTION_2024 = {
   single: 14600,
   married: 29200, // Married Filing Jointly
@@ -64,15 +69,6 @@ const BRACKETS_2024 = {
   ],
 };
 
-function fmt(n) {
-  if (isNaN(n)) return "$0";
-  return n.toLocaleString("en-US", {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-
 export default function TaxFiling() {
   // Inputs
   const [filingStatus, setFilingStatus] = useState("single");
@@ -181,6 +177,30 @@ export default function TaxFiling() {
     ]);
   }
 
+  async function approveEstimate() {
+    if (!(Number(income) > 0)) {
+      alert("Enter your annual income first.");
+      return;
+    }
+    try {
+      await apiPost("/api/tax", {
+        status: "draft",
+        filingStatus,
+        regime,
+        income: Number(income),
+        deduction: deductionUsed,
+        taxable,
+        tax,
+        effRate,
+        currency: "USD",
+      });
+      addAudit("approve_summary", "User approved AI estimate (draft saved)");
+    } catch (err) {
+      console.error("Save tax estimate error:", err);
+      addAudit("approve_failed", "Draft could not be saved");
+    }
+  }
+
   function handleUpload(e) {
     const files = Array.from(e.target.files || []);
     setDocs(files.map((f) => f.name));
@@ -333,13 +353,7 @@ export default function TaxFiling() {
                       ))}
                     </Pie>
                     <Tooltip
-                      formatter={(v) =>
-                        v.toLocaleString("en-US", {
-                          style: "currency",
-                          currency: "USD",
-                          maximumFractionDigits: 0,
-                        })
-                      }
+                      formatter={(v) => fmt(v)}
                     />
                   </PieChart>
                 </ResponsiveContainer>
@@ -425,7 +439,7 @@ export default function TaxFiling() {
 
               {/* Approve action (placeholder) */}
               <button
-                onClick={() => addAudit("approve_summary", "User approved AI estimate")}
+                onClick={approveEstimate}
                 className="w-full mt-2 rounded-lg bg-indigo-600 px-4 py-2 font-semibold text-white hover:bg-indigo-700"
               >
                 Approve AI Estimate (Save Draft)
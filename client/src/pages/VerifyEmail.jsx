@@ -0,0 +1,39 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import AuthCard from "../components/AuthCard.jsx";
+import { apiPost, errorMessage } from "../lib/api.js";
+
+export default function VerifyEmail() {
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const [status, setStatus] = useState(token ? "pending" : "error");
+  const [message, setMessage] = useState(token ? "" : "This link is missing its token.");
+  const sent = useRef(false); // tokens are single-use; don't post twice under StrictMode
+
+  useEffect(() => {
+    if (!token || sent.current) return;
+    sent.current = true;
+    apiPost("/api/auth/verify", { token })
+      .then(() => setStatus("ok"))
+      .catch((err) => {
+        console.error("Verify email error:", err);
+        setStatus("error");
+        setMessage(errorMessage(err, "Could not verify your email."));
+      });
+  }, [token]);
+
+  return (
+    <AuthCard title="Verify Email">
+      <p className="text-slate-300 text-sm">
+        {status === "pending" && "Confirming your email…"}
+        {status === "ok" && "Thanks — your email address is confirmed."}
+        {status === "error" && `${message} You can send a new link from your Account page.`}
+      </p>
+      <p className="mt-4 text-slate-400 text-sm">
+        <Link to={localStorage.getItem("token") ? "/" : "/login"} className="text-indigo-400 hover:text-indigo-300 font-medium">
+          Continue to FinVerse
+        </Link>
+      </p>
+    </AuthCard>
+  );
+}
@@ -3,17 +3,53 @@ import cors from 'cors'
 import dotenv from 'dotenv'
 import mongoose from 'mongoose'
 import authRoutes from './routes/auth.js'
+import twoFactorRoutes from './routes/twoFactor.js'
 import chatbotRoutes from './routes/chatbot.js'
+import expenseRoutes from './routes/expenses.js'
+import investmentRoutes from './routes/investments.js'
+import budgetRoutes from './routes/budget.js'
+import envelopeRoutes from './routes/envelopes.js'
+import goalRoutes from './routes/goals.js'
+import portfolioRoutes from './routes/portfolio.js'
+import taxRoutes from './routes/tax.js'
+import insuranceRoutes from './routes/insurance.js'
+import summaryRoutes from './routes/summary.js'
+import importRoutes from './routes/imports.js'
+import ruleRoutes from './routes/rules.js'
+import subscriptionRoutes from './routes/subscriptions.js'
+import fxRoutes from './routes/fx.js'
+import usageRoutes from './routes/usage.js'
+import authMiddleware from './middleware/authMiddleware.js'
 
 dotenv.config()
 
 const app = express()            // ✅ app created first
+// Behind a reverse proxy set TRUST_PROXY (hop count or subnet list) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY)
+}
 app.use(cors())
-app.use(express.json())
+app.use(express.json({ limit: '2mb' })) // statement imports post whole files
 
 // ✅ register routes after app exists
+app.use('/api/auth/2fa', authMiddleware, twoFactorRoutes)
 app.use('/api/auth', authRoutes)
-app.use('/api/chat', chatbotRoutes)
+app.use('/api/chat', authMiddleware, chatbotRoutes)
+app.use('/api/expenses', authMiddleware, expenseRoutes)
+app.use('/api/investments', authMiddleware, investmentRoutes)
+app.use('/api/budget', authMiddleware, budgetRoutes)
+app.use('/api/envelopes', authMiddleware, envelopeRoutes)
+app.use('/api/goals', authMiddleware, goalRoutes)
+app.use('/api/portfolio', authMiddleware, portfolioRoutes)
+app.use('/api/tax', authMiddleware, taxRoutes)
+app.use('/api/insurance', authMiddleware, insuranceRoutes)
+app.use('/api/summary', authMiddleware, summaryRoutes)
+app.use('/api/imports', authMiddleware, importRoutes)
+app.use('/api/rules', authMiddleware, ruleRoutes)
+app.use('/api/subscriptions', authMiddleware, subscriptionRoutes)
+app.use('/api/fx', authMiddleware, fxRoutes)
+app.use('/api/usage', authMiddleware, usageRoutes)
 
 app.get('/', (_req, res) => res.json({ status: 'ok', service: 'finserv-server' }))
 
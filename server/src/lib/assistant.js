@@ -0,0 +1,52 @@
+import { getProvider } from './llm/index.js'
+import { toolDeclarations, runTool } from './chatTools.js'
+import { createRedactor, logRedactions } from './redaction.js'
+import { recordUsage } from './usage.js'
+
+/**
+ * Tool loop for the chat assistant: ask the model, run the tools it calls against the user's
+ * own data, send the results back, and repeat until it answers in text (at most MAX_TOOL_ROUNDS
+ * rounds of calls). Returns { text, sources } where `sources` lists the tool results used,
+ * de-duplicated by label, for citations.
+ * Sensitive values in the prompt and in tool results (free text such as a goal's linked account)
+ * are masked before they leave the server and restored in the reply (see redaction.js).
+ * Token usage of every model call is recorded against the user (see usage.js).
+ */
+
+const MAX_TOOL_ROUNDS = 4
+
+export async function runAssistant({ userId, conversationId, system, messages, stream = false, signal, onText, onTool }) {
+  const llm = getProvider()
+  const redactor = createRedactor()
+  const audit = { userId, conversationId, feature: 'chat', provider: llm.name }
+  const history = messages.map(m => (m.text ? { ...m, text: redactor.redact(m.text) } : m))
+  const safeSystem = redactor.redact(system)
+  await logRedactions(redactor, audit)
+
+  const write = onText && redactor.restoreStream(onText)
+  const sources = []
+
+  for (let round = 0; ; round++) {
+    const ask = stream ? llm.stream : llm.generate
+    // The last round offers no tools, which forces a text answer
+    const tools = round < MAX_TOOL_ROUNDS ? toolDeclarations : undefined
+    // The request itself was counted by quotaMiddleware; a failed or stopped call keeps that count
+    const turn = await ask({ system: safeSystem, messages: history, tools, signal, onText: write })
+    await recordUsage(userId, turn.usage)
+    write?.flush()
+    if (!turn.calls.length) return { text: redactor.restore(turn.text), sources }
+
+    const results = []
+    for (const call of turn.calls) {
+      const result = { ...(await runTool(userId, call)), id: call.id }
+      results.push(result)
+      if (result.source && !sources.some(s => s.label === result.source)) {
+        sources.push({ tool: result.name, label: result.source })
+        onTool?.({ tool: result.name, label: result.source })
+      }
+    }
+    const safeResults = results.map(r => ({ ...r, result: redactor.redactDeep(r.result) }))
+    await logRedactions(redactor, audit)
+    history.push({ content: turn.content }, ...llm.toolResults(safeResults).map(content => ({ content })))
+  }
+}
@@ -0,0 +1,36 @@
+import crypto from 'crypto'
+import AuthToken from '../models/AuthToken.js'
+
+/**
+ * Single-use, expiring tokens sent by email. Issuing a new token for a purpose retires the
+ * user's earlier unused ones, so only the latest link works.
+ */
+
+export const TOKEN_TTL_MINUTES = { reset: 30, verify: 48 * 60 }
+
+function hash(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex')
+}
+
+export async function issueToken(userId, purpose) {
+  await AuthToken.updateMany({ userId, purpose, usedAt: { $exists: false } }, { usedAt: new Date() })
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await AuthToken.create({
+    userId,
+    purpose,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+  })
+  return token
+}
+
+// Mark the token used and return it, or null when unknown / expired / already used
+export function consumeToken(token, purpose) {
+  if (!token) return null
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hash(token), purpose, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  )
+}
@@ -0,0 +1,121 @@
+import User from '../models/User.js'
+import BudgetPlan from '../models/BudgetPlan.js'
+import { EXPENSE_CATEGORIES } from './categories.js'
+import { monthlyExpenses, toSavedBudget } from './summary.js'
+import { loadConverter } from './fx.js'
+import { parseMonth, monthKey } from './dates.js'
+
+/**
+ * Budget vs actual: the user's active Budget Planner split compared with what Expenses recorded.
+ * Each expense category counts towards one bucket; buckets no category maps to (Savings and
+ * Investments by default) show the planned amount only.
+ */
+
+export const BUDGET_BUCKETS = ['Essentials', 'Savings', 'Investments', 'Lifestyle']
+
+// Expense category → budget bucket, unless the user picked another bucket for it
+export const DEFAULT_BUCKET_OF = {
+  Housing: 'Essentials',
+  Food: 'Essentials',
+  Utilities: 'Essentials',
+  Transport: 'Essentials',
+  Health: 'Essentials',
+  Insurance: 'Essentials',
+  Education: 'Essentials',
+  Entertainment: 'Lifestyle',
+  Misc: 'Lifestyle'
+}
+
+const round2 = n => Math.round(n * 100) / 100
+
+// Full category → bucket map with the user's overrides (a Mongoose Map or plain object) applied
+export function bucketMapping(overrides) {
+  const custom = overrides instanceof Map ? Object.fromEntries(overrides) : overrides || {}
+  return Object.fromEntries(EXPENSE_CATEGORIES.map(c => [c, custom[c] || DEFAULT_BUCKET_OF[c]]))
+}
+
+// Validate { Category: Bucket, ... } → { mapping } (only entries that differ from the default) or { error }
+export function readBucketMapping(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Mapping must be an object' }
+  const mapping = {}
+  for (const [category, bucket] of Object.entries(body)) {
+    if (!EXPENSE_CATEGORIES.includes(category)) return { error: `Unknown category: ${category}` }
+    if (!BUDGET_BUCKETS.includes(bucket)) return { error: `Unknown bucket: ${bucket}` }
+    if (bucket !== DEFAULT_BUCKET_OF[category]) mapping[category] = bucket
+  }
+  return { mapping }
+}
+
+// How far into `start`'s month `now` is: { daysElapsed, daysInMonth } (0 for future months)
+function monthProgress(start, now) {
+  const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)).getUTCDate()
+  const key = monthKey(start)
+  const current = monthKey(now)
+  if (key < current) return { daysElapsed: daysInMonth, daysInMonth }
+  if (key > current) return { daysElapsed: 0, daysInMonth }
+  return { daysElapsed: now.getUTCDate(), daysInMonth }
+}
+
+/**
+ * { month, monthName, currency, budget, planUnconverted, daysElapsed, daysInMonth, buckets, totals, unconverted }
+ * buckets: [{ bucket, categories, tracked, planned, actual, remaining, projected, overrun }]
+ * `projected` extends the month's spending pace to month end; `overrun` is how far that lands over plan.
+ * With no active plan `budget` is null and planned figures are 0; the same goes for a plan saved in a
+ * currency without a stored rate, which is named in `planUnconverted`.
+ */
+export async function budgetVsActual(userId, month, now = new Date()) {
+  const start = parseMonth(month) || parseMonth()
+  const [fx, user] = await Promise.all([
+    loadConverter(userId),
+    User.findById(userId).select('activeBudget budgetBuckets')
+  ])
+  const [budget, expenses] = await Promise.all([
+    user?.activeBudget ? BudgetPlan.findOne({ _id: user.activeBudget, userId }) : null,
+    monthlyExpenses(userId, monthKey(start), fx)
+  ])
+
+  const mapping = bucketMapping(user?.budgetBuckets)
+  const { daysElapsed, daysInMonth } = monthProgress(start, now)
+  const pace = daysElapsed ? daysInMonth / daysElapsed : 0
+
+  // The plan's income is in the currency it was saved in
+  const converted = budget ? fx.convert(budget.income, budget.currency, start) : 0
+  const income = converted ?? 0
+
+  const buckets = BUDGET_BUCKETS.map(bucket => {
+    const categories = EXPENSE_CATEGORIES.filter(c => mapping[c] === bucket)
+    const planned = round2((income * (budget?.plan?.[bucket] || 0)) / 100)
+    const tracked = categories.length > 0
+    if (!tracked) return { bucket, categories, tracked, planned, actual: null, remaining: null, projected: null, overrun: null }
+
+    const actual = round2(categories.reduce((sum, c) => sum + (expenses.byCat[c] || 0), 0))
+    const projected = round2(actual * pace)
+    return {
+      bucket,
+      categories,
+      tracked,
+      planned,
+      actual,
+      remaining: round2(planned - actual),
+      projected,
+      overrun: round2(Math.max(0, projected - planned))
+    }
+  })
+
+  const spending = buckets.filter(b => b.tracked)
+  const sum = key => round2(spending.reduce((s, b) => s + b[key], 0))
+
+  return {
+    month: monthKey(start),
+    monthName: expenses.month,
+    currency: fx.baseCurrency,
+    budget: budget && toSavedBudget(budget, budget._id),
+    planUnconverted: converted == null ? budget.currency : null,
+    daysElapsed,
+    daysInMonth,
+    buckets,
+    // Spending buckets only; Savings/Investments are money set aside, not spent
+    totals: { planned: sum('planned'), actual: sum('actual'), remaining: sum('remaining'), projected: sum('projected') },
+    unconverted: expenses.unconverted
+  }
+}
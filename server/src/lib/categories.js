@@ -0,0 +1,55 @@
+// Expense categories — kept in sync with CATEGORIES in client/src/pages/Expenses.jsx
+export const EXPENSE_CATEGORIES = [
+  'Housing',
+  'Food',
+  'Utilities',
+  'Transport',
+  'Health',
+  'Insurance',
+  'Education',
+  'Entertainment',
+  'Misc'
+]
+
+// Keywords in a bank's own category label (QIF "L" field, e.g. "Auto:Fuel") → our category.
+// Whole words only ("Healthcare" is not "car", "Vegas" is not "gas"); the more specific categories come first.
+const BANK_CATEGORY_KEYWORDS = [
+  ['Insurance', /\binsurance\b/i],
+  ['Health', /\b(health\w*|medic\w*|doctors?|dental|pharmacy|fitness|gym)\b/i],
+  ['Utilities', /\b(utilit\w*|electric\w*|water|gas bill|internet|phone|mobile|cable)\b/i],
+  ['Housing', /\b(rent|mortgage|home|housing|hoa|property)\b/i],
+  ['Food', /\b(food|grocer\w*|dining|restaurants?|coffee|meals?)\b/i],
+  ['Transport', /\b(auto\w*|cars?|fuel|gas|gasoline|transport\w*|travel|parking|transit|taxis?|rides?)\b/i],
+  ['Education', /\b(education|tuition|schools?|books?|courses?)\b/i],
+  ['Entertainment', /\b(entertain\w*|movies?|music|stream\w*|recreation|hobb(y|ies)|games?|subscript\w*)\b/i]
+]
+
+// OFX <SIC> / card MCC ranges → our category
+const SIC_RANGES = [
+  ['Housing', 6513, 6514],
+  ['Food', 5411, 5499],
+  ['Food', 5811, 5814],
+  ['Utilities', 4812, 4900],
+  ['Transport', 4111, 4131],
+  ['Transport', 5511, 5599],
+  ['Transport', 7511, 7549],
+  ['Health', 8011, 8099],
+  ['Health', 5912, 5912],
+  ['Insurance', 6300, 6411],
+  ['Education', 8211, 8299],
+  ['Entertainment', 7832, 7999]
+]
+
+// Map a bank-supplied category label or SIC code onto EXPENSE_CATEGORIES ('Misc' when unknown)
+export function mapBankCategory({ bankCategory, sic } = {}) {
+  if (bankCategory) {
+    const hit = BANK_CATEGORY_KEYWORDS.find(([, re]) => re.test(bankCategory))
+    if (hit) return hit[0]
+  }
+  const code = Number(sic)
+  if (code) {
+    const hit = SIC_RANGES.find(([, lo, hi]) => code >= lo && code <= hi)
+    if (hit) return hit[0]
+  }
+  return 'Misc'
+}
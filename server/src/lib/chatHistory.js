@@ -0,0 +1,88 @@
+import Message from '../models/Message.js'
+import { getProvider } from './llm/index.js'
+import { createRedactor, logRedactions } from './redaction.js'
+import { recordUsage } from './usage.js'
+
+/**
+ * Bounded prompt context for a conversation: the running summary (as system text) plus the
+ * turns after it, capped at CONTEXT_MESSAGES. Once more than SUMMARIZE_AFTER turns sit outside
+ * the summary, everything but the newest KEEP_RECENT is folded into it with one model call.
+ */
+
+const CONTEXT_MESSAGES = 20
+const SUMMARIZE_AFTER = 30
+const KEEP_RECENT = 10
+const TITLE_LENGTH = 60
+
+export const SYSTEM_PROMPT =
+  'You are FinVerse Assistant, a helpful personal-finance assistant. Give clear, practical answers ' +
+  'about budgeting, saving, investing, taxes and insurance. You are not a licensed advisor; say so ' +
+  'when a question needs one. When a question is about the user\'s own money, call the tools to read ' +
+  'their data instead of guessing, and cite every figure you use with the tool result\'s source label ' +
+  'in brackets, e.g. "You spent $412 on Food [Expenses, 2026-10]". If a tool finds nothing, say so. ' +
+  'Personal details such as [EMAIL_1] or [CARD_1] are masked; repeat those placeholders exactly when you need them.'
+
+function unsummarized(conversation) {
+  const filter = { conversationId: conversation._id }
+  if (conversation.summarizedUntil) filter.createdAt = { $gt: conversation.summarizedUntil }
+  return filter
+}
+
+// Title for a new conversation from its first message
+export function titleFrom(text) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim()
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line || 'New conversation'
+}
+
+// { system, messages } ready for the LLM provider; includes the message just saved
+export async function buildContext(conversation) {
+  const recent = await Message.find(unsummarized(conversation))
+    .sort({ createdAt: -1 })
+    .limit(CONTEXT_MESSAGES)
+  const messages = recent.reverse().map(m => ({ role: m.role, text: m.text }))
+  // The model expects the history to open with a user turn
+  while (messages.length && messages[0].role !== 'user') messages.shift()
+
+  // The date lets the model resolve "this month" / "last month" for the tools
+  let system = `${SYSTEM_PROMPT}\n\nToday is ${new Date().toISOString().slice(0, 10)}.`
+  if (conversation.summary) system += `\n\nSummary of the earlier conversation:\n${conversation.summary}`
+  return { system, messages }
+}
+
+// Fold older turns into conversation.summary when the unsummarized tail gets long
+export async function summarizeIfLong(conversation) {
+  const pending = await Message.find(unsummarized(conversation)).sort({ createdAt: 1 })
+  if (pending.length <= SUMMARIZE_AFTER) return false
+
+  const folded = pending.slice(0, pending.length - KEEP_RECENT)
+  const transcript = folded.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.text}`).join('\n')
+
+  // The stored summary keeps the real values; only the outbound prompt is masked
+  const llm = getProvider()
+  const redactor = createRedactor()
+  const { text, usage } = await llm.generate({
+    system: 'You maintain a running summary of a chat between a user and a personal-finance assistant. ' +
+      'Keep facts the user shared (income, goals, amounts, preferences) and conclusions reached. ' +
+      'Keep placeholders such as [EMAIL_1] exactly as written. Write at most 200 words of plain prose.',
+    messages: [{
+      role: 'user',
+      text: redactor.redact(
+        `Current summary:\n${conversation.summary || '(none)'}\n\nNew messages:\n${transcript}\n\nWrite the updated summary.`
+      )
+    }]
+  })
+  await recordUsage(conversation.userId, usage)
+  await logRedactions(redactor, {
+    userId: conversation.userId,
+    conversationId: conversation._id,
+    feature: 'summary',
+    provider: llm.name
+  })
+  const summary = redactor.restore(text)
+  if (!summary.trim()) return false
+
+  conversation.summary = summary.trim()
+  conversation.summarizedUntil = folded[folded.length - 1].createdAt
+  await conversation.save()
+  return true
+}
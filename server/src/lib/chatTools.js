@@ -0,0 +1,155 @@
+import { monthlyExpenses, savedInvestmentPlans, savedBudgets, latestTax } from './summary.js'
+import { parseMonth, monthKey } from './dates.js'
+import { goalsWithProgress } from './goals.js'
+
+/**
+ * Read-only tools the assistant may call to look at the signed-in user's own data.
+ * Every tool runs with the userId of the request, never one supplied by the model.
+ * A tool returns { source, data }: `source` is the short label the model cites
+ * ("Expenses, 2026-10") and the client shows under the answer.
+ */
+
+const day = d => new Date(d).toISOString().slice(0, 10)
+const round2 = n => Math.round(n * 100) / 100
+
+const TOOLS = {
+  getMonthlyExpenses: {
+    description: 'Total spending and spending per category for one calendar month, in the user\'s base currency.',
+    parameters: {
+      type: 'object',
+      properties: {
+        month: { type: 'string', description: 'Month as YYYY-MM. Defaults to the current month.' }
+      }
+    },
+    async run(userId, { month }) {
+      const start = parseMonth(month) || parseMonth()
+      const period = monthKey(start)
+      const { currency, monthTotal, byCat, unconverted } = await monthlyExpenses(userId, period)
+      return {
+        source: `Expenses, ${period}`,
+        data: { month: period, currency, total: monthTotal, byCategory: byCat, currenciesWithoutRate: unconverted }
+      }
+    }
+  },
+
+  getBudgetPlan: {
+    description: 'The budget plan the user saved most recently: monthly income, savings goal, risk level and the ' +
+      'percentage split between Essentials, Savings, Investments and Lifestyle.',
+    parameters: { type: 'object', properties: {} },
+    async run(userId) {
+      const [budget] = await savedBudgets(userId, 1)
+      if (!budget) return { source: 'Budget plan', data: { found: false } }
+      const amounts = Object.fromEntries(
+        Object.entries(budget.plan || {}).map(([bucket, pct]) => [bucket, round2((budget.income * pct) / 100)])
+      )
+      return {
+        source: `Budget plan, saved ${day(budget.ts)}`,
+        data: {
+          found: true,
+          currency: budget.currency,
+          monthlyIncome: budget.income,
+          fixedObligations: budget.obligations,
+          savingsGoal: budget.savingsGoal,
+          goalDate: budget.goalDate,
+          risk: budget.risk,
+          splitPercent: budget.plan,
+          monthlyAmounts: amounts
+        }
+      }
+    }
+  },
+
+  getSavedInvestmentPlans: {
+    description: 'Investment plans the user saved (newest first): asset mix, monthly contribution, horizon and projection. ' +
+      'Newer plans carry a Monte Carlo range (10th / 50th / 90th percentile end values) and the chance of reaching a target.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'How many plans to return, 1-10. Defaults to 3.' }
+      }
+    },
+    async run(userId, { limit }) {
+      const n = Math.min(Math.max(Math.round(Number(limit)) || 3, 1), 10)
+      const plans = await savedInvestmentPlans(userId, n)
+      return {
+        source: 'Saved investment plans',
+        data: plans.map(p => ({
+          savedAt: day(p.savedAt),
+          currency: p.currency,
+          bias: p.bias,
+          years: p.years,
+          monthly: p.monthly,
+          principal: p.principal,
+          expectedAnnualReturnPct: p.cagr,
+          mixPercent: p.mix,
+          totalInvested: p.totalInvested,
+          projectedValue: p.projected,
+          ...(p.simulation && {
+            percentileOutcomes: { p10: round2(p.simulation.p10), p50: round2(p.simulation.p50), p90: round2(p.simulation.p90) },
+            targetAmount: p.simulation.target || null,
+            chanceOfTargetPct: p.simulation.probability == null ? null : Math.round(p.simulation.probability * 100)
+          })
+        }))
+      }
+    }
+  },
+
+  getTaxEstimate: {
+    description: 'The most recent tax estimate the user saved: tax year, status (draft or filed) and estimated tax due.',
+    parameters: { type: 'object', properties: {} },
+    async run(userId) {
+      const tax = await latestTax(userId)
+      if (!tax) return { source: 'Tax estimate', data: { found: false } }
+      return {
+        source: `Tax estimate ${tax.year}`,
+        data: { found: true, year: tax.year, status: tax.status, estimatedTaxDue: tax.estDue, currency: tax.currency }
+      }
+    }
+  },
+
+  getSavingsGoals: {
+    description: 'The user\'s savings goals (highest priority first): target, deadline, amount saved so far, ' +
+      'required monthly contribution and whether each is on track, behind, overdue or achieved.',
+    parameters: { type: 'object', properties: {} },
+    async run(userId) {
+      const goals = await goalsWithProgress(userId)
+      return {
+        source: 'Savings goals',
+        data: {
+          count: goals.length,
+          goals: goals.map(g => ({
+            name: g.name,
+            priority: g.priority,
+            currency: g.currency,
+            target: g.targetAmount,
+            saved: g.saved,
+            deadline: day(g.deadline),
+            requiredMonthly: g.requiredMonthly,
+            status: g.status,
+            linkedAccount: g.linkedAccount || undefined
+          }))
+        }
+      }
+    }
+  }
+}
+
+// Declarations for the model: [{ name, description, parameters }] (JSON Schema parameters)
+export const toolDeclarations = Object.entries(TOOLS).map(([name, t]) => ({
+  name,
+  description: t.description,
+  parameters: t.parameters
+}))
+
+// Run one call from the model → { name, args, source, result }; failures become an error result
+export async function runTool(userId, { name, args }) {
+  const tool = TOOLS[name]
+  if (!tool) return { name, args, source: null, result: { error: `Unknown tool ${name}` } }
+  try {
+    const { source, data } = await tool.run(userId, args || {})
+    return { name, args, source, result: data }
+  } catch (e) {
+    console.error('Chat Tool Error:', name, e)
+    return { name, args, source: null, result: { error: 'Could not load this data' } }
+  }
+}
@@ -0,0 +1,18 @@
+// ISO 4217 codes offered in the UI; any well-formed 3-letter code is accepted by the API
+export const CURRENCIES = ['USD', 'EUR', 'INR', 'GBP', 'CAD', 'AUD', 'SGD', 'AED', 'JPY', 'CHF']
+
+export const DEFAULT_CURRENCY = 'USD'
+
+export function readCurrency(value) {
+  const code = String(value ?? '').trim().toUpperCase()
+  return /^[A-Z]{3}$/.test(code) ? code : null
+}
+
+// Schema path shared by every model that stores a money amount
+export const currencyField = {
+  type: String,
+  uppercase: true,
+  trim: true,
+  match: /^[A-Z]{3}$/,
+  default: DEFAULT_CURRENCY
+}
@@ -0,0 +1,58 @@
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Parse a "YYYY-MM-DD" (or full ISO) string into a Date at UTC midnight; null when invalid
+export function parseDay(value) {
+  if (!value) return null
+  const d = new Date(String(value).slice(0, 10))
+  return isNaN(d.getTime()) ? null : d
+}
+
+// Build a Mongo date filter from ?from=&to= (both inclusive days); null when a bound is invalid
+export function dayRange({ from, to } = {}) {
+  const range = {}
+  if (from) {
+    const d = parseDay(from)
+    if (!d) return null
+    range.$gte = d
+  }
+  if (to) {
+    const d = parseDay(to)
+    if (!d) return null
+    range.$lt = new Date(d.getTime() + DAY_MS)
+  }
+  return range
+}
+
+// First day (UTC) of the month given as "YYYY-MM", or of the current month when omitted; null when invalid
+export function parseMonth(value) {
+  if (!value) {
+    const now = new Date()
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+  }
+  const m = /^(\d{4})-(\d{2})$/.exec(String(value))
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null
+  return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1))
+}
+
+// Mongo date filter covering the whole month that starts at `start`
+export function monthRange(start) {
+  return { $gte: start, $lt: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)) }
+}
+
+// "YYYY-MM" key for a date (UTC)
+export function monthKey(date) {
+  return new Date(date).toISOString().slice(0, 7)
+}
+
+// Every "YYYY-MM" key from `from` to `to` (both inclusive); empty when `from` is later
+export function monthsBetween(from, to) {
+  const months = []
+  const d = parseMonth(from)
+  const end = parseMonth(to)
+  if (!d || !end) return months
+  while (d <= end) {
+    months.push(monthKey(d))
+    d.setUTCMonth(d.getUTCMonth() + 1)
+  }
+  return months
+}
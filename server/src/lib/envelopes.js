@@ -0,0 +1,185 @@
+import Envelope from '../models/Envelope.js'
+import EnvelopeTransfer from '../models/EnvelopeTransfer.js'
+import Expense from '../models/Expense.js'
+import { EXPENSE_CATEGORIES } from './categories.js'
+import { readCurrency } from './currencies.js'
+import { loadConverter } from './fx.js'
+import { parseMonth, monthKey, monthRange, monthsBetween } from './dates.js'
+
+/**
+ * Envelope budgeting. Every month each envelope receives its funding, gains or loses money moved
+ * between envelopes, and is drawn down by expenses in its categories. What is left (or overspent)
+ * carries into the next month according to the envelope's rollover rule.
+ * Figures are in the user's base currency.
+ */
+
+export const ROLLOVER_RULES = ['all', 'leftover', 'overspend', 'none']
+
+const round2 = n => Math.round(n * 100) / 100
+
+// Envelope months (start, funding changes, transfers, history) stay within ten years back and two ahead
+const MONTHS_BACK = 120
+const MONTHS_AHEAD = 24
+
+// { first, last } "YYYY-MM" keys of the months envelopes may use
+export function envelopeWindow(now = new Date()) {
+  const at = offset => monthKey(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1))
+  return { first: at(-MONTHS_BACK), last: at(MONTHS_AHEAD) }
+}
+
+// Funding amount in effect for `month` (0 before the envelope's first funding step)
+export function fundingFor(envelope, month) {
+  let amount = 0
+  envelope.funding.forEach(step => {
+    if (step.from <= month) amount = step.amount
+  })
+  return amount
+}
+
+// Balance that carries into next month under `rule`, limited to `cap` when it is a leftover
+export function carryOver(balance, rule, cap) {
+  let carry = 0
+  if (rule === 'all') carry = balance
+  else if (rule === 'leftover') carry = Math.max(0, balance)
+  else if (rule === 'overspend') carry = Math.min(0, balance)
+  if (cap != null && carry > cap) carry = cap
+  return round2(carry)
+}
+
+/**
+ * Month-by-month ledger (pure).
+ *   envelopes: [{ id, name, funding:[{ from, amount }], categories, rollover, rolloverCap }]
+ *   months:    consecutive "YYYY-MM" keys from the first funded month on
+ *   spent:     { [month]: { [category]: amount } }
+ *   transfers: [{ month, from, to, amount }]
+ *   funding(envelope, month) → amount added that month
+ * → [{ month, envelopes:[{ id, name, carryIn, funded, transferred, spent, balance, carryOut }], unassigned }]
+ */
+export function runEnvelopes(envelopes, months, { spent = {}, transfers = [], funding = fundingFor } = {}) {
+  const carry = new Map()
+  const assigned = new Set(envelopes.flatMap(e => e.categories))
+  const movesByMonth = new Map()
+  transfers.forEach(t => movesByMonth.set(t.month, [...(movesByMonth.get(t.month) || []), t]))
+
+  return months.map(month => {
+    const byCat = spent[month] || {}
+    const moves = movesByMonth.get(month) || []
+
+    const rows = envelopes
+      .filter(e => e.funding.some(step => step.from <= month))
+      .map(e => {
+        const id = String(e.id)
+        const carryIn = carry.get(id) || 0
+        const funded = round2(funding(e, month))
+        const transferred = round2(moves.reduce((sum, t) =>
+          sum + (String(t.to) === id ? t.amount : 0) - (String(t.from) === id ? t.amount : 0), 0))
+        const used = round2(e.categories.reduce((sum, c) => sum + (byCat[c] || 0), 0))
+        const balance = round2(carryIn + funded + transferred - used)
+        const carryOut = carryOver(balance, e.rollover, e.rolloverCap)
+        carry.set(id, carryOut)
+        return { id: e.id, name: e.name, carryIn, funded, transferred, spent: used, balance, carryOut }
+      })
+
+    const unassigned = round2(Object.entries(byCat).reduce((sum, [c, v]) => sum + (assigned.has(c) ? 0 : v), 0))
+    return { month, envelopes: rows, unassigned }
+  })
+}
+
+/**
+ * { currency, months, unconverted } for ?from=&to= ("YYYY-MM", default: the current month).
+ * Balances are always worked out from each envelope's first month, so `from` only trims the output.
+ */
+export async function envelopeHistory(userId, { from, to } = {}) {
+  const bounds = envelopeWindow()
+  const end = [monthKey(parseMonth(to) || parseMonth()), bounds.last].sort()[0]
+  const [envelopes, fx] = await Promise.all([
+    Envelope.find({ userId }).sort({ createdAt: 1 }),
+    loadConverter(userId)
+  ])
+  if (!envelopes.length) return { currency: fx.baseCurrency, months: [], unconverted: [] }
+
+  const start = [envelopes.map(e => e.funding[0].from).sort()[0], bounds.first].sort()[1]
+  const months = monthsBetween(start, end)
+  const [expenses, transfers] = await Promise.all([
+    Expense.find({ userId, date: { $gte: parseMonth(start), $lt: monthRange(parseMonth(end)).$lt } })
+      .select('date category amount currency'),
+    EnvelopeTransfer.find({ userId, month: { $gte: start, $lte: end } })
+  ])
+
+  const spent = {}
+  const unconverted = new Set()
+  expenses.forEach(x => {
+    const amount = fx.convert(x.amount, x.currency, x.date)
+    if (amount == null) {
+      unconverted.add(x.currency)
+      return
+    }
+    const month = monthKey(x.date)
+    spent[month] = spent[month] || {}
+    spent[month][x.category] = (spent[month][x.category] || 0) + amount
+  })
+
+  // Funding is stored in the envelope's currency; without a rate it is left out and reported
+  const funding = (e, month) => {
+    const amount = fundingFor(e, month)
+    if (!amount) return 0
+    const converted = fx.convert(amount, e.currency, parseMonth(month))
+    if (converted == null) unconverted.add(e.currency)
+    return converted ?? 0
+  }
+
+  const ledger = runEnvelopes(envelopes.map(e => ({ ...e.toObject(), id: e._id })), months, { spent, transfers, funding })
+  const first = from && parseMonth(from) ? monthKey(parseMonth(from)) : end
+  return {
+    currency: fx.baseCurrency,
+    months: ledger.filter(m => m.month >= first),
+    unconverted: [...unconverted]
+  }
+}
+
+// Validate and normalize a create/update payload; `partial` allows missing fields (PUT)
+export function readEnvelope(body, { partial = false } = {}) {
+  const out = {}
+  const { name, funding, categories, rollover, rolloverCap, currency } = body || {}
+
+  if (name !== undefined || !partial) {
+    out.name = String(name || '').trim().slice(0, 60)
+    if (!out.name) return { error: 'Name is required' }
+  }
+  if (funding !== undefined || !partial) {
+    out.funding = Number(funding)
+    if (!isFinite(out.funding) || out.funding < 0) return { error: 'Monthly funding must be a positive number' }
+  }
+  if (categories !== undefined) {
+    if (!Array.isArray(categories) || !categories.every(c => EXPENSE_CATEGORIES.includes(c)))
+      return { error: 'Unknown category' }
+    out.categories = [...new Set(categories)]
+  }
+  if (rollover !== undefined) {
+    if (!ROLLOVER_RULES.includes(rollover)) return { error: `rollover must be one of ${ROLLOVER_RULES.join(', ')}` }
+    out.rollover = rollover
+  }
+  if (rolloverCap !== undefined) {
+    if (rolloverCap === null || rolloverCap === '') out.rolloverCap = null
+    else {
+      out.rolloverCap = Number(rolloverCap)
+      if (!isFinite(out.rolloverCap) || out.rolloverCap < 0) return { error: 'Rollover cap must be a positive number' }
+    }
+  }
+  if (currency !== undefined) {
+    out.currency = readCurrency(currency)
+    if (!out.currency) return { error: 'Unsupported currency' }
+  }
+  return { value: out }
+}
+
+// Categories in `categories` that another of the user's envelopes already draws from → error message or null
+export async function categoryConflict(userId, categories, exceptId) {
+  if (!categories?.length) return null
+  const filter = { userId, categories: { $in: categories } }
+  if (exceptId) filter._id = { $ne: exceptId }
+  const other = await Envelope.findOne(filter)
+  if (!other) return null
+  const taken = categories.filter(c => other.categories.includes(c))
+  return `${taken.join(', ')} already belongs to the "${other.name}" envelope`
+}
@@ -0,0 +1,32 @@
+import { EXPENSE_CATEGORIES } from './categories.js'
+import { parseDay } from './dates.js'
+import { readCurrency } from './currencies.js'
+
+// Validate and normalize a create/update payload; `partial` allows missing fields (PUT).
+// An empty category (or currency) is left unset so the caller can fill in a default.
+export function readExpense(body, { partial = false } = {}) {
+  const out = {}
+  const { date, category, description, amount, currency } = body || {}
+
+  if (date !== undefined || !partial) {
+    out.date = parseDay(date)
+    if (!out.date) return { error: 'A valid date (YYYY-MM-DD) is required' }
+  }
+  if (category !== undefined && category !== null && category !== '') {
+    if (!EXPENSE_CATEGORIES.includes(category)) return { error: 'Unknown category' }
+    out.category = category
+  }
+  if (description !== undefined || !partial) {
+    out.description = String(description || '').trim()
+    if (!out.description) return { error: 'Description is required' }
+  }
+  if (amount !== undefined || !partial) {
+    out.amount = Number(amount)
+    if (!isFinite(out.amount) || out.amount <= 0) return { error: 'Amount must be a positive number' }
+  }
+  if (currency !== undefined && currency !== null && currency !== '') {
+    out.currency = readCurrency(currency)
+    if (!out.currency) return { error: 'Currency must be a 3-letter code' }
+  }
+  return { value: out }
+}
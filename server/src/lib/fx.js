@@ -0,0 +1,115 @@
+import FxRate from '../models/FxRate.js'
+import User from '../models/User.js'
+import { DEFAULT_CURRENCY, readCurrency } from './currencies.js'
+import { parseDay } from './dates.js'
+
+/**
+ * Currency conversion from the user's own rate table (no network calls, works offline).
+ * A stored rate 1 base = r quote also answers quote → base as 1/r.
+ * An amount is converted with the latest rate on or before its date; when the table only
+ * has later rates, the earliest one is used. With no rate for the pair, convert() returns null.
+ */
+
+function pairKey(from, to) {
+  return `${from}>${to}`
+}
+
+// Index of the last entry with t <= time, or -1
+function lastAtOrBefore(series, time) {
+  let lo = 0
+  let hi = series.length - 1
+  let found = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (series[mid].t <= time) {
+      found = mid
+      lo = mid + 1
+    } else hi = mid - 1
+  }
+  return found
+}
+
+export function buildConverter(rates, baseCurrency = DEFAULT_CURRENCY) {
+  const table = new Map()
+  const add = (from, to, t, rate) => {
+    const key = pairKey(from, to)
+    if (!table.has(key)) table.set(key, [])
+    table.get(key).push({ t, rate })
+  }
+  rates.forEach(r => {
+    if (!(r.rate > 0)) return
+    const t = new Date(r.date).getTime()
+    add(r.base, r.quote, t, r.rate)
+    add(r.quote, r.base, t, 1 / r.rate)
+  })
+  table.forEach(series => series.sort((a, b) => a.t - b.t))
+
+  function rate(from, to, date) {
+    if (from === to) return 1
+    const series = table.get(pairKey(from, to))
+    if (!series) return null
+    const i = lastAtOrBefore(series, new Date(date).getTime())
+    return series[Math.max(i, 0)].rate
+  }
+
+  function convert(amount, from, date, to = baseCurrency) {
+    const r = rate(from || DEFAULT_CURRENCY, to, date)
+    return r == null ? null : Math.round(Number(amount) * r * 100) / 100
+  }
+
+  return { baseCurrency, rate, convert }
+}
+
+export async function loadConverter(userId) {
+  const [user, rates] = await Promise.all([
+    User.findById(userId).select('baseCurrency'),
+    FxRate.find({ userId }).select('date base quote rate')
+  ])
+  return buildConverter(rates, user?.baseCurrency || DEFAULT_CURRENCY)
+}
+
+export async function baseCurrencyOf(userId) {
+  const user = await User.findById(userId).select('baseCurrency')
+  return user?.baseCurrency || DEFAULT_CURRENCY
+}
+
+// Expense JSON plus `baseAmount` in the user's base currency (null when no rate is stored)
+export function withBaseAmount(fx, expense) {
+  const json = expense.toJSON ? expense.toJSON() : expense
+  return { ...json, baseAmount: fx.convert(json.amount, json.currency, json.date) }
+}
+
+// Validate { date, base, quote, rate }
+export function readRate(body) {
+  const date = parseDay(body?.date)
+  const base = readCurrency(body?.base)
+  const quote = readCurrency(body?.quote)
+  const rate = Number(body?.rate)
+  if (!date) return { error: 'A valid date (YYYY-MM-DD) is required' }
+  if (!base || !quote) return { error: 'Currencies must be 3-letter codes' }
+  if (base === quote) return { error: 'Base and quote currency must differ' }
+  if (!isFinite(rate) || rate <= 0) return { error: 'Rate must be a positive number' }
+  return { value: { date, base, quote, rate } }
+}
+
+/**
+ * Rate CSV: date,base,quote,rate per line (header row optional, comma or semicolon).
+ * Returns { rates:[...], errors:[{ line, message }] }.
+ */
+export function parseRatesCsv(text) {
+  const rates = []
+  const errors = []
+  String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = raw.trim()
+      if (!line) return
+      const [date, base, quote, rate] = line.split(/[;,\t]/).map(c => c.trim().replace(/^"|"$/g, ''))
+      if (i === 0 && !parseDay(date)) return // header
+      const { value, error } = readRate({ date, base, quote, rate })
+      if (error) errors.push({ line: i + 1, message: error })
+      else rates.push(value)
+    })
+  return { rates, errors }
+}
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose'
+import Goal from '../models/Goal.js'
+import GoalContribution from '../models/GoalContribution.js'
+import { readCurrency } from './currencies.js'
+import { parseDay } from './dates.js'
+
+/**
+ * Savings goals. Progress is the sum of the goal's contributions. A goal is on track when it has
+ * at least the share of its target that a steady pace from creation to deadline would have saved
+ * by now; the required monthly contribution spreads what is left over the months to the deadline
+ * (this month included).
+ */
+
+export const GOAL_PRIORITIES = ['high', 'medium', 'low']
+
+const round2 = n => Math.round(n * 100) / 100
+
+// Months from `now`'s month through the deadline's month, inclusive (0 once the deadline day has passed)
+function monthsLeft(deadline, now) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  if (new Date(deadline).getTime() < today) return 0
+  const d = new Date(deadline)
+  return (d.getUTCFullYear() - now.getUTCFullYear()) * 12 + d.getUTCMonth() - now.getUTCMonth() + 1
+}
+
+// { saved, remaining, percent, expected, monthsLeft, requiredMonthly, status } for one goal
+// status: 'achieved' | 'overdue' | 'on_track' | 'behind'
+export function goalProgress(goal, saved, now = new Date()) {
+  const target = goal.targetAmount
+  const remaining = round2(Math.max(0, target - saved))
+  const months = monthsLeft(goal.deadline, now)
+
+  const start = new Date(goal.createdAt || now).getTime()
+  const span = new Date(goal.deadline).getTime() - start
+  const elapsed = span > 0 ? Math.min(1, Math.max(0, (now.getTime() - start) / span)) : 1
+  const expected = round2(target * elapsed)
+
+  let status = 'on_track'
+  if (saved >= target) status = 'achieved'
+  else if (months === 0) status = 'overdue'
+  else if (saved < expected) status = 'behind'
+
+  return {
+    saved: round2(saved),
+    remaining,
+    percent: Math.min(100, Math.round((saved / target) * 1000) / 10),
+    expected,
+    monthsLeft: months,
+    requiredMonthly: months ? round2(remaining / months) : remaining,
+    status
+  }
+}
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 }
+
+export function toGoal(doc, saved, now) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    targetAmount: doc.targetAmount,
+    deadline: doc.deadline,
+    priority: doc.priority,
+    linkedAccount: doc.linkedAccount,
+    currency: doc.currency,
+    createdAt: doc.createdAt,
+    ...goalProgress(doc, saved, now)
+  }
+}
+
+// All of the user's goals with progress, highest priority first, then nearest deadline
+export async function goalsWithProgress(userId, now = new Date()) {
+  const [goals, totals] = await Promise.all([
+    Goal.find({ userId }),
+    GoalContribution.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: '$goalId', saved: { $sum: '$amount' } } }
+    ])
+  ])
+  const savedBy = new Map(totals.map(t => [String(t._id), t.saved]))
+  return goals
+    .map(g => toGoal(g, savedBy.get(String(g._id)) || 0, now))
+    .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] || a.deadline - b.deadline)
+}
+
+// Progress of one goal (after a contribution changes)
+export async function goalWithProgress(goal) {
+  const [total] = await GoalContribution.aggregate([
+    { $match: { goalId: goal._id } },
+    { $group: { _id: null, saved: { $sum: '$amount' } } }
+  ])
+  return toGoal(goal, total?.saved || 0)
+}
+
+// Validate and normalize a create/update payload; `partial` allows missing fields (PUT)
+export function readGoal(body, { partial = false } = {}) {
+  const out = {}
+  const { name, targetAmount, deadline, priority, linkedAccount, currency } = body || {}
+
+  if (name !== undefined || !partial) {
+    out.name = String(name || '').trim().slice(0, 80)
+    if (!out.name) return { error: 'Name is required' }
+  }
+  if (targetAmount !== undefined || !partial) {
+    out.targetAmount = Number(targetAmount)
+    if (!(out.targetAmount > 0)) return { error: 'Target amount must be greater than 0' }
+  }
+  if (deadline !== undefined || !partial) {
+    out.deadline = parseDay(deadline)
+    if (!out.deadline) return { error: 'Deadline must be a date (YYYY-MM-DD)' }
+  }
+  if (priority !== undefined) {
+    if (!GOAL_PRIORITIES.includes(priority)) return { error: `priority must be one of ${GOAL_PRIORITIES.join(', ')}` }
+    out.priority = priority
+  }
+  if (linkedAccount !== undefined) out.linkedAccount = String(linkedAccount || '').trim().slice(0, 80)
+  if (currency !== undefined) {
+    out.currency = readCurrency(currency)
+    if (!out.currency) return { error: 'Unsupported currency' }
+  }
+  return { value: out }
+}
+
+// { amount, date?, note? } → { value } or { error }; a negative amount is a withdrawal
+export function readContribution(body) {
+  const amount = round2(Number(body?.amount))
+  if (!isFinite(amount) || amount === 0) return { error: 'Amount must be a non-zero number' }
+  const date = body?.date ? parseDay(body.date) : new Date()
+  if (!date) return { error: 'Invalid date' }
+  return { value: { amount, date, note: String(body?.note || '').trim().slice(0, 200) } }
+}
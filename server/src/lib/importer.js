@@ -0,0 +1,114 @@
+import Expense from '../models/Expense.js'
+import { readExpense } from './expenseInput.js'
+import { loadRules, categorize } from './rules.js'
+import { baseCurrencyOf } from './fx.js'
+
+/**
+ * Bulk statement import into the expense ledger.
+ * Rows carrying a bank FITID are skipped when that id is already in the ledger (or earlier
+ * in the same batch). Other duplicates are matched on date + amount + normalized description
+ * against rows the user already has. Matching is count-aware: two identical coffees on the
+ * same day in the file are both kept unless the ledger already holds two of them.
+ * The user's categorization rules run on every inserted row and win over bank categories.
+ * Rows without a currency (CSV, QIF) are booked in the user's base currency.
+ */
+
+export function fingerprint({ date, amount, description }) {
+  const day = new Date(date).toISOString().slice(0, 10)
+  const cents = Math.round(Number(amount) * 100)
+  const desc = String(description || '').toLowerCase().replace(/\s+/g, ' ').trim()
+  return `${day}|${cents}|${desc}`
+}
+
+function bump(map, key) {
+  map.set(key, (map.get(key) || 0) + 1)
+}
+
+// Count existing ledger rows per fingerprint within the date span of `values`.
+// `withoutFitid` only counts rows that have no bank id, so a FITID-bearing import is not
+// matched against a different bank transaction that happens to look the same.
+async function existingCounts(userId, values) {
+  const all = new Map()
+  const withoutFitid = new Map()
+  if (!values.length) return { all, withoutFitid }
+
+  const times = values.map(v => v.date.getTime())
+  const existing = await Expense.find({
+    userId,
+    date: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('date amount description fitid')
+
+  existing.forEach(e => {
+    const key = fingerprint(e)
+    bump(all, key)
+    if (!e.fitid) bump(withoutFitid, key)
+  })
+  return { all, withoutFitid }
+}
+
+/**
+ * Validate a batch and flag duplicates without writing anything.
+ * Returns one entry per input row: { value, key, duplicate, error }.
+ */
+export async function classifyTransactions(userId, transactions) {
+  const rows = (transactions || []).map(t => {
+    const { value, error } = readExpense(t)
+    if (error) return { error }
+    if (t.fitid) value.fitid = String(t.fitid)
+    return { value, key: fingerprint(value) }
+  })
+
+  const values = rows.filter(r => r.value).map(r => r.value)
+  const fitids = values.filter(v => v.fitid).map(v => v.fitid)
+  const seenFitids = new Set(
+    fitids.length ? await Expense.distinct('fitid', { userId, fitid: { $in: fitids } }) : []
+  )
+  const counts = await existingCounts(userId, values)
+
+  rows.forEach(r => {
+    if (!r.value) return
+    if (r.value.fitid) {
+      if (seenFitids.has(r.value.fitid)) {
+        r.duplicate = true
+        return
+      }
+      seenFitids.add(r.value.fitid)
+    }
+    const map = r.value.fitid ? counts.withoutFitid : counts.all
+    const left = map.get(r.key) || 0
+    r.duplicate = left > 0
+    if (left > 0) map.set(r.key, left - 1)
+  })
+  return rows
+}
+
+/**
+ * Insert the non-duplicate, valid rows of a batch.
+ * Returns { inserted, skipped, failed, errors:[{ index, message }] }.
+ */
+export async function importTransactions(userId, transactions, { source }) {
+  const [rows, rules, baseCurrency] = await Promise.all([
+    classifyTransactions(userId, transactions),
+    loadRules(userId),
+    baseCurrencyOf(userId)
+  ])
+
+  const errors = []
+  const docs = []
+  rows.forEach((r, index) => {
+    if (r.error) errors.push({ index, message: r.error })
+    else if (!r.duplicate) {
+      const category = categorize(rules, r.value) || r.value.category
+      docs.push({ currency: baseCurrency, ...r.value, ...(category && { category }), userId, source })
+    }
+  })
+
+  if (docs.length) await Expense.insertMany(docs)
+
+  return {
+    inserted: docs.length,
+    skipped: rows.filter(r => r.duplicate).length,
+    failed: errors.length,
+    errors
+  }
+}
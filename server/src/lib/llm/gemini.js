@@ -0,0 +1,83 @@
+import axios from 'axios'
+import { sseData } from './sse.js'
+
+/**
+ * Google Gemini (generateContent / streamGenerateContent).
+ * GEMINI_API_KEY, GEMINI_MODEL (default gemini-2.5-flash).
+ */
+
+function toPayload(system, messages, tools) {
+  const payload = {
+    contents: messages.map(m => m.content || {
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: m.text }]
+    })
+  }
+  if (system) payload.systemInstruction = { parts: [{ text: system }] }
+  if (tools?.length) payload.tools = [{ functionDeclarations: tools }]
+  return payload
+}
+
+// Text and function calls of one candidate's parts
+function readParts(parts = []) {
+  return {
+    text: parts.map(p => p.text || '').join(''),
+    calls: parts.filter(p => p.functionCall).map(p => ({ name: p.functionCall.name, args: p.functionCall.args || {} }))
+  }
+}
+
+// { inputTokens, outputTokens } from usageMetadata (thinking tokens are billed as output)
+function readUsage(meta = {}) {
+  return {
+    inputTokens: meta.promptTokenCount || 0,
+    outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+  }
+}
+
+export function geminiProvider() {
+  const model = process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+  const endpoint = method =>
+    `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}?key=${process.env.GEMINI_API_KEY}`
+
+  return {
+    name: 'gemini',
+
+    async generate({ system, messages, tools, signal }) {
+      const { data } = await axios.post(endpoint('generateContent'), toPayload(system, messages, tools), {
+        headers: { 'Content-Type': 'application/json' },
+        signal
+      })
+      const parts = data?.candidates?.[0]?.content?.parts || []
+      return { ...readParts(parts), content: { role: 'model', parts }, usage: readUsage(data?.usageMetadata) }
+    },
+
+    async stream({ system, messages, tools, signal, onText }) {
+      const { data: stream } = await axios.post(endpoint('streamGenerateContent') + '&alt=sse', toPayload(system, messages, tools), {
+        headers: { 'Content-Type': 'application/json' },
+        responseType: 'stream',
+        signal
+      })
+
+      const parts = []
+      let usage = readUsage()
+      for await (const data of sseData(stream, signal)) {
+        const chunk = JSON.parse(data)
+        // Each chunk repeats the running totals; the last one is final
+        if (chunk?.usageMetadata) usage = readUsage(chunk.usageMetadata)
+        const chunkParts = chunk?.candidates?.[0]?.content?.parts || []
+        parts.push(...chunkParts)
+        const { text } = readParts(chunkParts)
+        if (text) onText?.(text)
+      }
+      return { ...readParts(parts), content: { role: 'model', parts }, usage }
+    },
+
+    // All results of one round go back in a single user turn
+    toolResults(results) {
+      return [{
+        role: 'user',
+        parts: results.map(r => ({ functionResponse: { name: r.name, response: { result: r.result } } }))
+      }]
+    }
+  }
+}
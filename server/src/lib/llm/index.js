@@ -0,0 +1,40 @@
+import { geminiProvider } from './gemini.js'
+import { openaiProvider } from './openai.js'
+import { mockProvider } from './mock.js'
+
+/**
+ * Every AI feature talks to the model through one provider interface:
+ *   generate({ system, messages, tools, signal }) → { text, calls, content, usage }
+ *   stream({ ...same, onText(delta) })            → { text, calls, content, usage }
+ *   toolResults(results) → provider contents carrying tool results back to the model
+ * `messages` are [{ role: 'user' | 'assistant', text }] or { content } entries holding a
+ * provider's own turn (from `content` / toolResults) during a tool loop. `tools` are
+ * [{ name, description, parameters }] with JSON Schema parameters; `calls` are the
+ * [{ id?, name, args }] the model asked for; `usage` is { inputTokens, outputTokens } from the
+ * provider's usage metadata.
+ * LLM_PROVIDER picks the implementation: gemini (default), openai (any OpenAI-compatible
+ * server) or mock (offline, deterministic).
+ */
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: mockProvider
+}
+
+let provider = null
+
+export function getProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase()
+    const create = PROVIDERS[name]
+    if (!create) throw new Error(`Unknown LLM_PROVIDER "${name}"`)
+    provider = create()
+  }
+  return provider
+}
+
+// Swap the provider (tests); pass null to fall back to LLM_PROVIDER again
+export function setProvider(next) {
+  provider = next
+}
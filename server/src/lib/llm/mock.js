@@ -0,0 +1,86 @@
+import fs from 'fs'
+
+/**
+ * Offline, deterministic provider for development and tests — no key, no network.
+ * With LLM_MOCK_SCRIPT pointing at a JSON array of turns ({ "text": "..." } or
+ * { "calls": [{ "name": "getMonthlyExpenses", "args": {} }] }) it replays them in order.
+ * Without a script (or once it runs out) it answers by rule:
+ *   - a question mentioning spending / budget / investments / tax / goals calls the matching tool
+ *   - after tool results it lists each result with its source label
+ *   - anything else is echoed back
+ */
+
+const KEYWORD_TOOLS = [
+  [/spend|spent|expense|overspend/i, 'getMonthlyExpenses'],
+  [/budget/i, 'getBudgetPlan'],
+  [/invest|portfolio|sip/i, 'getSavedInvestmentPlans'],
+  [/tax/i, 'getTaxEstimate'],
+  [/goal/i, 'getSavingsGoals']
+]
+
+function loadScript(path) {
+  if (!path) return []
+  return JSON.parse(fs.readFileSync(path, 'utf8'))
+}
+
+function ruleTurn(messages, tools) {
+  const last = messages[messages.length - 1]
+  if (last?.content?.role === 'tool') {
+    const lines = last.content.results.map(r => `- ${r.name}: ${JSON.stringify(r.result)}${r.source ? ` [${r.source}]` : ''}`)
+    return { text: `Here is what I found:\n${lines.join('\n')}` }
+  }
+
+  const question = last?.text || ''
+  const names = new Set((tools || []).map(t => t.name))
+  const calls = KEYWORD_TOOLS
+    .filter(([re, name]) => re.test(question) && names.has(name))
+    .map(([, name]) => ({ name, args: {} }))
+  if (calls.length) return { calls }
+
+  return { text: `Mock reply: you said "${question}".` }
+}
+
+// Rough token count (about 4 characters per token) so usage accounting works offline
+const estimateTokens = value => Math.ceil(JSON.stringify(value || '').length / 4)
+
+function toResult(turn, index, prompt) {
+  const calls = (turn.calls || []).map((c, i) => ({ id: `mock-${index}-${i}`, name: c.name, args: c.args || {} }))
+  return {
+    text: turn.text || '',
+    calls,
+    content: { role: 'assistant', text: turn.text || '', calls },
+    usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(turn.text || calls) }
+  }
+}
+
+export function mockProvider({ script = loadScript(process.env.LLM_MOCK_SCRIPT) } = {}) {
+  let turns = 0
+
+  function next({ system, messages, tools }) {
+    const turn = turns < script.length ? script[turns] : ruleTurn(messages, tools)
+    return toResult(turn, turns++, { system, messages })
+  }
+
+  return {
+    name: 'mock',
+
+    async generate(request) {
+      return next(request)
+    },
+
+    // Emits the reply word by word so streaming UIs can be exercised offline
+    async stream({ signal, onText, ...request }) {
+      const result = next(request)
+      for (const piece of result.text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) throw Object.assign(new Error('Aborted'), { name: 'AbortError' })
+        onText?.(piece)
+        await new Promise(resolve => setImmediate(resolve))
+      }
+      return result
+    },
+
+    toolResults(results) {
+      return [{ role: 'tool', results }]
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import axios from 'axios'
+import { sseData } from './sse.js'
+
+/**
+ * OpenAI-compatible /chat/completions: OpenAI itself or a local server (llama.cpp, Ollama,
+ * vLLM, LM Studio…). OPENAI_BASE_URL (default https://api.openai.com/v1), OPENAI_API_KEY
+ * (optional for local servers), OPENAI_MODEL (default gpt-4o-mini).
+ */
+
+function toBody(model, system, messages, tools) {
+  const body = {
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages.map(m => m.content || { role: m.role, content: m.text })
+    ]
+  }
+  if (tools?.length) {
+    body.tools = tools.map(t => ({ type: 'function', function: t }))
+  }
+  return body
+}
+
+function parseArgs(json) {
+  try {
+    return JSON.parse(json || '{}')
+  } catch {
+    return {}
+  }
+}
+
+// { text, calls, content } from an assistant message ({ content, tool_calls })
+function readMessage(message) {
+  const toolCalls = message.tool_calls || []
+  return {
+    text: message.content || '',
+    calls: toolCalls.map(c => ({ id: c.id, name: c.function.name, args: parseArgs(c.function.arguments) })),
+    content: { role: 'assistant', content: message.content || null, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) }
+  }
+}
+
+function readUsage(usage = {}) {
+  return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+}
+
+export function openaiProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '')
+  const model = process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {})
+  }
+
+  return {
+    name: 'openai',
+
+    async generate({ system, messages, tools, signal }) {
+      const { data } = await axios.post(`${baseUrl}/chat/completions`, toBody(model, system, messages, tools), {
+        headers,
+        signal
+      })
+      return { ...readMessage(data?.choices?.[0]?.message || {}), usage: readUsage(data?.usage) }
+    },
+
+    async stream({ system, messages, tools, signal, onText }) {
+      const { data: stream } = await axios.post(
+        `${baseUrl}/chat/completions`,
+        // include_usage adds a final chunk with token counts (empty `choices`)
+        { ...toBody(model, system, messages, tools), stream: true, stream_options: { include_usage: true } },
+        { headers, responseType: 'stream', signal }
+      )
+
+      let text = ''
+      let usage = readUsage()
+      const toolCalls = [] // assembled from fragments keyed by index
+      for await (const data of sseData(stream, signal)) {
+        if (data === '[DONE]') break
+        const chunk = JSON.parse(data)
+        if (chunk?.usage) usage = readUsage(chunk.usage)
+        const delta = chunk?.choices?.[0]?.delta || {}
+        if (delta.content) {
+          text += delta.content
+          onText?.(delta.content)
+        }
+        for (const frag of delta.tool_calls || []) {
+          const call = (toolCalls[frag.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } })
+          if (frag.id) call.id = frag.id
+          if (frag.function?.name) call.function.name += frag.function.name
+          if (frag.function?.arguments) call.function.arguments += frag.function.arguments
+        }
+      }
+      return { ...readMessage({ content: text, tool_calls: toolCalls.filter(Boolean) }), usage }
+    },
+
+    // One `tool` message per call, matched by id
+    toolResults(results) {
+      return results.map(r => ({ role: 'tool', tool_call_id: r.id, content: JSON.stringify(r.result) }))
+    }
+  }
+}
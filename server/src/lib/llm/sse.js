@@ -0,0 +1,29 @@
+// Multi-line data fields join with a newline; only one space after the colon is dropped
+function eventData(event) {
+  return event.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).replace(/^ /, '')).join('\n')
+}
+
+/**
+ * Yield the `data:` payload of each Server-Sent Event in a Node readable stream.
+ * Aborting `signal` destroys the stream (axios stops watching the signal once headers arrive).
+ */
+export async function* sseData(stream, signal) {
+  signal?.addEventListener('abort', () => stream.destroy(), { once: true })
+
+  // Decode across chunks so a multibyte character split between two of them survives
+  const decoder = new TextDecoder('utf-8')
+  let buffer = ''
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+    // Events are separated by a blank line; keep the unfinished tail for the next chunk
+    const events = buffer.split(/\r?\n\r?\n/)
+    buffer = events.pop()
+    for (const event of events) {
+      const data = eventData(event)
+      if (data) yield data
+    }
+  }
+  // A stream may end without the blank line after its last event
+  const data = eventData(buffer + decoder.decode())
+  if (data) yield data
+}
@@ -0,0 +1,95 @@
+import { getStore } from './throttle/index.js'
+import { recordSecurityEvent } from './securityEvents.js'
+
+/**
+ * Brute-force protection for sign-in, counted per account (email) and per client IP.
+ * Each attempt is reserved before the password or code is checked, so a burst of parallel
+ * guesses is counted one by one instead of all slipping in before the first lock.
+ * The first `free` attempts cost nothing; after that each one blocks the key for an
+ * exponentially growing delay (1s, 2s, 4s…), and at `lockAfter` the key is locked for
+ * LOCKOUT_MS. Counters are forgotten WINDOW_MS after the last attempt. An attempt that
+ * succeeds is handed back, and a full sign-in clears the account counter but not the IP one,
+ * so an attacker cannot reset their IP budget by signing in to an account of their own.
+ */
+
+const BASE_DELAY_MS = 1000
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+const WINDOW_MS = 60 * 60 * 1000
+
+const RULES = {
+  acct: { free: 5, lockAfter: 10 },
+  ip: { free: 20, lockAfter: 50 }
+}
+
+function keysFor({ email, ip }) {
+  const keys = []
+  if (email) keys.push({ scope: 'acct', key: `acct:${String(email).trim().toLowerCase()}` })
+  if (ip) keys.push({ scope: 'ip', key: `ip:${ip}` })
+  return keys
+}
+
+// Block time after the nth failure under a rule
+export function delayFor(failures, rule) {
+  if (failures <= rule.free) return 0
+  if (failures >= rule.lockAfter) return LOCKOUT_MS
+  return Math.min(LOCKOUT_MS, BASE_DELAY_MS * 2 ** (failures - rule.free - 1))
+}
+
+// Lock duration in ms after the nth attempt, per scope (index = attempt count)
+const SCHEDULES = Object.fromEntries(
+  Object.entries(RULES).map(([scope, rule]) => [scope, Array.from({ length: rule.lockAfter + 1 }, (_, n) => delayFor(n, rule))])
+)
+
+/**
+ * Reserve a sign-in attempt for { email, ip } before checking credentials.
+ * → { retryAfter } (seconds) when a key is locked, else { retryAfter: 0, keys } to pass to
+ * loginFailed / loginPassed.
+ */
+export async function reserveLoginAttempt(who) {
+  const store = getStore()
+  const keys = []
+  for (const { scope, key } of keysFor(who)) {
+    const result = await store.reserve(key, { ttlMs: WINDOW_MS, delays: SCHEDULES[scope] })
+    if (!result.allowed) {
+      await Promise.all(keys.map(k => store.release(k.key, k.lockedUntil)))
+      const waitMs = new Date(result.lockedUntil).getTime() - Date.now()
+      return { retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) }
+    }
+    keys.push({ scope, key, failures: result.failures, lockedUntil: result.lockedUntil })
+  }
+  return { retryAfter: 0, keys }
+}
+
+// The reserved attempt failed: it stays counted; note a lockout when it reached the limit
+export async function loginFailed(attempt, { email, userId, req }) {
+  for (const { scope, failures } of attempt.keys) {
+    if (failures < RULES[scope].lockAfter) continue
+    await recordSecurityEvent('lockout', {
+      userId: scope === 'acct' ? userId : undefined,
+      email: scope === 'acct' ? email : undefined,
+      req,
+      detail: `${scope === 'acct' ? 'Account' : 'IP'} locked after ${failures} failed attempts`
+    })
+  }
+}
+
+// The reserved attempt was right (a password before 2FA, or a full sign-in): hand it back
+export async function loginPassed(attempt) {
+  const store = getStore()
+  await Promise.all(attempt.keys.map(k => store.release(k.key, k.lockedUntil)))
+}
+
+export async function loginSucceeded({ email }) {
+  const [acct] = keysFor({ email })
+  if (acct) await getStore().reset(acct.key)
+}
+
+// 429 with Retry-After (seconds)
+export function tooManyAttempts(res, retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60)
+  const wait = retryAfter < 60 ? `${retryAfter} second(s)` : `${minutes} minute(s)`
+  return res
+    .set('Retry-After', String(retryAfter))
+    .status(429)
+    .json({ message: `Too many sign-in attempts. Try again in ${wait}.`, retryAfter })
+}
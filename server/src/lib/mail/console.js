@@ -0,0 +1,9 @@
+export function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ from, to, subject, text }) {
+      console.log(`📧 Mail (console transport)\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`)
+      return { id: `console-${Date.now()}` }
+    }
+  }
+}
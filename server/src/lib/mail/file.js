@@ -0,0 +1,25 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// One RFC 822 .eml file per message in MAIL_DIR (default ./mail-out)
+export function fileTransport() {
+  const dir = path.resolve(process.env.MAIL_DIR || 'mail-out')
+  return {
+    name: 'file',
+    async send({ from, to, subject, text }) {
+      await fs.mkdir(dir, { recursive: true })
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+      const eml = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text
+      ].join('\r\n')
+      await fs.writeFile(path.join(dir, `${id}.eml`), eml)
+      return { id }
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import { consoleTransport } from './console.js'
+import { fileTransport } from './file.js'
+import { smtpTransport } from './smtp.js'
+
+/**
+ * Outgoing mail behind a small transport interface: { name, send({ to, subject, text, html }) }.
+ * MAIL_TRANSPORT picks the implementation:
+ *   console (default) — log the message, for local development
+ *   file              — write .eml files to MAIL_DIR, for tests and manual inspection
+ *   smtp              — deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ */
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+}
+
+let transport = null
+
+export function getTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase()
+    const create = TRANSPORTS[name]
+    if (!create) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`)
+    transport = create()
+  }
+  return transport
+}
+
+// Swap the transport (tests); pass null to fall back to MAIL_TRANSPORT again
+export function setTransport(next) {
+  transport = next
+}
+
+export function sendMail(message) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'FinVerse <no-reply@finverse.local>',
+    ...message
+  })
+}
@@ -0,0 +1,32 @@
+// Plain-text bodies for account emails; links point at the client app (APP_URL)
+
+function appUrl(pathname, token) {
+  const base = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`
+}
+
+export function verifyEmailMessage(user, token, hours) {
+  return {
+    to: user.email,
+    subject: 'Confirm your FinVerse email',
+    text: `Hi ${user.name},
+
+Please confirm your email address by opening this link:
+${appUrl('/verify-email', token)}
+
+The link expires in ${hours} hours. If you did not create a FinVerse account, you can ignore this message.`
+  }
+}
+
+export function resetPasswordMessage(user, token, minutes) {
+  return {
+    to: user.email,
+    subject: 'Reset your FinVerse password',
+    text: `Hi ${user.name},
+
+Someone (hopefully you) asked to reset your FinVerse password. Choose a new one here:
+${appUrl('/reset-password', token)}
+
+The link expires in ${minutes} minutes and works once. If you did not ask for this, you can ignore this message.`
+  }
+}
@@ -0,0 +1,21 @@
+import nodemailer from 'nodemailer'
+
+export function smtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST')
+
+  const port = Number(process.env.SMTP_PORT) || 587
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  })
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await mailer.sendMail(message)
+      return { id: info.messageId }
+    }
+  }
+}
@@ -0,0 +1,20 @@
+// Processor prefixes banks put in front of the merchant name ("SQ *", "POS ", "PAYPAL *")
+const PREFIXES = /^(?:(?:SQ|TST|PAYPAL|POS|ACH|DEBIT|PURCHASE|CARD|CHECKCARD|RECURRING)\b[\s*]*)+/
+
+/**
+ * Normalize a bank description to a stable merchant key:
+ *   "SQ *BLUE BOTTLE #123 OAKLAND CA" → "BLUE BOTTLE"
+ *   "NETFLIX.COM 866-579-7172"        → "NETFLIX COM"
+ */
+export function merchantKey(description) {
+  return String(description || '')
+    .toUpperCase()
+    .replace(PREFIXES, '')
+    .replace(/[#*].*$/, '')
+    .replace(/[^A-Z&' ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .slice(0, 2)
+    .join(' ')
+}
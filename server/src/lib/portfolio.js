@@ -0,0 +1,453 @@
+import mongoose from 'mongoose'
+import InvestmentAccount from '../models/InvestmentAccount.js'
+import Holding from '../models/Holding.js'
+import InvestmentTransaction from '../models/InvestmentTransaction.js'
+import SecurityPrice from '../models/SecurityPrice.js'
+import InvestmentPlan from '../models/InvestmentPlan.js'
+import { readCurrency } from './currencies.js'
+import { loadConverter, baseCurrencyOf } from './fx.js'
+import { parseDay } from './dates.js'
+
+/**
+ * Portfolio holdings: accounts hold securities, buys open tax lots and sells close them — oldest
+ * first (FIFO) or the lots the user picks (specific ID). Cost basis includes buy fees; a sell's
+ * fees reduce its proceeds. Holdings are valued at the latest stored price for the symbol (manual
+ * entry or CSV, no network calls) or, without one, the last trade price. Totals and the allocation
+ * are converted to the user's base currency at today's stored rate.
+ */
+
+export const ASSET_CLASSES = ['Equity', 'Bonds', 'Gold', 'Real Estate', 'Crypto', 'Cash']
+export const LOT_METHODS = ['fifo', 'specific']
+export const ACCOUNT_KINDS = ['brokerage', 'retirement', 'crypto', 'other']
+
+const EPS = 1e-9
+const round2 = n => Math.round(n * 100) / 100
+const qty = n => Math.round(n * 1e8) / 1e8
+const day = d => new Date(d).toISOString().slice(0, 10)
+
+// Oldest first; on the same day buys come before sells, then entry order
+function byTradeOrder(a, b) {
+  return new Date(a.date) - new Date(b.date) ||
+    (a.type === b.type ? 0 : a.type === 'buy' ? -1 : 1) ||
+    new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+}
+
+/**
+ * Replay a holding's transactions into tax lots.
+ * → { lots:[{ buyId, date, quantity, remaining, unitCost }], sells:[{ id, date, quantity, proceeds, cost, gain, lots }], realized }
+ *   or { error } when a sell takes more than is held or picks lots that are not open.
+ */
+export function runLots(transactions, method = 'fifo') {
+  const lots = []
+  const sells = []
+  let realized = 0
+
+  for (const t of [...transactions].sort(byTradeOrder)) {
+    if (t.type === 'buy') {
+      lots.push({
+        buyId: String(t._id),
+        date: t.date,
+        quantity: t.quantity,
+        remaining: t.quantity,
+        unitCost: t.quantity > 0 ? (t.quantity * t.price + (t.fees || 0)) / t.quantity : 0
+      })
+      continue
+    }
+
+    const held = qty(lots.reduce((sum, l) => sum + l.remaining, 0))
+    if (t.quantity > held + EPS) return { error: `The sell on ${day(t.date)} is more than the ${held} units held then` }
+
+    let picks
+    if (t.lots?.length) {
+      picks = []
+      const taken = new Map() // buyId → units picked so far by this sell
+      for (const pick of t.lots) {
+        const lot = lots.find(l => l.buyId === String(pick.buyId))
+        if (!lot) return { error: `The sell on ${day(t.date)} picks a lot that is not an earlier buy of this holding` }
+        const total = (taken.get(lot.buyId) || 0) + pick.quantity
+        if (total > lot.remaining + EPS)
+          return { error: `The sell on ${day(t.date)} takes more from the ${day(lot.date)} lot than is left in it` }
+        taken.set(lot.buyId, total)
+        picks.push({ lot, quantity: pick.quantity })
+      }
+      const picked = picks.reduce((sum, p) => sum + p.quantity, 0)
+      if (Math.abs(picked - t.quantity) > EPS) return { error: 'The picked lots must add up to the quantity sold' }
+    } else if (method === 'specific') {
+      return { error: `The sell on ${day(t.date)} needs its lots picked (specific ID)` }
+    } else {
+      picks = []
+      let left = t.quantity
+      for (const lot of lots) {
+        if (left <= EPS) break
+        const take = Math.min(left, lot.remaining)
+        if (take > EPS) picks.push({ lot, quantity: take })
+        left -= take
+      }
+    }
+
+    let cost = 0
+    for (const { lot, quantity } of picks) {
+      lot.remaining = qty(lot.remaining - quantity)
+      cost += quantity * lot.unitCost
+    }
+    const proceeds = t.quantity * t.price - (t.fees || 0)
+    sells.push({
+      id: String(t._id),
+      date: t.date,
+      quantity: t.quantity,
+      proceeds: round2(proceeds),
+      cost: round2(cost),
+      gain: round2(proceeds - cost),
+      lots: picks.map(p => ({ buyId: p.lot.buyId, quantity: qty(p.quantity) }))
+    })
+    realized += proceeds - cost
+  }
+
+  return {
+    lots: lots.filter(l => l.remaining > EPS),
+    sells,
+    realized: round2(realized)
+  }
+}
+
+// Stored `quote` = { price, date, currency } read in `currency` (the holding account's); the price is null
+// when no rate is stored for the pair. Prices saved without a currency are taken as already in `currency`.
+export function quoteIn(quote, currency, fx) {
+  if (!quote) return null
+  const from = quote.currency || currency
+  const rate = fx.rate(from, currency, quote.date)
+  return { price: rate == null ? null : quote.price * rate, date: quote.date, currency: from }
+}
+
+// Position of one holding in its account currency; `quote` = the latest stored price from quoteIn()
+export function holdingPosition(holding, transactions, quote) {
+  const run = runLots(transactions, holding.lotMethod)
+  const lots = run.lots || []
+  const quantity = qty(lots.reduce((sum, l) => sum + l.remaining, 0))
+  const costBasis = lots.reduce((sum, l) => sum + l.remaining * l.unitCost, 0)
+
+  let price = null
+  if (quote) price = { price: quote.price, date: quote.date, source: 'stored' }
+  else {
+    const last = [...transactions].sort(byTradeOrder).pop()
+    if (last) price = { price: last.price, date: last.date, source: 'trade' }
+  }
+  const marketValue = price?.price == null ? null : quantity * price.price
+
+  return {
+    id: holding._id,
+    accountId: holding.accountId,
+    symbol: holding.symbol,
+    name: holding.name,
+    assetClass: holding.assetClass,
+    lotMethod: holding.lotMethod,
+    quantity,
+    avgCost: quantity > 0 ? round2(costBasis / quantity) : 0,
+    costBasis: round2(costBasis),
+    price: price?.price ?? null,
+    priceDate: price?.date ?? null,
+    priceSource: price?.source ?? null,
+    marketValue: marketValue == null ? null : round2(marketValue),
+    unrealized: marketValue == null ? null : round2(marketValue - costBasis),
+    unrealizedPct: marketValue == null || !costBasis ? null : Math.round(((marketValue - costBasis) / costBasis) * 1000) / 10,
+    realized: run.realized || 0,
+    openLots: lots.length,
+    error: run.error || null
+  }
+}
+
+// Latest stored price per symbol → Map(symbol → { price, date, currency })
+async function latestPrices(userId) {
+  const rows = await SecurityPrice.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: '$symbol',
+        price: { $first: '$price' },
+        date: { $first: '$date' },
+        currency: { $first: '$currency' }
+      }
+    }
+  ])
+  return new Map(rows.map(r => [r._id, { price: r.price, date: r.date, currency: r.currency || null }]))
+}
+
+// One holding with its transactions (newest first), open lots and closed sells
+export async function holdingDetail(holding) {
+  const [transactions, quote, account, fx] = await Promise.all([
+    InvestmentTransaction.find({ holdingId: holding._id }).sort({ date: -1, createdAt: -1 }),
+    SecurityPrice.findOne({ userId: holding.userId, symbol: holding.symbol }).sort({ date: -1 }),
+    InvestmentAccount.findById(holding.accountId).select('currency'),
+    loadConverter(holding.userId)
+  ])
+  const run = runLots(transactions, holding.lotMethod)
+  const currency = account?.currency || fx.baseCurrency
+  return {
+    position: holdingPosition(holding, transactions, quoteIn(quote, currency, fx)),
+    transactions,
+    lots: run.lots || [],
+    sells: run.sells || []
+  }
+}
+
+// The saved investment plan `planId`, or the newest one when it is missing / not the user's
+export async function comparedPlan(userId, planId) {
+  if (planId && mongoose.isValidObjectId(planId)) {
+    const plan = await InvestmentPlan.findOne({ _id: planId, userId })
+    if (plan) return plan
+  }
+  return InvestmentPlan.findOne({ userId }).sort({ createdAt: -1 })
+}
+
+// Everything a valuation needs: accounts, holdings, transactions grouped by holding, latest prices, FX
+export async function loadPortfolio(userId) {
+  const [accounts, holdings, transactions, quotes, fx] = await Promise.all([
+    InvestmentAccount.find({ userId }).sort({ name: 1 }),
+    Holding.find({ userId }).sort({ symbol: 1 }),
+    InvestmentTransaction.find({ userId }),
+    latestPrices(userId),
+    loadConverter(userId)
+  ])
+
+  const txByHolding = new Map()
+  transactions.forEach(t => {
+    const key = String(t.holdingId)
+    if (!txByHolding.has(key)) txByHolding.set(key, [])
+    txByHolding.get(key).push(t)
+  })
+  return { accounts, holdings, txByHolding, quotes, fx }
+}
+
+/**
+ * { currency, accounts:[{ id, name, kind, currency, marketValue, costBasis, holdings:[position] }],
+ *   totals:{ marketValue, costBasis, unrealized, realized },
+ *   allocation:{ plan:{ id, bias, years, savedAt } | null, rows:[{ assetClass, value, actualPct, targetPct, driftPct }] },
+ *   unpriced:[symbol], unconverted:[currency] }
+ * Account figures are in the account's currency, totals and allocation in the base currency.
+ * `planId` picks the saved investment plan to compare with (default: the newest).
+ */
+export async function portfolioSummary(userId, { planId, now = new Date() } = {}) {
+  const [{ accounts, holdings, txByHolding, quotes, fx }, plan] = await Promise.all([
+    loadPortfolio(userId),
+    comparedPlan(userId, planId)
+  ])
+
+  const totals = { marketValue: 0, costBasis: 0, unrealized: 0, realized: 0 }
+  const byClass = new Map()
+  const unpriced = []
+  const unconverted = new Set()
+
+  const accountRows = accounts.map(account => {
+    const positions = holdings
+      .filter(h => String(h.accountId) === String(account._id))
+      .map(h => {
+        const quote = quoteIn(quotes.get(h.symbol), account.currency, fx)
+        if (quote && quote.price == null) unconverted.add(quote.currency)
+        return holdingPosition(h, txByHolding.get(String(h._id)) || [], quote)
+      })
+
+    let marketValue = 0
+    let costBasis = 0
+    positions.forEach(p => {
+      costBasis += p.costBasis
+      if (p.marketValue == null) {
+        if (p.quantity > 0) unpriced.push(p.symbol)
+      } else marketValue += p.marketValue
+
+      const toBase = amount => fx.convert(amount, account.currency, now)
+      const [value, cost, realized] = [p.marketValue ?? 0, p.costBasis, p.realized].map(toBase)
+      if (value == null) {
+        unconverted.add(account.currency)
+        return
+      }
+      totals.marketValue += value
+      totals.costBasis += cost
+      totals.realized += realized
+      if (p.marketValue != null) totals.unrealized += value - cost
+      byClass.set(p.assetClass, (byClass.get(p.assetClass) || 0) + value)
+    })
+
+    return {
+      id: account._id,
+      name: account.name,
+      kind: account.kind,
+      currency: account.currency,
+      marketValue: round2(marketValue),
+      costBasis: round2(costBasis),
+      holdings: positions
+    }
+  })
+
+  const mix = plan ? Object.fromEntries(plan.mix || []) : {}
+  const classes = ASSET_CLASSES.filter(c => byClass.get(c) > 0 || mix[c] > 0)
+  const pctOf = n => Math.round(n * 1000) / 10
+  const rows = classes.map(assetClass => {
+    const value = byClass.get(assetClass) || 0
+    const actualPct = totals.marketValue > 0 ? pctOf(value / totals.marketValue) : 0
+    const targetPct = plan ? pctOf(mix[assetClass] || 0) : null
+    return {
+      assetClass,
+      value: round2(value),
+      actualPct,
+      targetPct,
+      driftPct: targetPct == null ? null : Math.round((actualPct - targetPct) * 10) / 10
+    }
+  })
+
+  return {
+    currency: fx.baseCurrency,
+    accounts: accountRows,
+    totals: Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, round2(v)])),
+    allocation: {
+      plan: plan ? { id: plan._id, bias: plan.bias, years: plan.years, savedAt: plan.createdAt } : null,
+      rows
+    },
+    unpriced: [...new Set(unpriced)],
+    unconverted: [...unconverted]
+  }
+}
+
+// Validate an account payload; `partial` allows missing fields (PUT)
+export function readAccount(body, { partial = false } = {}) {
+  const out = {}
+  const { name, kind, currency } = body || {}
+  if (name !== undefined || !partial) {
+    out.name = String(name || '').trim().slice(0, 80)
+    if (!out.name) return { error: 'Name is required' }
+  }
+  if (kind !== undefined) {
+    if (!ACCOUNT_KINDS.includes(kind)) return { error: `kind must be one of ${ACCOUNT_KINDS.join(', ')}` }
+    out.kind = kind
+  }
+  if (currency !== undefined) {
+    out.currency = readCurrency(currency)
+    if (!out.currency) return { error: 'Unsupported currency' }
+  }
+  return { value: out }
+}
+
+export function readSymbol(value) {
+  const symbol = String(value ?? '').trim().toUpperCase()
+  return /^[A-Z0-9][A-Z0-9.\-:]{0,19}$/.test(symbol) ? symbol : null
+}
+
+// Validate a holding payload; the account and symbol are fixed once created
+export function readHolding(body, { partial = false } = {}) {
+  const out = {}
+  const { symbol, name, assetClass, lotMethod } = body || {}
+  if (!partial) {
+    out.symbol = readSymbol(symbol)
+    if (!out.symbol) return { error: 'Symbol must be 1-20 letters, digits, dots or dashes' }
+  }
+  if (name !== undefined) out.name = String(name || '').trim().slice(0, 80)
+  if (assetClass !== undefined) {
+    if (!ASSET_CLASSES.includes(assetClass)) return { error: `assetClass must be one of ${ASSET_CLASSES.join(', ')}` }
+    out.assetClass = assetClass
+  }
+  if (lotMethod !== undefined) {
+    if (!LOT_METHODS.includes(lotMethod)) return { error: `lotMethod must be one of ${LOT_METHODS.join(', ')}` }
+    out.lotMethod = lotMethod
+  }
+  return { value: out }
+}
+
+// { type, date, quantity, price, fees?, lots?:[{ buyId, quantity }], note? } → { value } or { error }
+export function readTransaction(body) {
+  const { type, date, quantity, price, fees, lots, note } = body || {}
+  if (type !== 'buy' && type !== 'sell') return { error: 'type must be buy or sell' }
+  const value = {
+    type,
+    date: parseDay(date),
+    quantity: qty(Number(quantity)),
+    price: Number(price),
+    fees: fees === undefined || fees === '' ? 0 : Number(fees),
+    note: String(note || '').trim().slice(0, 200)
+  }
+  if (!value.date) return { error: 'A valid date (YYYY-MM-DD) is required' }
+  if (!(value.quantity > 0)) return { error: 'Quantity must be greater than 0' }
+  if (!isFinite(value.price) || value.price < 0) return { error: 'Price must be 0 or more' }
+  if (!isFinite(value.fees) || value.fees < 0) return { error: 'Fees must be 0 or more' }
+
+  if (lots !== undefined && lots !== null) {
+    if (type !== 'sell') return { error: 'Only a sell can pick lots' }
+    if (!Array.isArray(lots)) return { error: 'lots must be a list of { buyId, quantity }' }
+    value.lots = []
+    for (const lot of lots) {
+      const quantity = qty(Number(lot?.quantity))
+      if (!quantity) continue
+      if (!mongoose.isValidObjectId(lot?.buyId) || !(quantity > 0)) return { error: 'Each lot needs a buyId and a positive quantity' }
+      if (value.lots.some(l => String(l.buyId) === String(lot.buyId))) return { error: 'Each lot can be picked only once per sell' }
+      value.lots.push({ buyId: lot.buyId, quantity })
+    }
+    if (!value.lots.length) delete value.lots
+  }
+  return { value }
+}
+
+// Validate { symbol, date, price, currency? }; a missing currency is filled in by priceCurrencies()
+export function readPrice(body) {
+  const symbol = readSymbol(body?.symbol)
+  const date = parseDay(body?.date)
+  const price = Number(body?.price)
+  if (!symbol) return { error: 'Symbol must be 1-20 letters, digits, dots or dashes' }
+  if (!date) return { error: 'A valid date (YYYY-MM-DD) is required' }
+  if (!isFinite(price) || price < 0) return { error: 'Price must be 0 or more' }
+  const value = { symbol, date, price }
+  if (body?.currency) {
+    value.currency = readCurrency(body.currency)
+    if (!value.currency) return { error: 'Unsupported currency' }
+  }
+  return { value }
+}
+
+/**
+ * Currency a price without one is read in: the currency of the accounts holding the symbol,
+ * or the base currency when no account holds it yet. → (price) => { currency } or { error }
+ * (when accounts in different currencies hold the symbol and the price has to say which it is).
+ */
+export async function priceCurrencies(userId) {
+  const [accounts, holdings, baseCurrency] = await Promise.all([
+    InvestmentAccount.find({ userId }).select('currency'),
+    Holding.find({ userId }).select('accountId symbol'),
+    baseCurrencyOf(userId)
+  ])
+  const accountCurrency = new Map(accounts.map(a => [String(a._id), a.currency]))
+  const held = new Map()
+  holdings.forEach(h => {
+    const currency = accountCurrency.get(String(h.accountId))
+    if (!currency) return
+    if (!held.has(h.symbol)) held.set(h.symbol, new Set())
+    held.get(h.symbol).add(currency)
+  })
+
+  return price => {
+    if (price.currency) return { currency: price.currency }
+    const currencies = [...(held.get(price.symbol) || [])]
+    if (!currencies.length) return { currency: baseCurrency }
+    if (currencies.length === 1) return { currency: currencies[0] }
+    return { error: `${price.symbol} is held in ${currencies.sort().join(' and ')} accounts — give the price's currency` }
+  }
+}
+
+/**
+ * Price CSV: symbol,date,price[,currency] per line (header row optional, comma, semicolon or tab).
+ * Returns { prices:[{ ..., line }], errors:[{ line, message }] }.
+ */
+export function parsePricesCsv(text) {
+  const prices = []
+  const errors = []
+  String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = raw.trim()
+      if (!line) return
+      const [symbol, date, price, currency] = line.split(/[;,\t]/).map(c => c.trim().replace(/^"|"$/g, ''))
+      if (i === 0 && !parseDay(date)) return // header
+      const { value, error } = readPrice({ symbol, date, price, currency })
+      if (error) errors.push({ line: i + 1, message: error })
+      else prices.push({ ...value, line: i + 1 })
+    })
+  return { prices, errors }
+}
@@ -0,0 +1,409 @@
+import { ASSET_CLASSES, loadPortfolio, comparedPlan, runLots, quoteIn, holdingPosition } from './portfolio.js'
+
+/**
+ * Rebalancing calculator: proposes trades that move the portfolio's asset-class mix towards a target
+ * (a saved investment plan's mix or a custom one) with as little trading as possible.
+ *
+ * 1. A deposit buys the most underweight classes first; a withdrawal sells the most overweight.
+ * 2. Unless only the cash flow may be used, classes that drift from the target by at least the
+ *    threshold (percentage points) are traded back to it; in-band classes only absorb the difference.
+ * 3. Sells come from tax-advantaged (retirement) accounts first, then taxable lots with the smallest
+ *    gain; with `avoidShortTerm` a taxable lot held under a year is never sold at a gain. Buys are
+ *    spread over a class's holdings by value, or proposed as a new position when it has none.
+ * Trades under `minTrade` are dropped unless they fund a withdrawal; buys never spend more than the
+ * sells plus the cash flow.
+ * Values are in the base currency; quantities and prices in the account's currency.
+ */
+
+const EPS = 1e-6
+const round2 = n => Math.round(n * 100) / 100
+const qty = n => Math.round(n * 1e8) / 1e8
+const pctOf = n => Math.round(n * 1000) / 10
+
+function isShortTerm(lot, now) {
+  const oneYear = new Date(lot.date)
+  oneYear.setUTCFullYear(oneYear.getUTCFullYear() + 1)
+  return oneYear > now
+}
+
+// Split `amount` over `weights` (Map key → weight ≥ 0) proportionally, capped at each key's `caps` value
+function spread(amount, weights, caps) {
+  const out = new Map()
+  const total = [...weights.values()].reduce((a, b) => a + b, 0)
+  if (!(total > 0)) return out
+  weights.forEach((w, key) => out.set(key, Math.min(caps ? caps.get(key) : Infinity, (amount * w) / total)))
+  return out
+}
+
+// A taxable lot that `avoidShortTerm` keeps from being sold: held under a year and at a gain
+function isBlocked(p, lot, { avoidShortTerm, now }) {
+  return p.taxable && avoidShortTerm && isShortTerm(lot, now) && p.price > lot.unitCost
+}
+
+// Lots of one position in the order they would be sold, and the units sellable under the tax rules
+function sellOrder(p, opts) {
+  const blocked = lot => isBlocked(p, lot, opts)
+  if (p.lotMethod === 'fifo') {
+    // FIFO must take the oldest lots first, so a blocked lot stops the sale there
+    const firstBlocked = p.lots.findIndex(blocked)
+    return firstBlocked === -1 ? p.lots : p.lots.slice(0, firstBlocked)
+  }
+  // Specific ID: highest cost first (smallest gain), skipping blocked lots
+  return p.lots.filter(l => !blocked(l)).sort((a, b) => b.unitCost - a.unitCost)
+}
+
+// Estimated gain per unit of base value sold, for ordering taxable positions (losses first)
+function gainRatio(p) {
+  const cost = p.lots.reduce((sum, l) => sum + l.remaining * l.unitCost, 0)
+  const value = p.quantity * p.price
+  return value > 0 ? (value - cost) / value : 0
+}
+
+function sellFrom(p, value, opts) {
+  const units = value / (p.price * p.rate)
+  const picks = []
+  let left = units
+  let gain = 0
+  let shortTermGain = 0
+  for (const lot of sellOrder(p, opts)) {
+    if (left <= EPS) break
+    const take = Math.min(left, lot.remaining)
+    picks.push({ buyId: lot.buyId, quantity: qty(take) })
+    const g = take * (p.price - lot.unitCost)
+    gain += g
+    if (p.taxable && isShortTerm(lot, opts.now) && g > 0) shortTermGain += g
+    left -= take
+  }
+  const quantity = qty(units - Math.max(0, left))
+  return {
+    quantity,
+    value: round2(quantity * p.price * p.rate),
+    estGain: round2(gain),
+    shortTermGain: round2(shortTermGain),
+    lots: p.lotMethod === 'specific' ? picks : undefined
+  }
+}
+
+function sellable(p, opts) {
+  return sellOrder(p, opts).reduce((sum, l) => sum + l.remaining, 0) * p.price * p.rate
+}
+
+// Base value a position cannot sell: { shortTerm } in blocked lots, { behind } in FIFO lots queued after one
+function heldBack(p, opts) {
+  const shortTerm = p.lots.filter(l => isBlocked(p, l, opts)).reduce((sum, l) => sum + l.remaining, 0) * p.price * p.rate
+  const unsold = p.lots.reduce((sum, l) => sum + l.remaining, 0) * p.price * p.rate - sellable(p, opts)
+  return { shortTerm, behind: Math.max(0, unsold - shortTerm) }
+}
+
+function trade(p, action, fields) {
+  return {
+    holdingId: p?.id ?? null,
+    symbol: p?.symbol ?? null,
+    accountId: p?.accountId ?? null,
+    accountName: p?.accountName ?? null,
+    taxable: p?.taxable ?? null,
+    currency: p?.currency ?? null,
+    price: p?.price ?? null,
+    action,
+    ...fields
+  }
+}
+
+/**
+ * Pure calculator.
+ * positions: [{ id, symbol, accountId, accountName, currency, taxable, assetClass, lotMethod, quantity,
+ *               price, rate, value, lots:[{ buyId, date, remaining, unitCost }] }]
+ *   price and unitCost are in the account currency; rate converts it to base; value = quantity × price × rate
+ * targetMix: { assetClass: fraction } summing to 1
+ * → { classes:[…], trades:[…], totals:{ buys, sells, turnover, residualCash, estRealizedGain }, notes:[…] } or { error }
+ */
+export function planRebalance(positions, targetMix, options = {}) {
+  const { cashFlow = 0, cashFlowOnly = false, driftThreshold = 5, minTrade = 0, avoidShortTerm = false, now = new Date() } = options
+  const opts = { avoidShortTerm, now }
+  const notes = []
+
+  const current = new Map()
+  positions.forEach(p => current.set(p.assetClass, (current.get(p.assetClass) || 0) + p.value))
+  const total = [...current.values()].reduce((a, b) => a + b, 0)
+  const after = total + cashFlow
+  if (!(after > 0)) return { error: 'The withdrawal is larger than the priced portfolio' }
+
+  const classes = ASSET_CLASSES.filter(c => current.get(c) > 0 || targetMix[c] > 0)
+  const target = new Map(classes.map(c => [c, after * (targetMix[c] || 0)]))
+  const wanted = new Map(classes.map(c => [c, 0])) // net class trade in base currency (+ buy / − sell)
+  const valueOf = c => (current.get(c) || 0) + wanted.get(c)
+  const add = (amounts, sign) => amounts.forEach((v, c) => wanted.set(c, wanted.get(c) + sign * v))
+
+  // 1. Cash flow: deposits fill deficits first, withdrawals take from excesses first
+  if (cashFlow > 0) {
+    const deficits = new Map(classes.map(c => [c, Math.max(0, target.get(c) - valueOf(c))]))
+    const missing = [...deficits.values()].reduce((a, b) => a + b, 0)
+    add(spread(Math.min(cashFlow, missing), deficits, deficits), 1)
+    if (cashFlow > missing) add(spread(cashFlow - missing, new Map(classes.map(c => [c, targetMix[c] || 0]))), 1)
+  } else if (cashFlow < 0) {
+    const excesses = new Map(classes.map(c => [c, Math.max(0, valueOf(c) - target.get(c))]))
+    const extra = [...excesses.values()].reduce((a, b) => a + b, 0)
+    add(spread(Math.min(-cashFlow, extra), excesses, excesses), -1)
+    if (-cashFlow > extra) add(spread(-cashFlow - extra, new Map(classes.map(c => [c, valueOf(c)]))), -1)
+  }
+
+  // 2. Drift bands: out-of-band classes go back to target, in-band ones make up the difference
+  const outOfBand = new Set()
+  if (!cashFlowOnly) {
+    classes.forEach(c => {
+      if (Math.abs(valueOf(c) / after - (targetMix[c] || 0)) * 100 >= driftThreshold - EPS) outOfBand.add(c)
+    })
+    const gap = c => target.get(c) - valueOf(c) // + underweight, − overweight
+    const over = new Map([...outOfBand].filter(c => gap(c) < 0).map(c => [c, -gap(c)]))
+    const under = new Map([...outOfBand].filter(c => gap(c) > 0).map(c => [c, gap(c)]))
+    const sells = [...over.values()].reduce((a, b) => a + b, 0)
+    const buys = [...under.values()].reduce((a, b) => a + b, 0)
+    const inBand = (sign) => new Map(classes.filter(c => !outOfBand.has(c) && sign * gap(c) > 0).map(c => [c, sign * gap(c)]))
+
+    const fill = sells > buys ? spread(sells - buys, inBand(1), inBand(1)) : new Map()
+    const fund = buys > sells ? spread(buys - sells, inBand(-1), inBand(-1)) : new Map()
+    add(over, -1)
+    add(under, 1)
+    add(fill, 1)
+    add(fund, -1)
+  }
+
+  // 3. Sells per holding: tax-advantaged first, then taxable by smallest gain
+  const taxOrder = (a, b) => (a.taxable === b.taxable ? gainRatio(a) - gainRatio(b) : a.taxable ? 1 : -1)
+  const selling = new Map() // position id → base value to sell
+  const sellUpTo = (p, amount) => {
+    const room = sellable(p, opts) - (selling.get(p.id) || 0)
+    const take = Math.min(amount, Math.max(0, room))
+    if (take > EPS) selling.set(p.id, (selling.get(p.id) || 0) + take)
+    return take
+  }
+  let blocked = 0
+  classes.forEach(c => {
+    let need = -wanted.get(c)
+    if (need <= EPS) return
+    for (const p of positions.filter(p => p.assetClass === c && p.value > 0).sort(taxOrder)) {
+      if (need <= EPS) break
+      need -= sellUpTo(p, need)
+    }
+    if (need > 0.005 && avoidShortTerm) {
+      blocked += need
+      notes.push(`${round2(need)} of ${c} was not sold to avoid short-term gains in taxable accounts.`)
+    }
+  })
+
+  // A withdrawal must be covered even when its sells were held back: take the rest from any class
+  let shortfall = -cashFlow - [...selling.values()].reduce((a, b) => a + b, 0)
+  if (shortfall > 0.005) {
+    const covered = shortfall
+    for (const p of [...positions].sort(taxOrder)) {
+      if (shortfall <= EPS) break
+      shortfall -= sellUpTo(p, shortfall)
+    }
+    if (covered - shortfall > 0.005) notes.push(`${round2(covered - shortfall)} of the withdrawal was sold from other classes.`)
+    if (shortfall > 0.005) {
+      const held = positions.map(p => heldBack(p, opts))
+      const shortTerm = held.reduce((sum, h) => sum + h.shortTerm, 0)
+      const behind = held.reduce((sum, h) => sum + h.behind, 0)
+      const causes = []
+      if (shortTerm > 0.005) causes.push(`${round2(shortTerm)} is in taxable lots held under a year at a gain`)
+      if (behind > 0.005) causes.push(`${round2(behind)} sits behind those lots in FIFO order`)
+      if (shortfall > shortTerm + behind + 0.005) causes.push('the holdings have no other units left to sell')
+      notes.push(`${round2(shortfall)} of the withdrawal could not be covered: ${causes.join('; ')}.`)
+    }
+  }
+
+  // Sells under minTrade are skipped, except those still needed to fund a withdrawal
+  let planned = [...selling.values()].reduce((a, b) => a + b, 0)
+  let keptSmall = 0
+  const skip = new Set()
+  ;[...selling].sort((a, b) => a[1] - b[1]).forEach(([id, amount]) => {
+    if (amount >= minTrade) return
+    if (planned - amount >= -cashFlow - 0.005) {
+      skip.add(id)
+      planned -= amount
+    } else keptSmall++
+  })
+  if (keptSmall) notes.push(`${keptSmall} sell(s) under the minimum trade size were kept to fund the withdrawal.`)
+
+  const trades = []
+  let sold = 0
+  let realized = 0
+  selling.forEach((amount, id) => {
+    if (skip.has(id)) return
+    const p = positions.find(x => x.id === id)
+    const sell = sellFrom(p, amount, opts)
+    if (sell.quantity <= 0) return
+    trades.push(trade(p, 'sell', { assetClass: p.assetClass, ...sell }))
+    sold += sell.value
+    realized += sell.estGain * p.rate
+  })
+
+  // 4. Buys, limited to what the sells and cash flow provide
+  const requested = new Map(classes.filter(c => wanted.get(c) > EPS).map(c => [c, wanted.get(c)]))
+  const wantBuys = [...requested.values()].reduce((a, b) => a + b, 0)
+  const available = Math.max(0, sold + cashFlow)
+  const scale = wantBuys > available + 0.005 ? available / wantBuys : 1
+  if (scale < 1 && wantBuys > 0) {
+    notes.push(`Buys were scaled to ${pctOf(scale)}% because ${blocked > 0 ? 'some sells were held back' : 'small sells were skipped'}.`)
+  }
+
+  let bought = 0
+  requested.forEach((amount, c) => {
+    const budget = amount * scale
+    const holders = positions.filter(p => p.assetClass === c && p.value > 0)
+    if (!holders.length) {
+      if (budget >= Math.max(minTrade, 0.01)) {
+        trades.push(trade(null, 'buy', { assetClass: c, value: round2(budget), quantity: null }))
+        bought += round2(budget)
+        notes.push(`No holding in ${c} yet — pick a security for the new position.`)
+      }
+      return
+    }
+    spread(budget, new Map(holders.map(p => [p.id, p.value]))).forEach((value, id) => {
+      if (value < Math.max(minTrade, 0.01)) return
+      const p = holders.find(h => h.id === id)
+      const quantity = qty(value / (p.price * p.rate))
+      trades.push(trade(p, 'buy', { assetClass: c, quantity, value: round2(value) }))
+      bought += round2(value)
+    })
+  })
+
+  // Executed result per class
+  const executed = new Map(classes.map(c => [c, 0]))
+  trades.forEach(t => executed.set(t.assetClass, executed.get(t.assetClass) + (t.action === 'buy' ? t.value : -t.value)))
+  const residualCash = round2(sold + cashFlow - bought)
+  const afterTotal = total + [...executed.values()].reduce((a, b) => a + b, 0)
+
+  const idle = residualCash - Math.max(0, cashFlow)
+  if (idle > 0.005 && minTrade > 0) {
+    notes.push(`${round2(idle)} from sells stays in cash: the buys it would fund are under the minimum trade size.`)
+  }
+  if (residualCash < -0.005 && !(shortfall > 0.005)) notes.push(`${round2(-residualCash)} of the withdrawal is not covered by the proposed sells.`)
+  if (!trades.length) {
+    if (cashFlowOnly && !cashFlow) notes.push('Cash-flow-only rebalancing needs a deposit or withdrawal.')
+    else if (!outOfBand.size) notes.push(`Every class is within the ${driftThreshold}-point drift band — nothing to trade.`)
+    else notes.push(`${[...outOfBand].join(', ')} drifted past the ${driftThreshold}-point band, but no trade fits the limits above.`)
+  }
+
+  return {
+    classes: classes.map(c => {
+      const value = current.get(c) || 0
+      const afterValue = value + executed.get(c)
+      return {
+        assetClass: c,
+        value: round2(value),
+        currentPct: total > 0 ? pctOf(value / total) : 0,
+        targetPct: pctOf(targetMix[c] || 0),
+        driftPct: total > 0 ? Math.round((value / total - (targetMix[c] || 0)) * 1000) / 10 : 0,
+        outOfBand: outOfBand.has(c),
+        trade: round2(executed.get(c)),
+        afterValue: round2(afterValue),
+        afterPct: afterTotal > 0 ? pctOf(afterValue / afterTotal) : 0
+      }
+    }),
+    trades,
+    totals: {
+      buys: round2(bought),
+      sells: round2(sold),
+      turnover: round2(bought + sold),
+      residualCash,
+      estRealizedGain: round2(realized)
+    },
+    notes
+  }
+}
+
+// Validate the calculator options; targetMix is { assetClass: percent } summing to 100
+export function readRebalanceOptions(body) {
+  const b = body || {}
+  const out = {
+    planId: b.planId ? String(b.planId) : null,
+    cashFlow: b.cashFlow === undefined || b.cashFlow === '' ? 0 : Number(b.cashFlow),
+    cashFlowOnly: Boolean(b.cashFlowOnly),
+    driftThreshold: b.driftThreshold === undefined || b.driftThreshold === '' ? 5 : Number(b.driftThreshold),
+    minTrade: b.minTrade === undefined || b.minTrade === '' ? 0 : Number(b.minTrade),
+    avoidShortTerm: b.avoidShortTerm === undefined ? true : Boolean(b.avoidShortTerm)
+  }
+  if (!isFinite(out.cashFlow)) return { error: 'Cash flow must be a number' }
+  if (!isFinite(out.driftThreshold) || out.driftThreshold < 0 || out.driftThreshold > 100)
+    return { error: 'Drift threshold must be between 0 and 100 points' }
+  if (!isFinite(out.minTrade) || out.minTrade < 0) return { error: 'Minimum trade must be 0 or more' }
+
+  if (b.targetMix) {
+    if (typeof b.targetMix !== 'object') return { error: 'targetMix must map asset classes to percentages' }
+    const mix = {}
+    for (const [assetClass, pct] of Object.entries(b.targetMix)) {
+      if (!ASSET_CLASSES.includes(assetClass)) return { error: `Unknown asset class ${assetClass}` }
+      const n = Number(pct)
+      if (!isFinite(n) || n < 0) return { error: 'Target percentages must be 0 or more' }
+      if (n > 0) mix[assetClass] = n / 100
+    }
+    const sum = Object.values(mix).reduce((a, v) => a + v, 0)
+    if (Math.abs(sum - 1) > 0.005) return { error: `Target percentages add up to ${pctOf(sum)}%, not 100%` }
+    out.targetMix = mix
+  }
+  return { value: out }
+}
+
+/**
+ * Rebalance the user's priced holdings against `targetMix` or a saved plan's mix (planId, default newest).
+ * → planRebalance() result plus { currency, target:{ source, plan, mix }, excluded:[symbol] } or { error }
+ */
+export async function rebalancePortfolio(userId, options, now = new Date()) {
+  const [{ accounts, holdings, txByHolding, quotes, fx }, plan] = await Promise.all([
+    loadPortfolio(userId),
+    options.targetMix ? null : comparedPlan(userId, options.planId)
+  ])
+  const targetMix = options.targetMix || (plan ? Object.fromEntries(plan.mix || []) : null)
+  if (!targetMix) return { error: 'Save an investment plan or enter a custom target mix' }
+
+  const accountById = new Map(accounts.map(a => [String(a._id), a]))
+  const positions = []
+  const excluded = []
+  holdings.forEach(h => {
+    const account = accountById.get(String(h.accountId))
+    const transactions = txByHolding.get(String(h._id)) || []
+    const run = runLots(transactions, h.lotMethod)
+    const lots = run.lots || []
+    const quantity = qty(lots.reduce((sum, l) => sum + l.remaining, 0))
+    if (!account || !(quantity > 0)) return
+
+    // the same price the portfolio is valued at: the stored quote, else the last trade in trade order
+    const { price } = holdingPosition(h, transactions, quoteIn(quotes.get(h.symbol), account.currency, fx))
+    const rate = fx.rate(account.currency, fx.baseCurrency, now)
+    if (run.error || price == null || rate == null) {
+      excluded.push(h.symbol)
+      return
+    }
+
+    positions.push({
+      id: h._id,
+      symbol: h.symbol,
+      accountId: account._id,
+      accountName: account.name,
+      currency: account.currency,
+      taxable: account.kind !== 'retirement',
+      assetClass: h.assetClass,
+      lotMethod: h.lotMethod,
+      quantity,
+      price,
+      rate,
+      value: quantity * price * rate,
+      lots
+    })
+  })
+  if (!positions.length) return { error: 'No priced holdings to rebalance' }
+
+  const result = planRebalance(positions, targetMix, { ...options, now })
+  if (result.error) return result
+  return {
+    currency: fx.baseCurrency,
+    target: {
+      source: options.targetMix ? 'custom' : 'plan',
+      plan: plan ? { id: plan._id, bias: plan.bias, years: plan.years, savedAt: plan.createdAt } : null,
+      mix: Object.fromEntries(Object.entries(targetMix).map(([c, w]) => [c, pctOf(w)]))
+    },
+    excluded,
+    ...result
+  }
+}
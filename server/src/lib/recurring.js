@@ -0,0 +1,136 @@
+import { merchantKey } from './merchant.js'
+import { DEFAULT_CURRENCY } from './currencies.js'
+
+/**
+ * Recurring charge / subscription detection over the expense ledger.
+ * Expenses are grouped by merchant, split into currency and amount clusters (so two plans at the
+ * same merchant stay apart), and a cluster is recurring when the gaps between charges fit a
+ * weekly, monthly or annual cadence. Amounts stay in the cluster's own currency.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const CADENCES = {
+  weekly: { min: 5, max: 9, minCount: 3, perYear: 52 },
+  monthly: { min: 25, max: 36, minCount: 3, perYear: 12 },
+  annual: { min: 345, max: 385, minCount: 2, perYear: 1 }
+}
+
+const AMOUNT_DRIFT = 0.25 // charges within ±25% count as the same subscription
+const PRICE_STEP = 0.01 // >1% above the earlier typical amount is a price increase
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(s.length / 2)
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100
+}
+
+/**
+ * Saved decisions are keyed by merchant, cadence, currency and the cluster's typical amount in whole units,
+ * so a key survives new charges and other clusters coming or going. Two clusters that round to
+ * the same whole amount (small charges) both fall back to cents.
+ */
+function assignKeys(patterns) {
+  const keyOf = (p, decimals) => `${p.merchant}|${p.cadence}|${p.currency}|${p.keyAmount.toFixed(decimals)}`
+  const counts = new Map()
+  patterns.forEach(p => counts.set(keyOf(p, 0), (counts.get(keyOf(p, 0)) || 0) + 1))
+  patterns.forEach(p => {
+    p.key = keyOf(p, counts.get(keyOf(p, 0)) > 1 ? 2 : 0)
+    delete p.keyAmount
+  })
+  return patterns
+}
+
+function addCadence(date, cadence) {
+  const d = new Date(date)
+  if (cadence === 'weekly') return new Date(d.getTime() + 7 * DAY_MS)
+  const months = cadence === 'monthly' ? 1 : 12
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1))
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+  target.setUTCDate(Math.min(d.getUTCDate(), lastDay))
+  return target
+}
+
+// Split one merchant's charges into clusters of one currency and similar amounts
+function clusterByAmount(items) {
+  const clusters = []
+  ;[...items].sort((a, b) => a.amount - b.amount).forEach(item => {
+    const home = clusters.find(c =>
+      c.currency === item.currency && Math.abs(item.amount - c.ref) <= c.ref * AMOUNT_DRIFT)
+    if (home) home.items.push(item)
+    else clusters.push({ ref: item.amount, currency: item.currency, items: [item] })
+  })
+  return clusters.map(c => c.items.sort((a, b) => a.date - b.date))
+}
+
+function detectCadence(items) {
+  if (items.length < 2) return null
+  const gaps = []
+  for (let i = 1; i < items.length; i++) gaps.push((items[i].date - items[i - 1].date) / DAY_MS)
+  const typical = median(gaps)
+
+  for (const [name, c] of Object.entries(CADENCES)) {
+    if (items.length < c.minCount || typical < c.min || typical > c.max) continue
+    const fitting = gaps.filter(g => g >= c.min && g <= c.max).length
+    if (fitting / gaps.length >= 0.75) return name
+  }
+  return null
+}
+
+/**
+ * @param expenses [{ date, description, amount, currency, category }]
+ * @returns [{ key, merchant, cadence, currency, amount, typicalAmount, previousAmount, priceIncrease,
+ *             occurrences, category, lastDate, nextDate, annualCost }] — amounts in `currency`
+ */
+export function detectRecurring(expenses) {
+  const byMerchant = new Map()
+  expenses.forEach(e => {
+    const merchant = merchantKey(e.description) || String(e.description || '').trim().toUpperCase()
+    if (!merchant) return
+    const item = {
+      date: new Date(e.date).getTime(),
+      amount: Number(e.amount),
+      currency: e.currency || DEFAULT_CURRENCY,
+      category: e.category
+    }
+    if (!byMerchant.has(merchant)) byMerchant.set(merchant, [])
+    byMerchant.get(merchant).push(item)
+  })
+
+  const patterns = []
+  byMerchant.forEach((items, merchant) => {
+    clusterByAmount(items).forEach(cluster => {
+      const cadence = detectCadence(cluster)
+      if (!cadence) return
+
+      const last = cluster[cluster.length - 1]
+      const earlier = cluster.slice(0, -1).map(i => i.amount)
+      const typicalAmount = median(earlier)
+      const categories = cluster.map(i => i.category).filter(Boolean)
+      const category = categories.sort((a, b) =>
+        categories.filter(x => x === b).length - categories.filter(x => x === a).length)[0]
+
+      patterns.push({
+        keyAmount: median(cluster.map(i => i.amount)),
+        merchant,
+        cadence,
+        currency: last.currency,
+        amount: round2(last.amount),
+        typicalAmount: round2(typicalAmount),
+        previousAmount: round2(earlier[earlier.length - 1]),
+        priceIncrease: last.amount > typicalAmount * (1 + PRICE_STEP),
+        occurrences: cluster.length,
+        category: category || 'Misc',
+        lastDate: new Date(last.date),
+        nextDate: addCadence(last.date, cadence),
+        annualCost: round2(last.amount * CADENCES[cadence].perYear)
+      })
+    })
+  })
+
+  return assignKeys(patterns).sort((a, b) => b.annualCost - a.annualCost)
+}
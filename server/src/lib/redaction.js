@@ -0,0 +1,141 @@
+import RedactionLog from '../models/RedactionLog.js'
+
+/**
+ * Masks sensitive values in text bound for an LLM and puts them back in the reply.
+ * Each distinct value gets a stable placeholder for the whole request ("[EMAIL_1]", "[CARD_2]"),
+ * so the model can still refer to it and restore() swaps the original back in.
+ * Detectors run in order; a value masked by an earlier one is not seen by later ones.
+ */
+
+function luhnValid(digits) {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      d *= 2
+      if (d > 9) d -= 9
+    }
+    sum += d
+  }
+  return sum % 10 === 0
+}
+
+// ABA routing number checksum (3-7-1 weights)
+function abaValid(digits) {
+  const d = [...digits].map(Number)
+  return (3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8])) % 10 === 0
+}
+
+const onlyDigits = s => s.replace(/\D/g, '')
+
+const STREET_TYPES =
+  'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Cir|Highway|Hwy|Parkway|Pkwy'
+
+/**
+ * [type, regex, check?]. With a capture group only group 1 is masked (the label stays readable);
+ * `check` can reject a match, e.g. a 16-digit number that fails the Luhn test.
+ */
+const DETECTORS = [
+  ['EMAIL', /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  ['SSN', /\b(?!000|666|9\d\d)\d{3}[- ](?!00)\d{2}[- ](?!0000)\d{4}\b/g],
+  ['SSN', /\b(?:SSN|social security(?: number)?)\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d{9})\b/gi],
+  ['CARD', /\b\d(?:[ -]?\d){12,18}\b/g, m => luhnValid(onlyDigits(m))],
+  ['IBAN', /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g],
+  ['ROUTING', /\b(?:routing|ABA|RTN)\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d{9})\b/gi],
+  ['ROUTING', /\b\d{9}\b/g, abaValid],
+  ['ACCOUNT', /\b(?:account|acct|a\/c)\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d[\d -]{4,18}\d)\b/gi],
+  ['PHONE', /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b/g],
+  ['PHONE', /\+91[\s-]?[6-9]\d{4}[\s-]?\d{5}\b/g],
+  ['ADDRESS', new RegExp(
+    `\\b\\d{1,6}\\s+(?:[A-Z0-9][\\w.'-]*\\s+){1,5}(?:${STREET_TYPES})\\b\\.?(?:\\s+(?:N|S|E|W|NE|NW|SE|SW)\\b)?(?:,?\\s*(?:Apt|Suite|Unit|#)\\.?\\s*[\\w-]+)?`,
+    'gi'
+  )]
+]
+
+const PLACEHOLDER = /\[([A-Z]+_\d+)\]/g
+
+// Short, non-reversible hint for the audit log (last 4 digits of a card or account, an email's domain)
+function hintFor(type, value) {
+  if (type === 'CARD' || type === 'ACCOUNT' || type === 'IBAN') return `…${value.replace(/[\s-]/g, '').slice(-4)}`
+  if (type === 'EMAIL') return `@${value.split('@')[1]}`
+  return ''
+}
+
+export function createRedactor() {
+  const byValue = new Map() // original → placeholder
+  const byPlaceholder = new Map() // placeholder → original
+  const counts = {}
+  const entries = [] // { type, placeholder, hint } once per distinct value
+
+  function placeholderFor(type, value) {
+    if (byValue.has(value)) return byValue.get(value)
+    counts[type] = (counts[type] || 0) + 1
+    const placeholder = `[${type}_${counts[type]}]`
+    byValue.set(value, placeholder)
+    byPlaceholder.set(placeholder, value)
+    entries.push({ type, placeholder, hint: hintFor(type, value) })
+    return placeholder
+  }
+
+  function redact(text) {
+    if (!text) return text
+    let out = String(text)
+    for (const [type, re, check] of DETECTORS) {
+      out = out.replace(re, (match, group) => {
+        const value = typeof group === 'string' ? group : match
+        if (check && !check(value)) return match
+        return match.replace(value, placeholderFor(type, value))
+      })
+    }
+    return out
+  }
+
+  // redact() every string inside a JSON-like value (tool results); numbers and other types pass through
+  function redactDeep(value) {
+    if (typeof value === 'string') return redact(value)
+    if (Array.isArray(value)) return value.map(redactDeep)
+    if (value && Object.getPrototypeOf(value) === Object.prototype)
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactDeep(v)]))
+    return value
+  }
+
+  function restore(text) {
+    return String(text || '').replace(PLACEHOLDER, (match) => byPlaceholder.get(match) ?? match)
+  }
+
+  /**
+   * Wrap a streaming onText callback so placeholders split across chunks ("[EMA" + "IL_1]")
+   * are restored before the client sees them. Call flush() when the stream ends.
+   */
+  function restoreStream(onText) {
+    let pending = ''
+    const write = (delta) => {
+      pending += delta
+      // Hold back a trailing "[..." that could still become a placeholder
+      const open = pending.lastIndexOf('[')
+      const hold = open >= 0 && !pending.includes(']', open) && pending.length - open <= 16 ? pending.slice(open) : ''
+      const ready = pending.slice(0, pending.length - hold.length)
+      pending = hold
+      if (ready) onText?.(restore(ready))
+    }
+    write.flush = () => {
+      if (pending) onText?.(restore(pending))
+      pending = ''
+    }
+    return write
+  }
+
+  return { redact, redactDeep, restore, restoreStream, entries, logged: 0 }
+}
+
+// Audit the values a redactor masked since the last call; logging failures never block the chat
+export async function logRedactions(redactor, { userId, conversationId, feature, provider }) {
+  const redactions = redactor.entries.slice(redactor.logged)
+  if (!redactions.length) return
+  redactor.logged = redactor.entries.length
+  try {
+    await RedactionLog.create({ userId, conversationId, feature, provider, redactions })
+  } catch (e) {
+    console.error('Redaction Log Error:', e)
+  }
+}
@@ -0,0 +1,181 @@
+import vm from 'vm'
+import CategoryRule from '../models/CategoryRule.js'
+import { EXPENSE_CATEGORIES } from './categories.js'
+import { merchantKey } from './merchant.js'
+
+/**
+ * Rule-based auto-categorization.
+ * A rule is { category, match: 'all'|'any', conditions:[{ field, op, value }] }.
+ * Rules are evaluated in priority order (lowest first); the first matching rule wins.
+ */
+
+const TEXT_OPS = ['contains', 'equals', 'startsWith', 'regex']
+const NUMBER_OPS = ['gt', 'gte', 'lt', 'lte', 'equals']
+const MAX_PATTERN = 200
+const MAX_TEXT = 500 // descriptions are cut to this length before a pattern runs on them
+
+/**
+ * Patterns run on every entry and import, so the obvious exponential shapes are refused when a rule
+ * is saved: a quantified group that itself contains a quantifier or an alternation ("(a+)+", "(a|ab)*"),
+ * and backreferences. Returns an error message or null. This is only a first filter — matching itself
+ * runs under a time limit (see regexTest).
+ */
+export function unsafePattern(pattern) {
+  const groups = [] // per open group: does it contain a quantifier or '|'?
+  let inClass = false
+  let closed = null // the group that just closed, if the next token may quantify it
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i]
+    const wasClosed = closed
+    closed = null
+    if (ch === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return 'Backreferences are not supported'
+      i++
+      continue
+    }
+    if (inClass) {
+      if (ch === ']') inClass = false
+      continue
+    }
+    if (ch === '[') inClass = true
+    else if (ch === '(') groups.push({ risky: false })
+    else if (ch === ')') {
+      closed = groups.pop() || { risky: false }
+      if (groups.length && closed.risky) groups[groups.length - 1].risky = true
+    } else if (ch === '|') {
+      if (groups.length) groups[groups.length - 1].risky = true
+    } else if (ch === '*' || ch === '+' || ch === '{') {
+      if (ch === '{' && !/^\{\d+(,\d*)?\}/.test(pattern.slice(i))) continue
+      const repeats = ch !== '{' || !/^\{[01](,[01])?\}/.test(pattern.slice(i))
+      if (wasClosed?.risky && repeats) return 'Nested or ambiguous repetition like (a+)+ is not allowed'
+      if (groups.length) groups[groups.length - 1].risky = true
+    }
+  }
+  return null
+}
+
+// User patterns run in a vm context so a slow one is cut off after MATCH_TIMEOUT_MS instead of
+// blocking the event loop; a pattern that hits the limit is not run again by this process
+const MATCH_TIMEOUT_MS = 20
+const matchScript = new vm.Script('pattern.test(text)')
+const matchContext = vm.createContext({ pattern: null, text: '' })
+const timedOut = new Set()
+
+function regexTest(value, text) {
+  if (timedOut.has(value)) return false
+  try {
+    matchContext.pattern = new RegExp(value, 'i')
+    matchContext.text = text
+    return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) === true
+  } catch (e) {
+    if (e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      timedOut.add(value)
+      console.warn(`Rule pattern stopped after ${MATCH_TIMEOUT_MS}ms and disabled: ${value}`)
+    }
+    return false
+  } finally {
+    matchContext.pattern = null
+    matchContext.text = ''
+  }
+}
+
+function conditionMatches({ field, op, value }, txn) {
+  if (field === 'amount') {
+    const amount = Number(txn.amount)
+    const target = Number(value)
+    if (!isFinite(amount) || !isFinite(target)) return false
+    if (op === 'gt') return amount > target
+    if (op === 'gte') return amount >= target
+    if (op === 'lt') return amount < target
+    if (op === 'lte') return amount <= target
+    if (op === 'equals') return Math.abs(amount - target) < 0.005
+    return false
+  }
+
+  const text = String(txn.description || '').toLowerCase()
+  const needle = String(value).toLowerCase()
+  if (op === 'contains') return text.includes(needle)
+  if (op === 'equals') return text.trim() === needle.trim()
+  if (op === 'startsWith') return text.startsWith(needle)
+  if (op === 'regex') {
+    if (unsafePattern(String(value))) return false
+    return regexTest(String(value), String(txn.description || '').slice(0, MAX_TEXT))
+  }
+  return false
+}
+
+export function ruleMatches(rule, txn) {
+  if (rule.enabled === false || !rule.conditions?.length) return false
+  return rule.match === 'any'
+    ? rule.conditions.some(c => conditionMatches(c, txn))
+    : rule.conditions.every(c => conditionMatches(c, txn))
+}
+
+// Category from the first matching rule, or null
+export function categorize(rules, txn) {
+  const hit = rules.find(r => ruleMatches(r, txn))
+  return hit ? hit.category : null
+}
+
+export function loadRules(userId) {
+  return CategoryRule.find({ userId, enabled: true }).sort({ priority: 1, createdAt: 1 })
+}
+
+// Validate and normalize a create/update payload; `partial` allows missing fields (PUT)
+export function readRule(body, { partial = false } = {}) {
+  const out = {}
+  const { name, category, enabled, match, conditions } = body || {}
+
+  if (name !== undefined) out.name = String(name).trim()
+  if (category !== undefined || !partial) {
+    if (!EXPENSE_CATEGORIES.includes(category)) return { error: 'Unknown category' }
+    out.category = category
+  }
+  if (enabled !== undefined) out.enabled = !!enabled
+  if (match !== undefined) {
+    if (!['all', 'any'].includes(match)) return { error: 'match must be "all" or "any"' }
+    out.match = match
+  }
+  if (conditions !== undefined || !partial) {
+    if (!Array.isArray(conditions) || !conditions.length) return { error: 'At least one condition is required' }
+    out.conditions = []
+    for (const c of conditions) {
+      const field = c?.field
+      const op = c?.op
+      const value = String(c?.value ?? '').trim()
+      if (field !== 'description' && field !== 'amount') return { error: 'Condition field must be description or amount' }
+      const ops = field === 'amount' ? NUMBER_OPS : TEXT_OPS
+      if (!ops.includes(op)) return { error: `Operator "${op}" is not valid for ${field}` }
+      if (!value) return { error: 'Condition value is required' }
+      if (field === 'amount' && !isFinite(Number(value))) return { error: 'Amount conditions need a number' }
+      if (op === 'regex') {
+        if (value.length > MAX_PATTERN) return { error: `Patterns are limited to ${MAX_PATTERN} characters` }
+        const unsafe = unsafePattern(value)
+        if (unsafe) return { error: unsafe }
+        try {
+          new RegExp(value, 'i')
+        } catch {
+          return { error: 'Invalid regular expression' }
+        }
+      }
+      out.conditions.push({ field, op, value })
+    }
+  }
+  return { value: out }
+}
+
+/**
+ * "Learn from my correction": propose a rule that would have produced `category` for this
+ * transaction, or null when the user's rules already do.
+ */
+export function suggestRule(rules, txn, category) {
+  if (categorize(rules, txn) === category) return null
+  const key = merchantKey(txn.description) || String(txn.description || '').trim()
+  if (!key) return null
+  return {
+    name: `${key} → ${category}`,
+    category,
+    match: 'all',
+    conditions: [{ field: 'description', op: 'contains', value: key.toLowerCase() }]
+  }
+}
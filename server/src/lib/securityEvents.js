@@ -0,0 +1,30 @@
+import SecurityEvent from '../models/SecurityEvent.js'
+
+// Types that mark an IP as known for the account
+const KNOWN_IP_TYPES = ['register', 'login_new_ip']
+
+/**
+ * Append an event to the audit trail. Never throws: a failed write is logged so it cannot
+ * turn a successful sign-in (or a lockout response) into a 500.
+ */
+export async function recordSecurityEvent(type, { userId, email, req, detail = '' } = {}) {
+  try {
+    await SecurityEvent.create({
+      type,
+      userId,
+      email,
+      ip: req?.ip || '',
+      userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 300),
+      detail
+    })
+  } catch (e) {
+    console.error('Security Event Error:', e)
+  }
+}
+
+// Record 'login_new_ip' the first time an account signs in from an address
+export async function noteLoginIp(user, req) {
+  const ip = req.ip || ''
+  const known = await SecurityEvent.exists({ userId: user._id, ip, type: { $in: KNOWN_IP_TYPES } })
+  if (!known) await recordSecurityEvent('login_new_ip', { userId: user._id, email: user.email, req })
+}
@@ -0,0 +1,106 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import Session from '../models/Session.js'
+
+/**
+ * Short-lived access tokens (JWT with a `sid` claim) plus rotating refresh tokens.
+ * A refresh token is "<sessionId>.<secret>"; the session stores a hash of the current secret.
+ * Presenting an older secret for a live session means the token was copied, so the whole
+ * session is revoked (refresh token reuse detection). The secret just rotated out stays valid
+ * for a few seconds so parallel refreshes (two tabs) get an access token instead of a revocation.
+ */
+
+const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+const REFRESH_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30
+const DAY_MS = 24 * 60 * 60 * 1000
+const ROTATION_GRACE_MS = 30 * 1000
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex')
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, name: user.name, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TTL }
+  )
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip || ''
+  }
+}
+
+// Start a session for a user who just authenticated → { token, refreshToken }
+export async function startSession(user, req) {
+  const secret = newSecret()
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hash(secret),
+    expiresAt: new Date(Date.now() + REFRESH_DAYS * DAY_MS),
+    ...clientInfo(req)
+  })
+  return { token: signAccessToken(user, session._id), refreshToken: `${session._id}.${secret}` }
+}
+
+/**
+ * Exchange a refresh token for a new pair. Returns { session, refreshToken } or { error }.
+ * refreshToken is null inside the rotation grace window: the client keeps the newer one it
+ * already stored. The caller signs the access token once it has loaded the user.
+ */
+export async function rotateSession(refreshToken, req) {
+  const [id, secret] = String(refreshToken || '').split('.')
+  if (!id || !secret || !/^[a-f0-9]{24}$/.test(id)) return { error: 'Invalid refresh token' }
+
+  // Rotate in one conditional write so two parallel refreshes can't both take the current secret
+  const presented = hash(secret)
+  const next = newSecret()
+  const now = new Date()
+  const rotated = await Session.findOneAndUpdate(
+    { _id: id, tokenHash: presented, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousHash: presented,
+        tokenHash: hash(next),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_DAYS * DAY_MS),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  )
+  if (rotated) return { session: rotated, refreshToken: `${rotated._id}.${next}` }
+
+  const session = await Session.findById(id)
+  if (!session || session.revokedAt || session.expiresAt < now) return { error: 'Session expired' }
+
+  const recentlyRotated = session.rotatedAt && now - session.rotatedAt < ROTATION_GRACE_MS
+  if (presented === session.previousHash && recentlyRotated) return { session, refreshToken: null }
+
+  const revoked = await Session.updateOne(
+    { _id: id, tokenHash: { $ne: presented }, revokedAt: { $exists: false } },
+    { revokedAt: now, revokedReason: 'reuse' }
+  )
+  if (revoked.modifiedCount) console.warn(`Refresh token reuse detected; session ${session._id} revoked`)
+  return { error: 'Session revoked' }
+}
+
+export function revokeSession(filter, reason = 'revoked') {
+  return Session.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  )
+}
+
+export async function isSessionActive(sessionId, userId) {
+  const session = await Session.findOne({ _id: sessionId, userId }).select('revokedAt expiresAt')
+  return !!session && !session.revokedAt && session.expiresAt > new Date()
+}
@@ -0,0 +1,106 @@
+/**
+ * OFX / QFX (Quicken) and QIF statement parsers.
+ * Both produce normalized transactions:
+ *   { date: "YYYY-MM-DD", description, amount, currency?, fitid?, bankCategory?, sic? }
+ * where amount keeps the bank's sign (negative = money out).
+ */
+
+function decodeEntities(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+function isoDay(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d))
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null
+  return dt.toISOString().slice(0, 10)
+}
+
+// Value of an OFX element — works for SGML (unclosed tags, OFX 1.x) and XML (OFX 2.x)
+function ofxTag(block, tag) {
+  const m = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block)
+  return m ? decodeEntities(m[1].trim()) : ''
+}
+
+// "20240501120000.000[-5:EST]" → "2024-05-01"
+function ofxDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value)
+  return m ? isoDay(Number(m[1]), Number(m[2]), Number(m[3])) : null
+}
+
+export function parseOfx(text) {
+  const src = String(text)
+  if (!/<OFX>/i.test(src)) throw new Error('Not an OFX/QFX file')
+
+  const transactions = []
+  // A file may hold several statements (e.g. checking + credit card)
+  const statements = src.split(/<(?:STMTRS|CCSTMTRS)>/i).slice(1)
+  statements.forEach(stmt => {
+    const account = ofxTag(stmt, 'ACCTID')
+    const currency = ofxTag(stmt, 'CURDEF') || undefined
+    stmt.split(/<STMTTRN>/i).slice(1).forEach(block => {
+      const body = block.split(/<\/STMTTRN>/i)[0]
+      const fitid = ofxTag(body, 'FITID')
+      transactions.push({
+        date: ofxDate(ofxTag(body, 'DTPOSTED')),
+        description: ofxTag(body, 'NAME') || ofxTag(body, 'MEMO') || ofxTag(body, 'TRNTYPE'),
+        amount: Number(ofxTag(body, 'TRNAMT').replace(',', '.')),
+        currency,
+        fitid: fitid ? `${account}:${fitid}` : undefined,
+        sic: ofxTag(body, 'SIC') || undefined
+      })
+    })
+  })
+  return transactions
+}
+
+// QIF dates: "05/01/2024", "5/ 1/24", "5/1'24" (US month-first; apostrophe marks 2000s)
+function qifDate(value) {
+  const m = /^\s*(\d{1,2})\s*[/.-]\s*(\d{1,2})\s*(['/.-])\s*(\d{2,4})/.exec(value)
+  if (!m) return null
+  let year = Number(m[4])
+  if (year < 100) year += m[3] === "'" || year < 70 ? 2000 : 1900
+  return isoDay(year, Number(m[1]), Number(m[2]))
+}
+
+export function parseQif(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+  const header = lines.find(l => l.trim().startsWith('!Type:'))
+  if (!header) throw new Error('Not a QIF file')
+  if (!/!Type:(Bank|CCard|Cash|Oth [AL])/i.test(header))
+    throw new Error(`Unsupported QIF account type (${header.trim().slice(6)})`)
+
+  const transactions = []
+  let current = {}
+  lines.forEach(raw => {
+    const line = raw.trimEnd()
+    if (!line || line.startsWith('!')) return
+    const code = line[0]
+    const value = line.slice(1).trim()
+
+    if (code === '^') {
+      if (Object.keys(current).length) transactions.push(current)
+      current = {}
+    } else if (code === 'D') current.date = qifDate(value)
+    else if (code === 'T' || code === 'U') current.amount = Number(value.replace(/,/g, ''))
+    else if (code === 'P') current.description = value
+    else if (code === 'M' && !current.description) current.description = value
+    else if (code === 'L' && !value.startsWith('[')) current.bankCategory = value // [Account] = transfer
+  })
+  if (Object.keys(current).length) transactions.push(current)
+  return transactions
+}
+
+// Detect the format from the file name, falling back to the content
+export function parseStatement(name, text) {
+  const ext = String(name || '').toLowerCase().split('.').pop()
+  if (ext === 'ofx' || ext === 'qfx') return { format: ext, transactions: parseOfx(text) }
+  if (ext === 'qif') return { format: 'qif', transactions: parseQif(text) }
+  if (/<OFX>/i.test(text)) return { format: 'ofx', transactions: parseOfx(text) }
+  if (/^\s*!Type:/m.test(text)) return { format: 'qif', transactions: parseQif(text) }
+  throw new Error('Unrecognized statement format (expected OFX, QFX or QIF)')
+}
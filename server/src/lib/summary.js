@@ -0,0 +1,174 @@
+import Expense from '../models/Expense.js'
+import InvestmentPlan from '../models/InvestmentPlan.js'
+import BudgetPlan from '../models/BudgetPlan.js'
+import TaxEstimate from '../models/TaxEstimate.js'
+import InsuranceCheck from '../models/InsuranceCheck.js'
+import User from '../models/User.js'
+import { parseMonth, monthRange } from './dates.js'
+import { loadConverter } from './fx.js'
+import { goalsWithProgress } from './goals.js'
+
+/**
+ * Per-user read models behind the Dashboard endpoints.
+ * Each builder returns the response shape documented in client/src/pages/Dashboard.jsx,
+ * or null / an empty list when the user has not stored anything for that area yet.
+ * Money totals are converted to the user's base currency with their stored FX rates.
+ */
+
+const INSURANCE_LABELS = { health: 'Health', auto: 'Auto', life: 'Life', home: 'Home/Renters' }
+
+// { month, currency, monthTotal, byCat, unconverted } — byCat is ordered largest category first;
+// `unconverted` lists currencies left out of the totals because no FX rate is stored
+export async function monthlyExpenses(userId, month, fx) {
+  const start = parseMonth(month) || parseMonth()
+  const [rows, converter] = await Promise.all([
+    Expense.find({ userId, date: monthRange(start) }).select('date category amount currency'),
+    fx || loadConverter(userId)
+  ])
+
+  const totals = {}
+  const unconverted = new Set()
+  let monthTotal = 0
+  rows.forEach(r => {
+    const amount = converter.convert(r.amount, r.currency, r.date)
+    if (amount == null) {
+      unconverted.add(r.currency)
+      return
+    }
+    totals[r.category] = (totals[r.category] || 0) + amount
+    monthTotal += amount
+  })
+  const byCat = Object.fromEntries(Object.entries(totals).sort((a, b) => b[1] - a[1]))
+
+  return {
+    month: start.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' }),
+    currency: converter.baseCurrency,
+    monthTotal: Math.round(monthTotal * 100) / 100,
+    byCat,
+    unconverted: [...unconverted]
+  }
+}
+
+export function toSavedPlan(doc) {
+  return {
+    id: doc._id,
+    bias: doc.bias,
+    years: doc.years,
+    monthly: doc.monthly,
+    principal: doc.principal,
+    cagr: doc.cagr,
+    mix: Object.fromEntries(doc.mix || []),
+    totalInvested: doc.totalInvested,
+    projected: doc.projected,
+    returns: doc.returns,
+    rationale: doc.rationale,
+    simulation: doc.simulation || null,
+    assumptions: doc.assumptions ? Object.fromEntries(doc.assumptions) : null,
+    currency: doc.currency,
+    savedAt: doc.createdAt
+  }
+}
+
+export async function savedInvestmentPlans(userId, limit = 10) {
+  const plans = await InvestmentPlan.find({ userId }).sort({ createdAt: -1 }).limit(limit)
+  return plans.map(toSavedPlan)
+}
+
+export function toSavedBudget(doc, activeId) {
+  return {
+    id: doc._id,
+    active: Boolean(activeId) && String(activeId) === String(doc._id),
+    ts: doc.createdAt,
+    income: doc.income,
+    obligations: doc.obligations,
+    savingsGoal: doc.savingsGoal,
+    goalDate: doc.goalDate,
+    risk: doc.risk,
+    plan: doc.plan,
+    reasoning: doc.reasoning,
+    currency: doc.currency
+  }
+}
+
+// `active` marks the plan the user chose as their current budget (User.activeBudget)
+export async function savedBudgets(userId, limit = 8) {
+  const [budgets, user] = await Promise.all([
+    BudgetPlan.find({ userId }).sort({ createdAt: -1 }).limit(limit),
+    User.findById(userId).select('activeBudget')
+  ])
+  return budgets.map(b => toSavedBudget(b, user?.activeBudget))
+}
+
+// { status, estDue, currency, year, savedAt } for the most recent estimate
+export async function latestTax(userId) {
+  const est = await TaxEstimate.findOne({ userId }).sort({ createdAt: -1 })
+  if (!est) return null
+  return { status: est.status, estDue: est.tax, currency: est.currency, year: est.year, savedAt: est.createdAt }
+}
+
+// { policies, gaps, openActions, lastCheck } from the latest check of each category
+export async function latestInsurance(userId) {
+  const checks = await InsuranceCheck.find({ userId }).sort({ createdAt: -1 })
+  if (!checks.length) return null
+
+  const latestByCat = new Map()
+  checks.forEach(c => {
+    if (!latestByCat.has(c.category)) latestByCat.set(c.category, c)
+  })
+
+  const latest = [...latestByCat.values()]
+  const gaps = latest.filter(c => !c.hasCoverage).map(c => INSURANCE_LABELS[c.category])
+
+  return {
+    policies: latest.filter(c => c.hasCoverage).length,
+    gaps,
+    openActions: gaps.length,
+    lastCheck: checks[0].createdAt
+  }
+}
+
+// `amount` in the base currency, or null (with `currency` noted in `missing`) when no rate is stored
+function inBase(fx, amount, currency, date, missing) {
+  const converted = fx.convert(amount, currency, date)
+  if (converted == null) missing.add(currency)
+  return converted
+}
+
+export async function buildSummary(userId) {
+  const fx = await loadConverter(userId)
+  const [expenses, planCount, lastPlan, lastBudget, tax, insurance, goals] = await Promise.all([
+    monthlyExpenses(userId, undefined, fx),
+    InvestmentPlan.countDocuments({ userId }),
+    InvestmentPlan.findOne({ userId }).sort({ createdAt: -1 }),
+    BudgetPlan.findOne({ userId }).sort({ createdAt: -1 }),
+    latestTax(userId),
+    latestInsurance(userId),
+    goalsWithProgress(userId)
+  ])
+
+  const unconverted = new Set(expenses.unconverted)
+  return {
+    currency: fx.baseCurrency,
+    tax: tax && { status: tax.status, estDue: inBase(fx, tax.estDue, tax.currency, tax.savedAt, unconverted), year: tax.year },
+    insurance,
+    investments: planCount
+      ? { savedPlans: planCount, lastProjected: inBase(fx, lastPlan.projected, lastPlan.currency, lastPlan.createdAt, unconverted) }
+      : null,
+    expenses: expenses.monthTotal > 0
+      ? { monthTotal: expenses.monthTotal, topCat: Object.keys(expenses.byCat)[0] }
+      : null,
+    budget: lastBudget ? { lastSplit: lastBudget.plan } : null,
+    // Each goal in its own currency
+    goals: goals.map(g => ({
+      id: g.id,
+      name: g.name,
+      saved: g.saved,
+      targetAmount: g.targetAmount,
+      percent: g.percent,
+      deadline: g.deadline,
+      status: g.status,
+      currency: g.currency
+    })),
+    unconverted: [...unconverted]
+  }
+}
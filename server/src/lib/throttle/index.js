@@ -0,0 +1,36 @@
+import { memoryStore } from './memory.js'
+import { mongoStore } from './mongo.js'
+
+/**
+ * Storage for sign-in attempt counters behind a small interface:
+ *   get(key) → { failures, lockedUntil } | null
+ *   reserve(key, { ttlMs, delays }) → { allowed, failures, lockedUntil }
+ *     atomically: refused while locked; otherwise counts the attempt and locks the key for
+ *     delays[failures] ms (the last entry covers higher counts). The counter expires ttlMs later.
+ *   release(key, lockedUntil)   hands back a reserved attempt that turned out fine, lifting
+ *     the lock it set unless a later attempt has replaced it
+ *   reset(key)
+ * LOGIN_THROTTLE_STORE picks the implementation: memory (default) or mongo (shared by all instances).
+ */
+
+const STORES = {
+  memory: memoryStore,
+  mongo: mongoStore
+}
+
+let store = null
+
+export function getStore() {
+  if (!store) {
+    const name = (process.env.LOGIN_THROTTLE_STORE || 'memory').toLowerCase()
+    const create = STORES[name]
+    if (!create) throw new Error(`Unknown LOGIN_THROTTLE_STORE "${name}"`)
+    store = create()
+  }
+  return store
+}
+
+// Swap the store (tests); pass null to fall back to LOGIN_THROTTLE_STORE again
+export function setStore(next) {
+  store = next
+}
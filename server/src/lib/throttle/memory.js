@@ -0,0 +1,55 @@
+// In-process store: fine for one server and for tests; counters vanish on restart
+const SWEEP_AT = 10000
+
+export function memoryStore() {
+  const entries = new Map()
+
+  // Drop expired keys once the map gets large (IPs that never come back are otherwise kept)
+  function sweep(now) {
+    if (entries.size < SWEEP_AT) return
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key)
+    })
+  }
+
+  function live(key, now = Date.now()) {
+    const entry = entries.get(key)
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = live(key)
+      return entry && { failures: entry.failures, lockedUntil: entry.lockedUntil }
+    },
+    // Synchronous from read to write, so parallel requests are counted one after another
+    async reserve(key, { ttlMs, delays }) {
+      const now = Date.now()
+      sweep(now)
+      const entry = live(key, now) || { failures: 0, lockedUntil: null }
+      if (entry.lockedUntil && entry.lockedUntil.getTime() > now)
+        return { allowed: false, failures: entry.failures, lockedUntil: entry.lockedUntil }
+
+      entry.failures += 1
+      const delay = delays[Math.min(entry.failures, delays.length - 1)]
+      entry.lockedUntil = delay > 0 ? new Date(now + delay) : null
+      entry.expiresAt = Math.max(now + ttlMs, entry.lockedUntil?.getTime() || 0)
+      entries.set(key, entry)
+      return { allowed: true, failures: entry.failures, lockedUntil: entry.lockedUntil }
+    },
+    async release(key, lockedUntil) {
+      const entry = live(key)
+      if (!entry) return
+      entry.failures = Math.max(0, entry.failures - 1)
+      if (lockedUntil && entry.lockedUntil?.getTime() === lockedUntil.getTime()) entry.lockedUntil = null
+    },
+    async reset(key) {
+      entries.delete(key)
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import LoginAttempt from '../../models/LoginAttempt.js'
+
+// Shared across server instances; MongoDB's TTL index removes stale counters
+export function mongoStore() {
+  // One pipeline update: check the lock, count the attempt and set the next lock atomically
+  function reserveUpdate(now, { ttlMs, delays }) {
+    const live = { $gt: ['$expiresAt', now] } // TTL removal is lazy, so an expired window restarts here
+    const delay = { $arrayElemAt: [delays, { $min: ['$failures', delays.length - 1] }] }
+    return [
+      { $set: { refused: { $and: [live, { $gt: ['$lockedUntil', now] }] } } },
+      {
+        $set: {
+          failures: { $cond: ['$refused', '$failures', { $add: [{ $cond: [live, { $ifNull: ['$failures', 0] }, 0] }, 1] }] }
+        }
+      },
+      {
+        $set: {
+          lockedUntil: { $cond: ['$refused', '$lockedUntil', { $cond: [{ $gt: [delay, 0] }, { $add: [now, delay] }, null] }] }
+        }
+      },
+      {
+        $set: {
+          expiresAt: { $cond: ['$refused', '$expiresAt', { $max: [new Date(now.getTime() + ttlMs), '$lockedUntil'] }] }
+        }
+      }
+    ]
+  }
+
+  return {
+    name: 'mongo',
+    async get(key) {
+      const doc = await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } })
+      return doc && { failures: doc.failures, lockedUntil: doc.lockedUntil }
+    },
+    async reserve(key, schedule) {
+      const now = new Date()
+      const update = () => LoginAttempt.findOneAndUpdate({ key }, reserveUpdate(now, schedule), { new: true, upsert: true }).lean()
+      let doc
+      try {
+        doc = await update()
+      } catch (e) {
+        // Two first attempts can both upsert; the loser retries against the document that won
+        if (e.code !== 11000) throw e
+        doc = await update()
+      }
+      return { allowed: !doc.refused, failures: doc.failures, lockedUntil: doc.lockedUntil }
+    },
+    async release(key, lockedUntil) {
+      // Lift the lock too, unless a later attempt has replaced it
+      const own = lockedUntil && await LoginAttempt.updateOne(
+        { key, lockedUntil, failures: { $gt: 0 } },
+        { $inc: { failures: -1 }, $unset: { lockedUntil: 1 } }
+      )
+      if (!own?.matchedCount) await LoginAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+    },
+    async reset(key) {
+      await LoginAttempt.deleteOne({ key })
+    }
+  }
+}
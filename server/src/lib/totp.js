@@ -0,0 +1,126 @@
+import crypto from 'crypto'
+
+/**
+ * TOTP (RFC 6238: HMAC-SHA1, 30-second steps, 6 digits) plus the helpers 2FA needs:
+ * base32 secrets for authenticator apps, otpauth:// URLs, at-rest encryption of the secret
+ * and hashed one-time recovery codes.
+ */
+
+const STEP_SECONDS = 30
+const DIGITS = 6
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+export function base32Encode(buf) {
+  let bits = 0
+  let value = 0
+  let out = ''
+  for (const byte of buf) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31]
+  return out
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, '')
+  let bits = 0
+  let value = 0
+  const out = []
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch)
+    if (idx < 0) throw new Error('Invalid base32 secret')
+    value = (value << 5) | idx
+    bits += 5
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(out)
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+// HOTP value for one counter (RFC 4226 dynamic truncation)
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8)
+  msg.writeBigUInt64BE(BigInt(counter))
+  const mac = crypto.createHmac('sha1', key).update(msg).digest()
+  const offset = mac[mac.length - 1] & 0xf
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return String(code).padStart(DIGITS, '0')
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS)
+}
+
+export function totp(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), currentStep(now))
+}
+
+/**
+ * Check a code against the secret, allowing `window` steps of clock drift either way.
+ * Returns the matching time step (store it to refuse replays) or null.
+ */
+export function verifyTotp(secret, code, { window = 1, now = Date.now(), after = -1 } = {}) {
+  const digits = String(code || '').replace(/\s/g, '')
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(digits)) return null
+
+  const key = base32Decode(secret)
+  const step = currentStep(now)
+  for (let s = step - window; s <= step + window; s++) {
+    if (s <= after) continue
+    const expected = hotp(key, s)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) return s
+  }
+  return null
+}
+
+export function otpauthUrl(secret, account, issuer = 'FinVerse') {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+}
+
+// AES-256-GCM so a database dump alone does not reveal users' TOTP secrets
+function encryptionKey() {
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || '').digest()
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv)
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.')
+}
+
+export function decryptSecret(payload) {
+  const [iv, tag, data] = String(payload).split('.').map(p => Buffer.from(p, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8')
+}
+
+// Recovery codes look like "k3f9-q2zd"; only SHA-256 hashes are stored
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+}
+
+export function generateRecoveryCodes(count = 10) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789'
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), b => alphabet[b % alphabet.length]).join('')
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`
+  })
+}
@@ -0,0 +1,47 @@
+import jwt from 'jsonwebtoken'
+import { verifyTotp, decryptSecret, hashRecoveryCode } from './totp.js'
+
+/**
+ * Second login step. /login answers a 2FA user with a short-lived challenge token instead of
+ * a session; /login/2fa trades that token plus a TOTP or recovery code for the real tokens.
+ */
+
+const CHALLENGE_TTL = '5m'
+
+export function signChallenge(user) {
+  return jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL })
+}
+
+// User id from a valid challenge token, or null
+export function readChallenge(token) {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET)
+    return decoded.purpose === '2fa' ? decoded.id : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check { code } (TOTP) or { recoveryCode } against the user's enabled 2FA.
+ * On success the user document is updated in memory (replay step / spent recovery code);
+ * the caller saves it. Returns 'totp' | 'recovery' | null.
+ */
+export function checkSecondFactor(user, { code, recoveryCode }) {
+  const tf = user.twoFactor
+  if (!tf?.enabled || !tf.secret) return null
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode)
+    const idx = tf.recoveryCodes.indexOf(hashed)
+    if (idx < 0) return null
+    tf.recoveryCodes.splice(idx, 1)
+    return 'recovery'
+  }
+
+  // `after` refuses a code from a step that was already used (replay)
+  const step = verifyTotp(decryptSecret(tf.secret), code, { after: tf.lastStep })
+  if (step == null) return null
+  tf.lastStep = step
+  return 'totp'
+}
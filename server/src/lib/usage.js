@@ -0,0 +1,183 @@
+import mongoose from 'mongoose'
+import AiUsage from '../models/AiUsage.js'
+import User from '../models/User.js'
+
+/**
+ * AI usage accounting and quotas. Token counts come from the provider's usage metadata;
+ * cost is estimated from AI_PRICE_INPUT_PER_M / AI_PRICE_OUTPUT_PER_M (USD per million tokens).
+ * Each tier has daily and monthly limits on requests and tokens; AI_TIERS (JSON) overrides
+ * them, e.g. {"free":{"daily":{"requests":20}}}. AI_GLOBAL_DAILY_TOKENS and
+ * AI_GLOBAL_MONTHLY_TOKENS cap all users together (unset = no cap). Days and months are UTC.
+ */
+
+const DEFAULT_TIERS = {
+  free: { daily: { requests: 50, tokens: 200000 }, monthly: { requests: 1000, tokens: 3000000 } },
+  plus: { daily: { requests: 200, tokens: 1000000 }, monthly: { requests: 4000, tokens: 15000000 } },
+  pro: { daily: { requests: 1000, tokens: 5000000 }, monthly: { requests: 20000, tokens: 75000000 } }
+}
+
+export const TIER_NAMES = Object.keys(DEFAULT_TIERS)
+
+function readTiers() {
+  let overrides = {}
+  try {
+    overrides = JSON.parse(process.env.AI_TIERS || '{}')
+  } catch {
+    console.error('AI_TIERS is not valid JSON; using the default tiers')
+  }
+  return Object.fromEntries(TIER_NAMES.map(name => {
+    const base = DEFAULT_TIERS[name]
+    const o = overrides[name] || {}
+    return [name, { daily: { ...base.daily, ...o.daily }, monthly: { ...base.monthly, ...o.monthly } }]
+  }))
+}
+
+export const TIERS = readTiers()
+
+const PRICE_INPUT = Number(process.env.AI_PRICE_INPUT_PER_M ?? 0.3)
+const PRICE_OUTPUT = Number(process.env.AI_PRICE_OUTPUT_PER_M ?? 2.5)
+const GLOBAL_LIMITS = {
+  daily: Number(process.env.AI_GLOBAL_DAILY_TOKENS) || 0,
+  monthly: Number(process.env.AI_GLOBAL_MONTHLY_TOKENS) || 0
+}
+
+export function costOf({ inputTokens = 0, outputTokens = 0 }) {
+  return (inputTokens * PRICE_INPUT + outputTokens * PRICE_OUTPUT) / 1e6
+}
+
+// Day keys and the reset instant of the current day and month
+function periods(now = new Date()) {
+  const today = now.toISOString().slice(0, 10)
+  const y = now.getUTCFullYear()
+  const m = now.getUTCMonth()
+  return {
+    day: { from: today, to: today, resetsAt: new Date(Date.UTC(y, m, now.getUTCDate() + 1)) },
+    month: { from: `${today.slice(0, 7)}-01`, to: `${today.slice(0, 7)}-31`, resetsAt: new Date(Date.UTC(y, m + 1, 1)) }
+  }
+}
+
+/**
+ * Add one model call's usage. Chat requests are counted before the first call by
+ * reserveRequest(), so tool rounds and summaries only add calls and tokens here.
+ */
+export async function recordUsage(userId, usage = {}, { calls = 1 } = {}) {
+  const inputTokens = usage.inputTokens || 0
+  const outputTokens = usage.outputTokens || 0
+  try {
+    await AiUsage.updateOne(
+      { userId, day: new Date().toISOString().slice(0, 10) },
+      {
+        $inc: {
+          calls,
+          inputTokens,
+          outputTokens,
+          costUsd: costOf({ inputTokens, outputTokens })
+        }
+      },
+      { upsert: true }
+    )
+  } catch (e) {
+    console.error('Record Usage Error:', e)
+  }
+}
+
+// { requests, calls, inputTokens, outputTokens, tokens, costUsd } over days [from, to], optionally one user
+export async function usageTotals({ from, to, userId } = {}) {
+  const match = { day: { $gte: from, $lte: to } }
+  if (userId) match.userId = new mongoose.Types.ObjectId(String(userId))
+  const [row] = await AiUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        requests: { $sum: '$requests' },
+        calls: { $sum: '$calls' },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        costUsd: { $sum: '$costUsd' }
+      }
+    }
+  ])
+  const totals = row || { requests: 0, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 }
+  delete totals._id
+  return { ...totals, tokens: totals.inputTokens + totals.outputTokens, costUsd: Math.round(totals.costUsd * 1e4) / 1e4 }
+}
+
+function limitReached(scope, p) {
+  return scope === 'daily'
+    ? { scope, message: 'Daily AI limit reached for your plan.', resetsAt: p.day.resetsAt }
+    : { scope, message: 'Monthly AI limit reached for your plan.', resetsAt: p.month.resetsAt }
+}
+
+/**
+ * Usage and limits for one user: { tier, limits, today, month, exceeded }.
+ * `exceeded` is null or { scope, message, resetsAt } for the first limit hit.
+ */
+export async function quotaStatus(userId) {
+  const user = await User.findById(userId).select('aiTier')
+  const tier = user?.aiTier || 'free'
+  const limits = TIERS[tier] || TIERS.free
+  const p = periods()
+
+  const [today, month] = await Promise.all([
+    usageTotals({ ...p.day, userId }),
+    usageTotals({ ...p.month, userId })
+  ])
+
+  let exceeded = null
+  const over = (used, limit) => limit > 0 && used >= limit
+  if (over(today.requests, limits.daily.requests) || over(today.tokens, limits.daily.tokens))
+    exceeded = limitReached('daily', p)
+  else if (over(month.requests, limits.monthly.requests) || over(month.tokens, limits.monthly.tokens))
+    exceeded = limitReached('monthly', p)
+  else if (GLOBAL_LIMITS.daily || GLOBAL_LIMITS.monthly) {
+    const [allToday, allMonth] = await Promise.all([usageTotals(p.day), usageTotals(p.month)])
+    if (over(allToday.tokens, GLOBAL_LIMITS.daily))
+      exceeded = { scope: 'global', message: 'The assistant is at capacity for today.', resetsAt: p.day.resetsAt }
+    else if (over(allMonth.tokens, GLOBAL_LIMITS.monthly))
+      exceeded = { scope: 'global', message: 'The assistant is at capacity for this month.', resetsAt: p.month.resetsAt }
+  }
+
+  return { tier, limits, today, month, exceeded }
+}
+
+/**
+ * Count one chat request before the model is called → { exceeded } like quotaStatus(), or
+ * { exceeded: null, reservation } to pass to releaseRequest() when no model call follows.
+ * Today's request counter is only raised while it is under the daily limit and what the monthly
+ * limit leaves after earlier days, so parallel requests cannot all slip past one check.
+ * Tokens are only known afterwards; recordUsage() settles them.
+ */
+export async function reserveRequest(userId) {
+  const status = await quotaStatus(userId)
+  if (status.exceeded) return { exceeded: status.exceeded }
+
+  const p = periods()
+  const { daily, monthly } = status.limits
+  // earlier days of the month no longer change, so only today's row can race
+  const monthlyLeft = monthly.requests > 0 ? monthly.requests - (status.month.requests - status.today.requests) : 0
+  const cap = Math.min(daily.requests > 0 ? daily.requests : Infinity, monthlyLeft > 0 ? monthlyLeft : Infinity)
+  const filter = { userId, day: p.day.from }
+  if (cap < Infinity) filter.requests = { $lt: cap }
+
+  let counted = true
+  try {
+    await AiUsage.updateOne(filter, { $inc: { requests: 1 } }, { upsert: true })
+  } catch (e) {
+    if (e.code !== 11000) throw e
+    // today's row exists and is at the cap, or a parallel request created it first: try it once more
+    counted = (await AiUsage.updateOne(filter, { $inc: { requests: 1 } })).modifiedCount > 0
+  }
+  if (!counted) return { exceeded: limitReached(cap === daily.requests ? 'daily' : 'monthly', p) }
+  return { exceeded: null, reservation: { userId, day: p.day.from } }
+}
+
+// Give back a reserved request that never reached the model (e.g. the conversation was not found)
+export async function releaseRequest(reservation) {
+  if (!reservation) return
+  try {
+    await AiUsage.updateOne({ ...reservation, requests: { $gt: 0 } }, { $inc: { requests: -1 } })
+  } catch (e) {
+    console.error('Release Usage Error:', e)
+  }
+}
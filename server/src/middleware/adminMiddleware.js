@@ -0,0 +1,13 @@
+import User from '../models/User.js'
+
+// Use after authMiddleware; only users with role "admin" pass
+export default async function adminMiddleware(req, res, next) {
+  try {
+    const user = await User.findById(req.userId).select('role')
+    if (user?.role !== 'admin') return res.status(403).json({ message: 'Admins only' })
+  } catch (e) {
+    console.error('Admin Check Error:', e)
+    return res.status(500).json({ message: 'Server error' })
+  }
+  next()
+}
@@ -1,14 +1,29 @@
 import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
+import { isSessionActive } from '../lib/sessions.js'
 
-export default function authMiddleware(req, res, next) {
+export default async function authMiddleware(req, res, next) {
   const header = req.headers.authorization || ''
   const token = header.startsWith('Bearer ') ? header.slice(7) : null
   if (!token) return res.status(401).json({ message: 'Missing token' })
+
+  let decoded
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    req.userId = decoded.id
-    next()
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
   } catch {
     return res.status(401).json({ message: 'Invalid token' })
   }
+
+  try {
+    // Tokens from before sessions existed carry no sid and are no longer accepted
+    if (!mongoose.isValidObjectId(decoded.sid) || !(await isSessionActive(decoded.sid, decoded.id)))
+      return res.status(401).json({ message: 'Session revoked' })
+  } catch (e) {
+    console.error('Auth Session Error:', e)
+    return res.status(500).json({ message: 'Server error' })
+  }
+
+  req.userId = decoded.id
+  req.sessionId = decoded.sid
+  next()
 }
@@ -0,0 +1,21 @@
+import { reserveRequest } from '../lib/usage.js'
+
+// Counts the AI request against the user's quota up front, or rejects it with 429 + Retry-After when
+// a limit is reached. The reservation is left on req.quotaReservation for releaseRequest().
+export default async function quotaMiddleware(req, res, next) {
+  try {
+    const { exceeded, reservation } = await reserveRequest(req.userId)
+    if (exceeded) {
+      const retryAfter = Math.max(1, Math.ceil((exceeded.resetsAt.getTime() - Date.now()) / 1000))
+      return res
+        .set('Retry-After', String(retryAfter))
+        .status(429)
+        .json({ message: exceeded.message, scope: exceeded.scope, resetsAt: exceeded.resetsAt, retryAfter })
+    }
+    req.quotaReservation = reservation
+  } catch (e) {
+    console.error('Quota Check Error:', e)
+    return res.status(500).json({ message: 'Server error' })
+  }
+  next()
+}
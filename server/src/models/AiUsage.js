@@ -0,0 +1,17 @@
+import mongoose from 'mongoose'
+
+// AI usage of one user on one UTC day; requests are counted before the model is called, the rest after every call
+const aiUsageSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  day: { type: String, required: true }, // "YYYY-MM-DD"
+  requests: { type: Number, default: 0 }, // chat messages the user sent
+  calls: { type: Number, default: 0 }, // model calls, incl. tool rounds and summaries
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  costUsd: { type: Number, default: 0 }
+}, { timestamps: true })
+
+aiUsageSchema.index({ userId: 1, day: 1 }, { unique: true })
+aiUsageSchema.index({ day: 1 })
+
+export default mongoose.model('AiUsage', aiUsageSchema)
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose'
+
+// Single-use emailed token (password reset / email verification); only its hash is stored
+const authTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['reset', 'verify'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, { timestamps: true })
+
+// Let MongoDB drop tokens a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+export default mongoose.model('AuthToken', authTokenSchema)
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
+
+// A saved Budget Planner forecast — percentage split across the four buckets (client/src/lib/budgetSolver.js)
+const budgetPlanSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  income: { type: Number, required: true, min: 0 },
+  // Fixed monthly costs (rent, debt minimums) the split had to cover
+  obligations: { type: Number, default: 0, min: 0 },
+  savingsGoal: { type: Number, default: 0, min: 0 },
+  goalDate: { type: String, match: /^\d{4}-\d{2}$/ },
+  risk: { type: String, enum: ['Low', 'Moderate', 'High'], required: true },
+  plan: {
+    Essentials: { type: Number, required: true },
+    Savings: { type: Number, required: true },
+    Investments: { type: Number, required: true },
+    Lifestyle: { type: Number, required: true }
+  },
+  reasoning: { type: String, default: '' },
+  currency: currencyField
+}, { timestamps: true })
+
+export default mongoose.model('BudgetPlan', budgetPlanSchema)
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose'
+import { EXPENSE_CATEGORIES } from '../lib/categories.js'
+
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, enum: ['description', 'amount'], required: true },
+  op: {
+    type: String,
+    enum: ['contains', 'equals', 'startsWith', 'regex', 'gt', 'gte', 'lt', 'lte'],
+    required: true
+  },
+  value: { type: String, required: true }
+}, { _id: false })
+
+// User-defined auto-categorization rule; lower priority runs first, first match wins
+const categoryRuleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, trim: true, default: '' },
+  category: { type: String, enum: EXPENSE_CATEGORIES, required: true },
+  priority: { type: Number, default: 0 },
+  enabled: { type: Boolean, default: true },
+  match: { type: String, enum: ['all', 'any'], default: 'all' },
+  conditions: { type: [conditionSchema], validate: v => v.length > 0 }
+}, { timestamps: true })
+
+export default mongoose.model('CategoryRule', categoryRuleSchema)
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose'
+
+// One assistant chat thread. Older turns are folded into `summary` so the prompt stays bounded.
+const conversationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, default: 'New conversation', trim: true },
+  summary: { type: String, default: '' },
+  summarizedUntil: Date, // createdAt of the last message included in `summary`
+  lastMessageAt: { type: Date, default: Date.now }
+}, { timestamps: true })
+
+conversationSchema.index({ userId: 1, lastMessageAt: -1 })
+
+export default mongoose.model('Conversation', conversationSchema)
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose'
+import { EXPENSE_CATEGORIES } from '../lib/categories.js'
+import { currencyField } from '../lib/currencies.js'
+
+// One step of the funding schedule: `amount` is added every month from `from` ("YYYY-MM") on
+const fundingSchema = new mongoose.Schema({
+  from: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false })
+
+// A named envelope budget; expenses in its categories draw it down (lib/envelopes.js)
+const envelopeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  // Changing the funding adds a step, so earlier months keep the amount they had
+  funding: { type: [fundingSchema], validate: v => v.length > 0 },
+  categories: [{ type: String, enum: EXPENSE_CATEGORIES }],
+  // What carries into next month: everything, only leftovers, only overspending, or nothing
+  rollover: { type: String, enum: ['all', 'leftover', 'overspend', 'none'], default: 'all' },
+  // Upper limit on a carried-over leftover (no limit when unset)
+  rolloverCap: { type: Number, min: 0 },
+  currency: currencyField
+}, { timestamps: true })
+
+envelopeSchema.index({ userId: 1, name: 1 }, { unique: true })
+
+export default mongoose.model('Envelope', envelopeSchema)
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose'
+
+// Money moved from one envelope to another within a month
+const envelopeTransferSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  month: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+  from: { type: mongoose.Schema.Types.ObjectId, ref: 'Envelope', required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: 'Envelope', required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  note: { type: String, trim: true, default: '' }
+}, { timestamps: true })
+
+envelopeTransferSchema.index({ userId: 1, month: 1 })
+
+export default mongoose.model('EnvelopeTransfer', envelopeTransferSchema)
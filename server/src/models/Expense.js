@@ -0,0 +1,20 @@
+import mongoose from 'mongoose'
+import { EXPENSE_CATEGORIES } from '../lib/categories.js'
+import { currencyField } from '../lib/currencies.js'
+
+const expenseSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  date: { type: Date, required: true },
+  category: { type: String, enum: EXPENSE_CATEGORIES, default: 'Misc' },
+  description: { type: String, required: true, trim: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: currencyField,
+  source: { type: String, enum: ['manual', 'csv', 'ofx', 'qfx', 'qif'], default: 'manual' },
+  // Bank transaction id ("<account>:<FITID>") from OFX/QFX imports — used to skip re-imports
+  fitid: String
+}, { timestamps: true })
+
+expenseSchema.index({ userId: 1, date: -1 })
+expenseSchema.index({ userId: 1, fitid: 1 }, { sparse: true })
+
+export default mongoose.model('Expense', expenseSchema)
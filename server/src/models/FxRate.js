@@ -0,0 +1,14 @@
+import mongoose from 'mongoose'
+
+// One locally-managed exchange rate: 1 `base` = `rate` × `quote` on `date`
+const fxRateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  date: { type: Date, required: true },
+  base: { type: String, uppercase: true, match: /^[A-Z]{3}$/, required: true },
+  quote: { type: String, uppercase: true, match: /^[A-Z]{3}$/, required: true },
+  rate: { type: Number, required: true, min: 0 }
+}, { timestamps: true })
+
+fxRateSchema.index({ userId: 1, base: 1, quote: 1, date: 1 }, { unique: true })
+
+export default mongoose.model('FxRate', fxRateSchema)
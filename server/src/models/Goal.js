@@ -0,0 +1,16 @@
+import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
+
+// A savings goal; progress is the sum of its GoalContribution entries (lib/goals.js)
+const goalSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  targetAmount: { type: Number, required: true, min: 0.01 },
+  deadline: { type: Date, required: true },
+  priority: { type: String, enum: ['high', 'medium', 'low'], default: 'medium' },
+  // Where the money is kept, e.g. "HYSA at Ally" — a label, not an account number
+  linkedAccount: { type: String, trim: true, default: '' },
+  currency: currencyField
+}, { timestamps: true })
+
+export default mongoose.model('Goal', goalSchema)
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose'
+
+// Money put towards a goal (negative for a withdrawal), in the goal's currency
+const goalContributionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  goalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Goal', required: true },
+  amount: { type: Number, required: true },
+  date: { type: Date, required: true },
+  note: { type: String, trim: true, default: '' }
+}, { timestamps: true })
+
+goalContributionSchema.index({ goalId: 1, date: -1 })
+
+export default mongoose.model('GoalContribution', goalContributionSchema)
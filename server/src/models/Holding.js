@@ -0,0 +1,17 @@
+import mongoose from 'mongoose'
+
+// One security in an investment account; quantity and cost come from its transactions (lib/portfolio.js)
+const holdingSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'InvestmentAccount', required: true, index: true },
+  symbol: { type: String, required: true, uppercase: true, trim: true },
+  name: { type: String, trim: true, default: '' },
+  // Matches the asset classes of a saved investment plan's mix, for the allocation comparison
+  assetClass: { type: String, enum: ['Equity', 'Bonds', 'Gold', 'Real Estate', 'Crypto', 'Cash'], default: 'Equity' },
+  // How a sell without explicit lots picks them: oldest first, or the user must choose (specific ID)
+  lotMethod: { type: String, enum: ['fifo', 'specific'], default: 'fifo' }
+}, { timestamps: true })
+
+holdingSchema.index({ accountId: 1, symbol: 1 }, { unique: true })
+
+export default mongoose.model('Holding', holdingSchema)
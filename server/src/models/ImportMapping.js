@@ -0,0 +1,24 @@
+import mongoose from 'mongoose'
+
+// Saved CSV column mapping for one bank's statement export, so repeat imports are one click
+const importMappingSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  bank: { type: String, required: true, trim: true },
+  columns: {
+    date: { type: String, required: true },
+    description: { type: String, required: true },
+    amount: String,
+    debit: String,
+    credit: String,
+    type: String
+  },
+  // negative: expenses are negative amounts · positive: expenses are positive amounts
+  // split: separate debit/credit columns · type: amount + a debit/credit indicator column
+  signMode: { type: String, enum: ['negative', 'positive', 'split', 'type'], default: 'negative' },
+  dateFormat: { type: String, enum: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'], default: 'YYYY-MM-DD' },
+  delimiter: { type: String, default: ',' }
+}, { timestamps: true })
+
+importMappingSchema.index({ userId: 1, bank: 1 }, { unique: true })
+
+export default mongoose.model('ImportMapping', importMappingSchema)
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
+
+// One run of the Insurance advisor for a category, with whether the user already holds a policy
+const insuranceCheckSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  category: { type: String, enum: ['health', 'auto', 'life', 'home'], required: true },
+  hasCoverage: { type: Boolean, default: false },
+  age: { type: Number, min: 0 },
+  dependents: { type: Number, min: 0 },
+  income: { type: Number, min: 0 },
+  coverageNeeded: { type: Number, min: 0 },
+  currency: currencyField,
+  recommendations: [{
+    _id: false,
+    provider: String,
+    estMonthly: Number,
+    confidence: Number
+  }]
+}, { timestamps: true })
+
+insuranceCheckSchema.index({ userId: 1, category: 1, createdAt: -1 })
+
+export default mongoose.model('InsuranceCheck', insuranceCheckSchema)
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
+
+// A brokerage / retirement / crypto account holding securities; holdings are priced in its currency
+const investmentAccountSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  kind: { type: String, enum: ['brokerage', 'retirement', 'crypto', 'other'], default: 'brokerage' },
+  currency: currencyField
+}, { timestamps: true })
+
+investmentAccountSchema.index({ userId: 1, name: 1 }, { unique: true })
+
+export default mongoose.model('InvestmentAccount', investmentAccountSchema)
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
+
+// A generated investment plan the user chose to save from the Investments page
+const investmentPlanSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  bias: { type: String, enum: ['cautious', 'balanced', 'growth'], required: true },
+  years: { type: Number, required: true, min: 0 },
+  monthly: { type: Number, default: 0, min: 0 },
+  principal: { type: Number, default: 0, min: 0 },
+  cagr: { type: Number, required: true },
+  mix: { type: Map, of: Number, default: {} },
+  totalInvested: { type: Number, default: 0 },
+  projected: { type: Number, required: true },
+  returns: { type: Number, default: 0 },
+  rationale: { type: String, default: '' },
+  // Monte Carlo run behind `projected` (the median); absent on plans saved before simulations
+  simulation: {
+    type: new mongoose.Schema({
+      seed: { type: Number, required: true },
+      runs: { type: Number, required: true, min: 1 },
+      target: { type: Number, default: 0, min: 0 },
+      volatility: { type: Number, default: 0 },
+      p10: { type: Number, required: true },
+      p50: { type: Number, required: true },
+      p90: { type: Number, required: true },
+      probability: { type: Number, default: null, min: 0, max: 1 }
+    }, { _id: false }),
+    default: undefined
+  },
+  // Expected annual return + volatility per asset class the simulation used
+  assumptions: {
+    type: Map,
+    of: new mongoose.Schema({ expectedReturn: Number, volatility: Number }, { _id: false }),
+    default: undefined
+  },
+  currency: currencyField
+}, { timestamps: true })
+
+export default mongoose.model('InvestmentPlan', investmentPlanSchema)
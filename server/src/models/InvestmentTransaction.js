@@ -0,0 +1,23 @@
+import mongoose from 'mongoose'
+
+// Lot picked by a specific-ID sell: `quantity` units of the buy `buyId`
+const lotPickSchema = new mongoose.Schema({
+  buyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  quantity: { type: Number, required: true, min: 0 }
+}, { _id: false })
+
+// A buy opens a tax lot; a sell closes lots (FIFO or the picked ones) and realizes a gain
+const investmentTransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  holdingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Holding', required: true, index: true },
+  type: { type: String, enum: ['buy', 'sell'], required: true },
+  date: { type: Date, required: true },
+  quantity: { type: Number, required: true, min: 0 },
+  // Per unit, in the account's currency
+  price: { type: Number, required: true, min: 0 },
+  fees: { type: Number, default: 0, min: 0 },
+  lots: { type: [lotPickSchema], default: undefined },
+  note: { type: String, trim: true, default: '' }
+}, { timestamps: true })
+
+export default mongoose.model('InvestmentTransaction', investmentTransactionSchema)
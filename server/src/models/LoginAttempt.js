@@ -0,0 +1,15 @@
+import mongoose from 'mongoose'
+
+// Sign-in attempt counter for one key ("acct:<email>" or "ip:<address>"), used by the mongo throttle store
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lockedUntil: Date,
+  // The latest attempt arrived while locked and was turned away
+  refused: Boolean,
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true })
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema)
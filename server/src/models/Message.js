@@ -0,0 +1,14 @@
+import mongoose from 'mongoose'
+
+const messageSchema = new mongoose.Schema({
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  role: { type: String, enum: ['user', 'assistant'], required: true },
+  text: { type: String, required: true },
+  // Tool results the assistant cited, e.g. { tool: 'getMonthlyExpenses', label: 'Expenses, 2026-10' }
+  sources: [{ _id: false, tool: String, label: String }]
+}, { timestamps: true })
+
+messageSchema.index({ conversationId: 1, createdAt: 1 })
+
+export default mongoose.model('Message', messageSchema)
@@ -0,0 +1,13 @@
+import mongoose from 'mongoose'
+
+// The user's decision about a detected recurring charge; `key` comes from lib/recurring.js
+const recurringPatternSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  key: { type: String, required: true },
+  status: { type: String, enum: ['confirmed', 'dismissed', 'cancelled'], required: true },
+  cancelledAt: Date
+}, { timestamps: true })
+
+recurringPatternSchema.index({ userId: 1, key: 1 }, { unique: true })
+
+export default mongoose.model('RecurringPattern', recurringPatternSchema)
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose'
+
+// Audit record of values masked before a prompt left the server. Originals are never stored,
+// only the type, the placeholder the model saw and a short hint (last 4 digits, email domain).
+const redactionLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+  feature: { type: String, enum: ['chat', 'summary'], required: true },
+  provider: { type: String, default: '' },
+  redactions: [{
+    _id: false,
+    type: { type: String, required: true },
+    placeholder: String,
+    hint: String
+  }]
+}, { timestamps: true })
+
+export default mongoose.model('RedactionLog', redactionLogSchema)
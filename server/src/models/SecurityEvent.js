@@ -0,0 +1,24 @@
+import mongoose from 'mongoose'
+
+export const SECURITY_EVENT_TYPES = [
+  'register',
+  'login_new_ip',
+  'lockout',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled'
+]
+
+// Audit trail of security-relevant account activity
+const securityEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  type: { type: String, enum: SECURITY_EVENT_TYPES, required: true },
+  email: { type: String, lowercase: true, trim: true },
+  ip: { type: String, default: '' },
+  userAgent: { type: String, default: '' },
+  detail: { type: String, default: '' }
+}, { timestamps: true })
+
+securityEventSchema.index({ userId: 1, createdAt: -1 })
+
+export default mongoose.model('SecurityEvent', securityEventSchema)
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose'
+
+// A manually entered or CSV-imported closing price in `currency`, converted to the holding account's currency
+// when valued (prices saved before the currency was stored have none and are read in the account's currency)
+const securityPriceSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  symbol: { type: String, required: true, uppercase: true, trim: true },
+  date: { type: Date, required: true },
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, uppercase: true, trim: true }
+}, { timestamps: true })
+
+securityPriceSchema.index({ userId: 1, symbol: 1, date: 1 }, { unique: true })
+
+export default mongoose.model('SecurityPrice', securityPriceSchema)
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose'
+
+// One signed-in device. Only a hash of the current refresh token is stored; it rotates on every refresh.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  // The secret it replaced, accepted briefly so two tabs refreshing at once don't trip reuse detection
+  previousHash: String,
+  rotatedAt: Date,
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  // 'logout' | 'revoked' | 'reuse' (an already-rotated refresh token was presented again)
+  revokedReason: String
+}, { timestamps: true })
+
+// Let MongoDB drop sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+export default mongoose.model('Session', sessionSchema)
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
+
+// A tax estimate approved from the Tax Filing page
+const taxEstimateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  year: { type: Number, required: true },
+  status: { type: String, enum: ['draft', 'filed'], default: 'draft' },
+  filingStatus: { type: String, enum: ['single', 'married', 'hoh'], required: true },
+  regime: { type: String, enum: ['standard', 'itemized'], required: true },
+  income: { type: Number, required: true, min: 0 },
+  deduction: { type: Number, default: 0, min: 0 },
+  taxable: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, required: true, min: 0 },
+  effRate: { type: Number, default: 0 },
+  currency: currencyField
+}, { timestamps: true })
+
+export default mongoose.model('TaxEstimate', taxEstimateSchema)
@@ -1,9 +1,29 @@
 import mongoose from 'mongoose'
+import { currencyField } from '../lib/currencies.js'
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true, lowercase: true, index: true },
-  passwordHash: { type: String, required: true }
+  passwordHash: { type: String, required: true },
+  emailVerifiedAt: Date,
+  // Optional TOTP 2FA; secrets are encrypted (lib/totp.js), recovery codes stored as hashes
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    pendingSecret: String,
+    lastStep: { type: Number, default: -1 },
+    recoveryCodes: [String],
+    enabledAt: Date
+  },
+  // Totals across the app are converted into this currency
+  baseCurrency: currencyField,
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  // AI quota tier (lib/usage.js)
+  aiTier: { type: String, enum: ['free', 'plus', 'pro'], default: 'free' },
+  // Saved Budget Planner split that budget vs actual compares against
+  activeBudget: { type: mongoose.Schema.Types.ObjectId, ref: 'BudgetPlan' },
+  // Expense category → budget bucket overrides (defaults in lib/budgetActual.js)
+  budgetBuckets: { type: Map, of: String }
 }, { timestamps: true })
 
 export default mongoose.model('User', userSchema)
@@ -1,34 +1,70 @@
 import { Router } from 'express'
 import bcrypt from 'bcryptjs'
-import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
 import User from '../models/User.js'
+import Session from '../models/Session.js'
 import authMiddleware from '../middleware/authMiddleware.js'
+import { readCurrency } from '../lib/currencies.js'
+import { startSession, rotateSession, revokeSession, signAccessToken } from '../lib/sessions.js'
+import { issueToken, consumeToken, TOKEN_TTL_MINUTES } from '../lib/authTokens.js'
+import { signChallenge, readChallenge, checkSecondFactor } from '../lib/twoFactor.js'
+import { sendMail } from '../lib/mail/index.js'
+import { reserveLoginAttempt, loginFailed, loginPassed, loginSucceeded, tooManyAttempts } from '../lib/loginThrottle.js'
+import { recordSecurityEvent, noteLoginIp } from '../lib/securityEvents.js'
+import SecurityEvent from '../models/SecurityEvent.js'
+import { verifyEmailMessage, resetPasswordMessage } from '../lib/mail/messages.js'
 
 const router = Router()
 
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MIN_PASSWORD = 8
+
+// Email a fresh verification link; mail failures are logged, never surfaced to the caller
+async function sendVerification(user) {
+  try {
+    const token = await issueToken(user._id, 'verify')
+    await sendMail(verifyEmailMessage(user, token, TOKEN_TTL_MINUTES.verify / 60))
+  } catch (e) {
+    console.error('Verification Mail Error:', e)
+  }
+}
+
+// Email a password reset link; same contract as sendVerification
+async function sendPasswordReset(user) {
+  try {
+    const token = await issueToken(user._id, 'reset')
+    await sendMail(resetPasswordMessage(user, token, TOKEN_TTL_MINUTES.reset))
+  } catch (e) {
+    console.error('Reset Mail Error:', e)
+  }
+}
+
 // REGISTER
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password } = req.body
+    const { name, password } = req.body
+    const email = String(req.body.email || '').trim().toLowerCase()
     if (!name || !email || !password)
       return res.status(400).json({ message: 'All fields are required' })
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ message: 'Enter a valid email address' })
+    if (String(password).length < MIN_PASSWORD)
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD} characters` })
 
     const exists = await User.findOne({ email })
     if (exists) return res.status(400).json({ message: 'Email already in use' })
 
-    const passwordHash = await bcrypt.hash(password, 10)
+    const passwordHash = await bcrypt.hash(String(password), 10)
     const user = await User.create({ name, email, passwordHash })
+    await recordSecurityEvent('register', { userId: user._id, email, req })
+    sendVerification(user) // not awaited: a slow or failing mail server must not fail the sign-up
 
-    // ✅ Include name and email in JWT payload
-    const token = jwt.sign(
-      { id: user._id, name: user.name, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    )
+    // ✅ Short-lived access token (name and email in the payload) + refresh token for this device
+    const { token, refreshToken } = await startSession(user, req)
 
     res.json({
       token,
-      user: { id: user._id, name: user.name, email: user.email },
+      refreshToken,
+      user: { id: user._id, name: user.name, email: user.email, emailVerified: false },
     })
   } catch (e) {
     console.error('Register Error:', e)
@@ -36,25 +72,44 @@ router.post('/register', async (req, res) => {
   }
 })
 
+// Finish a sign-in: hand back the attempt, clear the account counter, note new IPs, start the session
+async function completeLogin(user, req, attempt) {
+  await loginPassed(attempt)
+  await loginSucceeded({ email: user.email })
+  await noteLoginIp(user, req)
+  return startSession(user, req)
+}
+
 // LOGIN
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body
+    const { password } = req.body
+    const email = String(req.body.email || '').trim().toLowerCase()
+
+    // Throttled per email and per IP whether or not the account exists
+    const attempt = await reserveLoginAttempt({ email, ip: req.ip })
+    if (attempt.retryAfter) return tooManyAttempts(res, attempt.retryAfter)
+
     const user = await User.findOne({ email })
-    if (!user) return res.status(400).json({ message: 'Invalid credentials' })
+    const ok = user && password && (await bcrypt.compare(String(password), user.passwordHash))
+    if (!ok) {
+      await loginFailed(attempt, { email, userId: user?._id, req })
+      return res.status(400).json({ message: 'Invalid credentials' })
+    }
 
-    const ok = await bcrypt.compare(password, user.passwordHash)
-    if (!ok) return res.status(400).json({ message: 'Invalid credentials' })
+    // 2FA users get a challenge token; the session starts at /login/2fa
+    // (the account counter is only cleared there, so a known password does not reset the code budget)
+    if (user.twoFactor?.enabled) {
+      await loginPassed(attempt)
+      return res.json({ twoFactorRequired: true, challengeToken: signChallenge(user) })
+    }
 
-    // ✅ Include name and email in JWT payload
-    const token = jwt.sign(
-      { id: user._id, name: user.name, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    )
+    // ✅ Short-lived access token (name and email in the payload) + refresh token for this device
+    const { token, refreshToken } = await completeLogin(user, req, attempt)
 
     res.json({
       token,
+      refreshToken,
       user: { id: user._id, name: user.name, email: user.email },
     })
   } catch (e) {
@@ -63,10 +118,227 @@ router.post('/login', async (req, res) => {
   }
 })
 
+// LOGIN, SECOND STEP: { challengeToken, code | recoveryCode }
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {}
+    const userId = readChallenge(challengeToken)
+    if (!userId) return res.status(401).json({ message: 'Sign-in expired. Please enter your password again.' })
+
+    const user = await User.findById(userId)
+    if (!user) return res.status(401).json({ message: 'Sign-in expired. Please enter your password again.' })
+
+    // Wrong codes count against the same account and IP budget as wrong passwords
+    const attempt = await reserveLoginAttempt({ email: user.email, ip: req.ip })
+    if (attempt.retryAfter) return tooManyAttempts(res, attempt.retryAfter)
+
+    const method = checkSecondFactor(user, { code, recoveryCode })
+    if (!method) {
+      await loginFailed(attempt, { email: user.email, userId: user._id, req })
+      return res.status(400).json({ message: 'Invalid authentication code' })
+    }
+    await user.save()
+
+    const { token, refreshToken } = await completeLogin(user, req, attempt)
+    res.json({
+      token,
+      refreshToken,
+      user: { id: user._id, name: user.name, email: user.email },
+      recoveryCodesLeft: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined
+    })
+  } catch (e) {
+    console.error('Login 2FA Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// REFRESH: { refreshToken } → { token, refreshToken } (refreshToken null = keep the current one)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { session, refreshToken, error } = await rotateSession(req.body?.refreshToken, req)
+    if (error) return res.status(401).json({ message: error })
+
+    const user = await User.findById(session.userId).select('name email')
+    if (!user) return res.status(401).json({ message: 'Session expired' })
+    res.json({ token: signAccessToken(user, session._id), refreshToken })
+  } catch (e) {
+    console.error('Refresh Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// LOGOUT (revokes this device's session)
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession({ _id: req.sessionId, userId: req.userId }, 'logout')
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Logout Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SIGNED-IN DEVICES (active sessions, most recently used first)
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 })
+
+    res.json(sessions.map(s => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      current: String(s._id) === String(req.sessionId)
+    })))
+  } catch (e) {
+    console.error('List Sessions Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// REVOKE ALL OTHER SESSIONS
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const result = await revokeSession({ userId: req.userId, _id: { $ne: req.sessionId } })
+    res.json({ ok: true, revoked: result.modifiedCount })
+  } catch (e) {
+    console.error('Revoke Sessions Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// REVOKE ONE SESSION
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Session not found' })
+
+    const result = await revokeSession({ _id: req.params.id, userId: req.userId })
+    if (!result.matchedCount) return res.status(404).json({ message: 'Session not found' })
+    res.json({ ok: true, id: req.params.id })
+  } catch (e) {
+    console.error('Revoke Session Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SECURITY ACTIVITY (latest 50 events for this account)
+router.get('/security-events', authMiddleware, async (req, res) => {
+  try {
+    const events = await SecurityEvent.find({ userId: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('type ip userAgent detail createdAt')
+    res.json(events)
+  } catch (e) {
+    console.error('Security Events Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// FORGOT PASSWORD: { email } — same answer whether or not the address is registered
+router.post('/forgot', async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase()
+    if (!EMAIL_RE.test(email)) return res.status(400).json({ message: 'Enter a valid email address' })
+
+    // Not awaited, so the response takes as long (and ends the same) for unknown addresses
+    const user = await User.findOne({ email })
+    if (user) sendPasswordReset(user)
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Forgot Password Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// RESET PASSWORD: { token, password } — signs out every device
+router.post('/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body || {}
+    if (!password || String(password).length < MIN_PASSWORD)
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD} characters` })
+
+    const used = await consumeToken(token, 'reset')
+    if (!used) return res.status(400).json({ message: 'This reset link is invalid or has expired' })
+
+    const passwordHash = await bcrypt.hash(String(password), 10)
+    // Receiving the link proves the user controls the address
+    await User.updateOne(
+      { _id: used.userId },
+      { passwordHash, $min: { emailVerifiedAt: new Date() } }
+    )
+    await revokeSession({ userId: used.userId }, 'password-reset')
+    await recordSecurityEvent('password_reset', { userId: used.userId, req })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Reset Password Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// VERIFY EMAIL: { token }
+router.post('/verify', async (req, res) => {
+  try {
+    const used = await consumeToken(req.body?.token, 'verify')
+    if (!used) return res.status(400).json({ message: 'This verification link is invalid or has expired' })
+
+    await User.updateOne({ _id: used.userId }, { $min: { emailVerifiedAt: new Date() } })
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Verify Email Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// RESEND VERIFICATION (signed in)
+router.post('/verify/resend', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    if (user.emailVerifiedAt) return res.status(400).json({ message: 'Email is already verified' })
+
+    await sendVerification(user)
+    res.json({ ok: true })
+  } catch (e) {
+    console.error('Resend Verification Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 // GET LOGGED-IN USER
 router.get('/me', authMiddleware, async (req, res) => {
-  const user = await User.findById(req.userId).select('name email')
+  const user = await User.findById(req.userId).select('name email baseCurrency emailVerifiedAt role aiTier')
   res.json({ user })
 })
 
+// UPDATE PROFILE: { name?, baseCurrency? }
+router.put('/me', authMiddleware, async (req, res) => {
+  try {
+    const { name, baseCurrency } = req.body || {}
+    const update = {}
+    if (name !== undefined) {
+      update.name = String(name).trim()
+      if (!update.name) return res.status(400).json({ message: 'Name is required' })
+    }
+    if (baseCurrency !== undefined) {
+      update.baseCurrency = readCurrency(baseCurrency)
+      if (!update.baseCurrency) return res.status(400).json({ message: 'Currency must be a 3-letter code' })
+    }
+
+    const user = await User.findByIdAndUpdate(req.userId, update, { new: true, runValidators: true })
+      .select('name email baseCurrency emailVerifiedAt role aiTier')
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    res.json({ user })
+  } catch (e) {
+    console.error('Update Profile Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
 export default router
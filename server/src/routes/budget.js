@@ -0,0 +1,95 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import BudgetPlan from '../models/BudgetPlan.js'
+import User from '../models/User.js'
+import { savedBudgets, toSavedBudget } from '../lib/summary.js'
+import { BUDGET_BUCKETS, bucketMapping, readBucketMapping, budgetVsActual } from '../lib/budgetActual.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+import { readCurrency } from '../lib/currencies.js'
+import { parseMonth } from '../lib/dates.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// LIST SAVED FORECASTS (newest first)
+router.get('/saved', async (req, res) => {
+  try {
+    res.json(await savedBudgets(req.userId))
+  } catch (e) {
+    console.error('List Budgets Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SAVE FORECAST
+router.post('/saved', async (req, res) => {
+  try {
+    const { income, obligations, savingsGoal, risk, plan, reasoning } = req.body
+    const goalDate = req.body.goalDate || undefined
+    const currency = readCurrency(req.body.currency) || await baseCurrencyOf(req.userId)
+    const budget = await BudgetPlan.create({
+      userId: req.userId, income, obligations, savingsGoal, goalDate, risk, plan, reasoning, currency
+    })
+    res.status(201).json(toSavedBudget(budget))
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ message: e.message })
+    console.error('Save Budget Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ACTIVATE: { id } makes a saved forecast the current budget; { id: null } clears it
+router.put('/active', async (req, res) => {
+  try {
+    const id = req.body?.id || null
+    let budget = null
+    if (id) {
+      if (mongoose.isValidObjectId(id)) budget = await BudgetPlan.findOne({ _id: id, userId: req.userId })
+      if (!budget) return res.status(404).json({ message: 'Budget not found' })
+    }
+
+    await User.updateOne({ _id: req.userId }, budget ? { activeBudget: budget._id } : { $unset: { activeBudget: 1 } })
+    res.json({ active: budget && toSavedBudget(budget, budget._id) })
+  } catch (e) {
+    console.error('Activate Budget Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// BUDGET VS ACTUAL: ?month=YYYY-MM (default: current month)
+router.get('/actual', async (req, res) => {
+  try {
+    if (req.query.month && !parseMonth(req.query.month)) return res.status(400).json({ message: 'Invalid month' })
+    res.json(await budgetVsActual(req.userId, req.query.month))
+  } catch (e) {
+    console.error('Budget Actual Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CATEGORY → BUCKET MAPPING
+router.get('/mapping', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('budgetBuckets')
+    res.json({ buckets: BUDGET_BUCKETS, mapping: bucketMapping(user?.budgetBuckets) })
+  } catch (e) {
+    console.error('Budget Mapping Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE MAPPING: { Category: Bucket, ... } — categories left out go back to their default bucket
+router.put('/mapping', async (req, res) => {
+  try {
+    const { mapping, error } = readBucketMapping(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    await User.updateOne({ _id: req.userId }, { budgetBuckets: mapping })
+    res.json({ buckets: BUDGET_BUCKETS, mapping: bucketMapping(mapping) })
+  } catch (e) {
+    console.error('Update Budget Mapping Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
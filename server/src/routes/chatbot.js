@@ -1,42 +1,224 @@
 import express from "express";
-import axios from "axios";
+import mongoose from "mongoose";
 import dotenv from "dotenv";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import { runAssistant } from "../lib/assistant.js";
+import { buildContext, summarizeIfLong, titleFrom } from "../lib/chatHistory.js";
+import quotaMiddleware from "../middleware/quotaMiddleware.js";
+import { releaseRequest } from "../lib/usage.js";
 
 dotenv.config();
+// Mounted behind authMiddleware
 const router = express.Router();
 
-router.post("/", async (req, res) => {
+async function findConversation(req, id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Conversation.findOne({ _id: id, userId: req.userId });
+}
+
+// Validate the request, find or create the conversation and store the user's message.
+// With { retry: true } the last answer is dropped and the last user message is asked again.
+// Returns { conversation } or { status, message } for the error response.
+async function startTurn(req) {
+  if (req.body?.retry) return retryTurn(req);
+
+  const message = String(req.body?.message || "").trim();
+  if (!message) return { status: 400, message: "Message is required" };
+
+  let conversation;
+  if (req.body.conversationId) {
+    conversation = await findConversation(req, req.body.conversationId);
+    if (!conversation) return { status: 404, message: "Conversation not found" };
+  } else {
+    conversation = await Conversation.create({ userId: req.userId, title: titleFrom(message) });
+  }
+
+  await Message.create({ conversationId: conversation._id, userId: req.userId, role: "user", text: message });
+  return { conversation };
+}
+
+async function retryTurn(req) {
+  const conversation = await findConversation(req, req.body.conversationId);
+  if (!conversation) return { status: 404, message: "Conversation not found" };
+
+  const last = await Message.findOne({ conversationId: conversation._id }).sort({ createdAt: -1 });
+  if (!last) return { status: 400, message: "Nothing to retry" };
+  if (last.role === "assistant") await last.deleteOne();
+  return { conversation };
+}
+
+// Store the assistant's reply, then fold old turns into the summary without making the user wait
+async function finishTurn(req, conversation, reply, sources = []) {
+  await Message.create({ conversationId: conversation._id, userId: req.userId, role: "assistant", text: reply, sources });
+  conversation.lastMessageAt = new Date();
+  await conversation.save();
+
+  summarizeIfLong(conversation).catch((err) =>
+    console.error("Chat summary error:", err.response?.data || err.message)
+  );
+}
+
+// SEND: { message, conversationId? } or { conversationId, retry: true } → { reply, sources, conversationId, title }
+router.post("/", quotaMiddleware, async (req, res) => {
   try {
-    const { message } = req.body;
-    const apiKey = process.env.GEMINI_API_KEY;
-
-    // ✅ Use the correct stable model for your key
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-    const payload = {
-      contents: [
-        {
-          role: "user",
-          parts: [{ text: message }],
-        },
-      ],
-    };
-
-    const { data } = await axios.post(url, payload, {
-      headers: { "Content-Type": "application/json" },
-    });
+    const { conversation, status, message } = await startTurn(req);
+    if (!conversation) {
+      await releaseRequest(req.quotaReservation);
+      return res.status(status).json({ message });
+    }
 
-    const reply =
-      data?.candidates?.[0]?.content?.parts?.[0]?.text ||
-      "Sorry, I couldn’t generate a response.";
+    // ✅ Summary of older turns + a rolling window of recent ones; tools read the user's own data
+    const { text, sources } = await runAssistant({
+      userId: req.userId,
+      conversationId: conversation._id,
+      ...(await buildContext(conversation)),
+    });
+    const reply = text || "Sorry, I couldn’t generate a response.";
 
-    res.json({ reply });
+    await finishTurn(req, conversation, reply, sources);
+    res.json({ reply, sources, conversationId: conversation._id, title: conversation.title });
   } catch (err) {
-    console.error("Gemini API error:", err.response?.data || err.message);
+    console.error("LLM error:", err.response?.data || err.message);
     res.status(500).json({
       error: "Chatbot failed to respond. Check API key or model endpoint.",
     });
   }
 });
 
+/**
+ * STREAM: same body as SEND, answered as Server-Sent Events:
+ *   event: meta   { conversationId, title }
+ *   event: tool   { tool, label }     (a data source the assistant looked up)
+ *   event: delta  { text }            (repeated as tokens arrive)
+ *   event: done   { reply, sources }
+ *   event: error  { message }
+ * Closing the connection aborts the upstream model request; whatever text arrived is kept.
+ */
+router.post("/stream", quotaMiddleware, async (req, res) => {
+  const upstream = new AbortController();
+  let conversation;
+  let partial = "";
+  const sources = [];
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.on("close", () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  try {
+    const turn = await startTurn(req);
+    if (!turn.conversation) {
+      await releaseRequest(req.quotaReservation);
+      return res.status(turn.status).json({ message: turn.message });
+    }
+    conversation = turn.conversation;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+    send("meta", { conversationId: conversation._id, title: conversation.title });
+
+    const { text } = await runAssistant({
+      userId: req.userId,
+      conversationId: conversation._id,
+      ...(await buildContext(conversation)),
+      stream: true,
+      signal: upstream.signal,
+      onText: (delta) => {
+        partial += delta;
+        send("delta", { text: delta });
+      },
+      onTool: (source) => {
+        sources.push(source);
+        send("tool", source);
+      },
+    });
+
+    const reply = text || "Sorry, I couldn’t generate a response.";
+    await finishTurn(req, conversation, reply, sources);
+    send("done", { reply, sources });
+    res.end();
+  } catch (err) {
+    if (upstream.signal.aborted) {
+      // Stopped by the user: keep the part they already saw
+      if (conversation && partial)
+        await finishTurn(req, conversation, partial, sources).catch((e) => console.error("Chat save error:", e));
+      return;
+    }
+    console.error("LLM error:", err.response?.data || err.message);
+    if (!res.headersSent)
+      return res.status(500).json({ error: "Chatbot failed to respond. Check API key or model endpoint." });
+    send("error", { message: "Chatbot failed to respond." });
+    res.end();
+  }
+});
+
+// LIST CONVERSATIONS (most recent first)
+router.get("/conversations", async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ userId: req.userId })
+      .sort({ lastMessageAt: -1 })
+      .select("title lastMessageAt createdAt");
+    res.json(conversations);
+  } catch (err) {
+    console.error("List Conversations Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// MESSAGES OF ONE CONVERSATION (oldest first)
+router.get("/conversations/:id/messages", async (req, res) => {
+  try {
+    const conversation = await findConversation(req, req.params.id);
+    if (!conversation) return res.status(404).json({ message: "Conversation not found" });
+
+    const messages = await Message.find({ conversationId: conversation._id })
+      .sort({ createdAt: 1 })
+      .select("role text sources createdAt");
+    res.json({ conversation: { _id: conversation._id, title: conversation.title }, messages });
+  } catch (err) {
+    console.error("Conversation Messages Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// RENAME: { title }
+router.put("/conversations/:id", async (req, res) => {
+  try {
+    const title = String(req.body?.title || "").trim().slice(0, 120);
+    if (!title) return res.status(400).json({ message: "Title is required" });
+
+    const conversation = await findConversation(req, req.params.id);
+    if (!conversation) return res.status(404).json({ message: "Conversation not found" });
+
+    conversation.title = title;
+    await conversation.save();
+    res.json({ _id: conversation._id, title: conversation.title, lastMessageAt: conversation.lastMessageAt });
+  } catch (err) {
+    console.error("Rename Conversation Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// DELETE (with its messages)
+router.delete("/conversations/:id", async (req, res) => {
+  try {
+    const conversation = await findConversation(req, req.params.id);
+    if (!conversation) return res.status(404).json({ message: "Conversation not found" });
+
+    await Message.deleteMany({ conversationId: conversation._id });
+    await conversation.deleteOne();
+    res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    console.error("Delete Conversation Error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 export default router;
@@ -0,0 +1,184 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import Envelope from '../models/Envelope.js'
+import EnvelopeTransfer from '../models/EnvelopeTransfer.js'
+import { readEnvelope, categoryConflict, envelopeHistory, envelopeWindow, fundingFor } from '../lib/envelopes.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+import { parseMonth, monthKey } from '../lib/dates.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// "YYYY-MM" from the request, the current month when omitted, or null when invalid or outside envelopeWindow()
+function readMonth(value) {
+  const start = parseMonth(value)
+  if (!start) return null
+  const key = monthKey(start)
+  const { first, last } = envelopeWindow()
+  return key >= first && key <= last ? key : null
+}
+
+function invalidMonth(what) {
+  const { first, last } = envelopeWindow()
+  return { message: `${what} must be a month from ${first} to ${last}` }
+}
+
+// Envelope JSON plus the funding in effect this month
+function toEnvelope(doc) {
+  return { ...doc.toJSON(), monthlyFunding: fundingFor(doc, readMonth()) }
+}
+
+// LIST
+router.get('/', async (req, res) => {
+  try {
+    const envelopes = await Envelope.find({ userId: req.userId }).sort({ createdAt: 1 })
+    res.json(envelopes.map(toEnvelope))
+  } catch (e) {
+    console.error('List Envelopes Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE: { name, funding, categories?, rollover?, rolloverCap?, currency?, startMonth? }
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = readEnvelope(req.body)
+    if (error) return res.status(400).json({ message: error })
+    const startMonth = readMonth(req.body.startMonth)
+    if (!startMonth) return res.status(400).json(invalidMonth('The start month'))
+
+    const conflict = await categoryConflict(req.userId, value.categories)
+    if (conflict) return res.status(400).json({ message: conflict })
+
+    const envelope = await Envelope.create({
+      ...value,
+      userId: req.userId,
+      funding: [{ from: startMonth, amount: value.funding }],
+      currency: value.currency || await baseCurrencyOf(req.userId)
+    })
+    res.status(201).json(toEnvelope(envelope))
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ message: 'An envelope with that name already exists' })
+    console.error('Create Envelope Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ENVELOPE HISTORY: ?from=YYYY-MM&to=YYYY-MM (default: current month only)
+router.get('/history', async (req, res) => {
+  try {
+    const { from, to } = req.query
+    if ((from && !readMonth(from)) || (to && !readMonth(to))) return res.status(400).json(invalidMonth('The month'))
+    res.json(await envelopeHistory(req.userId, { from, to }))
+  } catch (e) {
+    console.error('Envelope History Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// LIST TRANSFERS: ?month=YYYY-MM (default: current month)
+router.get('/transfers', async (req, res) => {
+  try {
+    const month = readMonth(req.query.month)
+    if (!month) return res.status(400).json(invalidMonth('The month'))
+    res.json(await EnvelopeTransfer.find({ userId: req.userId, month }).sort({ createdAt: -1 }))
+  } catch (e) {
+    console.error('List Envelope Transfers Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// MOVE MONEY: { from, to, amount, month?, note? } — the month must not be before either envelope's start
+router.post('/transfers', async (req, res) => {
+  try {
+    const { from, to, note } = req.body || {}
+    const amount = Math.round(Number(req.body?.amount) * 100) / 100
+    const month = readMonth(req.body?.month)
+    if (!month) return res.status(400).json(invalidMonth('The month'))
+    if (!(amount > 0)) return res.status(400).json({ message: 'Amount must be greater than 0' })
+    if (String(from) === String(to)) return res.status(400).json({ message: 'Pick two different envelopes' })
+    if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to))
+      return res.status(404).json({ message: 'Envelope not found' })
+
+    const found = await Envelope.find({ _id: { $in: [from, to] }, userId: req.userId }).select('name funding')
+    if (found.length !== 2) return res.status(404).json({ message: 'Envelope not found' })
+    // the ledger only runs an envelope from its first funded month, so an earlier move would never apply
+    const late = found.find(e => e.funding[0].from > month)
+    if (late) return res.status(400).json({ message: `${late.name} starts in ${late.funding[0].from}; pick that month or later` })
+
+    const transfer = await EnvelopeTransfer.create({
+      userId: req.userId,
+      month,
+      from,
+      to,
+      amount,
+      note: String(note || '').trim().slice(0, 200)
+    })
+    res.status(201).json(transfer)
+  } catch (e) {
+    console.error('Envelope Transfer Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UNDO TRANSFER
+router.delete('/transfers/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Transfer not found' })
+    const transfer = await EnvelopeTransfer.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!transfer) return res.status(404).json({ message: 'Transfer not found' })
+    res.json({ ok: true, id: req.params.id })
+  } catch (e) {
+    console.error('Delete Envelope Transfer Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE: same fields as CREATE; a new `funding` applies from `fundingFrom` (default: this month) on
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Envelope not found' })
+
+    const { value, error } = readEnvelope(req.body, { partial: true })
+    if (error) return res.status(400).json({ message: error })
+
+    const envelope = await Envelope.findOne({ _id: req.params.id, userId: req.userId })
+    if (!envelope) return res.status(404).json({ message: 'Envelope not found' })
+
+    const conflict = await categoryConflict(req.userId, value.categories, envelope._id)
+    if (conflict) return res.status(400).json({ message: conflict })
+
+    const { funding, rolloverCap, ...rest } = value
+    envelope.set(rest)
+    if (rolloverCap !== undefined) envelope.rolloverCap = rolloverCap ?? undefined
+    if (funding !== undefined) {
+      const from = readMonth(req.body.fundingFrom)
+      if (!from) return res.status(400).json(invalidMonth('The funding month'))
+      // Months before `from` keep the funding they had
+      envelope.funding = [...envelope.funding.filter(step => step.from < from), { from, amount: funding }]
+    }
+    await envelope.save()
+    res.json(toEnvelope(envelope))
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ message: 'An envelope with that name already exists' })
+    console.error('Update Envelope Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE (with the transfers that touched it)
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Envelope not found' })
+    const envelope = await Envelope.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!envelope) return res.status(404).json({ message: 'Envelope not found' })
+
+    await EnvelopeTransfer.deleteMany({ userId: req.userId, $or: [{ from: envelope._id }, { to: envelope._id }] })
+    res.json({ ok: true, id: req.params.id })
+  } catch (e) {
+    console.error('Delete Envelope Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
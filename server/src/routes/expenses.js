@@ -0,0 +1,100 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import Expense from '../models/Expense.js'
+import { readExpense } from '../lib/expenseInput.js'
+import { dayRange, parseMonth } from '../lib/dates.js'
+import { monthlyExpenses } from '../lib/summary.js'
+import { loadRules, categorize } from '../lib/rules.js'
+import { loadConverter, withBaseAmount } from '../lib/fx.js'
+
+// Mounted behind authMiddleware — every query is scoped to req.userId
+const router = Router()
+
+// LIST (optional ?from=YYYY-MM-DD&to=YYYY-MM-DD, both inclusive)
+// Each row carries baseAmount in the user's base currency (null when no FX rate is stored)
+router.get('/', async (req, res) => {
+  try {
+    const range = dayRange(req.query)
+    if (!range) return res.status(400).json({ message: 'Invalid date range' })
+
+    const filter = { userId: req.userId }
+    if (Object.keys(range).length) filter.date = range
+
+    const [expenses, fx] = await Promise.all([
+      Expense.find(filter).sort({ date: -1, createdAt: -1 }),
+      loadConverter(req.userId)
+    ])
+    res.json(expenses.map(e => withBaseAmount(fx, e)))
+  } catch (e) {
+    console.error('List Expenses Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// MONTHLY TOTALS (optional ?month=YYYY-MM, defaults to the current month)
+router.get('/monthly', async (req, res) => {
+  try {
+    if (req.query.month && !parseMonth(req.query.month))
+      return res.status(400).json({ message: 'Invalid month' })
+    res.json(await monthlyExpenses(req.userId, req.query.month))
+  } catch (e) {
+    console.error('Monthly Expenses Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE (no category → the user's rules pick one, falling back to Misc; no currency → base currency)
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = readExpense(req.body)
+    if (error) return res.status(400).json({ message: error })
+    const [rules, fx] = await Promise.all([loadRules(req.userId), loadConverter(req.userId)])
+    if (!value.category) value.category = categorize(rules, value) || 'Misc'
+    if (!value.currency) value.currency = fx.baseCurrency
+
+    const expense = await Expense.create({ ...value, userId: req.userId })
+    res.status(201).json(withBaseAmount(fx, expense))
+  } catch (e) {
+    console.error('Create Expense Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Expense not found' })
+
+    const { value, error } = readExpense(req.body, { partial: true })
+    if (error) return res.status(400).json({ message: error })
+
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      value,
+      { new: true, runValidators: true }
+    )
+    if (!expense) return res.status(404).json({ message: 'Expense not found' })
+    res.json(withBaseAmount(await loadConverter(req.userId), expense))
+  } catch (e) {
+    console.error('Update Expense Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Expense not found' })
+
+    const expense = await Expense.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!expense) return res.status(404).json({ message: 'Expense not found' })
+    res.json({ ok: true, id: expense._id })
+  } catch (e) {
+    console.error('Delete Expense Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
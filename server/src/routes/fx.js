@@ -0,0 +1,83 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import FxRate from '../models/FxRate.js'
+import { readRate, parseRatesCsv } from '../lib/fx.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+const MAX_RATES = 5000
+
+function upsertOps(userId, rates) {
+  return rates.map(({ date, base, quote, rate }) => ({
+    updateOne: {
+      filter: { userId, base, quote, date },
+      update: { $set: { rate } },
+      upsert: true
+    }
+  }))
+}
+
+// LIST (newest first, optional ?base=&quote= filter)
+router.get('/', async (req, res) => {
+  try {
+    const filter = { userId: req.userId }
+    if (req.query.base) filter.base = String(req.query.base).toUpperCase()
+    if (req.query.quote) filter.quote = String(req.query.quote).toUpperCase()
+    res.json(await FxRate.find(filter).sort({ date: -1, base: 1, quote: 1 }).limit(500))
+  } catch (e) {
+    console.error('List FX Rates Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE / REPLACE one rate: { date, base, quote, rate } (same pair + day overwrites)
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = readRate(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const { date, base, quote, rate } = value
+    const doc = await FxRate.findOneAndUpdate(
+      { userId: req.userId, base, quote, date },
+      { rate },
+      { new: true, upsert: true, runValidators: true }
+    )
+    res.status(201).json(doc)
+  } catch (e) {
+    console.error('Save FX Rate Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CSV UPLOAD: { content: "date,base,quote,rate\n..." } → { saved, errors }
+router.post('/upload', async (req, res) => {
+  try {
+    const { rates, errors } = parseRatesCsv(req.body?.content)
+    if (!rates.length && !errors.length) return res.status(400).json({ message: 'The file has no rates' })
+    if (rates.length > MAX_RATES) return res.status(400).json({ message: `At most ${MAX_RATES} rates per upload` })
+
+    if (rates.length) await FxRate.bulkWrite(upsertOps(req.userId, rates))
+    res.json({ saved: rates.length, errors })
+  } catch (e) {
+    console.error('Upload FX Rates Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Rate not found' })
+
+    const rate = await FxRate.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!rate) return res.status(404).json({ message: 'Rate not found' })
+    res.json({ ok: true, id: rate._id })
+  } catch (e) {
+    console.error('Delete FX Rate Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,123 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import Goal from '../models/Goal.js'
+import GoalContribution from '../models/GoalContribution.js'
+import { readGoal, readContribution, goalsWithProgress, goalWithProgress } from '../lib/goals.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+async function findGoal(req, id) {
+  if (!mongoose.isValidObjectId(id)) return null
+  return Goal.findOne({ _id: id, userId: req.userId })
+}
+
+// LIST (with progress; priority, then deadline)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await goalsWithProgress(req.userId))
+  } catch (e) {
+    console.error('List Goals Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE: { name, targetAmount, deadline, priority?, linkedAccount?, currency? }
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = readGoal(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const goal = await Goal.create({
+      ...value,
+      userId: req.userId,
+      currency: value.currency || await baseCurrencyOf(req.userId)
+    })
+    res.status(201).json(await goalWithProgress(goal))
+  } catch (e) {
+    console.error('Create Goal Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE
+router.put('/:id', async (req, res) => {
+  try {
+    const { value, error } = readGoal(req.body, { partial: true })
+    if (error) return res.status(400).json({ message: error })
+
+    const goal = await findGoal(req, req.params.id)
+    if (!goal) return res.status(404).json({ message: 'Goal not found' })
+
+    goal.set(value)
+    await goal.save()
+    res.json(await goalWithProgress(goal))
+  } catch (e) {
+    console.error('Update Goal Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE (with its contributions)
+router.delete('/:id', async (req, res) => {
+  try {
+    const goal = await findGoal(req, req.params.id)
+    if (!goal) return res.status(404).json({ message: 'Goal not found' })
+
+    await GoalContribution.deleteMany({ goalId: goal._id })
+    await goal.deleteOne()
+    res.json({ ok: true, id: req.params.id })
+  } catch (e) {
+    console.error('Delete Goal Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CONTRIBUTIONS OF ONE GOAL (newest first)
+router.get('/:id/contributions', async (req, res) => {
+  try {
+    const goal = await findGoal(req, req.params.id)
+    if (!goal) return res.status(404).json({ message: 'Goal not found' })
+
+    res.json(await GoalContribution.find({ goalId: goal._id }).sort({ date: -1, createdAt: -1 }))
+  } catch (e) {
+    console.error('List Contributions Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// LOG CONTRIBUTION: { amount, date?, note? } → { contribution, goal }
+router.post('/:id/contributions', async (req, res) => {
+  try {
+    const { value, error } = readContribution(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const goal = await findGoal(req, req.params.id)
+    if (!goal) return res.status(404).json({ message: 'Goal not found' })
+
+    const contribution = await GoalContribution.create({ ...value, userId: req.userId, goalId: goal._id })
+    res.status(201).json({ contribution, goal: await goalWithProgress(goal) })
+  } catch (e) {
+    console.error('Log Contribution Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE CONTRIBUTION → { ok, goal }
+router.delete('/:id/contributions/:contributionId', async (req, res) => {
+  try {
+    const goal = await findGoal(req, req.params.id)
+    if (!goal || !mongoose.isValidObjectId(req.params.contributionId))
+      return res.status(404).json({ message: 'Contribution not found' })
+
+    const removed = await GoalContribution.findOneAndDelete({ _id: req.params.contributionId, goalId: goal._id })
+    if (!removed) return res.status(404).json({ message: 'Contribution not found' })
+    res.json({ ok: true, goal: await goalWithProgress(goal) })
+  } catch (e) {
+    console.error('Delete Contribution Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
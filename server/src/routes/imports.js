@@ -0,0 +1,148 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import ImportMapping from '../models/ImportMapping.js'
+import { classifyTransactions, importTransactions } from '../lib/importer.js'
+import { parseStatement } from '../lib/statements.js'
+import { mapBankCategory } from '../lib/categories.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+const MAX_BATCH = 5000
+const MAX_FILES = 20
+
+function readBatch(body) {
+  const { transactions } = body || {}
+  if (!Array.isArray(transactions) || !transactions.length)
+    return { error: 'No transactions to import' }
+  if (transactions.length > MAX_BATCH)
+    return { error: `At most ${MAX_BATCH} transactions per import` }
+  return { transactions }
+}
+
+// PREVIEW — flag duplicates / invalid rows without writing
+router.post('/check', async (req, res) => {
+  try {
+    const { transactions, error } = readBatch(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const rows = await classifyTransactions(req.userId, transactions)
+    res.json({
+      duplicates: rows.map(r => !!r.duplicate),
+      errors: rows.map(r => r.error || null)
+    })
+  } catch (e) {
+    console.error('Import Check Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// BULK INSERT normalized CSV rows: [{ date, description, amount, category? }]
+router.post('/', async (req, res) => {
+  try {
+    const { transactions, error } = readBatch(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    res.json(await importTransactions(req.userId, transactions, { source: 'csv' }))
+  } catch (e) {
+    console.error('Import Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// OFX / QFX / QIF FILES: { files:[{ name, content }] } → per-file { inserted, skipped, failed }
+router.post('/statements', async (req, res) => {
+  try {
+    const { files } = req.body || {}
+    if (!Array.isArray(files) || !files.length) return res.status(400).json({ message: 'No files to import' })
+    if (files.length > MAX_FILES) return res.status(400).json({ message: `At most ${MAX_FILES} files per import` })
+
+    const results = []
+    // Sequential on purpose: a later file sees what an earlier one inserted
+    for (const file of files) {
+      const name = String(file?.name || 'statement')
+      try {
+        const { format, transactions } = parseStatement(name, String(file?.content || ''))
+        if (transactions.length > MAX_BATCH) throw new Error(`More than ${MAX_BATCH} transactions`)
+
+        // Only money out becomes an expense; deposits and refunds are skipped
+        const isCredit = t => isFinite(t.amount) && t.amount >= 0
+        const credits = transactions.filter(isCredit).length
+        const expenses = transactions.filter(t => !isCredit(t)).map(t => ({
+          date: t.date,
+          description: t.description,
+          amount: -t.amount,
+          currency: t.currency,
+          fitid: t.fitid,
+          category: mapBankCategory(t)
+        }))
+
+        const r = expenses.length
+          ? await importTransactions(req.userId, expenses, { source: format })
+          : { inserted: 0, skipped: 0, failed: 0, errors: [] }
+
+        results.push({
+          name,
+          format,
+          inserted: r.inserted,
+          skipped: r.skipped + credits,
+          duplicates: r.skipped,
+          credits,
+          failed: r.failed,
+          errors: r.errors.slice(0, 20).map(err => err.message)
+        })
+      } catch (e) {
+        results.push({ name, inserted: 0, skipped: 0, failed: 1, errors: [e.message] })
+      }
+    }
+    res.json({ files: results })
+  } catch (e) {
+    console.error('Statement Import Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SAVED COLUMN MAPPINGS
+router.get('/mappings', async (req, res) => {
+  try {
+    res.json(await ImportMapping.find({ userId: req.userId }).sort({ bank: 1 }))
+  } catch (e) {
+    console.error('List Mappings Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// Create or replace the mapping for a bank
+router.put('/mappings', async (req, res) => {
+  try {
+    const { bank, columns, signMode, dateFormat, delimiter } = req.body
+    if (!bank || !String(bank).trim()) return res.status(400).json({ message: 'Bank name is required' })
+
+    const mapping = await ImportMapping.findOneAndUpdate(
+      { userId: req.userId, bank: String(bank).trim() },
+      { columns, signMode, dateFormat, delimiter },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    )
+    res.json(mapping)
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ message: e.message })
+    console.error('Save Mapping Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+router.delete('/mappings/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Mapping not found' })
+
+    const mapping = await ImportMapping.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!mapping) return res.status(404).json({ message: 'Mapping not found' })
+    res.json({ ok: true, id: mapping._id })
+  } catch (e) {
+    console.error('Delete Mapping Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,37 @@
+import { Router } from 'express'
+import InsuranceCheck from '../models/InsuranceCheck.js'
+import { latestInsurance } from '../lib/summary.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+import { readCurrency } from '../lib/currencies.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// LATEST COVERAGE SNAPSHOT (null when no checks yet)
+router.get('/latest', async (req, res) => {
+  try {
+    res.json(await latestInsurance(req.userId))
+  } catch (e) {
+    console.error('Latest Insurance Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// RECORD A CHECK
+router.post('/checks', async (req, res) => {
+  try {
+    const { category, hasCoverage, age, dependents, income, coverageNeeded, recommendations } = req.body
+    const check = await InsuranceCheck.create({
+      userId: req.userId,
+      category, hasCoverage, age, dependents, income, coverageNeeded, recommendations,
+      currency: readCurrency(req.body.currency) || await baseCurrencyOf(req.userId)
+    })
+    res.status(201).json(check)
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ message: e.message })
+    console.error('Save Insurance Check Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
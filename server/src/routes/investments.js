@@ -0,0 +1,37 @@
+import { Router } from 'express'
+import InvestmentPlan from '../models/InvestmentPlan.js'
+import { savedInvestmentPlans, toSavedPlan } from '../lib/summary.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+import { readCurrency } from '../lib/currencies.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// LIST SAVED PLANS (newest first)
+router.get('/saved', async (req, res) => {
+  try {
+    res.json(await savedInvestmentPlans(req.userId))
+  } catch (e) {
+    console.error('List Plans Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SAVE PLAN
+router.post('/saved', async (req, res) => {
+  try {
+    const { bias, years, monthly, principal, cagr, mix, totalInvested, projected, returns, rationale, simulation, assumptions } = req.body
+    const plan = await InvestmentPlan.create({
+      userId: req.userId,
+      bias, years, monthly, principal, cagr, mix, totalInvested, projected, returns, rationale, simulation, assumptions,
+      currency: readCurrency(req.body.currency) || await baseCurrencyOf(req.userId)
+    })
+    res.status(201).json(toSavedPlan(plan))
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ message: e.message })
+    console.error('Save Plan Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
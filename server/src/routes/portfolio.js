@@ -0,0 +1,300 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import InvestmentAccount from '../models/InvestmentAccount.js'
+import Holding from '../models/Holding.js'
+import InvestmentTransaction from '../models/InvestmentTransaction.js'
+import SecurityPrice from '../models/SecurityPrice.js'
+import {
+  portfolioSummary, holdingDetail, runLots,
+  readAccount, readHolding, readTransaction, readPrice, readSymbol, parsePricesCsv, priceCurrencies
+} from '../lib/portfolio.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+import { readRebalanceOptions, rebalancePortfolio } from '../lib/rebalance.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+const MAX_PRICES = 5000
+
+async function findOwned(Model, req, id) {
+  if (!mongoose.isValidObjectId(id)) return null
+  return Model.findOne({ _id: id, userId: req.userId })
+}
+
+// SUMMARY: accounts, positions, totals and allocation vs a saved plan (?planId=, default newest)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await portfolioSummary(req.userId, { planId: req.query.planId }))
+  } catch (e) {
+    console.error('Portfolio Summary Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// REBALANCE: { planId? | targetMix?, cashFlow?, cashFlowOnly?, driftThreshold?, minTrade?, avoidShortTerm? }
+// → proposed trades (nothing is recorded)
+router.post('/rebalance', async (req, res) => {
+  try {
+    const { value, error } = readRebalanceOptions(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const result = await rebalancePortfolio(req.userId, value)
+    if (result.error) return res.status(400).json({ message: result.error })
+    res.json(result)
+  } catch (e) {
+    console.error('Rebalance Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE ACCOUNT: { name, kind?, currency? }
+router.post('/accounts', async (req, res) => {
+  try {
+    const { value, error } = readAccount(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const account = await InvestmentAccount.create({
+      ...value,
+      userId: req.userId,
+      currency: value.currency || await baseCurrencyOf(req.userId)
+    })
+    res.status(201).json(account)
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ message: 'An account with that name already exists' })
+    console.error('Create Investment Account Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE ACCOUNT
+router.put('/accounts/:id', async (req, res) => {
+  try {
+    const { value, error } = readAccount(req.body, { partial: true })
+    if (error) return res.status(400).json({ message: error })
+
+    const account = await findOwned(InvestmentAccount, req, req.params.id)
+    if (!account) return res.status(404).json({ message: 'Account not found' })
+
+    account.set(value)
+    await account.save()
+    res.json(account)
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ message: 'An account with that name already exists' })
+    console.error('Update Investment Account Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE ACCOUNT (with its holdings and their transactions)
+router.delete('/accounts/:id', async (req, res) => {
+  try {
+    const account = await findOwned(InvestmentAccount, req, req.params.id)
+    if (!account) return res.status(404).json({ message: 'Account not found' })
+
+    const holdingIds = await Holding.find({ accountId: account._id }).distinct('_id')
+    await InvestmentTransaction.deleteMany({ holdingId: { $in: holdingIds } })
+    await Holding.deleteMany({ accountId: account._id })
+    await account.deleteOne()
+    res.json({ ok: true, id: req.params.id })
+  } catch (e) {
+    console.error('Delete Investment Account Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE HOLDING: { accountId, symbol, name?, assetClass?, lotMethod? }
+router.post('/holdings', async (req, res) => {
+  try {
+    const { value, error } = readHolding(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const account = await findOwned(InvestmentAccount, req, req.body.accountId)
+    if (!account) return res.status(400).json({ message: 'Unknown account' })
+
+    const holding = await Holding.create({ ...value, userId: req.userId, accountId: account._id })
+    res.status(201).json((await holdingDetail(holding)).position)
+  } catch (e) {
+    if (e.code === 11000) return res.status(400).json({ message: 'That symbol is already held in this account' })
+    console.error('Create Holding Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE HOLDING: { name?, assetClass?, lotMethod? } — a new lot method must fit the existing sells
+router.put('/holdings/:id', async (req, res) => {
+  try {
+    const { value, error } = readHolding(req.body, { partial: true })
+    if (error) return res.status(400).json({ message: error })
+
+    const holding = await findOwned(Holding, req, req.params.id)
+    if (!holding) return res.status(404).json({ message: 'Holding not found' })
+
+    if (value.lotMethod && value.lotMethod !== holding.lotMethod) {
+      const check = runLots(await InvestmentTransaction.find({ holdingId: holding._id }), value.lotMethod)
+      if (check.error) return res.status(400).json({ message: check.error })
+    }
+
+    holding.set(value)
+    await holding.save()
+    res.json((await holdingDetail(holding)).position)
+  } catch (e) {
+    console.error('Update Holding Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE HOLDING (with its transactions)
+router.delete('/holdings/:id', async (req, res) => {
+  try {
+    const holding = await findOwned(Holding, req, req.params.id)
+    if (!holding) return res.status(404).json({ message: 'Holding not found' })
+
+    await InvestmentTransaction.deleteMany({ holdingId: holding._id })
+    await holding.deleteOne()
+    res.json({ ok: true, id: req.params.id })
+  } catch (e) {
+    console.error('Delete Holding Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// HOLDING DETAIL → { position, transactions, lots, sells }
+router.get('/holdings/:id/transactions', async (req, res) => {
+  try {
+    const holding = await findOwned(Holding, req, req.params.id)
+    if (!holding) return res.status(404).json({ message: 'Holding not found' })
+
+    res.json(await holdingDetail(holding))
+  } catch (e) {
+    console.error('List Investment Transactions Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// RECORD BUY / SELL: { type, date, quantity, price, fees?, lots?, note? } → holding detail
+router.post('/holdings/:id/transactions', async (req, res) => {
+  try {
+    const { value, error } = readTransaction(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const holding = await findOwned(Holding, req, req.params.id)
+    if (!holding) return res.status(404).json({ message: 'Holding not found' })
+
+    const transaction = new InvestmentTransaction({ ...value, userId: req.userId, holdingId: holding._id, createdAt: new Date() })
+    const existing = await InvestmentTransaction.find({ holdingId: holding._id })
+    const check = runLots([...existing, transaction], holding.lotMethod)
+    if (check.error) return res.status(400).json({ message: check.error })
+
+    await transaction.save()
+    res.status(201).json(await holdingDetail(holding))
+  } catch (e) {
+    console.error('Record Investment Transaction Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE TRANSACTION → holding detail (refused when later sells would no longer add up)
+router.delete('/holdings/:id/transactions/:transactionId', async (req, res) => {
+  try {
+    const holding = await findOwned(Holding, req, req.params.id)
+    if (!holding || !mongoose.isValidObjectId(req.params.transactionId))
+      return res.status(404).json({ message: 'Transaction not found' })
+
+    const existing = await InvestmentTransaction.find({ holdingId: holding._id })
+    const transaction = existing.find(t => String(t._id) === req.params.transactionId)
+    if (!transaction) return res.status(404).json({ message: 'Transaction not found' })
+
+    const check = runLots(existing.filter(t => t !== transaction), holding.lotMethod)
+    if (check.error) return res.status(400).json({ message: `Deleting it would break a later sell. ${check.error}` })
+
+    await transaction.deleteOne()
+    res.json(await holdingDetail(holding))
+  } catch (e) {
+    console.error('Delete Investment Transaction Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// LIST PRICES (newest first, optional ?symbol=)
+router.get('/prices', async (req, res) => {
+  try {
+    const filter = { userId: req.userId }
+    if (req.query.symbol) filter.symbol = readSymbol(req.query.symbol)
+    res.json(await SecurityPrice.find(filter).sort({ date: -1, symbol: 1 }).limit(500))
+  } catch (e) {
+    console.error('List Prices Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE / REPLACE one price: { symbol, date, price, currency? } (same symbol + day overwrites)
+router.post('/prices', async (req, res) => {
+  try {
+    const { value, error } = readPrice(req.body)
+    if (error) return res.status(400).json({ message: error })
+    const resolved = (await priceCurrencies(req.userId))(value)
+    if (resolved.error) return res.status(400).json({ message: resolved.error })
+
+    const { symbol, date, price } = value
+    const doc = await SecurityPrice.findOneAndUpdate(
+      { userId: req.userId, symbol, date },
+      { price, currency: resolved.currency },
+      { new: true, upsert: true, runValidators: true }
+    )
+    res.status(201).json(doc)
+  } catch (e) {
+    console.error('Save Price Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CSV UPLOAD: { content: "symbol,date,price[,currency]\n..." } → { saved, errors }
+// Lines whose currency is missing and ambiguous are reported in `errors` and not saved.
+router.post('/prices/upload', async (req, res) => {
+  try {
+    const parsed = parsePricesCsv(req.body?.content)
+    if (!parsed.prices.length && !parsed.errors.length) return res.status(400).json({ message: 'The file has no prices' })
+    if (parsed.prices.length > MAX_PRICES) return res.status(400).json({ message: `At most ${MAX_PRICES} prices per upload` })
+
+    const currencyOf = await priceCurrencies(req.userId)
+    const errors = [...parsed.errors]
+    const prices = []
+    parsed.prices.forEach(p => {
+      const { currency, error } = currencyOf(p)
+      if (error) errors.push({ line: p.line, message: error })
+      else prices.push({ ...p, currency })
+    })
+    errors.sort((a, b) => a.line - b.line)
+
+    if (prices.length) {
+      await SecurityPrice.bulkWrite(prices.map(({ symbol, date, price, currency }) => ({
+        updateOne: {
+          filter: { userId: req.userId, symbol, date },
+          update: { $set: { price, currency } },
+          upsert: true
+        }
+      })))
+    }
+    res.json({ saved: prices.length, errors })
+  } catch (e) {
+    console.error('Upload Prices Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE PRICE
+router.delete('/prices/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Price not found' })
+
+    const price = await SecurityPrice.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!price) return res.status(404).json({ message: 'Price not found' })
+    res.json({ ok: true, id: price._id })
+  } catch (e) {
+    console.error('Delete Price Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
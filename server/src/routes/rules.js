@@ -0,0 +1,107 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import CategoryRule from '../models/CategoryRule.js'
+import { readRule, loadRules, suggestRule } from '../lib/rules.js'
+import { EXPENSE_CATEGORIES } from '../lib/categories.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// LIST (priority order)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await CategoryRule.find({ userId: req.userId }).sort({ priority: 1, createdAt: 1 }))
+  } catch (e) {
+    console.error('List Rules Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// CREATE (appended at the lowest priority)
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = readRule(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const last = await CategoryRule.findOne({ userId: req.userId }).sort({ priority: -1 })
+    const rule = await CategoryRule.create({
+      ...value,
+      userId: req.userId,
+      priority: last ? last.priority + 1 : 0
+    })
+    res.status(201).json(rule)
+  } catch (e) {
+    console.error('Create Rule Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// REORDER: { ids:[...] } in the new priority order
+router.put('/order', async (req, res) => {
+  try {
+    const { ids } = req.body || {}
+    if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id)))
+      return res.status(400).json({ message: 'ids must be a list of rule ids' })
+
+    await CategoryRule.bulkWrite(ids.map((id, priority) => ({
+      updateOne: { filter: { _id: id, userId: req.userId }, update: { priority } }
+    })))
+    res.json(await CategoryRule.find({ userId: req.userId }).sort({ priority: 1, createdAt: 1 }))
+  } catch (e) {
+    console.error('Reorder Rules Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SUGGEST a rule after the user re-categorizes a transaction: { description, amount, category }
+router.post('/suggest', async (req, res) => {
+  try {
+    const { description, amount, category } = req.body || {}
+    if (!EXPENSE_CATEGORIES.includes(category)) return res.status(400).json({ message: 'Unknown category' })
+
+    const rules = await loadRules(req.userId)
+    res.json({ suggestion: suggestRule(rules, { description, amount }, category) })
+  } catch (e) {
+    console.error('Suggest Rule Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// UPDATE
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Rule not found' })
+
+    const { value, error } = readRule(req.body, { partial: true })
+    if (error) return res.status(400).json({ message: error })
+
+    const rule = await CategoryRule.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      value,
+      { new: true, runValidators: true }
+    )
+    if (!rule) return res.status(404).json({ message: 'Rule not found' })
+    res.json(rule)
+  } catch (e) {
+    console.error('Update Rule Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DELETE
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ message: 'Rule not found' })
+
+    const rule = await CategoryRule.findOneAndDelete({ _id: req.params.id, userId: req.userId })
+    if (!rule) return res.status(404).json({ message: 'Rule not found' })
+    res.json({ ok: true, id: rule._id })
+  } catch (e) {
+    console.error('Delete Rule Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,97 @@
+import { Router } from 'express'
+import Expense from '../models/Expense.js'
+import RecurringPattern from '../models/RecurringPattern.js'
+import { detectRecurring } from '../lib/recurring.js'
+import { loadConverter } from '../lib/fx.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+const LOOKBACK_MONTHS = 18 // long enough to see an annual charge twice
+const STATUSES = ['suggested', 'confirmed', 'dismissed', 'cancelled']
+
+// LIST detected patterns merged with the user's decisions; dismissed ones only with ?all=1
+// → { currency, patterns, annualTotal, monthlyTotal, unconverted }. Pattern amounts are in the pattern's
+// currency, `baseAnnualCost` and the totals in the base currency; `unconverted` lists currencies
+// left out of the totals because no FX rate is stored.
+router.get('/', async (req, res) => {
+  try {
+    const since = new Date()
+    since.setUTCMonth(since.getUTCMonth() - LOOKBACK_MONTHS)
+
+    const [expenses, decisions, fx] = await Promise.all([
+      Expense.find({ userId: req.userId, date: { $gte: since } }).select('date description amount currency category'),
+      RecurringPattern.find({ userId: req.userId }),
+      loadConverter(req.userId)
+    ])
+    const byKey = new Map(decisions.map(d => [d.key, d]))
+
+    const detected = detectRecurring(expenses)
+    // decisions saved under the old `merchant|cadence` key still apply while that pair is unambiguous
+    const legacyKey = p => `${p.merchant}|${p.cadence}`
+    const pairCount = new Map()
+    detected.forEach(p => pairCount.set(legacyKey(p), (pairCount.get(legacyKey(p)) || 0) + 1))
+
+    const patterns = detected
+      .map(p => {
+        const decision = byKey.get(p.key) || (pairCount.get(legacyKey(p)) === 1 ? byKey.get(legacyKey(p)) : undefined)
+        const status = decision ? decision.status : 'suggested'
+        return {
+          ...p,
+          baseAnnualCost: fx.convert(p.annualCost, p.currency, p.lastDate),
+          status,
+          // still being billed after the user said they cancelled
+          chargedAfterCancel: status === 'cancelled' && !!decision.cancelledAt && p.lastDate > decision.cancelledAt
+        }
+      })
+      .filter(p => req.query.all === '1' || p.status !== 'dismissed')
+      .sort((a, b) => (b.baseAnnualCost ?? -1) - (a.baseAnnualCost ?? -1))
+
+    const active = patterns.filter(p => p.status === 'suggested' || p.status === 'confirmed')
+    const unconverted = new Set()
+    let annual = 0
+    active.forEach(p => {
+      if (p.baseAnnualCost == null) unconverted.add(p.currency)
+      else annual += p.baseAnnualCost
+    })
+    const annualTotal = Math.round(annual * 100) / 100
+
+    res.json({
+      currency: fx.baseCurrency,
+      patterns,
+      annualTotal,
+      monthlyTotal: Math.round(annualTotal / 12 * 100) / 100,
+      unconverted: [...unconverted]
+    })
+  } catch (e) {
+    console.error('List Subscriptions Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SET STATUS: { status: confirmed | dismissed | cancelled | suggested }
+router.put('/:key', async (req, res) => {
+  try {
+    const { status } = req.body || {}
+    if (!STATUSES.includes(status)) return res.status(400).json({ message: 'Unknown status' })
+
+    const filter = { userId: req.userId, key: req.params.key }
+    if (status === 'suggested') {
+      // back to undecided: forget the stored decision
+      await RecurringPattern.deleteOne(filter)
+      return res.json({ key: req.params.key, status })
+    }
+
+    const decision = await RecurringPattern.findOneAndUpdate(
+      filter,
+      status === 'cancelled' ? { status, cancelledAt: new Date() } : { status, $unset: { cancelledAt: 1 } },
+      { new: true, upsert: true, runValidators: true }
+    )
+    res.json(decision)
+  } catch (e) {
+    console.error('Update Subscription Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,17 @@
+import { Router } from 'express'
+import { buildSummary } from '../lib/summary.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// DASHBOARD SUMMARY
+router.get('/', async (req, res) => {
+  try {
+    res.json(await buildSummary(req.userId))
+  } catch (e) {
+    console.error('Summary Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,38 @@
+import { Router } from 'express'
+import TaxEstimate from '../models/TaxEstimate.js'
+import { latestTax } from '../lib/summary.js'
+import { baseCurrencyOf } from '../lib/fx.js'
+import { readCurrency } from '../lib/currencies.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+// LATEST ESTIMATE (null when none saved)
+router.get('/latest', async (req, res) => {
+  try {
+    res.json(await latestTax(req.userId))
+  } catch (e) {
+    console.error('Latest Tax Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SAVE ESTIMATE
+router.post('/', async (req, res) => {
+  try {
+    const { year, status, filingStatus, regime, income, deduction, taxable, tax, effRate } = req.body
+    const est = await TaxEstimate.create({
+      userId: req.userId,
+      year: year || new Date().getFullYear(),
+      status, filingStatus, regime, income, deduction, taxable, tax, effRate,
+      currency: readCurrency(req.body.currency) || await baseCurrencyOf(req.userId)
+    })
+    res.status(201).json(est)
+  } catch (e) {
+    if (e.name === 'ValidationError') return res.status(400).json({ message: e.message })
+    console.error('Save Tax Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,143 @@
+import { Router } from 'express'
+import bcrypt from 'bcryptjs'
+import QRCode from 'qrcode'
+import User from '../models/User.js'
+import {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../lib/totp.js'
+import { checkSecondFactor } from '../lib/twoFactor.js'
+import { recordSecurityEvent } from '../lib/securityEvents.js'
+import { reserveLoginAttempt, loginFailed, loginPassed, tooManyAttempts } from '../lib/loginThrottle.js'
+
+// Mounted behind authMiddleware at /api/auth/2fa
+const router = Router()
+
+function newRecoveryCodes(user) {
+  const codes = generateRecoveryCodes()
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode)
+  return codes
+}
+
+// STATUS
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('twoFactor')
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0
+    })
+  } catch (e) {
+    console.error('2FA Status Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SETUP: new pending secret → { secret, otpauthUrl, qrDataUrl } (2FA stays off until /enable)
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    if (user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is already on' })
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = encryptSecret(secret)
+    await user.save()
+
+    const url = otpauthUrl(secret, user.email)
+    res.json({ secret, otpauthUrl: url, qrDataUrl: await QRCode.toDataURL(url) })
+  } catch (e) {
+    console.error('2FA Setup Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// ENABLE: { code } from the authenticator app → { recoveryCodes } (shown once)
+router.post('/enable', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    if (!user.twoFactor?.pendingSecret) return res.status(400).json({ message: 'Start setup first' })
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret)
+    const step = verifyTotp(secret, req.body?.code)
+    if (step == null) return res.status(400).json({ message: 'That code did not match. Check the time on your device.' })
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.enabled = true
+    user.twoFactor.enabledAt = new Date()
+    user.twoFactor.lastStep = step
+    const recoveryCodes = newRecoveryCodes(user)
+    await user.save()
+    await recordSecurityEvent('two_factor_enabled', { userId: user._id, email: user.email, req })
+    res.json({ enabled: true, recoveryCodes })
+  } catch (e) {
+    console.error('2FA Enable Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// NEW RECOVERY CODES: { code } → { recoveryCodes } (old ones stop working)
+// Code checks here and in /disable share the sign-in throttle, so a stolen session cannot guess codes freely
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    const attempt = await reserveLoginAttempt({ email: user.email, ip: req.ip })
+    if (attempt.retryAfter) return tooManyAttempts(res, attempt.retryAfter)
+    if (!checkSecondFactor(user, { code: req.body?.code })) {
+      await loginFailed(attempt, { email: user.email, userId: user._id, req })
+      return res.status(400).json({ message: 'Invalid authentication code' })
+    }
+    await loginPassed(attempt)
+
+    const recoveryCodes = newRecoveryCodes(user)
+    await user.save()
+    res.json({ recoveryCodes })
+  } catch (e) {
+    console.error('2FA Recovery Codes Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// DISABLE: { password, code | recoveryCode }
+router.post('/disable', async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {}
+    const user = await User.findById(req.userId)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    if (!user.twoFactor?.enabled) return res.status(400).json({ message: 'Two-factor authentication is off' })
+
+    const attempt = await reserveLoginAttempt({ email: user.email, ip: req.ip })
+    if (attempt.retryAfter) return tooManyAttempts(res, attempt.retryAfter)
+    const ok = password && (await bcrypt.compare(String(password), user.passwordHash))
+    if (!ok) {
+      await loginFailed(attempt, { email: user.email, userId: user._id, req })
+      return res.status(400).json({ message: 'Incorrect password' })
+    }
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await loginFailed(attempt, { email: user.email, userId: user._id, req })
+      return res.status(400).json({ message: 'Invalid authentication code' })
+    }
+    await loginPassed(attempt)
+
+    user.twoFactor = { enabled: false, lastStep: -1, recoveryCodes: [] }
+    await user.save()
+    await recordSecurityEvent('two_factor_disabled', { userId: user._id, email: user.email, req })
+    res.json({ enabled: false })
+  } catch (e) {
+    console.error('2FA Disable Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,95 @@
+import { Router } from 'express'
+import mongoose from 'mongoose'
+import AiUsage from '../models/AiUsage.js'
+import User from '../models/User.js'
+import adminMiddleware from '../middleware/adminMiddleware.js'
+import { quotaStatus, usageTotals, TIER_NAMES } from '../lib/usage.js'
+import { parseDay } from '../lib/dates.js'
+
+// Mounted behind authMiddleware
+const router = Router()
+
+const dayString = d => d.toISOString().slice(0, 10)
+
+// MY USAGE: { tier, limits, today, month, exceeded }
+router.get('/me', async (req, res) => {
+  try {
+    res.json(await quotaStatus(req.userId))
+  } catch (e) {
+    console.error('Usage Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// REPORT (admin): ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: this month) → totals + per-user rows
+router.get('/report', adminMiddleware, async (req, res) => {
+  try {
+    const now = new Date()
+    const from = req.query.from ? parseDay(req.query.from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    const to = req.query.to ? parseDay(req.query.to) : now
+    if (!from || !to) return res.status(400).json({ message: 'Dates must be YYYY-MM-DD' })
+    const range = { from: dayString(from), to: dayString(to) }
+
+    const rows = await AiUsage.aggregate([
+      { $match: { day: { $gte: range.from, $lte: range.to } } },
+      {
+        $group: {
+          _id: '$userId',
+          requests: { $sum: '$requests' },
+          calls: { $sum: '$calls' },
+          inputTokens: { $sum: '$inputTokens' },
+          outputTokens: { $sum: '$outputTokens' },
+          // The cost recorded at call time, so the rows add up to `totals` after a price change
+          costUsd: { $sum: '$costUsd' }
+        }
+      },
+      { $addFields: { tokens: { $add: ['$inputTokens', '$outputTokens'] } } },
+      { $sort: { tokens: -1 } },
+      { $limit: 200 }
+    ])
+    const users = await User.find({ _id: { $in: rows.map(r => r._id) } }).select('name email aiTier')
+    const byId = new Map(users.map(u => [String(u._id), u]))
+
+    res.json({
+      ...range,
+      totals: await usageTotals(range),
+      users: rows.map(r => {
+        const u = byId.get(String(r._id))
+        return {
+          userId: r._id,
+          name: u?.name || '(deleted)',
+          email: u?.email || '',
+          tier: u?.aiTier || 'free',
+          requests: r.requests,
+          calls: r.calls,
+          inputTokens: r.inputTokens,
+          outputTokens: r.outputTokens,
+          tokens: r.tokens,
+          costUsd: Math.round(r.costUsd * 1e4) / 1e4
+        }
+      })
+    })
+  } catch (e) {
+    console.error('Usage Report Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+// SET A USER'S TIER (admin): { tier }
+router.put('/users/:id/tier', adminMiddleware, async (req, res) => {
+  try {
+    const { tier } = req.body || {}
+    if (!TIER_NAMES.includes(tier))
+      return res.status(400).json({ message: `Tier must be one of ${TIER_NAMES.join(', ')}` })
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'User not found' })
+
+    const user = await User.findByIdAndUpdate(req.params.id, { aiTier: tier }, { new: true }).select('name email aiTier')
+    if (!user) return res.status(404).json({ message: 'User not found' })
+    res.json({ id: user._id, name: user.name, email: user.email, tier: user.aiTier })
+  } catch (e) {
+    console.error('Set Tier Error:', e)
+    res.status(500).json({ message: 'Server error' })
+  }
+})
+
+export default router